@@ -53,49 +53,326 @@ const MONO = "'Berkeley Mono','IBM Plex Mono','Courier New',monospace";
 const SANS = "'DM Sans','Helvetica Neue',sans-serif";
 const SLAB = "'Libre Baskerville','Georgia',serif";
 
-// ─── EMPIRICALLY-SOURCED CONSTANTS ────────────────────────────────────────────
-// Every number below is cited. Do not change without re-sourcing.
-const DATA = {
-  // SEG 2025 Annual SaaS Report, 3,163 private deals (exact)
-  PRIVATE_MA_MEDIAN: 4.1,
-  // SaaS Capital 2025 survey, n=1,000+ (exact)
-  PRIVATE_EQUITY_BACKED_MEDIAN: 5.3,
-  PRIVATE_BOOTSTRAPPED_MEDIAN: 4.8,
-  // SaaS Capital Index, June 2025 (exact)
-  PUBLIC_SCI_MEDIAN: 6.7,
-  // Bessemer Cloud Index 2025 (exact)
-  PUBLIC_BESSEMER_MEDIAN: 7.5,
-  // SEG 2025 Annual SaaS Report p.30 — NRR bands vs public EV/ARR median (exact)
-  NRR_BANDS: [
-    { lo: 0,   hi: 90,  publicMult: 1.2,  label: "<90%" },
-    { lo: 90,  hi: 100, publicMult: 3.5,  label: "90–100%" },
-    { lo: 100, hi: 110, publicMult: 6.0,  label: "100–110%" },
-    { lo: 110, hi: 120, publicMult: 9.0,  label: "110–120%" },
-    { lo: 120, hi: 999, publicMult: 11.7, label: ">120%" },
+// ─── BENCHMARK PACKS ──────────────────────────────────────────────────────────
+// Every empirical constant the model uses — anchor multiples, NRR bands,
+// scenario factors, premia and thresholds — with its citation and as-of date.
+// A pack is plain JSON: { id, name, vintage, values: { KEY: { value, source,
+// cite?, asOf } }, reference: [{ label, value, source, asOf }] }. The built-in
+// pack ships with the app; others load from file, and the active pack is
+// swapped into DATA (the same way the theme is swapped into C).
+const BUILTIN_PACK = {
+  id: "builtin-2025", name: "2025 SaaS Benchmarks", vintage: "2025-06",
+  values: {
+    PRIVATE_MA_MEDIAN:            { value: 4.1, source: "SEG 2025 Annual SaaS Report (3,163 deals)", cite: "SEG 2025", asOf: "2024" },
+    PRIVATE_EQUITY_BACKED_MEDIAN: { value: 5.3, source: "SaaS Capital 2025 survey (n=1,000+)", cite: "SaaS Capital 2025", asOf: "2025" },
+    PRIVATE_BOOTSTRAPPED_MEDIAN:  { value: 4.8, source: "SaaS Capital 2025 survey (n=1,000+)", cite: "SaaS Capital 2025", asOf: "2025" },
+    PUBLIC_SCI_MEDIAN:            { value: 6.7, source: "SaaS Capital Index, June 2025", cite: "SCI", asOf: "2025-06" },
+    PUBLIC_BESSEMER_MEDIAN:       { value: 7.5, source: "Bessemer Cloud Index 2025", cite: "Bessemer", asOf: "2025" },
+    BASE_MULTIPLES: {
+      value: {
+        B2B_SMB:  { SEED:2.8, EARLY:3.8, GROWTH:5.0, SCALE:6.5, MATURE:3.8 },
+        B2B_MID:  { SEED:3.2, EARLY:4.3, GROWTH:6.0, SCALE:8.0, MATURE:4.8 },
+        B2B_ENT:  { SEED:3.8, EARLY:5.2, GROWTH:7.0, SCALE:9.5, MATURE:5.8 },
+        B2C:      { SEED:2.2, EARLY:3.2, GROWTH:4.5, SCALE:6.0, MATURE:3.0 },
+        VERT:     { SEED:3.3, EARLY:4.8, GROWTH:6.5, SCALE:9.0, MATURE:5.3 },
+        TECH_SVC: { SEED:1.4, EARLY:2.3, GROWTH:3.3, SCALE:4.8, MATURE:2.3 },
+      },
+      source: "Private M&A transaction data (SEG 3,163 deals, median 4.1x; SaaS Capital equity-backed median 5.3x)", cite: "private M&A anchor", asOf: "2024" },
+    GROWTH_REF:            { value: { SEED:150, EARLY:90, GROWTH:55, SCALE:35, MATURE:18 }, source: "Stage growth medians (model calibration)", cite: "stage median", asOf: "2025" },
+    GROWTH_MULT_PER_10PTS: { value: 0.8, source: "SaaS Capital growth regression", cite: "SaaS Capital", asOf: "2025" },
+    RULE40_MULT_PER_10PTS: { value: 2.2, source: "Aventis Advisors (459 deals, 2015–2025); Ful.io 2025", cite: "Aventis 2025", asOf: "2025" },
+    NRR_BANDS: {
+      value: [
+        { lo: 0,   hi: 90,  publicMult: 1.2,  label: "<90%" },
+        { lo: 90,  hi: 100, publicMult: 3.5,  label: "90–100%" },
+        { lo: 100, hi: 110, publicMult: 6.0,  label: "100–110%" },
+        { lo: 110, hi: 120, publicMult: 9.0,  label: "110–120%" },
+        { lo: 120, hi: 999, publicMult: 11.7, label: ">120%" },
+      ],
+      source: "SEG 2025 Annual SaaS Report p.30", cite: "SEG 2025", asOf: "2024" },
+    PRIVATE_DISCOUNT:      { value: 0.60, source: "SEG private median vs SaaS Capital Index public median (4.1x / 6.7x)", cite: "SEG / SCI", asOf: "2025" },
+    SIZE_MULTIPLIERS: {
+      value: [
+        { minArrM: 100, mult: 1.32 }, { minArrM: 50, mult: 1.22 }, { minArrM: 25, mult: 1.12 },
+        { minArrM: 10,  mult: 1.05 }, { minArrM: 3,  mult: 1.00 }, { minArrM: 0,  mult: 0.72 },
+      ],
+      source: "Solganick / Axial 2025 (~1–2x per $20M ARR)", cite: "Solganick ~1-2x per $20M", asOf: "2025" },
+    BEAR_FACTOR:           { value: 0.58, source: "Windsor Drake M&A 2025 (no-process 35–45% discount, midpoint)", cite: "Windsor Drake", asOf: "2025" },
+    BULL_FACTOR:           { value: 1.50, source: "Windsor Drake M&A 2025 (strategic 1.5–2.0x premium, conservative end)", cite: "Windsor Drake", asOf: "2025" },
+    PUBLIC_PREMIUM:        { value: 1.36, source: "SEG: private 4.1x vs public 5.6x, 2024", cite: "SEG", asOf: "2024" },
+    AI_NATIVE_PREMIUM:     { value: 1.20, source: "SaasRise / Battery Ventures 2025 (20–40% AI-native premium)", cite: "SaasRise: 20–40% AI premium", asOf: "2025" },
+    VERTICAL_PREMIUM:      { value: 1.08, source: "Domain moat and retention advantage (model assumption)", cite: "domain moat, higher retention", asOf: "2025" },
+    NETWORK_PREMIUM:       { value: 1.10, source: "Defensibility premium (model assumption)", cite: "defensibility premium", asOf: "2025" },
+    USAGE_BASED_PREMIUM:   { value: 1.04, source: "OpenView (usage-based pricing: 38% faster growth)", cite: "OpenView: 38% faster growth", asOf: "2025" },
+    LTV_CAC_MEDIAN:        { value: 3.6, source: "Benchmarkit 2024 (n=936)", cite: "Benchmarkit 2024", asOf: "2024" },
+    CAC_PAYBACK_MEDIAN_MO: { value: 20, source: "SaaS Benchmark Report 2025 (n=2,000+)", cite: "SaaS Benchmark Report 2025", asOf: "2025" },
+    MAGIC_NUMBER_MEDIAN:   { value: 0.90, source: "Benchmarkit 2024 (n=936)", cite: "Benchmarkit 2024", asOf: "2024" },
+    BURN_MULTIPLE_MEDIAN:  { value: 1.6, source: "CFO Advisors / Benchmarkit 2025 (Series A)", cite: "Benchmarkit 2025", asOf: "2025" },
+    GROWTH_ENDURANCE:      { value: 0.65, source: "Benchmarkit 2025", cite: "Benchmarkit 2025", asOf: "2025" },
+    NRR_BY_SEGMENT:        { value: { enterprise: 118, midmarket: 108, smb: 97 }, source: "ChartMogul 2024 (n=2,100)", cite: "ChartMogul 2024", asOf: "2024" },
+    PRIVATE_NRR_MEDIAN:    { value: 106, source: "ChartMogul 2024 (n=2,100); SaaS Capital", cite: "ChartMogul 2024", asOf: "2024" },
+    PUBLIC_NRR_MEDIAN:     { value: 114, source: "Public SaaS median NRR (model reference)", cite: "public SaaS median", asOf: "2025" },
+    GROSS_MARGIN_MEDIAN:   { value: 73, source: "Benchmarkit 2025", cite: "Benchmarkit 2025", asOf: "2025" },
+    PUBLIC_EBITDA_MARGIN:  { value: 9.3, source: "SaaS Capital Index, Q3 2025", cite: "SCI Q3 2025", asOf: "2025-09" },
+    RND_PCT_RANGE:         { value: { lo: 18, hi: 22 }, source: "Median SaaS R&D spend, % of revenue (model reference)", cite: "SaaS median", asOf: "2025" },
+    SM_PCT_BEST:           { value: 25, source: "Best-in-class S&M spend at scale, % of revenue (model reference)", cite: "Best-in-class at scale", asOf: "2025" },
+    GA_PCT_RANGE:          { value: { lo: 8, hi: 12 }, source: "Target G&A spend at scale, % of revenue (model reference)", cite: "Target at scale", asOf: "2025" },
+    WACC_RANGE:            { value: { lo: 10, hi: 15 }, source: "Private equity discount rates for SaaS targets (model reference)", cite: "SaaS PE range", asOf: "2025" },
+    TERMINAL_GROWTH_RANGE: { value: { lo: 2.5, hi: 3.5 }, source: "Long-run nominal GDP growth as a terminal growth proxy (model reference)", cite: "Long-run GDP proxy", asOf: "2025" },
+    // Quartile cut-offs for the benchmark reference table; medians not listed
+    // here come from the pack's own median values
+    BENCHMARK_QUARTILES: {
+      value: {
+        arrGrowth:    { bottom: 15,  median: { lo: 19, hi: 22 }, top: 40, best: 80 },
+        nrr:          { bottom: 95,  top: 115, best: 120 },
+        grr:          { bottom: 82,  median: 91, top: 95, best: 98 },
+        grossMargin:  { bottom: 60,  top: 80,  best: 85 },
+        rule40:       { bottom: 10,  median: { lo: 22, hi: 28 }, top: 40, best: 60 },
+        cacPaybackMo: { bottom: 30,  top: 14,  best: 10 },
+        ltvCac:       { bottom: 1.5, top: 5,   best: 7 },
+        magicNumber:  { bottom: 0.4, top: 1.2, best: 2.0 },
+        burnMultiple: { bottom: 2.5, top: 1.0, best: 0.5 },
+      },
+      source: "SEG 2025, SaaS Capital n=1,000+, Benchmarkit n=936, KeyBanc 2024", cite: "SEG / SaaS Capital / Benchmarkit / KeyBanc", asOf: "2025" },
+    GRR_COVENANT_FLOOR:    { value: 85, source: "ABF Journal SaaS lending standards 2025", cite: "ABF Journal 2025", asOf: "2025" },
+    MAJOR_CUSTOMER_PCT:    { value: 10, source: "SEC Regulation S-K Item 101", cite: "SEC S-K", asOf: "2025" },
+    LENDER_CUSTOMER_CAP_PCT: { value: 15, source: "ABF Journal SaaS lending standards 2025", cite: "ABF", asOf: "2025" },
+    HHI_HIGH:              { value: 1800, source: "DOJ/FTC 2023 Merger Guidelines", cite: "DOJ/FTC 2023", asOf: "2023-12" },
+  },
+  // Market reference cards (COMPS tab); display values, not model inputs
+  reference: [
+    { label:"Public SaaS Median (SCI)",     value:"6.7–7.0x", source:"SaaS Capital Index, June 2025",        asOf:"2025-06" },
+    { label:"Public SaaS (Bessemer)",       value:"7.5x",     source:"Bessemer Cloud Index, 2025",           asOf:"2025" },
+    { label:"Private M&A Median (SEG)",     value:"4.1x",     source:"SEG 3,163 deals, 2024",                asOf:"2024" },
+    { label:"Private Equity-Backed (SCI)",  value:"5.3x",     source:"SaaS Capital n=1,000+, 2025",          asOf:"2025" },
+    { label:"Private EBITDA Multiple",      value:"19.2x",    source:"SEG M&A Report 2024 (profitable)",     asOf:"2024" },
+    { label:"Public EBITDA Multiple",       value:"38.2x",    source:"SEG median public SaaS 2024",          asOf:"2024" },
+    { label:"Top-10 Public ARR Multiple",   value:"14.2x",    source:"SaaS Capital SCI, YE 2024",            asOf:"2024-12" },
+    { label:"Public SaaS EBITDA Margin",    value:"9.3%",     source:"SaaS Capital Index, Q3 2025",          asOf:"2025-09" },
+    { label:"Rule of 40 Valuation Premium", value:"121%",     source:"vs. sub-40 peers (SaasRise 2025)",     asOf:"2025" },
+    { label:"AI-Native Premium",            value:"20–40%",   source:"SaasRise/Battery Ventures 2025",       asOf:"2025" },
+    { label:"CAC Payback Median",           value:"20mo",     source:"SaaS Benchmark Report 2025, n=2,000+", asOf:"2025" },
+    { label:"LTV:CAC Median",               value:"3.6x",     source:"Benchmarkit 2024, n=936",              asOf:"2024" },
+    { label:"Magic Number Median",          value:"0.90",     source:"Benchmarkit 2024, n=936",              asOf:"2024" },
+    { label:"Burn Multiple Median (Ser.A)", value:"1.6x",     source:"CFO Advisors / Benchmarkit 2025",      asOf:"2025" },
+    { label:"NRR Median (Private)",         value:"106%",     source:"ChartMogul n=2,100; SaaS Capital",     asOf:"2024" },
+    { label:"NRR Enterprise Median",        value:"118%",     source:"Optifai n=939 / ChartMogul 2024",      asOf:"2024" },
+    { label:"GRR Lender Floor",             value:"85%",      source:"ABF Journal SaaS lending 2025",        asOf:"2025" },
+    { label:"Public SaaS Growth Median",    value:"12.2%",    source:"Aventis Index, Q4 2025",               asOf:"2025-12" },
+    { label:"Private SaaS Growth Median",   value:"25%",      source:"SaaS Capital survey, 2024",            asOf:"2024" },
+    { label:"Growth Endurance",             value:"65%",      source:"Benchmarkit 2025 (was 80%)",           asOf:"2025" },
   ],
-  // Aventis Advisors + Ful.io 2025 (exact, confirmed by regression on 459 deals)
-  RULE40_MULT_PER_10PTS: 2.2,
-  // Windsor Drake M&A 2025: strategic buyers pay 1.5–2.0x premium over PE
-  BEAR_FACTOR: 0.58,   // 42% no-process discount (midpoint of 35–45% range)
-  BULL_FACTOR: 1.50,   // Conservative end of 1.5–2.0x strategic premium
-  // SEG: public 36% premium over private (5.6x vs 4.1x, 2024)
-  PUBLIC_PREMIUM: 1.36,
-  // Benchmarkit 2025 (n=936): median LTV:CAC (exact)
-  LTV_CAC_MEDIAN: 3.6,
-  // SaaS Benchmark Report 2025, 2,000+ companies (exact)
-  CAC_PAYBACK_MEDIAN_MO: 20,
-  // Benchmarkit 2025: growth endurance (exact)
-  GROWTH_ENDURANCE: 0.65,
-  // Solganick/Axial 2025 (exact quote)
-  SIZE_PREM_PER_20M: 1.5, // ~1–2x per $20M ARR, midpoint
-  // ChartMogul 2024, n=2,100: NRR by segment (exact)
-  NRR_BY_SEGMENT: { enterprise: 118, midmarket: 108, smb: 97 },
-  // Benchmarkit 2025: Magic Number (exact)
-  MAGIC_NUMBER_MEDIAN: 0.90,
-  // ABF Journal 2025: lender covenant floor (exact)
-  GRR_COVENANT_FLOOR: 85,
 };
 
+// Display label and format for each pack value (IC report appendix, pack diff)
+const xFmt = (v) => `${v}x ARR`;
+const PACK_FIELDS = {
+  PRIVATE_MA_MEDIAN:            { label:"Private M&A median multiple",  fmt: xFmt },
+  PRIVATE_EQUITY_BACKED_MEDIAN: { label:"Equity-backed private median", fmt: xFmt },
+  PRIVATE_BOOTSTRAPPED_MEDIAN:  { label:"Bootstrapped private median",  fmt: xFmt },
+  PUBLIC_SCI_MEDIAN:            { label:"Public SaaS median",           fmt: xFmt },
+  PUBLIC_BESSEMER_MEDIAN:       { label:"Public SaaS (Bessemer)",       fmt: xFmt },
+  BASE_MULTIPLES:               { label:"Base multiple grid",           fmt: g => { const all = Object.values(g).flatMap(Object.values); return `${Math.min(...all)}x → ${Math.max(...all)}x ARR`; } },
+  GROWTH_REF:                   { label:"Stage growth medians",         fmt: g => Object.values(g).map(v => `${v}%`).join(" / ") },
+  GROWTH_MULT_PER_10PTS:        { label:"Growth vs stage impact",       fmt: v => `+${v}x per 10 ppts` },
+  RULE40_MULT_PER_10PTS:        { label:"Rule of 40 impact",            fmt: v => `+${v}x per 10 pts` },
+  NRR_BANDS:                    { label:"NRR bands (public EV/ARR)",    fmt: b => `${mult(b[0].publicMult)} → ${mult(b[b.length - 1].publicMult)}` },
+  PRIVATE_DISCOUNT:             { label:"Private / public multiple",    fmt: v => `×${v}` },
+  SIZE_MULTIPLIERS:             { label:"Size premium",                 fmt: s => s.map(x => `≥$${x.minArrM}M ×${x.mult}`).join(", ") },
+  BEAR_FACTOR:                  { label:"Bear scenario discount",       fmt: v => `×${v}` },
+  BULL_FACTOR:                  { label:"Bull scenario premium",        fmt: v => `×${v.toFixed(2)}` },
+  PUBLIC_PREMIUM:               { label:"Public/private premium",       fmt: v => `×${v}` },
+  AI_NATIVE_PREMIUM:            { label:"AI-native premium",            fmt: v => `×${v}` },
+  VERTICAL_PREMIUM:             { label:"Vertical SaaS premium",        fmt: v => `×${v}` },
+  NETWORK_PREMIUM:              { label:"Network effects premium",      fmt: v => `×${v}` },
+  USAGE_BASED_PREMIUM:          { label:"Usage-based pricing premium",  fmt: v => `×${v}` },
+  LTV_CAC_MEDIAN:               { label:"LTV:CAC median",               fmt: v => `${v}x` },
+  CAC_PAYBACK_MEDIAN_MO:        { label:"CAC payback median",           fmt: v => `${v}mo` },
+  MAGIC_NUMBER_MEDIAN:          { label:"Magic Number median",          fmt: v => v.toFixed(2) },
+  BURN_MULTIPLE_MEDIAN:         { label:"Burn Multiple median",         fmt: v => `${v}x` },
+  GROWTH_ENDURANCE:             { label:"Growth endurance",             fmt: v => `${(v * 100).toFixed(0)}%/yr` },
+  NRR_BY_SEGMENT:               { label:"NRR by segment",               fmt: s => `${s.enterprise}/${s.midmarket}/${s.smb}%` },
+  PRIVATE_NRR_MEDIAN:           { label:"Private SaaS NRR median",      fmt: v => `${v}%` },
+  PUBLIC_NRR_MEDIAN:            { label:"Public SaaS NRR median",       fmt: v => `${v}%` },
+  GROSS_MARGIN_MEDIAN:          { label:"Gross margin median",          fmt: v => `${v}%` },
+  PUBLIC_EBITDA_MARGIN:         { label:"Public SaaS EBITDA margin",    fmt: v => `${v}%` },
+  RND_PCT_RANGE:                { label:"R&D % of revenue median",      fmt: r => `${r.lo}–${r.hi}%` },
+  SM_PCT_BEST:                  { label:"Best-in-class S&M % of revenue", fmt: v => `<${v}%` },
+  GA_PCT_RANGE:                 { label:"Target G&A % of revenue",      fmt: r => `${r.lo}–${r.hi}%` },
+  WACC_RANGE:                   { label:"SaaS PE WACC range",           fmt: r => `${r.lo}–${r.hi}%` },
+  TERMINAL_GROWTH_RANGE:        { label:"Terminal growth range",        fmt: r => `${r.lo}–${r.hi}%` },
+  BENCHMARK_QUARTILES:          { label:"Benchmark quartile table",     fmt: q => `${Object.keys(q).length} metrics` },
+  GRR_COVENANT_FLOOR:           { label:"GRR lender covenant floor",    fmt: v => `${v}%` },
+  MAJOR_CUSTOMER_PCT:           { label:"Major customer threshold",     fmt: v => `${v}% of revenue` },
+  LENDER_CUSTOMER_CAP_PCT:      { label:"Lender single-customer cap",   fmt: v => `${v}% of ARR` },
+  HHI_HIGH:                     { label:"Highly concentrated HHI",      fmt: v => `>${v.toLocaleString()}` },
+};
+
+// Quartile-table median: a single value or a { lo, hi } range
+const qBand = (m) => typeof m === "number" ? `${m}` : `${m.lo}-${m.hi}`;
+const qMid  = (m) => typeof m === "number" ? m : (m.lo + m.hi) / 2;
+
+const packValues = (pack) => Object.fromEntries(Object.entries(pack.values).map(([k, e]) => [k, e.value]));
+
+// Active pack; App sets it on every render before anything reads DATA
+let PACK = BUILTIN_PACK;
+let DATA = packValues(BUILTIN_PACK);
+function setActivePack(pack) {
+  PACK = pack;
+  DATA = packValues(pack);
+}
+// Run fn with another pack active (pack comparison), restoring the current one
+function withPack(pack, fn) {
+  const prev = PACK;
+  setActivePack(pack);
+  try { return fn(); } finally { setActivePack(prev); }
+}
+// Short inline citation for a pack value (waterfall labels, notes, flags)
+const cite = (key) => PACK.values[key].cite || PACK.values[key].source;
+
+// Citation table for the IC report appendix
+const packSources = () => Object.entries(PACK_FIELDS).map(([k, f]) => ({
+  param: f.label, value: f.fmt(DATA[k]), source: PACK.values[k].source, asOf: PACK.values[k].asOf,
+}));
+
+// Public NRR band holding a given NRR (top band above the last bound)
+const nrrBand = (nrr) => DATA.NRR_BANDS.find(b => nrr >= b.lo && nrr < b.hi) || DATA.NRR_BANDS[DATA.NRR_BANDS.length - 1];
+// NRR band anchors as text: lowest, the 100% band and highest
+function nrrBandNote() {
+  const b = DATA.NRR_BANDS;
+  return [b[0], nrrBand(100), b[b.length - 1]].map(x => `${x.label}=${mult(x.publicMult)}`).join("; ");
+}
+
+// Same structure as the built-in value: numbers where it has numbers, the same
+// object keys, arrays of same-shaped entries (any length)
+function sameShape(v, ref) {
+  if (typeof ref === "number") return typeof v === "number" && isFinite(v);
+  if (typeof ref === "string") return typeof v === "string";
+  if (Array.isArray(ref)) return Array.isArray(v) && v.length > 0 && v.every(x => sameShape(x, ref[0]));
+  return v != null && typeof v === "object" && Object.keys(ref).every(k => sameShape(v[k], ref[k]));
+}
+
+// Parsed JSON → pack. Values missing from the file fall back to the built-in
+// pack and are listed in `inherited`; malformed values throw.
+function normalizePack(json) {
+  if (!json || typeof json !== "object" || typeof json.values !== "object") throw new Error("Not a benchmark pack: expected { name, vintage, values }.");
+  const values = {}, inherited = [];
+  for (const [k, base] of Object.entries(BUILTIN_PACK.values)) {
+    const e = json.values[k];
+    if (e == null) { values[k] = base; inherited.push(k); continue; }
+    if (!sameShape(e.value, base.value)) throw new Error(`${k}: value does not match the expected structure.`);
+    if (!e.source) throw new Error(`${k}: missing source citation.`);
+    values[k] = { value: e.value, source: String(e.source), ...(e.cite && { cite: String(e.cite) }), asOf: String(e.asOf ?? json.vintage ?? "") };
+  }
+  const reference = Array.isArray(json.reference)
+    ? json.reference.filter(r => r && r.label && r.value != null).map(r => ({ label: String(r.label), value: String(r.value), source: String(r.source ?? ""), asOf: String(r.asOf ?? json.vintage ?? "") }))
+    : BUILTIN_PACK.reference;
+  const name = String(json.name || "Untitled pack"), vintage = String(json.vintage || "");
+  return { id: `${json.id || name}·${vintage}`, name, vintage, values, reference, inherited };
+}
+
+const PACK_STORE_KEY = "svm.benchmarks.v1";
+
+// { packs: [loaded packs], activeId } from localStorage
+function loadPackStore() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(PACK_STORE_KEY) || "null");
+    return raw && Array.isArray(raw.packs) ? raw : { packs: [], activeId: BUILTIN_PACK.id };
+  } catch {
+    return { packs: [], activeId: BUILTIN_PACK.id };
+  }
+}
+
+function savePackStore(store) {
+  try {
+    window.localStorage.setItem(PACK_STORE_KEY, JSON.stringify(store));
+  } catch {
+    // Storage full or disabled — loaded packs last for the session only
+  }
+}
+
+// ─── DEFAULT INPUTS ───────────────────────────────────────────────────────────
+// Starting state for a fresh model. Saved scenarios are merged over this, so
+// inputs added later fall back to these values when an older scenario loads.
+const DEFAULT_INPUTS = {
+  // Company profile
+  companyName: "Target Company", bizType: "B2B_ENT", stage: "GROWTH",
+  // Waterfall base multiple: null = benchmark grid cell for bizType × stage, or a
+  // precedent median { mult, n, label } picked on the PRECEDENTS tab
+  baseAnchor: null,
+  // Revenue
+  arrM: 12, arrGrowth: 40, revenueMix: 88,
+  // ARR bridge components (for cohort/bridge analysis)
+  newLogoGrowthPct: 25, expansionPct: 12, contractionPct: 3,
+  // Retention
+  nrr: 108, grr: 91, logoChurn: 7,
+  // Margins
+  grossMargin: 76, ebitdaMargin: -12, rndPct: 18, smPct: 33, gaPct: 12,
+  // Unit economics
+  arpa: 48000, cac: 40000,
+  // Capital structure
+  cashM: 22, debtM: 6,
+  // Listed target: 52-week market cap range { lowM, highM } in $M for the
+  // football field; null = private / not entered
+  marketCap52w: null,
+  // Customer concentration: [{ name, arr }] in dollars — the top accounts or a
+  // full customer list; empty = no data, no concentration adjustment
+  customers: [],
+  // Sum-of-the-parts segments: [{ name, bizType, arrM, arrGrowth, nrr, grossMargin, ebitdaMargin }]
+  segments: [],
+  // Modifiers
+  aiNative: false, verticalBonus: false, networkEffects: false, usageBased: false, publicMode: false,
+  // DCF
+  horizonYrs: 5,
+  // Growth path: "endurance" (× endurance/yr), "linear" (− growthDecay ppts/yr),
+  // "custom" (interpolated between growthOverrides) or "plan" (growthPlan ARR $M by year).
+  // growthOverrides = { year: growth % } pins any year in every mode.
+  growthMode: "endurance", growthFloor: 3,
+  growthEndurance: null, // null = the active pack's median (GROWTH_ENDURANCE)
+  growthDecay: null, // null = auto (first-year drop at the endurance rate)
+  growthOverrides: {}, growthPlan: {},
+  // DCF timing: valuationDate "YYYY-MM-DD" (null = at fiscal year end, no stub),
+  // fiscalYearEnd month 1–12, midYear = discount flows at the middle of each period
+  valuationDate: null, fiscalYearEnd: 12, midYear: false,
+  granularity: "annual", // "annual" | "quarterly" | "monthly" projection periods
+  // Billing: how subscriptions are invoiced (BILLING_TERMS), prepay length for
+  // multi-year deals, and average contract length (drives RPO)
+  billingTerms: "annual", prepayYrs: 2, contractYrs: 1,
+  // CAPM WACC build-up; with `on`, buildInputs derives wacc from it
+  waccBuild: { on: false, rf: 4.25, betaMode: "levered", beta: 1.3, unleveredBeta: 1.1,
+    erp: 5.5, sizePrem: 1.5, specificPrem: 2, kd: 9 },
+  wacc: 12, termGrowthRate: 3,
+  // DCF drivers (% of revenue unless noted); dcfOverrides = { key: { year: value } }.
+  // ebitdaMarginCap null = EBITDA is the opex build, uncapped
+  taxRate: 25, daPct: 3, capexPct: 2, sbcPct: 8, wcPct: 2, ebitdaMarginCap: null,
+  smDecay: 0.96, gaDecay: 0.97, termEbitdaMult: 18, tvMethod: "gordon",
+  dcfOverrides: {},
+};
+
+// Stored model state → the inputs object consumed by computeValuation. Inputs
+// left null resolve here, against the pack active at compute time. With the
+// CAPM build-up on, WACC is derived here too: the build's weights read the
+// base-case equity value, which does not depend on WACC, so one pass settles it.
+function buildInputs(model) {
+  const growthEndurance = model.growthEndurance ?? DATA.GROWTH_ENDURANCE * 100;
+  const inputs = {
+    ...model,
+    growthEndurance,
+    growthDecay: model.growthDecay ?? (model.arrGrowth * (1 - growthEndurance / 100)), // auto-decay
+  };
+  if (model.waccBuild?.on) {
+    const { wacc } = capmWacc(model.waccBuild, computeValuation(inputs), model.taxRate);
+    inputs.wacc = +clamp(wacc, INPUT_SPECS.wacc.min, INPUT_SPECS.wacc.max).toFixed(2);
+  }
+  return inputs;
+}
+
+// Model with WACC fixed at `wacc` and the CAPM build-up off, for tools that
+// flex the rate itself (tornado, heatmaps, goal seek, simulation, football field)
+const pinWacc = (model, wacc) => ({ ...model, wacc, waccBuild: { ...model.waccBuild, on: false } });
+// Model with `patch` applied; a patched WACC is pinned
+const flexModel = (model, patch) => "wacc" in patch ? pinWacc({ ...model, ...patch }, patch.wacc) : { ...model, ...patch };
+
 // ─── UTILITIES ────────────────────────────────────────────────────────────────
 const $ = (v, d=1) =>
   Math.abs(v) >= 1e9 ? `$${(v/1e9).toFixed(d)}B`
@@ -112,13 +389,182 @@ const lerp  = (a, b, t) => a + (b - a) * t;
 const signColor = (v) => v > 0 ? C.green : v < 0 ? C.red : C.muted;
 const ratioColor = (v, good, ok) => v >= good ? C.green : v >= ok ? C.amber : C.red;
 
+// ─── INPUT SPECS ──────────────────────────────────────────────────────────────
+// Label, slider bounds and display format for each model input. The sidebar
+// sliders spread these, so anything that flexes inputs uses the same bounds.
+const pctFmt = (v) => `${v}%`;
+const INPUT_SPECS = {
+  bizType:              { label:"Business Model", fmt: v => v },
+  stage:                { label:"Stage",          fmt: v => v },
+  arrM:                 { label:"ARR",                          min:0.5,  max:500,     step:0.5,  fmt: v => `$${v.toFixed(1)}M` },
+  arrGrowth:            { label:"YoY ARR Growth",               min:-10,  max:250,     step:1,    fmt: pctFmt },
+  revenueMix:           { label:"Recurring Revenue Mix",        min:20,   max:100,     step:1,    fmt: pctFmt },
+  newLogoGrowthPct:     { label:"New Logo ARR Growth",          min:0,    max:150,     step:1,    fmt: pctFmt },
+  expansionPct:         { label:"Expansion % of ARR",           min:0,    max:50,      step:0.5,  fmt: pctFmt },
+  contractionPct:       { label:"Contraction % of ARR",         min:0,    max:20,      step:0.5,  fmt: pctFmt },
+  nrr:                  { label:"Net Revenue Retention",        min:50,   max:160,     step:1,    fmt: pctFmt },
+  grr:                  { label:"Gross Revenue Retention",      min:50,   max:100,     step:1,    fmt: pctFmt },
+  logoChurn:            { label:"Annual Logo Churn",            min:0,    max:60,      step:0.5,  fmt: pctFmt },
+  grossMargin:          { label:"Gross Margin",                 min:10,   max:100,     step:1,    fmt: pctFmt },
+  ebitdaMargin:         { label:"EBITDA Margin",                min:-100, max:55,      step:1,    fmt: pctFmt },
+  rndPct:               { label:"R&D % of Revenue",             min:0,    max:60,      step:1,    fmt: pctFmt },
+  smPct:                { label:"S&M % of Revenue",             min:0,    max:80,      step:1,    fmt: pctFmt },
+  gaPct:                { label:"G&A % of Revenue",             min:2,    max:40,      step:1,    fmt: pctFmt },
+  arpa:                 { label:"ARPA (Annual / Account)",      min:1000, max:1000000, step:500,  fmt: v => $(v) },
+  cac:                  { label:"Blended CAC (fully-loaded)",   min:500,  max:500000,  step:500,  fmt: v => $(v) },
+  cashM:                { label:"Cash & Equivalents",           min:0,    max:2000,    step:1,    fmt: v => `$${v}M` },
+  debtM:                { label:"Total Debt (interest-bearing)",min:0,    max:2000,    step:1,    fmt: v => `$${v}M` },
+  aiNative:             { label:"AI-Native / Proprietary Model", fmt: v => v ? "On" : "Off" },
+  verticalBonus:        { label:"Vertical SaaS Domain Focus",    fmt: v => v ? "On" : "Off" },
+  networkEffects:       { label:"Network Effects",               fmt: v => v ? "On" : "Off" },
+  usageBased:           { label:"Usage-Based Pricing",           fmt: v => v ? "On" : "Off" },
+  publicMode:           { label:"Public Markets Benchmark",      fmt: v => v ? "On" : "Off" },
+  horizonYrs:           { label:"Projection Horizon",           min:3,    max:10,      step:1,    fmt: v => `${v}yr` },
+  growthMode:           { label:"Growth Path",                   fmt: v => GROWTH_MODES[v]?.label || v },
+  growthEndurance:      { label:"Growth Endurance",             min:20,   max:100,     step:1,    fmt: v => v == null ? "Pack median" : `${v}%/yr`, pack:true },
+  growthFloor:          { label:"Long-Run Growth Floor",        min:0,    max:15,      step:0.5,  fmt: pctFmt },
+  growthDecay:          { label:"Growth Decay",                 min:0,    max:50,      step:0.5,  fmt: v => v == null ? "Auto" : `${v}ppts` },
+  growthOverrides:      { label:"Growth Overrides",              fmt: o => `${Object.keys(o || {}).length} set` },
+  growthPlan:           { label:"Management Plan ARR",           fmt: o => `${Object.keys(o || {}).length} yrs` },
+  valuationDate:        { label:"Valuation Date",                fmt: v => v || "Fiscal year end" },
+  fiscalYearEnd:        { label:"Fiscal Year End",               fmt: v => MONTH_NAMES[v - 1].toUpperCase() },
+  midYear:              { label:"Mid-Year Convention",           fmt: v => v ? "On" : "Off" },
+  billingTerms:         { label:"Billing Terms",                 fmt: v => BILLING_TERMS[v]?.label || v },
+  prepayYrs:            { label:"Multi-Year Prepay Length",     min:2,    max:5,       step:1,    fmt: v => `${v}yr` },
+  contractYrs:          { label:"Average Contract Length",      min:0.25, max:5,       step:0.25, fmt: v => yr(v) },
+  granularity:          { label:"Projection Periods",            fmt: v => PERIODS_PER_YEAR[v]?.label || v },
+  waccBuild:            { label:"WACC Build-Up",                 fmt: b => b?.on ? `CAPM (${b.betaMode} β)` : "Off" },
+  wacc:                 { label:"WACC",                         min:6,    max:28,      step:0.5,  fmt: pctFmt },
+  termGrowthRate:       { label:"Terminal Growth Rate",         min:1,    max:6,       step:0.25, fmt: pctFmt },
+  taxRate:              { label:"Tax Rate",                     min:0,    max:40,      step:0.5,  fmt: pctFmt },
+  daPct:                { label:"D&A % of Revenue",             min:0,    max:15,      step:0.25, fmt: pctFmt },
+  capexPct:             { label:"Capex % of Revenue",           min:0,    max:15,      step:0.25, fmt: pctFmt },
+  sbcPct:               { label:"SBC % of Revenue",             min:0,    max:30,      step:0.5,  fmt: pctFmt },
+  wcPct:                { label:"Other WC % of Rev × Growth",   min:0,    max:15,      step:0.25, fmt: pctFmt },
+  ebitdaMarginCap:      { label:"EBITDA Margin Cap",            min:10,   max:70,      step:1,    fmt: v => v == null ? "No cap" : pctFmt(v) },
+  smDecay:              { label:"S&M Efficiency Factor",        min:0.85, max:1,       step:0.005, fmt: v => `×${v.toFixed(3)}/yr` },
+  gaDecay:              { label:"G&A Leverage Factor",          min:0.85, max:1,       step:0.005, fmt: v => `×${v.toFixed(3)}/yr` },
+  termEbitdaMult:       { label:"Terminal EV/EBITDA Multiple",  min:5,    max:40,      step:0.5,  fmt: v => mult(v) },
+  tvMethod:             { label:"Terminal Value Method",         fmt: v => v === "exit" ? "Exit multiple" : "Gordon Growth" },
+  dcfOverrides:         { label:"DCF Per-Year Overrides",        fmt: o => `${Object.values(o || {}).reduce((n, yrs) => n + Object.keys(yrs).length, 0)} set` },
+  customers:            { label:"Customer Concentration Data",  fmt: l => l?.length ? `${l.length} customers` : "None" },
+  segments:             { label:"SOTP Segments",                fmt: l => l?.length ? l.map(g => g.name).join(" + ") : "None" },
+  marketCap52w:         { label:"52-Week Market Cap Range",     fmt: r => r && r.lowM && r.highM ? `$${r.lowM}M – $${r.highM}M` : "None" },
+  baseAnchor:           { label:"Base Multiple Anchor",         fmt: a => a ? `${mult(a.mult, 2)} precedent median (${a.n} deals)` : "Benchmark grid" },
+};
+// Inputs with a numeric slider range (sensitivity axes, tornado), including
+// pack-defaulted ones (null until set); read their values from buildInputs
+const NUMERIC_KEYS = Object.keys(DEFAULT_INPUTS).filter(k => INPUT_SPECS[k]?.min != null && (typeof DEFAULT_INPUTS[k] === "number" || INPUT_SPECS[k].pack));
+// Business model chips (sidebar, SOTP segments)
+const BIZ_TYPES = [["B2B_SMB","SMB"],["B2B_MID","Mid-Mkt"],["B2B_ENT","Enterprise"],["B2C","B2C/PLG"],["VERT","Vertical"],["TECH_SVC","Tech Svcs"]];
+const STAGES = [["SEED","Seed"],["EARLY","Early"],["GROWTH","Growth"],["SCALE","Scale"],["MATURE","Mature"]];
+// Growth path modes (PROJECTIONS growth path editor)
+const GROWTH_MODES = {
+  endurance: { label:"Endurance factor", note:"Each year keeps a fixed share of the prior year's growth" },
+  linear:    { label:"Linear fade",      note:"Growth falls by a fixed number of points each year" },
+  custom:    { label:"Custom curve",     note:"Set any years; blank years interpolate between them" },
+  plan:      { label:"Management plan",  note:"Enter plan ARR by year; growth is implied" },
+};
+// Projection granularity: periods per fiscal year
+const PERIODS_PER_YEAR = {
+  annual:    { label:"Annual",    n:1,  prefix:"" },
+  quarterly: { label:"Quarterly", n:4,  prefix:"Q" },
+  monthly:   { label:"Monthly",   n:12, prefix:"M" },
+};
+// Billing terms → years billed in advance per invoice (multi-year uses prepayYrs).
+// With invoice dates spread evenly, deferred revenue averages half a billing
+// term of ARR; RPO is half the longer of contract and billing term.
+const BILLING_TERMS = {
+  annual:    { label:"Annual upfront",    yrs:1 },
+  quarterly: { label:"Quarterly",         yrs:0.25 },
+  monthly:   { label:"Monthly",           yrs:1 / 12 },
+  multiyear: { label:"Multi-year prepay", yrs:null },
+};
+// DCF drivers that take per-year overrides (DCF Assumptions grid, Excel export)
+const DCF_DRIVER_KEYS = ["taxRate","daPct","capexPct","sbcPct","wcPct","ebitdaMarginCap"];
+// Slider props for an input: label, bounds, step and format
+const spec = (key) => {
+  const { label, min, max, step, fmt } = INPUT_SPECS[key];
+  return { label, min, max, step, fmt };
+};
+
 // ─── NRR → implied private multiple adjustment ────────────────────────────────
 function nrrMultAdj(nrr) {
-  // Interpolate within SEG NRR bands, scale to private market (~40% discount to public)
-  const PRIV_DISCOUNT = 0.60; // private = ~60% of public multiple (SEG: 4.1/6.7)
-  const band = DATA.NRR_BANDS.find(b => nrr >= b.lo && nrr < b.hi) || DATA.NRR_BANDS[DATA.NRR_BANDS.length - 1];
-  const refBand = DATA.NRR_BANDS[2]; // 100–110% = anchor (0 adjustment)
-  return (band.publicMult - refBand.publicMult) * PRIV_DISCOUNT;
+  // Band lookup on the pack's public NRR bands, scaled to the private market;
+  // the band holding 100% is the anchor (0 adjustment)
+  return (nrrBand(nrr).publicMult - nrrBand(100).publicMult) * DATA.PRIVATE_DISCOUNT;
+}
+
+// ─── GROWTH PATH ──────────────────────────────────────────────────────────────
+// ARR growth for each projected year. Year 1 is the growth input; later years
+// follow the mode's rule (endurance and linear fade stop at the floor). Plan
+// ARR implies growth from the prior year's ARR, and plan years left blank fall
+// back to the endurance rule. A growth override pins a year in any mode and
+// the rule continues from it. src marks where each year's growth came from.
+function buildGrowthPath(p, years) {
+  const overrides = p.growthOverrides || {}, plan = p.growthPlan || {};
+  // Custom curve anchors: year 1 plus every overridden year
+  const anchors = [[1, overrides[1] ?? p.arrGrowth],
+    ...Object.keys(overrides).map(Number).filter(y => y > 1).sort((a, b) => a - b).map(y => [y, overrides[y]])];
+  const path = [];
+  let g = p.arrGrowth, a = p.arr;
+  for (let i = 1; i <= years; i++) {
+    let src = "rule";
+    if (i > 1) {
+      if (p.growthMode === "linear")    g = Math.max(p.growthFloor, g - p.growthDecay);
+      else if (p.growthMode === "custom") {
+        const hi = anchors.findIndex(([y]) => y >= i);
+        if (hi === -1) g = anchors[anchors.length - 1][1];
+        else { const [y0, g0] = anchors[hi - 1], [y1, g1] = anchors[hi]; g = lerp(g0, g1, (i - y0) / (y1 - y0)); }
+        src = "custom";
+      }
+      else g = Math.max(p.growthFloor, g * p.growthEndurance / 100);
+    }
+    if (p.growthMode === "plan" && plan[i] != null && a > 0) { g = (plan[i] * 1e6 / a - 1) * 100; src = "plan"; }
+    if (overrides[i] != null) { g = overrides[i]; src = "override"; }
+    a *= 1 + g / 100;
+    path.push({ growth: g, src });
+  }
+  return path;
+}
+
+// ─── DCF TIMING ───────────────────────────────────────────────────────────────
+// First projected period runs from the valuation date to the next fiscal year
+// end. frac is its length in years (1 with no valuation date); a date falling
+// on a year end starts a full year. Dates are UTC to avoid timezone drift.
+function stubPeriod(valuationDate, fiscalYearEnd) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(valuationDate || "");
+  if (!m) return { frac: 1, start: null, end: null };
+  const start = Date.UTC(+m[1], +m[2] - 1, +m[3]);
+  let end = Date.UTC(+m[1], fiscalYearEnd, 0); // day 0 of the next month = last day of FYE month
+  if (end <= start) end = Date.UTC(+m[1] + 1, fiscalYearEnd, 0);
+  const frac = Math.min(1, (end - start) / 864e5 / 365);
+  const iso = (t) => new Date(t).toISOString().slice(0, 10);
+  return { frac, start: iso(start), end: iso(end) };
+}
+
+// ─── CUSTOMER CONCENTRATION ───────────────────────────────────────────────────
+// Shares are of total ARR: the larger of the model ARR and the listed sum, so a
+// top-customer list is read against the whole base. Unlisted ARR is treated as
+// fully dispersed in the Herfindahl index (Σ share², 0–10,000).
+function customerConcentration(customers, arr) {
+  if (!customers?.length) return null;
+  const sorted = customers.map(c => Math.max(0, c.arr || 0)).sort((a, b) => b - a);
+  const listed = sorted.reduce((s, v) => s + v, 0);
+  const total = Math.max(listed, arr);
+  const share = (v) => total > 0 ? v / total * 100 : 0;
+  const top = (n) => share(sorted.slice(0, n).reduce((s, v) => s + v, 0));
+  const top1 = top(1), top5 = top(5), top10 = top(10);
+  // Multiple haircut: single-customer exposure above the S-K disclosure line
+  // (heavier past the lender cap) plus top-10 dependence; capped at 30%
+  const single = top1 > DATA.LENDER_CUSTOMER_CAP_PCT ? 0.20 : top1 >= DATA.MAJOR_CUSTOMER_PCT ? 0.10 : 0;
+  const topTen = top10 >= 50 ? 0.10 : top10 >= 35 ? 0.05 : 0;
+  return {
+    count: sorted.length, listed, total, top1, top5, top10,
+    hhi: sorted.reduce((s, v) => s + share(v) ** 2, 0),
+    majors: sorted.filter(v => share(v) >= DATA.MAJOR_CUSTOMER_PCT).length,
+    haircut: Math.min(0.30, single + topTen),
+  };
 }
 
 // ─── FULL VALUATION ENGINE ────────────────────────────────────────────────────
@@ -127,8 +573,13 @@ function computeValuation(inputs) {
     arrM, arrGrowth, nrr, grr, logoChurn, grossMargin, ebitdaMargin,
     rndPct, smPct, gaPct, arpa, cac, revenueMix, cashM, debtM,
     aiNative, verticalBonus, networkEffects, usageBased, publicMode,
-    horizonYrs, growthDecay, marginExpansionPerYr, wacc, termGrowthRate,
+    horizonYrs, growthDecay, wacc, termGrowthRate,
+    growthMode, growthEndurance, growthFloor, growthOverrides, growthPlan,
     newLogoGrowthPct, expansionPct, contractionPct, bizType, stage,
+    taxRate, daPct, capexPct, sbcPct, wcPct, ebitdaMarginCap,
+    smDecay, gaDecay, termEbitdaMult, tvMethod, dcfOverrides,
+    valuationDate, fiscalYearEnd, midYear, granularity, billingTerms, prepayYrs, contractYrs,
+    customers, baseAnchor,
   } = inputs;
 
   const arr = arrM * 1e6;
@@ -154,79 +605,81 @@ function computeValuation(inputs) {
   const newLogoArr   = arr * (newLogoGrowthPct / 100);
   const expansionArr = arr * (expansionPct / 100);
   const contractionArr = arr * (contractionPct / 100);
-  const churnArr     = arr * (100 - grr) / 100;
+  // GRR already nets out contraction (as the MRR ledger measures it), so
+  // churn is the remainder of the gross loss: 100% − GRR − contraction
+  const churnArr     = arr * Math.max(0, 100 - grr - contractionPct) / 100;
   // NRR derived: (arr - churn - contraction + expansion) / arr
   const nrrDerived   = ((arr - churnArr - contractionArr + expansionArr) / arr) * 100;
   const closingArr   = arr + newLogoArr + expansionArr - contractionArr - churnArr;
 
   // ── BASE MULTIPLE (private M&A anchored) ────────────────────────────────────
-  // Anchors sourced to private transaction data, NOT public comps.
-  const BASE = {
-    B2B_SMB:  { SEED:2.8, EARLY:3.8, GROWTH:5.0, SCALE:6.5, MATURE:3.8 },
-    B2B_MID:  { SEED:3.2, EARLY:4.3, GROWTH:6.0, SCALE:8.0, MATURE:4.8 },
-    B2B_ENT:  { SEED:3.8, EARLY:5.2, GROWTH:7.0, SCALE:9.5, MATURE:5.8 },
-    B2C:      { SEED:2.2, EARLY:3.2, GROWTH:4.5, SCALE:6.0, MATURE:3.0 },
-    VERT:     { SEED:3.3, EARLY:4.8, GROWTH:6.5, SCALE:9.0, MATURE:5.3 },
-    TECH_SVC: { SEED:1.4, EARLY:2.3, GROWTH:3.3, SCALE:4.8, MATURE:2.3 },
-  };
-  const GROWTH_REF = { SEED:150, EARLY:90, GROWTH:55, SCALE:35, MATURE:18 };
-  const gRef = GROWTH_REF[stage] || 55;
-  let base = (BASE[bizType] || BASE.B2B_ENT)[stage];
+  // Anchors and every adjustment below come from the active benchmark pack.
+  const BASE = DATA.BASE_MULTIPLES;
+  const gRef = DATA.GROWTH_REF[stage] || 55;
+  // A precedent median picked on the PRECEDENTS tab replaces the grid cell
+  let base = baseAnchor ? baseAnchor.mult : (BASE[bizType] || BASE.B2B_ENT)[stage];
 
   // Waterfall of adjustments (all sourced)
-  const wf = [{ label:`${stage} ${bizType} base (private M&A anchor)`, val: base, cumul: base }];
+  const wf = [{ key:"base", label: baseAnchor ? `Precedent median, ${baseAnchor.n} deals (${baseAnchor.label})` : `${stage} ${bizType} base (${cite("BASE_MULTIPLES")})`, val: base, cumul: base }];
 
-  // 1. Growth vs stage median (+0.8x per 10ppts, SaaS Capital regression)
-  const adj_growth = ((arrGrowth - gRef) / 100) * 8;
+  // 1. Growth vs stage median (SaaS Capital regression)
+  const adj_growth = ((arrGrowth - gRef) / 10) * DATA.GROWTH_MULT_PER_10PTS;
   base += adj_growth;
-  wf.push({ label:`Growth ${pct(arrGrowth)} vs ${gRef}% median (+0.8x/10ppts)`, val:adj_growth, cumul:base });
+  wf.push({ key:"growth", label:`Growth ${pct(arrGrowth)} vs ${gRef}% ${cite("GROWTH_REF")} (+${DATA.GROWTH_MULT_PER_10PTS}x/10ppts)`, val:adj_growth, cumul:base });
 
-  // 2. Rule of 40 (+2.2x per 10pts — Aventis exact)
+  // 2. Rule of 40 (Aventis)
   const adj_r40 = ((rule40 - 40) / 10) * DATA.RULE40_MULT_PER_10PTS;
   base += adj_r40;
-  wf.push({ label:`Rule of 40: ${rule40.toFixed(0)} (+2.2x/10pts, Aventis 2025)`, val:adj_r40, cumul:base });
+  wf.push({ key:"rule40", label:`Rule of 40: ${rule40.toFixed(0)} (+${DATA.RULE40_MULT_PER_10PTS}x/10pts, ${cite("RULE40_MULT_PER_10PTS")})`, val:adj_r40, cumul:base });
 
-  // 3. NRR (SEG exact bands, scaled to private)
+  // 3. NRR (SEG bands, scaled to private)
   const adj_nrr = nrrMultAdj(nrr);
   base += adj_nrr;
-  wf.push({ label:`NRR ${pct(nrr)} (SEG 2025: <90%=1.2x; 100-110%=6.0x; >120%=11.7x)`, val:adj_nrr, cumul:base });
+  wf.push({ key:"nrr", label:`NRR ${pct(nrr)} (${cite("NRR_BANDS")}: ${nrrBandNote()})`, val:adj_nrr, cumul:base });
 
-  // 4. GRR (ABF covenant floor at 85%; premium above 95%)
-  const adj_grr = grr >= 95 ? 0.5 : grr >= 88 ? 0 : grr < 85 ? -1.2 : -0.5;
+  // 4. GRR (lender covenant floor; premium above 95%)
+  const adj_grr = grr >= 95 ? 0.5 : grr >= 88 ? 0 : grr < DATA.GRR_COVENANT_FLOOR ? -1.2 : -0.5;
   base += adj_grr;
-  wf.push({ label:`GRR ${pct(grr)} (ABF: 85% covenant floor)`, val:adj_grr, cumul:base });
+  wf.push({ key:"grr", label:`GRR ${pct(grr)} (${cite("GRR_COVENANT_FLOOR")}: ${DATA.GRR_COVENANT_FLOOR}% covenant floor)`, val:adj_grr, cumul:base });
 
-  // 5. Gross margin (Benchmarkit 2025: median 73%; SaaS target 75%+)
+  // 5. Gross margin (pack median; SaaS target 75%+)
   const adj_gm = grossMargin >= 80 ? 0.8 : grossMargin >= 70 ? 0 : grossMargin < 55 ? -2.2 : grossMargin < 65 ? -0.9 : -0.3;
   base += adj_gm;
-  wf.push({ label:`Gross margin ${pct(grossMargin)} (SaaS median 73%, target 75-85%)`, val:adj_gm, cumul:base });
+  wf.push({ key:"gm", label:`Gross margin ${pct(grossMargin)} (${cite("GROSS_MARGIN_MEDIAN")} median ${DATA.GROSS_MARGIN_MEDIAN}%, target 75-85%)`, val:adj_gm, cumul:base });
 
-  // 6. LTV:CAC (Benchmarkit 2024 median 3.6x; threshold 3x)
+  // 6. LTV:CAC (Benchmarkit median; threshold 3x)
   const adj_ltvcac = ltvCac >= 6 ? 0.6 : ltvCac >= 3.5 ? 0 : ltvCac < 1.5 ? -1.8 : ltvCac < 2.5 ? -0.8 : -0.3;
   base += adj_ltvcac;
-  wf.push({ label:`LTV:CAC ${mult(ltvCac)} (Benchmarkit median 3.6x; threshold 3x)`, val:adj_ltvcac, cumul:base });
+  wf.push({ key:"ltvCac", label:`LTV:CAC ${mult(ltvCac)} (${cite("LTV_CAC_MEDIAN")} median ${mult(DATA.LTV_CAC_MEDIAN)}; threshold 3x)`, val:adj_ltvcac, cumul:base });
 
   // 7. Revenue mix
   const adj_mix = revenueMix >= 92 ? 0.3 : revenueMix < 60 ? -1.2 : revenueMix < 72 ? -0.6 : 0;
   base += adj_mix;
-  wf.push({ label:`Recurring mix ${pct(revenueMix)} (premium for >92% recurring)`, val:adj_mix, cumul:base });
+  wf.push({ key:"mix", label:`Recurring mix ${pct(revenueMix)} (premium for >92% recurring)`, val:adj_mix, cumul:base });
 
   // 8. Size premium (Solganick: ~1-2x per $20M ARR; Aventis: deal size single biggest factor)
-  const sizeMultiplier =
-    arrM >= 100 ? 1.32 : arrM >= 50 ? 1.22 : arrM >= 25 ? 1.12 :
-    arrM >= 10  ? 1.05 : arrM < 3   ? 0.72 : 1.0;
+  const sizeMultiplier = DATA.SIZE_MULTIPLIERS.find(s => arrM >= s.minArrM)?.mult ?? 1;
   const preSizeMult = base;
   base *= sizeMultiplier;
-  wf.push({ label:`Size premium $${arrM}M ARR (Solganick ~1-2x per $20M)`, val:base - preSizeMult, cumul:base });
+  wf.push({ key:"size", label:`Size premium $${arrM}M ARR (${cite("SIZE_MULTIPLIERS")})`, val:base - preSizeMult, cumul:base });
 
   // 9. Technology modifiers
   const preTechMult = base;
-  if (aiNative)       base *= 1.20;  // SaasRise/Battery: 20-40% AI-native premium (conservative)
-  if (verticalBonus)  base *= 1.08;  // Domain moat + retention advantage
-  if (networkEffects) base *= 1.10;  // Defensibility premium
-  if (usageBased)     base *= 1.04;  // OpenView: UBP = 38% faster growth, slight premium
-  if (publicMode)     base *= DATA.PUBLIC_PREMIUM; // SEG: 36% public premium
-  if (base !== preTechMult) wf.push({ label:"Technology/market modifiers", val:base-preTechMult, cumul:base });
+  if (aiNative)       base *= DATA.AI_NATIVE_PREMIUM;
+  if (verticalBonus)  base *= DATA.VERTICAL_PREMIUM;
+  if (networkEffects) base *= DATA.NETWORK_PREMIUM;
+  if (usageBased)     base *= DATA.USAGE_BASED_PREMIUM;
+  if (publicMode)     base *= DATA.PUBLIC_PREMIUM;
+  if (base !== preTechMult) wf.push({ key:"tech", label:"Technology/market modifiers", val:base-preTechMult, cumul:base });
+
+  // 10. Customer concentration (SEC S-K 10% major customer; ABF 15% lender cap)
+  const concentration = customerConcentration(customers, arr);
+  if (concentration) {
+    const preConcMult = base;
+    base *= 1 - concentration.haircut;
+    wf.push({ key:"concentration", label:`Concentration: top customer ${pct(concentration.top1)}, top 10 ${pct(concentration.top10)} (${cite("MAJOR_CUSTOMER_PCT")} ${DATA.MAJOR_CUSTOMER_PCT}%; ${cite("LENDER_CUSTOMER_CAP_PCT")} ${DATA.LENDER_CUSTOMER_CAP_PCT}% cap)`,
+      val:base - preConcMult, cumul:base });
+  }
 
   base = clamp(base, 0.8, 50);
 
@@ -250,74 +703,140 @@ function computeValuation(inputs) {
 
   // ── FULL DCF SCHEDULE ───────────────────────────────────────────────────────
   // Revenue build → COGS → GP → OpEx → EBITDA → D&A → EBIT → NOPAT → FCF
-  // Tax rate assumption: 25% (standard NOPAT calc)
-  const TAX_RATE     = 0.25;
-  const CAPEX_PCT    = 0.02;   // SaaS capex-light: ~2% of revenue
-  const DA_PCT       = 0.03;   // D&A ~3% of revenue (SaaS = mostly intangibles)
-  const SBC_PCT      = 0.08;   // SBC ~8% of revenue (public SaaS median)
-  const WC_PCT       = 0.02;   // Working capital build ~2% of revenue growth
+  // Tax, D&A, capex, SBC, ΔWC and the margin cap are inputs with optional
+  // per-year overrides; a blank override year inherits the base input.
+  const driver = (key, yr) => {
+    const v = dcfOverrides?.[key]?.[yr] ?? inputs[key];
+    return v == null ? null : v / 100; // only the margin cap can be unset
+  };
 
+  // Year 1 is the (possibly stub) period to the first fiscal year end: ARR grows
+  // for the stub fraction of the year and revenue, the P&L and FCF cover only
+  // the stub. Each flow is discounted at its period end, or its midpoint under
+  // the mid-year convention.
+  // Each year is split into n periods (annual, quarterly or monthly). ARR
+  // compounds evenly within the year along the growth path; each period has
+  // its own bridge (retention rates from the inputs, new logo ARR the plug to
+  // the path) and recognizes the period's average ARR as revenue, so revenue
+  // lags ARR. The year's P&L is built on the summed revenue and allocated back
+  // to periods by revenue share; each period's FCF is discounted on its own.
+  const dcfYrs = horizonYrs;
+  const stub = stubPeriod(valuationDate, fiscalYearEnd);
+  const { n: nPer, prefix: perPrefix } = PERIODS_PER_YEAR[granularity] || PERIODS_PER_YEAR.annual;
+  const churnRate = arr > 0 ? churnArr / arr : 0;
+  // Revenue layer: recurring revenue is average ARR over the period, grossed up
+  // by the recurring mix for non-recurring (services) revenue. Deferred revenue
+  // and RPO are carried on ARR; billings = revenue + Δ deferred revenue, and the
+  // deferred revenue build is a working capital inflow in FCF.
+  const billYrs = BILLING_TERMS[billingTerms]?.yrs ?? prepayYrs;
+  const drFactor = billYrs / 2;
+  const rpoFactor = Math.max(contractYrs, billYrs) / 2;
+  const recurringMix = revenueMix / 100;
+  let deferred = arr * drFactor;
+  const periods = [];
+  let tEnd = 0;
+  const growthPath = buildGrowthPath({ arr, arrGrowth, growthMode, growthEndurance, growthFloor, growthDecay, growthOverrides, growthPlan }, dcfYrs);
   let dcfArr  = arr;
-  let dcfGrowth = arrGrowth;
-  let dcfEMarg = ebitdaMargin;
   let sumPvFCF = 0;
   const dcfRows = [];
 
-  for (let i = 1; i <= Math.max(5, horizonYrs); i++) {
-    dcfArr    *= (1 + dcfGrowth / 100);
-    dcfEMarg   = Math.min(35, dcfEMarg + marginExpansionPerYr);
-    const rev  = dcfArr;
+  for (let i = 1; i <= dcfYrs; i++) {
+    const { growth: dcfGrowth, src: growthSrc } = growthPath[i - 1];
+    const openArr = dcfArr;
+    const frac  = i === 1 ? stub.frac : 1;
+    const len   = frac / nPer; // period length in years
+    const q = Math.pow(1 + dcfGrowth / 100, len);
+    const yrPeriods = [];
+    for (let k = 1; k <= nPer; k++) {
+      const open = dcfArr, close = open * q;
+      const expansion = open * (expansionPct / 100) * len;
+      const contraction = open * (contractionPct / 100) * len;
+      const churn = open * churnRate * len;
+      const recRev = (open + close) / 2 * len;
+      const pRev = recRev / recurringMix;
+      const dDeferred = close * drFactor - deferred;
+      deferred = close * drFactor;
+      yrPeriods.push({ year:i, k, label: nPer === 1 ? `Y${i}` : `Y${i} ${perPrefix}${k}`,
+        openArr:open, newLogo: close - open - expansion + contraction + churn, expansion, contraction, churn,
+        closeArr:close, recRev, nonRecRev: pRev - recRev, rev: pRev,
+        deferred, dDeferred, billings: pRev + dDeferred, rpo: close * rpoFactor });
+      dcfArr = close;
+    }
+    const bridgeSum = (key) => yrPeriods.reduce((s, p) => s + p[key], 0);
+    const marginCap = driver("ebitdaMarginCap", i);
+    const rev  = bridgeSum("rev");
     const cogs = rev * (1 - grossMargin / 100);
     const gp   = rev - cogs;
     const rnd  = rev * (rndPct / 100);
-    const sm   = rev * (smPct / 100) * Math.pow(0.96, i); // S&M efficiency improves
-    const ga   = rev * (gaPct / 100) * Math.pow(0.97, i); // G&A leverage
+    const sm   = rev * (smPct / 100) * Math.pow(smDecay, i); // S&M efficiency improves
+    const ga   = rev * (gaPct / 100) * Math.pow(gaDecay, i); // G&A leverage
     const opex = rnd + sm + ga;
-    const ebitda = gp - opex;
-    const da   = rev * DA_PCT;
+    const ebitda = marginCap == null ? gp - opex : Math.min(gp - opex, rev * marginCap); // margin above a cap is reinvested
+    const da   = rev * driver("daPct", i);
     const ebit = ebitda - da;
-    const nopat = ebit * (1 - TAX_RATE);
-    const capex = rev * CAPEX_PCT;
-    const sbc   = rev * SBC_PCT;
-    const dwc   = rev * WC_PCT * (dcfGrowth / 100);  // WC grows with revenue growth
+    const nopat = ebit * (1 - driver("taxRate", i));
+    const capex = rev * driver("capexPct", i);
+    const sbc   = rev * driver("sbcPct", i);
+    const dwcOther  = rev * driver("wcPct", i) * (dcfGrowth / 100);  // receivables etc. grow with revenue growth
+    const dDeferred = bridgeSum("dDeferred");
+    const dwc   = dwcOther - dDeferred;                // deferred revenue build releases cash
     const fcf   = nopat + da - capex - dwc + sbc;     // +D&A (non-cash) +SBC (non-cash)
-    const df    = Math.pow(1 + wacc / 100, i);
-    const pvFcf = fcf / df;
+    let pvFcf = 0;
+    for (const p of yrPeriods) {
+      const share = p.rev / rev;
+      tEnd += len;
+      p.t = midYear ? tEnd - len / 2 : tEnd;
+      p.ebitda = ebitda * share;
+      p.fcf = (fcf - dDeferred) * share + p.dDeferred; // deferred revenue lands in its own period
+      p.pvFcf = p.fcf / Math.pow(1 + wacc / 100, p.t);
+      pvFcf += p.pvFcf;
+      periods.push(p);
+    }
+    // Year-level timing (annual convention); with sub-annual periods, pvFcf is the sum of period PVs
+    const t     = midYear ? tEnd - frac / 2 : tEnd;
+    const df    = Math.pow(1 + wacc / 100, t);
     sumPvFCF   += pvFcf;
-    dcfRows.push({ year:i, arr:dcfArr, growth:dcfGrowth, rev, gp, ebitda, ebitdaMarginAct:ebitda/rev*100, ebit, nopat, fcf, pvFcf, df });
-    dcfGrowth = Math.max(3, dcfGrowth * DATA.GROWTH_ENDURANCE);
+    dcfRows.push({ year:i, openArr, arr:dcfArr, growth:dcfGrowth, growthSrc,
+      newLogo:bridgeSum("newLogo"), expansion:bridgeSum("expansion"), contraction:bridgeSum("contraction"), churn:bridgeSum("churn"),
+      recRev:bridgeSum("recRev"), nonRecRev:bridgeSum("nonRecRev"), billings:bridgeSum("billings"), deferred, dDeferred, rpo:dcfArr * rpoFactor,
+      rev, cogs, gp, rnd, sm, ga, ebitda, ebitdaMarginAct:ebitda/rev*100,
+      da, ebit, nopat, capex, sbc, dwcOther, dwc, fcf, frac, t, tEnd, pvFcf, df,
+      drivers: Object.fromEntries(DCF_DRIVER_KEYS.map(k => [k, driver(k, i)])) });
   }
 
-  // Terminal value: EV/EBITDA-implied + Gordon Growth cross-check
+  // Terminal value: Gordon Growth or EV/EBITDA exit multiple; the other is the cross-check
   const termYrEbitda = dcfRows[dcfRows.length - 1].ebitda;
   const termYrFCF    = dcfRows[dcfRows.length - 1].fcf;
   const termYrArr    = dcfRows[dcfRows.length - 1].arr;
   // Gordon Growth on FCF
   const termGg       = termYrFCF * (1 + termGrowthRate / 100) / ((wacc - termGrowthRate) / 100);
-  // EV/EBITDA terminal (cross-check): mature SaaS ~15-20x EBITDA
-  const termEbitdaMult = 18; // conservative mature SaaS EBITDA multiple
+  // EV/EBITDA terminal: mature SaaS ~15-20x EBITDA
   const termEbitdaVal  = termYrEbitda * termEbitdaMult;
-  // Use Gordon Growth as primary, EBITDA as sanity check
-  const terminalVal  = termGg;
-  const pvTV         = terminalVal / Math.pow(1 + wacc / 100, horizonYrs);
+  const terminalVal  = tvMethod === "exit" ? termEbitdaVal : termGg;
+  const tvCrossCheck = tvMethod === "exit" ? termGg : termEbitdaVal;
+  // Terminal value sits at the end of the last projected period
+  const tvPeriod     = tEnd;
+  const pvTV         = terminalVal / Math.pow(1 + wacc / 100, tvPeriod);
   const dcfEV        = sumPvFCF + pvTV;
+  // DCF drivers as fractions (base values; per-year overrides sit on each row),
+  // exposed so exports can rebuild the schedule
+  const dcfParams = {
+    taxRate: taxRate / 100, capexPct: capexPct / 100, daPct: daPct / 100, sbcPct: sbcPct / 100, wcPct: wcPct / 100,
+    marginCap: ebitdaMarginCap == null ? null : ebitdaMarginCap / 100, smDecay, gaDecay, growthFloor, wacc: wacc / 100,
+    growthMode, growthEndurance: growthEndurance / 100, growthDecay, termEbitdaMult, tvMethod,
+    stubFrac: stub.frac, midYear, periodsPerYear: nPer, churnRate,
+    recurringMix, drFactor, rpoFactor,
+  };
 
-  // ── COHORT RETENTION CURVES ─────────────────────────────────────────────────
-  // Model 5 annual cohorts. Each cohort: starts at $1 of ARR, decays by logo churn,
-  // remaining customers expand at NRR-implied rate.
+  // ── MODELED COHORT CURVE ────────────────────────────────────────────────────
+  // Input-driven retention of a $1 cohort: logo survival × per-customer expansion.
+  // Real vintages (COHORTS tab) are plotted against this.
   const cohortYrs = 7;
   const annualLogoRetention = 1 - logoChurn / 100;
   const expansionPerCustomer = nrr / 100 / annualLogoRetention; // revenue per retained customer
-  const cohorts = [];
-  for (let c = 0; c < 5; c++) {
-    const curve = [];
-    for (let y = 0; y <= cohortYrs; y++) {
-      const logoSurv = Math.pow(annualLogoRetention, y);
-      const revPerSurv = Math.pow(expansionPerCustomer, y);
-      const netRev = logoSurv * revPerSurv;
-      curve.push(netRev);
-    }
-    cohorts.push({ id: c, label: `Cohort ${c + 1}`, curve });
+  const cohortCurve = [];
+  for (let y = 0; y <= cohortYrs; y++) {
+    cohortCurve.push(Math.pow(annualLogoRetention, y) * Math.pow(expansionPerCustomer, y));
   }
 
   // ── QUALITY SCORES ───────────────────────────────────────────────────────────
@@ -350,8 +869,8 @@ function computeValuation(inputs) {
     nrrDerived, openingArr, newLogoArr, expansionArr, contractionArr, churnArr, closingArr,
     base, bearMult, baseMult, bullMult, bearEV, baseEV, bullEV, netDebt,
     bearEqV, baseEqV, bullEqV, ebitdaDollars, evEbitda, evGP, evNewARR,
-    dcfEV, pvTV, sumPvFCF, dcfRows, terminalVal, termGg, termEbitdaVal,
-    cohorts, wf,
+    dcfEV, pvTV, sumPvFCF, dcfRows, periods, stub, tvPeriod, terminalVal, tvCrossCheck, termGg, termEbitdaVal, termEbitdaMult, dcfParams,
+    cohortCurve, wf, concentration,
     scoreRetention, scoreGrowth, scoreEfficiency, scoreComposite,
   };
 }
@@ -581,10 +1100,12 @@ function BridgeChart({ open, newLogo, expansion, contraction, churn, close }) {
 }
 
 // Heat table cell
-function HCell({ v, isActive, format }) {
+// Heatmap cell; bands = [amber, blue, green] lower bounds (default: EV/ARR multiple)
+function HCell({ v, isActive, format, bands = [4, 6, 10] }) {
   const nv = parseFloat(v);
-  const c  = nv >= 10 ? C.green : nv >= 6 ? C.steel : nv >= 4 ? C.amber : C.red;
-  const bg = nv >= 10 ? C.greenLt : nv >= 6 ? C.steelLt : nv >= 4 ? C.amberLt : C.redLt;
+  const [lo, mid, hi] = bands;
+  const c  = nv >= hi ? C.green : nv >= mid ? C.steel : nv >= lo ? C.amber : C.red;
+  const bg = nv >= hi ? C.greenLt : nv >= mid ? C.steelLt : nv >= lo ? C.amberLt : C.redLt;
   return (
     <td style={{ padding:"5px 9px", textAlign:"center", fontFamily:MONO, fontSize:11.5,
       background: isActive ? C.steel : bg, color: isActive ? "#fff" : c,
@@ -594,172 +1115,4478 @@ function HCell({ v, isActive, format }) {
   );
 }
 
-// ─── COMPS TABLE ──────────────────────────────────────────────────────────────
-function CompsTable({ baseInputs, compute }) {
-  const empty = { name:"", arrM:0, arrGrowth:0, nrr:0, grossMargin:0, ebitdaMargin:0, rule40:0, ltvCac:0 };
-  const [comps, setComps] = useState([empty, empty, empty]);
-  const primary = compute(baseInputs);
+// Bear / Base / Bull / DCF headline cards, plus the trading comps range when
+// at least two peers carry a multiple
+function ScenarioCards({ calcs, comps }) {
+  const cards = [
+        { lbl:"Bear Case", ev:calcs.bearEV, eq:calcs.bearEqV, m:calcs.bearMult, c:C.red, bg:C.redLt, note:`No-process / single buyer (${cite("BEAR_FACTOR")}: ${pct((1 - DATA.BEAR_FACTOR) * 100, 0)} discount to competitive)` },
+        { lbl:"Base Case", ev:calcs.baseEV, eq:calcs.baseEqV, m:calcs.baseMult, c:C.steel, bg:C.steelLt, note:"Current private M&A conditions, median quality adj.", bold:true },
+        { lbl:"Bull Case", ev:calcs.bullEV, eq:calcs.bullEqV, m:calcs.bullMult, c:C.green, bg:C.greenLt, note:`Competitive strategic process (${mult(DATA.BULL_FACTOR)} strategic premium, ${cite("BULL_FACTOR")})` },
+        { lbl:"DCF Intrinsic", ev:calcs.dcfEV, eq:calcs.dcfEV - calcs.netDebt, m:calcs.dcfEV/calcs.arr, c:C.blue, bg:C.blueLt, note:`PV FCF: ${$(calcs.sumPvFCF,0)} + PV TV: ${$(calcs.pvTV,0)}` },
+  ];
+  if (comps) cards.push({ lbl:"Trading Comps", ev:comps.midEV, eq:comps.eqV, m:comps.median, c:C.amber, bg:C.amberLt,
+    note:`${comps.n} peers, median EV/ARR. Interquartile ${mult(comps.p25)}–${mult(comps.p75)}: ${$(comps.lowEV,0)} – ${$(comps.highEV,0)}` });
+  return (
+    <div style={{ display:"grid", gridTemplateColumns:`repeat(${cards.length}, 1fr)`, gap:12, marginBottom:16 }}>
+      {cards.map(({lbl,ev,eq,m,c,bg,note,bold})=>(
+        <div key={lbl} style={{ background:bg, border:`1px solid ${c}44`, borderRadius:4, padding:"14px 16px" }}>
+          <div style={{ fontSize:10, color:C.muted, textTransform:"uppercase", letterSpacing:1, fontFamily:SANS, marginBottom:6 }}>{lbl}</div>
+          <div style={{ fontSize:bold?28:24, fontWeight:800, color:c, fontFamily:MONO, lineHeight:1 }}>{$(ev)}</div>
+          <div style={{ fontSize:13, color:`${c}cc`, fontFamily:MONO, marginTop:4 }}>{mult(m)} ARR</div>
+          <div style={{ fontSize:11, color:C.muted, fontFamily:SANS, marginTop:6, lineHeight:1.5 }}>{note}</div>
+          <div style={{ borderTop:`1px solid ${c}22`, marginTop:10, paddingTop:8 }}>
+            <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS }}>Equity Value</div>
+            <div style={{ fontSize:15, fontWeight:700, color:c, fontFamily:MONO }}>{$(Math.max(0,eq))}</div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
 
-  const updateComp = (i, field, val) => {
-    const next = [...comps];
-    next[i] = { ...next[i], [field]: val };
-    setComps(next);
+// Full DCF schedule table (PROJECTIONS tab and IC report)
+function DcfTable({ calcs, inputs }) {
+  const { horizonYrs, arrGrowth, ebitdaMargin } = inputs;
+  return (
+    <div style={{ overflowX:"auto" }}>
+      <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
+        <thead>
+          <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+            {["Metric","Current",...calcs.dcfRows.slice(0,horizonYrs).map(r=>r.frac < 1 ? `Year ${r.year} (stub)` : `Year ${r.year}`)].map(h=>(
+              <th key={h} style={{ padding:"6px 10px", textAlign:h==="Metric"?"left":"right", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700 }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {[
+            { lbl:"ARR",          key:"arr",             fmt:v=>$(v),        bold:true },
+            { lbl:"YoY Growth",   key:"growth",          fmt:v=>pct(v),      color:v=>ratioColor(v,calcs.gRef,calcs.gRef*0.5) },
+            { lbl:"Revenue",      key:"rev",             fmt:v=>$(v) },
+            { lbl:"Gross Profit", key:"gp",              fmt:v=>$(v) },
+            { lbl:"EBITDA Margin",key:"ebitdaMarginAct", fmt:v=>pct(v),      color:v=>ratioColor(v,0,-20) },
+            { lbl:"EBITDA ($)",   key:"ebitda",          fmt:v=>$(v),        color:v=>v>=0?C.green:C.red },
+            { lbl:"EBIT",         key:"ebit",            fmt:v=>$(v),        color:v=>v>=0?C.green:C.red },
+            { lbl:"NOPAT",        key:"nopat",           fmt:v=>$(v),        color:v=>v>=0?C.green:C.red },
+            { lbl:"Δ Working Capital", key:"dwc",        fmt:v=>$(v),        color:v=>v<=0?C.green:C.red },
+            { lbl:"Free Cash Flow",key:"fcf",            fmt:v=>$(v),        color:v=>v>=0?C.green:C.red, bold:true },
+            ...(inputs.granularity === "annual" ? [{ lbl:"Discount Period", key:"t", fmt:v=>yr(v) }] : []),
+            { lbl:"PV of FCF",    key:"pvFcf",           fmt:v=>$(v),        color:v=>v>=0?C.steel:C.muted },
+          ].map((row,ri)=>(
+            <tr key={ri} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+              <td style={{ padding:"7px 10px", fontWeight:row.bold?700:500, fontFamily:SANS }}>{row.lbl}</td>
+              <td style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, color:C.muted }}>
+                {row.key==="arr"?$(calcs.arr):row.key==="growth"?pct(arrGrowth):row.key==="ebitdaMarginAct"?pct(ebitdaMargin):row.key==="ebitda"?$(calcs.ebitdaDollars):"—"}
+              </td>
+              {calcs.dcfRows.slice(0,horizonYrs).map((r,ci)=>(
+                <td key={ci} style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, fontWeight:row.bold?700:500,
+                  color: row.color ? row.color(r[row.key]) : C.ink }}>
+                  {row.fmt(r[row.key])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr style={{ background:C.steelLt, borderTop:`2px solid ${C.rule}` }}>
+            <td colSpan={2} style={{ padding:"9px 10px", fontWeight:700, fontSize:12 }}>DCF Enterprise Value</td>
+            <td colSpan={horizonYrs - 1} style={{ padding:"9px 10px", textAlign:"right", fontSize:11, color:C.muted, fontFamily:SANS }}>
+              PV FCFs: {$(calcs.sumPvFCF,0)} · PV Terminal ({calcs.dcfParams.tvMethod === "exit" ? "exit multiple" : "Gordon"}): {$(calcs.pvTV,0)} · TV = {(calcs.pvTV/calcs.dcfEV*100).toFixed(0)}% of EV
+            </td>
+            <td style={{ padding:"9px 10px", textAlign:"right", fontFamily:MONO, fontSize:16, fontWeight:800, color:C.steel }}>{$(calcs.dcfEV)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+// Growth path editor: mode, its parameters, and a per-year grid of growth
+// overrides (plus plan ARR in management-plan mode). Blank cells show the
+// computed value as a placeholder.
+function GrowthPathEditor({ model, calcs, onChange }) {
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:56, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const th = { padding:"6px 8px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700 };
+  const { growthMode, growthOverrides = {}, growthPlan = {} } = model;
+  const setParam = (key, v) => {
+    const n = parseFloat(v);
+    if ((key === "growthDecay" || key === "growthEndurance") && v === "") onChange({ [key]: null });
+    else if (!isNaN(n)) onChange({ [key]: clamp(n, INPUT_SPECS[key].min, INPUT_SPECS[key].max) });
   };
+  // Blank removes the year; otherwise clamp and store under the year
+  const setYear = (field, year, v, lo, hi) => {
+    const n = parseFloat(v);
+    const next = { ...model[field] };
+    if (isNaN(n)) delete next[year];
+    else next[year] = clamp(n, lo, hi);
+    onChange({ [field]: next });
+  };
+  const param = (key, shown, placeholder) => shown && (
+    <label key={key}>
+      {INPUT_SPECS[key].label}{" "}
+      <input type="number" step={INPUT_SPECS[key].step} value={model[key] ?? ""} placeholder={placeholder}
+        onChange={e => setParam(key, e.target.value)} style={inp} />
+    </label>
+  );
+  const pinned = (r) => r.growthSrc === "override" || r.growthSrc === "plan";
+  const nSet = Object.keys(growthOverrides).length + (growthMode === "plan" ? Object.keys(growthPlan).length : 0);
 
-  const cols = [
-    { key:"name",          label:"Company",   fmt: v => v || "—",         fmtVal: v => v },
-    { key:"arrM",          label:"ARR ($M)",   fmt: v => v ? `$${v}M` : "—" },
-    { key:"arrGrowth",     label:"Growth",     fmt: v => v ? pct(v) : "—", best:"max" },
-    { key:"nrr",           label:"NRR",        fmt: v => v ? pct(v) : "—", best:"max" },
-    { key:"grossMargin",   label:"Gross Margin",fmt: v => v ? pct(v) : "—", best:"max" },
-    { key:"ebitdaMargin",  label:"EBITDA Margin",fmt: v => v ? pct(v) : "—", best:"max" },
-    { key:"rule40",        label:"Rule of 40", fmt: v => v ? v.toFixed(0) : "—", best:"max" },
-    { key:"ltvCac",        label:"LTV:CAC",    fmt: v => v ? mult(v) : "—", best:"max" },
+  return (
+    <div style={{ marginBottom:14 }}>
+      <div style={{ display:"flex", gap:5, flexWrap:"wrap", alignItems:"center", marginBottom:6 }}>
+        {Object.entries(GROWTH_MODES).map(([k, m]) => (
+          <Chip key={k} label={m.label} active={growthMode === k} onClick={() => onChange({ growthMode: k })} />
+        ))}
+        {nSet > 0 && (
+          <div style={{ marginLeft:"auto" }}>
+            <Chip label="Clear years" onClick={() => onChange({ growthOverrides: {}, ...(growthMode === "plan" && { growthPlan: {} }) })} />
+          </div>
+        )}
+      </div>
+      <div style={{ fontSize:10.5, color:C.ghost, fontFamily:SANS, marginBottom:10 }}>{GROWTH_MODES[growthMode].note}</div>
+
+      <div style={{ display:"flex", gap:16, flexWrap:"wrap", fontSize:10.5, color:C.muted, fontFamily:SANS, marginBottom:10 }}>
+        {param("growthEndurance", growthMode === "endurance" || growthMode === "plan", `pack ${+(DATA.GROWTH_ENDURANCE * 100).toFixed(2)}`)}
+        {param("growthDecay", growthMode === "linear", `auto ${calcs.dcfParams.growthDecay.toFixed(1)}`)}
+        {param("growthFloor", growthMode !== "custom")}
+      </div>
+
+      <div style={{ overflowX:"auto" }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
+          <thead>
+            <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+              <th style={{ ...th, textAlign:"left" }}>Year</th>
+              {calcs.dcfRows.map(r => <th key={r.year} style={{ ...th, textAlign:"right" }}>Y{r.year}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            <tr style={{ background:C.surface, borderBottom:`1px solid ${C.dim}` }}>
+              <td style={{ padding:"6px 8px", fontFamily:SANS }}>ARR growth %</td>
+              {calcs.dcfRows.map(r => (
+                <td key={r.year} style={{ padding:"6px 8px", textAlign:"right" }}>
+                  <input type="number" step={1} value={growthOverrides[r.year] ?? ""} placeholder={r.growth.toFixed(1)}
+                    onChange={e => setYear("growthOverrides", r.year, e.target.value, INPUT_SPECS.arrGrowth.min, INPUT_SPECS.arrGrowth.max)}
+                    style={{ ...inp, color: pinned(r) ? C.steel : C.ink, fontWeight: pinned(r) ? 700 : 400 }} />
+                </td>
+              ))}
+            </tr>
+            {growthMode === "plan" && (
+              <tr style={{ background:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                <td style={{ padding:"6px 8px", fontFamily:SANS }}>Plan ARR ($M)</td>
+                {calcs.dcfRows.map(r => (
+                  <td key={r.year} style={{ padding:"6px 8px", textAlign:"right" }}>
+                    <input type="number" step={0.5} value={growthPlan[r.year] ?? ""} placeholder={(r.arr / 1e6).toFixed(1)}
+                      onChange={e => setYear("growthPlan", r.year, e.target.value, 0.01, 1e5)}
+                      style={{ ...inp, color: growthPlan[r.year] != null ? C.steel : C.ink }} />
+                  </td>
+                ))}
+              </tr>
+            )}
+            <tr style={{ background: growthMode === "plan" ? C.surface : C.panel, borderBottom:`1px solid ${C.dim}` }}>
+              <td style={{ padding:"6px 8px", fontFamily:SANS }}>ARR</td>
+              {calcs.dcfRows.map(r => (
+                <td key={r.year} style={{ padding:"6px 8px", textAlign:"right", fontFamily:MONO, color:C.muted }}>{$(r.arr)}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:6 }}>
+        Year 1 defaults to the ARR growth input. A growth entry pins that year in any mode{growthMode === "plan" ? " and wins over plan ARR" : ""}.
+      </div>
+    </div>
+  );
+}
+
+// ARR → GAAP revenue, billings, deferred revenue and RPO by year, with the
+// billing term and contract length inputs that drive them
+function RevenueBillings({ model, calcs, onChange }) {
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:56, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const th = { padding:"6px 10px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700 };
+  const setNum = (key, v) => {
+    const n = parseFloat(v);
+    if (!isNaN(n)) onChange({ [key]: clamp(n, INPUT_SPECS[key].min, INPUT_SPECS[key].max) });
+  };
+  const P = calcs.dcfParams;
+  const rows = calcs.dcfRows.slice(0, model.horizonYrs);
+  const lines = [
+    { lbl:"Recurring Revenue",      key:"recRev",    cur: null },
+    { lbl:"Non-Recurring Revenue",  key:"nonRecRev", cur: null },
+    { lbl:"GAAP Revenue",           key:"rev",       cur: null, bold:true },
+    { lbl:"Billings",               key:"billings",  cur: null, bold:true },
+    { lbl:"Deferred Revenue (end)", key:"deferred",  cur: calcs.arr * P.drFactor },
+    { lbl:"Δ Deferred Revenue",     key:"dDeferred", cur: null, signed:true },
+    { lbl:"RPO (end)",              key:"rpo",       cur: calcs.arr * P.rpoFactor },
+  ];
+  return (
+    <div>
+      <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap", marginBottom:12, fontSize:10.5, color:C.muted, fontFamily:SANS }}>
+        <span style={{ fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, marginRight:6 }}>Billing</span>
+        {Object.entries(BILLING_TERMS).map(([k, b]) => (
+          <Chip key={k} label={b.label} active={model.billingTerms === k} onClick={() => onChange({ billingTerms: k })} />
+        ))}
+        {model.billingTerms === "multiyear" && (
+          <label style={{ marginLeft:10 }}>
+            {INPUT_SPECS.prepayYrs.label}{" "}
+            <input type="number" step={1} value={model.prepayYrs} onChange={e => setNum("prepayYrs", e.target.value)} style={inp} />
+          </label>
+        )}
+        <label style={{ marginLeft:10 }}>
+          {INPUT_SPECS.contractYrs.label} (yrs){" "}
+          <input type="number" step={0.25} value={model.contractYrs} onChange={e => setNum("contractYrs", e.target.value)} style={inp} />
+        </label>
+      </div>
+      <div style={{ overflowX:"auto" }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
+          <thead>
+            <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+              {["Metric", "Current", ...rows.map(r => `Year ${r.year}`)].map((h, i) => (
+                <th key={h} style={{ ...th, textAlign:i === 0 ? "left" : "right" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((ln, ri) => (
+              <tr key={ln.key} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                <td style={{ padding:"7px 10px", fontWeight:ln.bold?700:500, fontFamily:SANS }}>{ln.lbl}</td>
+                <td style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, color:C.muted }}>{ln.cur != null ? $(ln.cur) : "—"}</td>
+                {rows.map(r => (
+                  <td key={r.year} style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, fontWeight:ln.bold?700:500,
+                    color: ln.signed ? signColor(r[ln.key]) : C.ink }}>
+                    {ln.signed && r[ln.key] > 0 ? "+" : ""}{r[ln.key] < 0 ? "-" : ""}{$(Math.abs(r[ln.key]))}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8, lineHeight:1.6 }}>
+        Recurring revenue = average ARR over the period; GAAP revenue grosses it up by the {pct(model.revenueMix, 0)} recurring mix.
+        Deferred revenue = {P.drFactor.toFixed(2)}× ARR (half a {BILLING_TERMS[model.billingTerms].label.toLowerCase()} billing term); RPO = {P.rpoFactor.toFixed(2)}× ARR.
+        Billings = revenue + Δ deferred revenue; the deferred revenue build is a cash inflow in the FCF working capital line.
+      </div>
+    </div>
+  );
+}
+
+// Period-level schedule: ARR bridge, revenue (average ARR over the period)
+// and discounted FCF for every annual, quarterly or monthly period
+function PeriodSchedule({ calcs, granularity, onGranularity }) {
+  const th = { padding:"6px 8px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700, whiteSpace:"nowrap" };
+  const lines = [
+    { lbl:"Opening ARR",   key:"openArr",     c:C.muted },
+    { lbl:"+ New logo",    key:"newLogo",     c:C.green },
+    { lbl:"+ Expansion",   key:"expansion",   c:"#2A7A46" },
+    { lbl:"− Contraction", key:"contraction", c:C.amber },
+    { lbl:"− Churn",       key:"churn",       c:C.red },
+    { lbl:"Closing ARR",   key:"closeArr",    c:C.ink, bold:true },
+    { lbl:"Revenue",       key:"rev",         c:C.ink, bold:true },
+    { lbl:"Billings",      key:"billings",    c:C.ink },
+    { lbl:"Deferred Rev.", key:"deferred",    c:C.muted },
+    { lbl:"EBITDA",        key:"ebitda",      c:null },
+    { lbl:"Free Cash Flow",key:"fcf",         c:null },
+    { lbl:"PV of FCF",     key:"pvFcf",       c:C.steel },
   ];
+  const yearEnd = (p) => p.k === PERIODS_PER_YEAR[granularity].n;
+  return (
+    <div>
+      <div style={{ display:"flex", alignItems:"center", gap:5, marginBottom:10 }}>
+        {Object.entries(PERIODS_PER_YEAR).map(([k, g]) => (
+          <Chip key={k} label={g.label} active={granularity === k} onClick={() => onGranularity(k)} />
+        ))}
+        <span style={{ marginLeft:"auto", fontSize:10.5, color:C.ghost, fontFamily:SANS }}>
+          {calcs.periods.length} periods · annual DCF rows roll up from these
+        </span>
+      </div>
+      <div style={{ overflowX:"auto" }}>
+        <table style={{ borderCollapse:"collapse", fontSize:11 }}>
+          <thead>
+            <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+              <th style={{ ...th, textAlign:"left", position:"sticky", left:0, background:C.surface }}>Period</th>
+              {calcs.periods.map(p => (
+                <th key={p.label} style={{ ...th, textAlign:"right", borderRight: yearEnd(p) ? `1px solid ${C.border}` : "none" }}>{p.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((ln, ri) => (
+              <tr key={ln.key} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                <td style={{ padding:"6px 8px", fontFamily:SANS, fontWeight:ln.bold?700:500, whiteSpace:"nowrap", position:"sticky", left:0, background:ri%2===0?C.surface:C.panel }}>{ln.lbl}</td>
+                {calcs.periods.map(p => (
+                  <td key={p.label} style={{ padding:"6px 8px", textAlign:"right", fontFamily:MONO, fontWeight:ln.bold?700:500,
+                    color: ln.c || (p[ln.key] >= 0 ? C.green : C.red), borderRight: yearEnd(p) ? `1px solid ${C.border}` : "none" }}>
+                    {$(p[ln.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8 }}>
+        ARR compounds evenly within each year along the growth path. Expansion, contraction and churn run at the input rates on opening ARR; new logo ARR is the balance. Revenue recognizes the period's average ARR (grossed up for non-recurring revenue); EBITDA is the year's figure allocated by revenue share, and FCF adds each period's own deferred revenue build.
+      </div>
+    </div>
+  );
+}
 
-  const allRows = [
-    { ...baseInputs, name: baseInputs.companyName || "Target", rule40: primary.rule40, ltvCac: primary.ltvCac, _isPrimary: true },
-    ...comps,
+// Editable DCF drivers: base input plus optional per-year overrides (blank
+// inherits the base), decay factors and the terminal value method
+function DcfAssumptions({ model, calcs, onChange }) {
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:56, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const th = { padding:"6px 8px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700 };
+  const years = calcs.dcfRows.map(r => r.year);
+  const overrides = model.dcfOverrides || {};
+  const nOverrides = Object.values(overrides).reduce((n, yrs) => n + Object.keys(yrs).length, 0);
+  const setBase = (key, v) => {
+    const n = parseFloat(v);
+    if (!isNaN(n)) onChange({ [key]: clamp(n, INPUT_SPECS[key].min, INPUT_SPECS[key].max) });
+    else if (v === "" && DEFAULT_INPUTS[key] === null) onChange({ [key]: null }); // blank = unset (margin cap)
+  };
+  const setOverride = (key, year, v) => {
+    const n = parseFloat(v);
+    const yrs = { ...overrides[key] };
+    if (isNaN(n)) delete yrs[year];
+    else yrs[year] = clamp(n, INPUT_SPECS[key].min, INPUT_SPECS[key].max);
+    const next = { ...overrides, [key]: yrs };
+    if (Object.keys(yrs).length === 0) delete next[key];
+    onChange({ dcfOverrides: next });
+  };
+
+  // Each method's cross-read: the exit multiple Gordon implies, and the
+  // perpetual growth the exit multiple implies
+  const last = calcs.dcfRows[calcs.dcfRows.length - 1];
+  const w = calcs.dcfParams.wacc;
+  const impliedMult = last.ebitda > 0 ? calcs.termGg / last.ebitda : null;
+  const impliedG = calcs.termEbitdaVal + last.fcf > 0 ? (calcs.termEbitdaVal * w - last.fcf) / (calcs.termEbitdaVal + last.fcf) * 100 : null;
+  const exit = model.tvMethod === "exit";
+  const methods = [
+    { label:"Gordon Growth", tv:calcs.termGg, note:`${model.termGrowthRate}% g on final-year FCF`,
+      implied: impliedMult != null ? `implies ${mult(impliedMult)} terminal EBITDA` : "terminal EBITDA ≤ 0" },
+    { label:"EV/EBITDA exit multiple", tv:calcs.termEbitdaVal, note:`${mult(model.termEbitdaMult)} final-year EBITDA`,
+      implied: impliedG != null ? `implies ${pct(impliedG)} perpetual growth` : "no implied growth" },
   ];
+  const [primary, check] = exit ? [methods[1], methods[0]] : methods;
+  const gap = primary.tv > 0 ? check.tv / primary.tv - 1 : null;
+  const sel = { background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"3px 6px", fontSize:11, fontFamily:SANS, color:C.ink };
 
   return (
     <div>
-      <F.head text="Comparable Company Analysis" source="Enter up to 3 comps for side-by-side benchmarking" />
+      <div style={{ display:"flex", alignItems:"center", gap:14, flexWrap:"wrap", marginBottom:12, fontSize:10.5, color:C.muted, fontFamily:SANS }}>
+        <label>
+          {INPUT_SPECS.valuationDate.label}{" "}
+          <input type="date" value={model.valuationDate || ""} onChange={e => onChange({ valuationDate: e.target.value || null })} style={sel} />
+        </label>
+        <label>
+          {INPUT_SPECS.fiscalYearEnd.label}{" "}
+          <select value={model.fiscalYearEnd} onChange={e => onChange({ fiscalYearEnd: +e.target.value })} style={sel}>
+            {MONTH_NAMES.map((m, i) => <option key={m} value={i + 1}>{m.toUpperCase()}</option>)}
+          </select>
+        </label>
+        <div style={{ display:"flex", gap:5 }}>
+          <Chip label="End-of-period" active={!model.midYear} onClick={() => onChange({ midYear: false })} />
+          <Chip label="Mid-year convention" active={!!model.midYear} onClick={() => onChange({ midYear: true })} />
+        </div>
+        <span style={{ marginLeft:"auto", fontFamily:MONO, fontSize:10.5 }}>
+          {calcs.stub.start ? `Stub ${calcs.stub.start} → ${calcs.stub.end} (${yr(calcs.stub.frac)})` : "Full first year"} · TV at {yr(calcs.tvPeriod)}
+        </span>
+      </div>
       <div style={{ overflowX:"auto" }}>
-        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11.5, fontFamily:SANS }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
           <thead>
-            <tr style={{ borderBottom:`2px solid ${C.rule}` }}>
-              {cols.map(c => <th key={c.key} style={{ padding:"7px 10px", textAlign: c.key==="name" ? "left" : "right", fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, fontWeight:700 }}>{c.label}</th>)}
+            <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+              <th style={{ ...th, textAlign:"left" }}>Driver</th>
+              <th style={{ ...th, textAlign:"right" }}>Base</th>
+              {years.map(y => <th key={y} style={{ ...th, textAlign:"right" }}>Y{y}</th>)}
             </tr>
           </thead>
           <tbody>
-            {allRows.map((row, ri) => (
-              <tr key={ri} style={{ background: ri === 0 ? C.steelLt : ri % 2 === 0 ? C.surface : C.panel, borderBottom:`1px solid ${C.dim}` }}>
-                {cols.map(c => {
-                  if (!row._isPrimary && c.key !== "name") {
-                    return (
-                      <td key={c.key} style={{ padding:"6px 8px", textAlign:"right" }}>
-                        <input type="number" value={row[c.key] || ""}
-                          onChange={e => updateComp(ri - 1, c.key, parseFloat(e.target.value) || 0)}
-                          placeholder="—"
-                          style={{ background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
-                            width:60, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" }} />
-                      </td>
-                    );
-                  }
-                  if (!row._isPrimary && c.key === "name") {
-                    return (
-                      <td key={c.key} style={{ padding:"6px 8px" }}>
-                        <input type="text" value={row.name}
-                          onChange={e => updateComp(ri - 1, "name", e.target.value)}
-                          placeholder="Company name"
-                          style={{ background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
-                            width:110, fontFamily:SANS, fontSize:11.5, color:C.ink, outline:"none" }} />
-                      </td>
-                    );
-                  }
-                  const displayVal = c.key === "rule40" || c.key === "ltvCac" ? row[c.key] : row[c.key];
-                  const formatted = c.fmt ? c.fmt(displayVal) : displayVal;
-                  // Highlight best in each column
-                  const colVals = allRows.map(r => parseFloat(r[c.key]) || 0).filter(v => v > 0);
-                  const isBest = c.best === "max" && parseFloat(row[c.key]) === Math.max(...colVals) && colVals.length > 1;
+            {DCF_DRIVER_KEYS.map((key, ri) => (
+              <tr key={key} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                <td style={{ padding:"6px 8px", fontFamily:SANS }}>{INPUT_SPECS[key].label}</td>
+                <td style={{ padding:"6px 8px", textAlign:"right" }}>
+                  <input type="number" step={INPUT_SPECS[key].step} value={model[key] ?? ""} placeholder="none"
+                    onChange={e => setBase(key, e.target.value)} style={{ ...inp, fontWeight:700 }} />
+                </td>
+                {years.map(y => (
+                  <td key={y} style={{ padding:"6px 8px", textAlign:"right" }}>
+                    <input type="number" step={INPUT_SPECS[key].step} value={overrides[key]?.[y] ?? ""} placeholder={String(model[key] ?? "none")}
+                      onChange={e => setOverride(key, y, e.target.value)}
+                      style={{ ...inp, color: overrides[key]?.[y] != null ? C.steel : C.ink, fontWeight: overrides[key]?.[y] != null ? 700 : 400 }} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display:"flex", alignItems:"center", gap:16, flexWrap:"wrap", marginTop:12, fontSize:10.5, color:C.muted, fontFamily:SANS }}>
+        {["smDecay", "gaDecay", "termEbitdaMult"].map(key => (
+          <label key={key}>
+            {INPUT_SPECS[key].label}{" "}
+            <input type="number" step={INPUT_SPECS[key].step} value={model[key]} onChange={e => setBase(key, e.target.value)} style={inp} />
+          </label>
+        ))}
+        {nOverrides > 0 && (
+          <div style={{ marginLeft:"auto" }}>
+            <Chip label={`Clear ${nOverrides} override${nOverrides === 1 ? "" : "s"}`} onClick={() => onChange({ dcfOverrides: {} })} />
+          </div>
+        )}
+      </div>
+
+      <div style={{ marginTop:14 }}>
+        <div style={{ display:"flex", alignItems:"center", gap:5, marginBottom:8 }}>
+          <span style={{ fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginRight:6 }}>Terminal Value</span>
+          <Chip label="Gordon Growth" active={!exit} onClick={() => onChange({ tvMethod: "gordon" })} />
+          <Chip label="EV/EBITDA exit multiple" active={exit} onClick={() => onChange({ tvMethod: "exit" })} />
+        </div>
+        <F.row label={`Primary — ${primary.label}`} value={$(primary.tv)} sub={`${primary.note}; ${primary.implied}`} bold vc={C.steel} />
+        <F.row label={`Cross-check — ${check.label}`} value={$(check.tv)} sub={`${check.note}; ${check.implied}`} vc={C.muted} />
+        <F.row label="Cross-check vs primary" value={gap != null ? `${gap >= 0 ? "+" : ""}${pct(gap * 100)}` : "—"}
+          vc={gap != null && Math.abs(gap) > 0.3 ? C.amber : C.muted} />
+      </div>
+    </div>
+  );
+}
+
+// Tornado: flex each numeric input to a low and high case (±% of its value,
+// or its full slider range), re-run the model, rank by swing in the chosen EV
+// Per-year compounding factors: ±% of the factor itself (0.96 ± 10%) swings the
+// final-year cost base far outside the slider, so ±% mode moves them by that
+// share of their slider span instead
+const SPAN_FLEX_KEYS = ["smDecay", "gaDecay"];
+
+function tornadoRows(model, metric, mode, flexPct) {
+  const ev = (m) => {
+    const x = buildInputs(m);
+    x.termGrowthRate = Math.min(x.termGrowthRate, x.wacc - 1); // keep the Gordon denominator positive
+    return computeValuation(x)[metric];
+  };
+  const base = ev(model);
+  const cur = buildInputs(model);
+  return NUMERIC_KEYS.map(k => {
+    const { min, max, step } = INPUT_SPECS[k];
+    const v = cur[k];
+    const snap = (x) => clamp(Math.round(x / step) * step, min, max);
+    const d = (SPAN_FLEX_KEYS.includes(k) ? max - min : Math.abs(v)) * flexPct / 100;
+    const lo = mode === "range" ? min : snap(v - d);
+    const hi = mode === "range" ? max : snap(v + d);
+    const evLo = ev(flexModel(model, { [k]: lo })), evHi = ev(flexModel(model, { [k]: hi }));
+    return { key:k, lo, hi, evLo, evHi, swing: Math.abs(evHi - evLo) };
+  }).sort((a, b) => b.swing - a.swing).map(r => ({ ...r, base }));
+}
+
+function TornadoChart({ rows }) {
+  const W = 640, RH = 18, PL = 196, PR = 64, PT = 22, H = PT + rows.length * RH + 8;
+  const base = rows[0]?.base ?? 0;
+  const vals = rows.flatMap(r => [r.evLo, r.evHi]).concat(base);
+  const minV = Math.min(...vals), maxV = Math.max(...vals), rng = maxV - minV || 1;
+  const xS = (v) => PL + ((v - minV) / rng) * (W - PL - PR);
+  return (
+    <svg width="100%" viewBox={`0 0 ${W} ${H}`}>
+      <line x1={xS(base)} y1={PT - 6} x2={xS(base)} y2={H - 4} stroke={C.ink} strokeWidth={1} />
+      <text x={xS(base)} y={PT - 10} textAnchor="middle" fontSize={9} fill={C.ink} fontFamily={MONO} fontWeight={700}>{$(base)}</text>
+      {rows.map((r, i) => {
+        const y = PT + i * RH;
+        const { fmt, label } = INPUT_SPECS[r.key];
+        const seg = (v, col) => (
+          <rect x={Math.min(xS(v), xS(base))} y={y + 3} width={Math.max(Math.abs(xS(v) - xS(base)), 0.5)} height={RH - 6} fill={col} opacity={0.8} rx={1} />
+        );
+        const right = Math.max(r.evLo, r.evHi);
+        return (
+          <g key={r.key}>
+            <text x={PL - 8} y={y + RH / 2 + 3} textAnchor="end" fontSize={9.5} fill={C.ink} fontFamily={SANS}>{label}</text>
+            <text x={8} y={y + RH / 2 + 3} fontSize={8.5} fill={C.ghost} fontFamily={MONO}>{fmt(r.lo)} / {fmt(r.hi)}</text>
+            {seg(r.evLo, C.amber)}
+            {seg(r.evHi, C.steel)}
+            <text x={xS(right) + 5} y={y + RH / 2 + 3} fontSize={9} fill={C.muted} fontFamily={MONO}>±{$(r.swing / 2)}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Tornado({ model }) {
+  const [metric, setMetric] = useState("baseEV");
+  const [mode, setMode] = useState("pct");
+  const [flexPct, setFlexPct] = useState(20);
+  const rows = useMemo(() => tornadoRows(model, metric, mode, flexPct), [model, metric, mode, flexPct, PACK]);
+  const shown = rows.filter(r => r.swing > 0);
+  return (
+    <div>
+      <div style={{ display:"flex", gap:18, alignItems:"flex-end", flexWrap:"wrap", marginBottom:6 }}>
+        <div style={{ display:"flex", gap:5 }}>
+          <Chip label="Base case EV" active={metric === "baseEV"} onClick={() => setMetric("baseEV")} />
+          <Chip label="DCF EV" active={metric === "dcfEV"} onClick={() => setMetric("dcfEV")} />
+        </div>
+        <div style={{ display:"flex", gap:5 }}>
+          <Chip label={`±${flexPct}% of value`} active={mode === "pct"} onClick={() => setMode("pct")} />
+          <Chip label="Slider min / max" active={mode === "range"} onClick={() => setMode("range")} />
+        </div>
+        {mode === "pct" && (
+          <div style={{ width:200 }}>
+            <Slider label="Flex" value={flexPct} min={5} max={50} step={5} fmt={v => `±${v}%`} onChange={setFlexPct} />
+          </div>
+        )}
+      </div>
+      <TornadoChart rows={shown} />
+      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:6 }}>
+        <span style={{ color:C.amber, fontWeight:700 }}>■</span> input at low case · <span style={{ color:C.steel, fontWeight:700 }}>■</span> input at high case ·
+        left column shows the low / high values tested. {rows.length - shown.length > 0 && `${rows.length - shown.length} inputs with no effect on this measure hidden.`}
+        {model.waccBuild.on && " WACC is set by the CAPM build-up: its bar flexes the rate directly; move it through the build-up inputs."}
+      </div>
+    </div>
+  );
+}
+
+// ─── WACC BUILD-UP ────────────────────────────────────────────────────────────
+// CAPM cost of equity plus size and company-specific premia, after-tax cost of
+// debt, weighted at the target capital structure: net debt (debtM − cashM,
+// floored at zero) against base-case equity value. The base case is a multiple
+// of ARR, so the weights do not depend on WACC and the feed settles in one pass.
+const WACC_SPECS = {
+  rf:            { label:"Risk-Free Rate",               min:0,   max:8,   step:0.05, fmt: pctFmt },
+  beta:          { label:"Levered Beta",                 min:0.3, max:3,   step:0.05, fmt: v => v.toFixed(2) },
+  unleveredBeta: { label:"Unlevered Beta",               min:0.3, max:3,   step:0.05, fmt: v => v.toFixed(2) },
+  erp:           { label:"Equity Risk Premium",          min:3,   max:9,   step:0.25, fmt: pctFmt },
+  sizePrem:      { label:"Size Premium",                 min:0,   max:6,   step:0.25, fmt: pctFmt },
+  specificPrem:  { label:"Company-Specific Risk Premium",min:0,   max:10,  step:0.25, fmt: pctFmt },
+  kd:            { label:"Pre-Tax Cost of Debt",         min:3,   max:18,  step:0.25, fmt: pctFmt },
+};
+
+function capmWacc(build, calcs, taxRate) {
+  const t = taxRate / 100;
+  const D = Math.max(0, calcs.netDebt);
+  const E = Math.max(0, calcs.baseEqV);
+  const wd = D + E > 0 ? D / (D + E) : 0;
+  const we = 1 - wd;
+  const de = E > 0 ? D / E : 0;
+  // Hamada: relever the asset beta at the target D/E
+  const beta = build.betaMode === "unlevered" ? build.unleveredBeta * (1 + (1 - t) * de) : build.beta;
+  const ke = build.rf + beta * build.erp + build.sizePrem + build.specificPrem;
+  const kdAfterTax = build.kd * (1 - t);
+  return { beta, de, ke, kdAfterTax, wd, we, D, E, wacc: we * ke + wd * kdAfterTax };
+}
+
+// Derivation table for the PROJECTIONS panel and the IC report
+function WaccDerivation({ build, w, taxRate }) {
+  return (
+    <div>
+      <F.row label="Risk-free rate" value={pct(build.rf, 2)} />
+      <F.row label={build.betaMode === "unlevered" ? "Beta (relevered)" : "Levered beta"} value={w.beta.toFixed(2)}
+        sub={build.betaMode === "unlevered" ? `βu ${build.unleveredBeta.toFixed(2)} × (1 + (1 − ${taxRate}%) × ${w.de.toFixed(2)} D/E)` : "Observed / peer levered beta"} />
+      <F.row label="× Equity risk premium" value={pct(build.erp, 2)} />
+      <F.row label="+ Size premium" value={pct(build.sizePrem, 2)} />
+      <F.row label="+ Company-specific premium" value={pct(build.specificPrem, 2)} />
+      <F.row label="Cost of equity" value={pct(w.ke, 2)} bold vc={C.steel} />
+      <F.row label="After-tax cost of debt" value={pct(w.kdAfterTax, 2)} sub={`${pct(build.kd, 2)} pre-tax × (1 − ${taxRate}% tax)`} />
+      <F.row label="Weights — equity / debt" value={`${pct(w.we * 100, 0)} / ${pct(w.wd * 100, 0)}`}
+        sub={`Net debt ${$(w.D)} vs base-case equity ${$(w.E)}`} />
+      <F.row label="WACC" value={pct(w.wacc, 2)} bold vc={C.steel} />
+    </div>
+  );
+}
+
+// ─── SENSITIVITY HEATMAPS ─────────────────────────────────────────────────────
+// User-defined grids: any two numeric inputs × any engine output. Definitions
+// are plain objects so they save with the scenario.
+const HEATMAP_OUTPUTS = {
+  baseMult:       { label:"EV/ARR Multiple",          get: c => c.baseMult,          fmt: v => mult(v),        bands:[4, 6, 10] },
+  dcfMult:        { label:"DCF EV/ARR",               get: c => c.dcfEV / c.arr,     fmt: v => mult(v),        bands:[4, 6, 10] },
+  baseEV:         { label:"Base Case EV",             get: c => c.baseEV,            fmt: v => $(v) },
+  bearEqV:        { label:"Bear Case Equity Value",   get: c => c.bearEqV,           fmt: v => $(v) },
+  dcfEV:          { label:"DCF Enterprise Value",     get: c => c.dcfEV,             fmt: v => $(v) },
+  scoreComposite: { label:"Composite Quality Score",  get: c => c.scoreComposite,    fmt: v => v.toFixed(0),   bands:[48, 60, 72] },
+  rule40:         { label:"Rule of 40",               get: c => c.rule40,            fmt: v => v.toFixed(0),   bands:[20, 30, 40] },
+  ltvCac:         { label:"LTV:CAC",                  get: c => c.ltvCac,            fmt: v => mult(v),        bands:[2, 3, 5] },
+};
+
+const DEFAULT_HEATMAPS = [
+  { id:"hm_growth_nrr", rowKey:"arrGrowth",   rowMin:10,  rowMax:115, rowStep:15,  colKey:"nrr",            colMin:85,  colMax:130, colStep:5,   output:"baseMult" },
+  { id:"hm_wacc_tg",    rowKey:"wacc",        rowMin:8,   rowMax:20,  rowStep:2,   colKey:"termGrowthRate", colMin:1.5, colMax:4.5, colStep:0.5, output:"dcfMult" },
+  { id:"hm_gm_ebitda",  rowKey:"grossMargin", rowMin:45,  rowMax:90,  rowStep:7.5, colKey:"ebitdaMargin",   colMin:-40, colMax:30,  colStep:10,  output:"baseMult" },
+];
+const HEATMAP_MAX_STEPS = 15;
+
+// min..max by step, capped so a careless step can't render thousands of cells
+function axisValues(min, max, step) {
+  const lo = Math.min(min, max), hi = Math.max(min, max);
+  const st = Math.max(Math.abs(step) || 1, (hi - lo) / (HEATMAP_MAX_STEPS - 1));
+  const out = [];
+  for (let v = lo; v <= hi + st * 1e-9 && out.length < HEATMAP_MAX_STEPS; v += st) out.push(+v.toFixed(6));
+  return out;
+}
+
+function heatmapGrid(model, def) {
+  const out = HEATMAP_OUTPUTS[def.output];
+  const rows = axisValues(def.rowMin, def.rowMax, def.rowStep);
+  const cols = axisValues(def.colMin, def.colMax, def.colStep);
+  const cells = rows.map(r => cols.map(c => {
+    const x = buildInputs(flexModel(model, { [def.rowKey]: r, [def.colKey]: c }));
+    return x.wacc > x.termGrowthRate ? out.get(computeValuation(x)) : null; // Gordon growth undefined
+  }));
+  // Outputs without natural thresholds ($ values) are banded on the grid's own quartiles
+  let bands = out.bands;
+  if (!bands) {
+    const vals = cells.flat().filter(v => v != null).sort((a, b) => a - b);
+    bands = vals.length ? [0.25, 0.5, 0.75].map(p => vals[Math.floor((vals.length - 1) * p)]) : [0, 0, 0];
+  }
+  return { rows, cols, cells, bands, out };
+}
+
+const heatmapTitle = (def) =>
+  `${HEATMAP_OUTPUTS[def.output].label} — ${INPUT_SPECS[def.rowKey].label} (rows) × ${INPUT_SPECS[def.colKey].label} (columns)`;
+
+function SensitivityHeatmap({ model, def }) {
+  const { rows, cols, cells, bands, out } = heatmapGrid(model, def);
+  const rSpec = INPUT_SPECS[def.rowKey], cSpec = INPUT_SPECS[def.colKey];
+  // Active cell: the grid point nearest the current inputs, if within half a step
+  const near = (vals, v) => {
+    const i = vals.reduce((b, x, j) => Math.abs(x - v) < Math.abs(vals[b] - v) ? j : b, 0);
+    const half = vals.length > 1 ? Math.abs(vals[1] - vals[0]) / 2 : Infinity;
+    return Math.abs(vals[i] - v) <= half ? i : -1;
+  };
+  const cur = buildInputs(model);
+  const ar = near(rows, cur[def.rowKey]), ac = near(cols, cur[def.colKey]);
+  return (
+    <div>
+      <div style={{ overflowX:"auto" }}>
+        <table style={{ borderCollapse:"collapse" }}>
+          <thead>
+            <tr>
+              <td style={{ padding:"6px 10px", fontSize:9.5, color:C.ghost, fontFamily:SANS, textTransform:"uppercase" }}>{rSpec.label} ↓ / {cSpec.label} →</td>
+              {cols.map((c, j) => (
+                <th key={j} style={{ padding:"6px 10px", fontSize:10, textAlign:"center",
+                  color: j === ac ? C.steel : C.ghost, fontFamily:MONO, fontWeight: j === ac ? 700 : 500 }}>{cSpec.fmt(c)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i}>
+                <td style={{ padding:"6px 10px", fontFamily:MONO, fontSize:11, color: i === ar ? C.steel : C.muted,
+                  fontWeight: i === ar ? 700 : 400 }}>{rSpec.fmt(r)}</td>
+                {cols.map((c, j) => cells[i][j] == null
+                  ? <td key={j} style={{ padding:"5px 9px", textAlign:"center", fontFamily:MONO, fontSize:11.5, color:C.ghost, border:`1px solid ${C.dim}` }}>n/m</td>
+                  : <HCell key={j} v={cells[i][j]} isActive={i === ar && j === ac} format={out.fmt} bands={bands} />)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8 }}>
+        All other inputs held constant at current values. Colors: green ≥{out.fmt(bands[2])} · blue {out.fmt(bands[1])}–{out.fmt(bands[2])} · amber {out.fmt(bands[0])}–{out.fmt(bands[1])} · red &lt;{out.fmt(bands[0])}
+        {!out.bands && " (grid quartiles)"}
+      </div>
+    </div>
+  );
+}
+
+function HeatmapEditor({ def, onChange }) {
+  const sel = { background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"3px 6px", fontSize:11, fontFamily:SANS, color:C.ink };
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:54, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const set = (patch) => onChange({ ...def, ...patch });
+  const num = (v) => { const n = parseFloat(v); return isNaN(n) ? 0 : n; };
+  // Picking a new axis input resets its range to the slider bounds
+  const pickAxis = (axis, key) => {
+    const { min, max, step } = INPUT_SPECS[key];
+    const st = Math.max(step, (max - min) / 8);
+    set({ [`${axis}Key`]: key, [`${axis}Min`]: min, [`${axis}Max`]: max, [`${axis}Step`]: +st.toPrecision(2) });
+  };
+  const axis = (name, lbl) => (
+    <div style={{ display:"flex", alignItems:"center", gap:8, flexWrap:"wrap" }}>
+      <span style={{ fontSize:10, color:C.ghost, fontFamily:SANS, width:56, textTransform:"uppercase", letterSpacing:1 }}>{lbl}</span>
+      <select value={def[`${name}Key`]} onChange={e => pickAxis(name, e.target.value)} style={sel}>
+        {NUMERIC_KEYS.map(k => <option key={k} value={k}>{INPUT_SPECS[k].label}</option>)}
+      </select>
+      {["Min", "Max", "Step"].map(f => (
+        <label key={f} style={{ fontSize:10.5, color:C.muted, fontFamily:SANS }}>
+          {f.toLowerCase()} <input type="number" value={def[`${name}${f}`]} onChange={e => set({ [`${name}${f}`]: num(e.target.value) })} style={inp} />
+        </label>
+      ))}
+    </div>
+  );
+  return (
+    <div style={{ display:"grid", gap:8, padding:"10px 12px", background:C.panel, border:`1px solid ${C.border}`, borderRadius:4, marginBottom:12 }}>
+      {axis("row", "Rows")}
+      {axis("col", "Columns")}
+      <div style={{ display:"flex", alignItems:"center", gap:8 }}>
+        <span style={{ fontSize:10, color:C.ghost, fontFamily:SANS, width:56, textTransform:"uppercase", letterSpacing:1 }}>Output</span>
+        <select value={def.output} onChange={e => set({ output: e.target.value })} style={sel}>
+          {Object.entries(HEATMAP_OUTPUTS).map(([k, o]) => <option key={k} value={k}>{o.label}</option>)}
+        </select>
+        <span style={{ fontSize:10, color:C.ghost, fontFamily:SANS }}>Up to {HEATMAP_MAX_STEPS} steps per axis</span>
+      </div>
+    </div>
+  );
+}
+
+// Stack of saved heatmaps with per-map edit / remove and an add button
+function HeatmapBuilder({ model, heatmaps, onChange, panel }) {
+  const [editing, setEditing] = useState(null);
+  const update = (id, def) => onChange(heatmaps.map(h => h.id === id ? def : h));
+  const add = () => {
+    const def = { ...DEFAULT_HEATMAPS[0], id:`hm_${Date.now().toString(36)}` };
+    onChange([...heatmaps, def]);
+    setEditing(def.id);
+  };
+  return (
+    <>
+      {heatmaps.map(def => (
+        <div key={def.id} style={panel}>
+          <div style={{ display:"flex", gap:8, alignItems:"flex-start" }}>
+            <div style={{ flex:1 }}><F.head text={heatmapTitle(def)} source="Full model re-computed at each cell. Active inputs highlighted." /></div>
+            <Chip label={editing === def.id ? "Done" : "Edit"} active={editing === def.id} onClick={() => setEditing(editing === def.id ? null : def.id)} />
+            <Chip label="Remove" accent={C.red} onClick={() => onChange(heatmaps.filter(h => h.id !== def.id))} />
+          </div>
+          {editing === def.id && <HeatmapEditor def={def} onChange={d => update(def.id, d)} />}
+          <SensitivityHeatmap model={model} def={def} />
+          {model.waccBuild.on && (def.rowKey === "wacc" || def.colKey === "wacc") && (
+            <div style={{ fontSize:10, color:C.amber, fontFamily:SANS, marginTop:6 }}>
+              WACC is set by the CAPM build-up: cells flex the rate directly; move it through the build-up inputs.
+            </div>
+          )}
+        </div>
+      ))}
+      <div style={{ ...panel, display:"flex", alignItems:"center", gap:10 }}>
+        <Chip label="+ New heatmap" onClick={add} />
+        <Chip label="Reset to defaults" onClick={() => { onChange(DEFAULT_HEATMAPS); setEditing(null); }} />
+        <span style={{ fontSize:10, color:C.ghost, fontFamily:SANS }}>Any two inputs × any output; definitions save with the scenario.</span>
+      </div>
+    </>
+  );
+}
+
+// ─── GOAL SEEK ────────────────────────────────────────────────────────────────
+// Back out the input value that gets an output to a target. The engine is not
+// monotonic (NRR bands, clamps), so the slider range is scanned for sign
+// changes and each bracket refined by bisection; the root nearest the current
+// value wins. Unreachable targets report the closest achievable value.
+const GOAL_OUTPUTS = {
+  baseEV:   { label:"Base case EV",            unit:"$M", get: c => c.baseEV },
+  dcfEV:    { label:"DCF EV",                  unit:"$M", get: c => c.dcfEV },
+  baseEqV:  { label:"Base case equity value",  unit:"$M", get: c => c.baseEqV },
+  dcfEqV:   { label:"DCF equity value",        unit:"$M", get: c => c.dcfEV - c.netDebt },
+  baseMult: { label:"EV/ARR multiple",         unit:"x",  get: c => c.baseMult },
+};
+const GOAL_SCAN_POINTS = 240;
+
+function goalSeek(model, key, output, target) {
+  const { min, max } = INPUT_SPECS[key];
+  const get = GOAL_OUTPUTS[output].get;
+  const f = (v) => {
+    const x = buildInputs(flexModel(model, { [key]: v }));
+    if (x.wacc <= x.termGrowthRate) return NaN;
+    return get(computeValuation(x)) - target;
+  };
+  const xs = Array.from({ length: GOAL_SCAN_POINTS + 1 }, (_, i) => min + (max - min) * i / GOAL_SCAN_POINTS);
+  const ys = xs.map(f);
+  const cur = buildInputs(model)[key];
+  const roots = [];
+  let best = null;
+  for (let i = 0; i < xs.length; i++) {
+    // Closest miss; ties (flat output) go to the point nearest the current value
+    if (isFinite(ys[i]) && (!best || Math.abs(ys[i]) < Math.abs(best.y) - 1e-9 ||
+        (Math.abs(Math.abs(ys[i]) - Math.abs(best.y)) <= 1e-9 && Math.abs(xs[i] - cur) < Math.abs(best.x - cur)))) best = { x: xs[i], y: ys[i] };
+    if (i === 0 || !isFinite(ys[i]) || !isFinite(ys[i - 1])) continue;
+    if (ys[i] === 0) { roots.push(xs[i]); continue; }
+    if (Math.sign(ys[i]) === Math.sign(ys[i - 1])) continue;
+    let a = xs[i - 1], b = xs[i], fa = ys[i - 1];
+    for (let k = 0; k < 50; k++) {
+      const m = (a + b) / 2, fm = f(m);
+      if (Math.sign(fm) === Math.sign(fa)) { a = m; fa = fm; } else b = m;
+    }
+    roots.push((a + b) / 2);
+  }
+  const range = ys.filter(isFinite).map(y => y + target);
+  const reach = range.length ? [Math.min(...range), Math.max(...range)] : null;
+  const pick = roots.sort((a, b) => Math.abs(a - cur) - Math.abs(b - cur))[0];
+  const x = pick ?? best?.x;
+  if (x == null) return null;
+  // A bracket across a step in the engine (e.g. an NRR band edge) gives a point
+  // that only straddles the target — flag it rather than claim an exact solve
+  const achieved = f(x) + target;
+  const exact = pick != null && Math.abs(achieved - target) <= Math.max(1e-3, Math.abs(target) * 0.005);
+  return { x, achieved, exact, roots: roots.length, reach };
+}
+
+function GoalSeek({ model, calcs, onApply }) {
+  const [key, setKey] = useState("nrr");
+  const [output, setOutput] = useState("baseEV");
+  const [targetStr, setTargetStr] = useState("");
+  const out = GOAL_OUTPUTS[output];
+  const toUnit = (v) => out.unit === "$M" ? v / 1e6 : v;
+  const fromUnit = (v) => out.unit === "$M" ? v * 1e6 : v;
+  const fmtOut = (v) => out.unit === "$M" ? $(v) : mult(v, 2);
+  const current = out.get(calcs);
+  const now = buildInputs(model)[key];
+  const target = targetStr === "" ? null : parseFloat(targetStr);
+  const res = useMemo(() => target == null || isNaN(target) ? null : goalSeek(model, key, output, fromUnit(target)),
+    [model, key, output, target, PACK]);
+  const spec = INPUT_SPECS[key];
+  const sel = { background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"4px 7px", fontSize:11.5, fontFamily:SANS, color:C.ink };
+  const solved = res && +res.x.toFixed(2);
+  // A derived WACC can only be applied by switching the CAPM build-up off
+  const unbuild = key === "wacc" && model.waccBuild.on;
+  return (
+    <div>
+      <div style={{ display:"flex", gap:10, alignItems:"center", flexWrap:"wrap", fontSize:11.5, color:C.muted, fontFamily:SANS }}>
+        <span>What</span>
+        <select value={key} onChange={e => setKey(e.target.value)} style={sel}>
+          {NUMERIC_KEYS.map(k => <option key={k} value={k}>{INPUT_SPECS[k].label}</option>)}
+        </select>
+        <span>gets</span>
+        <select value={output} onChange={e => { setOutput(e.target.value); setTargetStr(""); }} style={sel}>
+          {Object.entries(GOAL_OUTPUTS).map(([k, o]) => <option key={k} value={k}>{o.label}</option>)}
+        </select>
+        <span>to</span>
+        <input type="number" value={targetStr} onChange={e => setTargetStr(e.target.value)}
+          placeholder={toUnit(current).toFixed(out.unit === "$M" ? 1 : 2)}
+          style={{ ...sel, width:90, fontFamily:MONO, textAlign:"right" }} />
+        <span style={{ fontFamily:MONO }}>{out.unit}</span>
+        <span style={{ color:C.ghost, fontSize:10.5 }}>Current: {fmtOut(current)} at {spec.label} {spec.fmt(now)}</span>
+      </div>
+
+      {res && (
+        <div style={{ marginTop:14, padding:"12px 16px", borderRadius:4,
+          background: res.exact ? C.greenLt : C.amberLt, border:`1px solid ${res.exact ? C.green : C.amber}44` }}>
+          {res.exact ? (
+            <div style={{ fontSize:12, color:C.ink, fontFamily:SANS, lineHeight:1.7 }}>
+              {spec.label} of <strong style={{ fontFamily:MONO, color:C.green }}>{spec.fmt(solved)}</strong> gives {out.label.toLowerCase()} of <strong style={{ fontFamily:MONO }}>{fmtOut(res.achieved)}</strong>
+              <span style={{ color:C.muted }}> (currently {spec.fmt(now)}; {solved >= now ? "+" : ""}{(solved - now).toFixed(2)}).</span>
+              {res.roots > 1 && <span style={{ color:C.muted }}> {res.roots} solutions in range — showing the one nearest the current value.</span>}
+            </div>
+          ) : (
+            <div style={{ fontSize:12, color:C.ink, fontFamily:SANS, lineHeight:1.7 }}>
+              Target not reachable exactly by moving {spec.label} alone within {spec.fmt(spec.min)}–{spec.fmt(spec.max)}.
+              Closest: <strong style={{ fontFamily:MONO }}>{fmtOut(res.achieved)}</strong> at {spec.fmt(solved)}
+              {res.reach && <span style={{ color:C.muted }}> · achievable range {fmtOut(res.reach[0])} – {fmtOut(res.reach[1])}</span>}.
+              {res.roots > 0 && <span style={{ color:C.muted }}> The output steps past the target at this point (benchmark band edge).</span>}
+            </div>
+          )}
+          <div style={{ marginTop:8 }}>
+            <Chip label={`Apply ${spec.label} = ${spec.fmt(solved)}${unbuild ? " and turn off CAPM build-up" : ""}`} accent={C.green} active onClick={() => onApply(key, solved)} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── COMPS TABLE ──────────────────────────────────────────────────────────────
+// Trading comps: any number of peers, typed or imported from CSV. ARR and EV are
+// in $M; a peer's multiple is its EV/ARR entry, else EV ÷ ARR. The peer median
+// and interquartile range of multiples, applied to the target's ARR, give the
+// implied EV range shown beside the scenario cards.
+const EMPTY_COMP  = { name:"", arrM:0, evM:0, evArr:0, arrGrowth:0, nrr:0, grossMargin:0, ebitdaMargin:0, rule40:0, ltvCac:0 };
+const EMPTY_COMPS = [EMPTY_COMP, EMPTY_COMP, EMPTY_COMP];
+
+function peerMultiple(c) {
+  if (c.evArr > 0) return c.evArr;
+  return c.evM > 0 && c.arrM > 0 ? c.evM / c.arrM : null;
+}
+
+function peerEV(c) {
+  if (c.evM > 0) return c.evM;
+  return c.evArr > 0 && c.arrM > 0 ? c.evArr * c.arrM : null;
+}
+
+// Count, mean, median and quartiles of the non-blank values (null when none)
+function peerStats(values) {
+  const s = values.filter(v => v != null && Number.isFinite(v) && v !== 0).sort((a, b) => a - b);
+  if (s.length === 0) return null;
+  return { n: s.length, mean: s.reduce((a, b) => a + b, 0) / s.length,
+    p25: quantile(s, 0.25), median: quantile(s, 0.5), p75: quantile(s, 0.75) };
+}
+
+// Peer EV/ARR quartiles × target ARR. Needs at least two peers with a multiple.
+function compsValuation(comps, calcs) {
+  const st = peerStats(comps.map(peerMultiple));
+  if (!st || st.n < 2) return null;
+  return { ...st, lowEV: st.p25 * calcs.arr, midEV: st.median * calcs.arr, highEV: st.p75 * calcs.arr,
+    eqV: st.median * calcs.arr - calcs.netDebt };
+}
+
+// Peer CSV with a header row → comp rows. Columns are matched by name in any
+// order (company, arr, ev, ev/arr, growth, nrr, gross margin, ebitda margin,
+// rule of 40, ltv:cac); ARR and EV in $M, rates in percentage points. Rule of
+// 40 is derived from growth + EBITDA margin when the file has no such column.
+// An EV/EBITDA column is claimed (and ignored) so it is not read as EBITDA margin.
+const COMP_CSV_COLUMNS = [
+  ["name",         /company|name|peer|ticker/],
+  ["evArr",        /ev\s*\/\s*(arr|rev|sales)|multiple/],
+  ["evEbitda",     /ev\s*\/\s*ebitda/],
+  ["arrGrowth",    /growth/],
+  ["nrr",          /nrr|ndr|net.*retention/],
+  ["grossMargin",  /gross/],
+  ["ebitdaMargin", /ebitda/],
+  ["rule40",       /rule|r40/],
+  ["ltvCac",       /ltv|cac/],
+  ["evM",          /^ev\b|enterprise/],
+  ["arrM",         /arr|revenue/],
+];
+function parseCompsCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error("File is empty.");
+  const head = rows[0].map(h => h.trim().toLowerCase());
+  const idx = {};
+  for (const [key, re] of COMP_CSV_COLUMNS) {
+    const i = head.findIndex((h, j) => re.test(h) && !Object.values(idx).includes(j));
+    if (i >= 0) idx[key] = i;
+  }
+  if (idx.name == null || (idx.evM == null && idx.evArr == null)) {
+    throw new Error("Could not find company and EV (or EV/ARR) columns. Expected a header such as: company, arr, ev, growth, nrr");
+  }
+  const list = rows.slice(1).map(r => {
+    const c = { ...EMPTY_COMP, name: (r[idx.name] ?? "").trim() };
+    for (const key of Object.keys(idx)) {
+      if (key === "name" || key === "evEbitda") continue;
+      const n = parseAmount(r[idx[key]] ?? "");
+      if (!isNaN(n)) c[key] = n;
+    }
+    if (idx.rule40 == null && c.arrGrowth && c.ebitdaMargin) c.rule40 = c.arrGrowth + c.ebitdaMargin;
+    return c;
+  }).filter(c => c.name && peerMultiple(c) != null);
+  if (list.length === 0) throw new Error("No rows with a company name and an EV with ARR, or an EV/ARR multiple.");
+  return list;
+}
+
+function CompsTable({ baseInputs, compute, comps, onChange }) {
+  const [error, setError] = useState(null);
+  const primary = compute(baseInputs);
+  const val = compsValuation(comps, primary);
+
+  const updateComp = (i, field, v) => {
+    const next = [...comps];
+    next[i] = { ...next[i], [field]: v };
+    // EV and EV/ARR are alternative entries; typing one clears the other
+    if (field === "evM") next[i].evArr = 0;
+    if (field === "evArr") next[i].evM = 0;
+    onChange(next);
+  };
+  const readFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try { onChange(parseCompsCsv(text)); setError(null); }
+      catch (e) { setError(`${file.name}: ${e.message}`); }
+    });
+  };
+
+  const cols = [
+    { key:"name",          label:"Company",   fmt: v => v || "—",         fmtVal: v => v },
+    { key:"arrM",          label:"ARR ($M)",   fmt: v => v ? `$${+v.toFixed(1)}M` : "—" },
+    { key:"evM",           label:"EV ($M)",    fmt: v => v ? `$${+v.toFixed(1)}M` : "—", get: peerEV, placeholder: c => peerEV(c)?.toFixed(0) },
+    { key:"evArr",         label:"EV / ARR",   fmt: v => v ? mult(v) : "—", get: peerMultiple, placeholder: c => peerMultiple(c)?.toFixed(1) },
+    { key:"arrGrowth",     label:"Growth",     fmt: v => v ? pct(v) : "—", best:"max" },
+    { key:"nrr",           label:"NRR",        fmt: v => v ? pct(v) : "—", best:"max" },
+    { key:"grossMargin",   label:"Gross Margin",fmt: v => v ? pct(v) : "—", best:"max" },
+    { key:"ebitdaMargin",  label:"EBITDA Margin",fmt: v => v ? pct(v) : "—", best:"max" },
+    { key:"rule40",        label:"Rule of 40", fmt: v => v ? v.toFixed(0) : "—", best:"max" },
+    { key:"ltvCac",        label:"LTV:CAC",    fmt: v => v ? mult(v) : "—", best:"max" },
+  ];
+  const get = (row, c) => c.get ? c.get(row) : row[c.key];
+
+  const allRows = [
+    { ...baseInputs, name: baseInputs.companyName || "Target", evM: primary.baseEV / 1e6, evArr: primary.baseMult,
+      rule40: primary.rule40, ltvCac: primary.ltvCac, _isPrimary: true },
+    ...comps,
+  ];
+  const stats = Object.fromEntries(cols.filter(c => c.key !== "name").map(c => [c.key, peerStats(comps.map(r => get(r, c)))]));
+  const statRows = [["Mean", "mean"], ["25th pct", "p25"], ["Median", "median"], ["75th pct", "p75"]];
+  const nPriced = comps.filter(c => peerMultiple(c) != null).length;
+
+  return (
+    <div>
+      <F.head text="Comparable Company Analysis" source={`${comps.length} peer${comps.length === 1 ? "" : "s"} · ${nPriced} with an EV/ARR multiple`} />
+      <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap", marginBottom:10 }}>
+        <label style={{ cursor:"pointer" }}>
+          <input type="file" accept=".csv,text/csv" style={{ display:"none" }}
+            onChange={e => { readFile(e.target.files[0]); e.target.value = ""; }} />
+          <span style={{ fontSize:10.5, fontFamily:SANS, padding:"4px 10px", borderRadius:3, border:`1px solid ${C.border}`,
+            background:C.surface, color:C.muted, display:"inline-block" }}>Import peer CSV</span>
+        </label>
+        <Chip label="+ Peer" onClick={() => onChange([...comps, EMPTY_COMP])} />
+        {comps.length > 0 && (
+          <div style={{ marginLeft:"auto" }}><Chip label="Clear" accent={C.red} onClick={() => onChange([])} /></div>
+        )}
+      </div>
+      {error && <div style={{ marginBottom:8, fontSize:11, color:C.red, fontFamily:SANS }}>⚠ {error}</div>}
+      <div style={{ overflowX:"auto" }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11.5, fontFamily:SANS }}>
+          <thead>
+            <tr style={{ borderBottom:`2px solid ${C.rule}` }}>
+              {cols.map(c => <th key={c.key} style={{ padding:"7px 10px", textAlign: c.key==="name" ? "left" : "right", fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, fontWeight:700 }}>{c.label}</th>)}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {allRows.map((row, ri) => (
+              <tr key={ri} style={{ background: ri === 0 ? C.steelLt : ri % 2 === 0 ? C.surface : C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                {cols.map(c => {
+                  if (!row._isPrimary && c.key !== "name") {
+                    return (
+                      <td key={c.key} style={{ padding:"6px 8px", textAlign:"right" }}>
+                        <input type="number" value={row[c.key] || ""}
+                          onChange={e => updateComp(ri - 1, c.key, parseFloat(e.target.value) || 0)}
+                          placeholder={(c.placeholder && c.placeholder(row)) || "—"}
+                          style={{ background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+                            width:60, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" }} />
+                      </td>
+                    );
+                  }
+                  if (!row._isPrimary && c.key === "name") {
+                    return (
+                      <td key={c.key} style={{ padding:"6px 8px" }}>
+                        <input type="text" value={row.name}
+                          onChange={e => updateComp(ri - 1, "name", e.target.value)}
+                          placeholder="Company name"
+                          style={{ background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+                            width:110, fontFamily:SANS, fontSize:11.5, color:C.ink, outline:"none" }} />
+                      </td>
+                    );
+                  }
+                  const formatted = c.fmt ? c.fmt(row[c.key]) : row[c.key];
+                  // Highlight best in each column
+                  const colVals = allRows.map(r => parseFloat(r[c.key]) || 0).filter(v => v > 0);
+                  const isBest = c.best === "max" && parseFloat(row[c.key]) === Math.max(...colVals) && colVals.length > 1;
+                  return (
+                    <td key={c.key} style={{ padding:"7px 10px", textAlign: c.key==="name" ? "left" : "right",
+                      fontFamily: c.key==="name" ? SANS : MONO, fontWeight: ri===0 ? 700 : isBest ? 700 : 500,
+                      color: ri===0 ? C.steel : isBest ? C.green : C.ink }}>
+                      {formatted}
+                      {isBest && ri !== 0 && <span style={{ fontSize:9, marginLeft:4, color:C.green }}>▲</span>}
+                    </td>
+                  );
+                })}
+                <td style={{ padding:"6px 4px", textAlign:"center" }}>
+                  {!row._isPrimary && (
+                    <span onClick={() => onChange(comps.filter((_, j) => j !== ri - 1))}
+                      style={{ cursor:"pointer", color:C.ghost, fontSize:12 }}>×</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {statRows.map(([lbl, k], si) => (
+              <tr key={k} style={{ background:C.panel, borderTop: si === 0 ? `2px solid ${C.rule}` : "none", borderBottom:`1px solid ${C.dim}` }}>
+                {cols.map(c => (
+                  <td key={c.key} style={{ padding:"6px 10px", textAlign: c.key==="name" ? "left" : "right",
+                    fontFamily: c.key==="name" ? SANS : MONO, fontSize: c.key==="name" ? 10 : 11.5,
+                    letterSpacing: c.key==="name" ? 1 : 0, textTransform: c.key==="name" ? "uppercase" : "none",
+                    fontWeight: k === "median" ? 700 : 500, color: c.key==="name" ? C.ghost : k === "median" ? C.ink : C.muted }}>
+                    {c.key === "name" ? lbl : stats[c.key] ? c.fmt(stats[c.key][k]) : "—"}
+                  </td>
+                ))}
+                <td />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize:10, color:C.ghost, marginTop:8, fontFamily:SANS }}>
+        Click cells to enter peer data, or import a CSV with a header row. Enter EV or EV/ARR; the other is derived from ARR. Green triangle = best-in-peer-group. Peer statistics exclude blank cells and the target.
+      </div>
+
+      <div style={{ marginTop:16 }}>
+        <F.head text="Implied Valuation — Trading Comps" source={val ? `Peer EV/ARR × target ARR ${$(primary.arr)}` : "Needs two or more peers with a multiple"} />
+        {val ? (
+          <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:"0 24px" }}>
+            <div>
+              <F.row label="Implied EV — 25th percentile" value={$(val.lowEV)} sub={`${mult(val.p25)} ARR`} />
+              <F.row label="Implied EV — median" value={$(val.midEV)} sub={`${mult(val.median)} ARR`} bold vc={C.amber} />
+              <F.row label="Implied EV — 75th percentile" value={$(val.highEV)} sub={`${mult(val.p75)} ARR`} />
+            </div>
+            <div>
+              <F.row label="Implied equity value (median)" value={$(Math.max(0, val.eqV))} sub={primary.netDebt >= 0 ? `Less net debt ${$(primary.netDebt)}` : `Plus net cash ${$(-primary.netDebt)}`} />
+              <F.row label="Peer mean EV/ARR" value={mult(val.mean)} sub={`${val.n} peers`} />
+              <F.row label="Median vs base case" value={`${val.midEV >= primary.baseEV ? "+" : ""}${pct((val.midEV / primary.baseEV - 1) * 100)}`}
+                sub={`Base case ${$(primary.baseEV)} at ${mult(primary.baseMult)}`} vc={signColor(val.midEV - primary.baseEV)} />
+            </div>
+          </div>
+        ) : (
+          <div style={{ fontSize:11, color:C.ghost, fontFamily:SANS, lineHeight:1.6 }}>
+            Enter EV (or EV/ARR) and ARR for at least two peers to value the target on trading multiples.
+          </div>
+        )}
+        <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:6 }}>
+          Public trading multiples carry no control premium or private-company discount; the range sits beside the Bear / Base / Bull cards as an independent method.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── COMPS REGRESSION ─────────────────────────────────────────────────────────
+// Peer EV/ARR regressed on growth, NRR and Rule of 40 (any combination, OLS with
+// an intercept). The fit prices the target from its own metrics, with a 95%
+// band, as an empirical cross-check on the hand-built waterfall multiple.
+const REG_FACTORS = {
+  arrGrowth: { label:"ARR growth", unit:"ppts", fmt: v => pct(v, 0),     target: (inputs) => inputs.arrGrowth, per10: "GROWTH_MULT_PER_10PTS" },
+  nrr:       { label:"NRR",        unit:"ppts", fmt: v => pct(v, 0),     target: (inputs) => inputs.nrr },
+  rule40:    { label:"Rule of 40", unit:"pts",  fmt: v => v.toFixed(0),  target: (inputs, calcs) => calcs.rule40, per10: "RULE40_MULT_PER_10PTS" },
+};
+
+// Rule of 40 falls back to growth + EBITDA margin when the peer has no entry
+function peerFactor(c, key) {
+  if (key === "rule40" && !c.rule40 && c.arrGrowth && c.ebitdaMargin) return c.arrGrowth + c.ebitdaMargin;
+  return c[key] || null;
+}
+
+// Gauss-Jordan inverse of a small square matrix (null if singular)
+function invertMatrix(m) {
+  const n = m.length;
+  const a = m.map((row, i) => [...row, ...row.map((_, j) => i === j ? 1 : 0)]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(a[r][c]) > Math.abs(a[p][c])) p = r;
+    if (Math.abs(a[p][c]) < 1e-10) return null;
+    [a[c], a[p]] = [a[p], a[c]];
+    const d = a[c][c];
+    for (let j = 0; j < 2 * n; j++) a[c][j] /= d;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = a[r][c];
+      for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[c][j];
+    }
+  }
+  return a.map(row => row.slice(n));
+}
+
+// Two-sided 95% Student t critical value; 1.96 + 2.4/df tracks the table past 30
+const T95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.160, 2.145, 2.131,
+  2.120, 2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+const t95 = (df) => df <= T95.length ? T95[df - 1] : 1.96 + 2.4 / df;
+
+// Ordinary least squares of ys on the columns of xs plus an intercept. predict(x)
+// returns the fitted value with 95% half-widths for the mean (ci) and for a
+// single company (pi). Null when there are no residual degrees of freedom or
+// the factors are collinear.
+function olsFit(xs, ys) {
+  const n = ys.length, k = xs[0].length + 1, df = n - k;
+  if (df < 1) return null;
+  const X = xs.map(r => [1, ...r]);
+  const inv = invertMatrix(X[0].map((_, i) => X[0].map((_, j) => X.reduce((s, r) => s + r[i] * r[j], 0))));
+  if (!inv) return null;
+  const Xty = X[0].map((_, i) => X.reduce((s, r, t) => s + r[i] * ys[t], 0));
+  const beta = inv.map(row => row.reduce((s, v, j) => s + v * Xty[j], 0));
+  const dot = (x0) => x0.reduce((s, v, j) => s + v * beta[j], 0);
+  const fitted = X.map(dot);
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  const sse = ys.reduce((s, y, t) => s + (y - fitted[t]) ** 2, 0);
+  const sst = ys.reduce((s, y) => s + (y - my) ** 2, 0);
+  const r2 = sst > 0 ? 1 - sse / sst : 0;
+  const se = Math.sqrt(sse / df), t = t95(df);
+  const predict = (x) => {
+    const x0 = [1, ...x];
+    const lev = x0.reduce((s, vi, i) => s + vi * x0.reduce((u, vj, j) => u + inv[i][j] * vj, 0), 0);
+    return { y: dot(x0), ci: t * se * Math.sqrt(lev), pi: t * se * Math.sqrt(1 + lev) };
+  };
+  return { beta, fitted, n, df, se, r2, r2adj: 1 - (1 - r2) * (n - 1) / df, predict };
+}
+
+// Peer scatter with the fitted line, its shaded 95% band and the target's
+// predicted multiple with error bar
+function RegressionChart({ points, line, target, xLabel, xFmt }) {
+  const W = 560, H = 220, PL = 44, PR = 16, PT = 14, PB = 36;
+  const xs = [...points.map(p => p.x), ...line.map(p => p.x), target.x];
+  const ys = [...points.map(p => p.y), ...line.flatMap(p => [p.lo ?? p.y, p.hi ?? p.y]), target.lo, target.hi];
+  const padX = (Math.max(...xs) - Math.min(...xs)) * 0.06 || 1;
+  const minX = Math.min(...xs) - padX, maxX = Math.max(...xs) + padX;
+  const minY = Math.min(0, ...ys), maxY = Math.max(...ys) * 1.05 || 1;
+  const xS = (x) => PL + (x - minX) / (maxX - minX) * (W - PL - PR);
+  const yS = (y) => H - PB - (y - minY) / (maxY - minY) * (H - PT - PB);
+  const banded = line.filter(p => p.lo != null);
+  const band = banded.length > 1 &&
+    `M${banded.map(p => `${xS(p.x)},${yS(p.hi)}`).join(" L")} L${[...banded].reverse().map(p => `${xS(p.x)},${yS(p.lo)}`).join(" L")} Z`;
+  return (
+    <svg width="100%" viewBox={`0 0 ${W} ${H}`}>
+      {[0, 0.25, 0.5, 0.75, 1].map(t => {
+        const v = minY + t * (maxY - minY);
+        return (
+          <g key={t}>
+            <line x1={PL} y1={yS(v)} x2={W - PR} y2={yS(v)} stroke={C.dim} strokeWidth={1} />
+            <text x={PL - 5} y={yS(v) + 4} textAnchor="end" fontSize={9} fill={C.ghost} fontFamily={MONO}>{mult(v)}</text>
+          </g>
+        );
+      })}
+      {[0, 0.25, 0.5, 0.75, 1].map(t => (
+        <text key={t} x={PL + t * (W - PL - PR)} y={H - PB + 14} textAnchor={t === 0 ? "start" : t === 1 ? "end" : "middle"}
+          fontSize={9} fill={C.ghost} fontFamily={MONO}>{xFmt(minX + t * (maxX - minX))}</text>
+      ))}
+      <text x={(PL + W - PR) / 2} y={H - 4} textAnchor="middle" fontSize={9.5} fill={C.muted} fontFamily={SANS}>{xLabel}</text>
+      {band && <path d={band} fill={C.amber} opacity={0.12} />}
+      <path d={`M${line.map(p => `${xS(p.x)},${yS(p.y)}`).join(" L")}`} fill="none" stroke={C.amber} strokeWidth={2} strokeLinecap="round" />
+      {points.map((p, i) => (
+        <g key={i}>
+          <circle cx={xS(p.x)} cy={yS(p.y)} r={3.5} fill={C.surface} stroke={C.amber} strokeWidth={1.5} />
+          <text x={xS(p.x) + 6} y={yS(p.y) + 3} fontSize={8} fill={C.ghost} fontFamily={SANS}>{p.label}</text>
+        </g>
+      ))}
+      <line x1={xS(target.x)} y1={yS(target.lo)} x2={xS(target.x)} y2={yS(target.hi)} stroke={C.steel} strokeWidth={1.5} />
+      {[target.lo, target.hi].map((v, i) => (
+        <line key={i} x1={xS(target.x) - 4} y1={yS(v)} x2={xS(target.x) + 4} y2={yS(v)} stroke={C.steel} strokeWidth={1.5} />
+      ))}
+      <circle cx={xS(target.x)} cy={yS(target.y)} r={5} fill={C.steel} />
+      <text x={xS(target.x) + 8} y={yS(target.y) - 6} fontSize={9} fill={C.steel} fontFamily={MONO} fontWeight={700}>{target.label} {mult(target.y)}</text>
+    </svg>
+  );
+}
+
+function CompsRegression({ comps, inputs, calcs }) {
+  const [keys, setKeys] = useState(["arrGrowth"]);
+  const toggle = (k) => {
+    const next = keys.includes(k) ? keys.filter(x => x !== k) : Object.keys(REG_FACTORS).filter(x => x === k || keys.includes(x));
+    if (next.length) setKeys(next);
+  };
+  const peers = comps
+    .map(c => ({ label: c.name, y: peerMultiple(c), x: keys.map(k => peerFactor(c, k)) }))
+    .filter(p => p.y != null && p.x.every(v => v != null));
+  const minPeers = keys.length + 2;
+  const fit = peers.length >= minPeers ? olsFit(peers.map(p => p.x), peers.map(p => p.y)) : null;
+  const x0 = keys.map(k => REG_FACTORS[k].target(inputs, calcs));
+  const pred = fit && fit.predict(x0);
+  const single = keys.length === 1;
+
+  // One factor: multiple against that factor along the fitted line and band.
+  // Several: actual against fitted multiple, with the 45° line.
+  let chart = null;
+  if (fit) {
+    if (single) {
+      const f = REG_FACTORS[keys[0]];
+      const all = [...peers.map(p => p.x[0]), x0[0]];
+      const lo = Math.min(...all), hi = Math.max(...all);
+      const line = Array.from({ length: 25 }, (_, i) => {
+        const x = lo + (hi - lo) * i / 24, p = fit.predict([x]);
+        return { x, y: p.y, lo: p.y - p.ci, hi: p.y + p.ci };
+      });
+      chart = { points: peers.map(p => ({ label: p.label, x: p.x[0], y: p.y })), line, xLabel: `${f.label} →`, xFmt: f.fmt, x: x0[0] };
+    } else {
+      const all = [...fit.fitted, ...peers.map(p => p.y), pred.y];
+      const lo = Math.min(...all), hi = Math.max(...all);
+      chart = { points: peers.map((p, i) => ({ label: p.label, x: fit.fitted[i], y: p.y })), line: [{ x: lo, y: lo }, { x: hi, y: hi }],
+        xLabel: "Fitted EV / ARR →", xFmt: mult, x: pred.y };
+    }
+  }
+  const term = (k, b) => `${b >= 0 ? "+" : "−"} ${Math.abs(b).toFixed(3)} × ${REG_FACTORS[k].label}`;
+  const privateEq = pred && pred.y * DATA.PRIVATE_DISCOUNT;
+  const floor0 = (v) => Math.max(0, v); // a multiple's band stops at zero
+
+  return (
+    <div>
+      <F.head text="Regression — EV/ARR vs Operating Metrics" source="OLS on peers with a multiple and every selected factor" />
+      <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap", marginBottom:12 }}>
+        <span style={{ fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginRight:6 }}>Factors</span>
+        {Object.entries(REG_FACTORS).map(([k, f]) => (
+          <Chip key={k} label={f.label} active={keys.includes(k)} onClick={() => toggle(k)} />
+        ))}
+        <span style={{ marginLeft:"auto", fontSize:10.5, color:C.ghost, fontFamily:SANS }}>
+          {single ? "Single-factor" : `${keys.length}-factor`} · {peers.length} usable peer{peers.length === 1 ? "" : "s"}
+        </span>
+      </div>
+
+      {!fit ? (
+        <div style={{ fontSize:11, color:C.ghost, fontFamily:SANS, lineHeight:1.6 }}>
+          {peers.length < minPeers
+            ? `Needs at least ${minPeers} peers with EV/ARR and ${keys.map(k => REG_FACTORS[k].label).join(", ")} to fit ${single ? "a line" : `${keys.length} factors`} with an error estimate.`
+            : "The selected factors are collinear across these peers; drop a factor or add peers."}
+        </div>
+      ) : (
+        <div style={{ display:"grid", gridTemplateColumns:"3fr 2fr", gap:"0 24px" }}>
+          <div>
+            <RegressionChart points={chart.points} line={chart.line} xLabel={chart.xLabel} xFmt={chart.xFmt}
+              target={{ label: inputs.companyName || "Target", x: chart.x, y: pred.y, lo: floor0(pred.y - pred.ci), hi: pred.y + pred.ci }} />
+            <div style={{ fontSize:10, color:C.ghost, fontFamily:MONO, marginTop:4 }}>
+              EV/ARR = {fit.beta[0].toFixed(2)} {keys.map((k, i) => term(k, fit.beta[i + 1])).join(" ")}
+            </div>
+          </div>
+          <div>
+            <F.row label="R²" value={fit.r2.toFixed(2)} sub={single ? `${fit.n} peers` : `Adjusted ${fit.r2adj.toFixed(2)} · ${fit.n} peers`}
+              vc={fit.r2 >= 0.5 ? C.green : fit.r2 >= 0.25 ? C.amber : C.red} />
+            <F.row label="Residual std. error" value={mult(fit.se)} sub={`${fit.df} degrees of freedom`} />
+            <F.row label="Predicted EV/ARR" value={mult(pred.y)} bold vc={C.steel}
+              sub={keys.map((k, i) => `${REG_FACTORS[k].label} ${REG_FACTORS[k].fmt(x0[i])}`).join(" · ")} />
+            <F.row label="95% confidence band" value={`${mult(floor0(pred.y - pred.ci))} – ${mult(pred.y + pred.ci)}`} sub="Uncertainty in the fitted line at the target" />
+            <F.row label="95% prediction interval" value={`${mult(floor0(pred.y - pred.pi))} – ${mult(pred.y + pred.pi)}`} sub="Range for a single company with these metrics" />
+            <F.row label="Implied EV" value={$(pred.y * calcs.arr)} sub={`Band ${$(floor0(pred.y - pred.ci) * calcs.arr, 0)} – ${$((pred.y + pred.ci) * calcs.arr, 0)}`} />
+          </div>
+        </div>
+      )}
+
+      {fit && (
+        <div style={{ marginTop:14 }}>
+          <F.head text="Cross-check vs Waterfall" source={`Private / public ×${DATA.PRIVATE_DISCOUNT} (${cite("PRIVATE_DISCOUNT")})`} />
+          <F.row label="Waterfall base multiple" value={mult(calcs.baseMult)} sub="Hand-built build-up, private M&A anchor" />
+          <F.row label="Regression, private-equivalent" value={mult(privateEq)}
+            sub={`${mult(pred.y)} public × ${DATA.PRIVATE_DISCOUNT}; band ${mult(floor0(pred.y - pred.ci) * DATA.PRIVATE_DISCOUNT)} – ${mult((pred.y + pred.ci) * DATA.PRIVATE_DISCOUNT)}`}
+            vc={Math.abs(calcs.baseMult - privateEq) <= pred.ci * DATA.PRIVATE_DISCOUNT ? C.green : C.amber} />
+          <F.row label="Waterfall vs regression" value={`${calcs.baseMult >= privateEq ? "+" : ""}${pct((calcs.baseMult / privateEq - 1) * 100)}`}
+            sub={Math.abs(calcs.baseMult - privateEq) <= pred.ci * DATA.PRIVATE_DISCOUNT ? "Inside the 95% band" : "Outside the 95% band — revisit the build-up steps"} />
+          {keys.filter(k => REG_FACTORS[k].per10).map(k => (
+            <F.row key={k} label={`Peer slope — ${REG_FACTORS[k].label}`} value={`${fit.beta[keys.indexOf(k) + 1] >= 0 ? "+" : ""}${(fit.beta[keys.indexOf(k) + 1] * 10).toFixed(2)}x per 10 ${REG_FACTORS[k].unit}`}
+              sub={`Waterfall uses +${DATA[REG_FACTORS[k].per10]}x (${cite(REG_FACTORS[k].per10)})${single ? "" : "; multi-factor slopes hold the other factors fixed"}`} />
+          ))}
+        </div>
+      )}
+      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8 }}>
+        Peer Rule of 40 falls back to growth + EBITDA margin when blank. Small peer sets give wide bands; read the R² before leaning on the fit.
+      </div>
+    </div>
+  );
+}
+
+// ─── BENCHMARK PACK MANAGER ───────────────────────────────────────────────────
+// Switch, load, export and delete benchmark packs, and diff the active pack
+// against another one: every changed value plus the effect on the valuation
+// at the current inputs.
+function BenchmarkPacks({ packs, model, onSelect, onLoad, onDelete }) {
+  const [error, setError] = useState(null);
+  const [otherId, setOtherId] = useState(null);
+  const th = { padding:"6px 8px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700 };
+  const active = PACK;
+  const others = packs.filter(p => p.id !== active.id);
+  const other = others.find(p => p.id === otherId) || others[0];
+  const readFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try { onLoad(normalizePack(JSON.parse(text))); setError(null); }
+      catch (e) { setError(`${file.name}: ${e.message}`); }
+    });
+  };
+  const exportPack = () => {
+    const { id, name, vintage, values, reference } = active;
+    downloadBlob(new Blob([JSON.stringify({ id, name, vintage, values, reference }, null, 2)], { type:"application/json" }),
+      `benchmarks-${vintage || "pack"}.json`);
+  };
+
+  const changes = other ? Object.keys(PACK_FIELDS).filter(k =>
+    JSON.stringify(active.values[k].value) !== JSON.stringify(other.values[k].value) || active.values[k].source !== other.values[k].source) : [];
+  // Inputs are rebuilt under each pack so pack-defaulted inputs follow it
+  const cur = computeValuation(buildInputs(model));
+  const alt = other && withPack(other, () => computeValuation(buildInputs(model)));
+  const impact = alt && [
+    { lbl:"Base EV/ARR", a:mult(cur.baseMult, 2), b:mult(alt.baseMult, 2), d:alt.baseMult - cur.baseMult, f:v => `${v >= 0 ? "+" : ""}${v.toFixed(2)}x` },
+    { lbl:"Bear EV",     a:$(cur.bearEV), b:$(alt.bearEV), d:alt.bearEV - cur.bearEV, f:v => `${v >= 0 ? "+" : "-"}${$(Math.abs(v))}` },
+    { lbl:"Base EV",     a:$(cur.baseEV), b:$(alt.baseEV), d:alt.baseEV - cur.baseEV, f:v => `${v >= 0 ? "+" : "-"}${$(Math.abs(v))}` },
+    { lbl:"Bull EV",     a:$(cur.bullEV), b:$(alt.bullEV), d:alt.bullEV - cur.bullEV, f:v => `${v >= 0 ? "+" : "-"}${$(Math.abs(v))}` },
+    { lbl:"DCF EV",      a:$(cur.dcfEV), b:$(alt.dcfEV), d:alt.dcfEV - cur.dcfEV, f:v => `${v >= 0 ? "+" : "-"}${$(Math.abs(v))}` },
+  ];
+
+  return (
+    <div>
+      <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap", marginBottom:8 }}>
+        {packs.map(p => (
+          <Chip key={p.id} label={`${p.name} · ${p.vintage}`} active={p.id === active.id} onClick={() => onSelect(p.id)} />
+        ))}
+        <div style={{ marginLeft:"auto", display:"flex", gap:5, alignItems:"center" }}>
+          <label style={{ cursor:"pointer" }}>
+            <input type="file" accept=".json,application/json" style={{ display:"none" }}
+              onChange={e => { readFile(e.target.files[0]); e.target.value = ""; }} />
+            <span style={{ fontSize:10.5, fontFamily:SANS, padding:"4px 10px", borderRadius:3, border:`1px solid ${C.border}`,
+              background:C.surface, color:C.muted, display:"inline-block" }}>Load pack JSON</span>
+          </label>
+          <Chip label="Export active pack" onClick={exportPack} />
+          {active.id !== BUILTIN_PACK.id && <Chip label="Delete" accent={C.red} onClick={() => onDelete(active.id)} />}
+        </div>
+      </div>
+      {error && <div style={{ marginBottom:8, fontSize:11, color:C.red, fontFamily:SANS }}>⚠ {error}</div>}
+      {active.inherited?.length > 0 && (
+        <div style={{ marginBottom:8, fontSize:10.5, color:C.amber, fontFamily:SANS }}>
+          Not in this pack, taken from the built-in pack: {active.inherited.map(k => PACK_FIELDS[k]?.label ?? k).join(", ")}
+        </div>
+      )}
+
+      {!other ? (
+        <div style={{ fontSize:11, color:C.ghost, fontFamily:SANS, lineHeight:1.6 }}>
+          Load another pack to compare. Export the active pack for a template: every value carries its source and as-of date,
+          and values left out of a loaded pack fall back to the built-in pack.
+        </div>
+      ) : (
+        <div style={{ display:"grid", gridTemplateColumns:"3fr 2fr", gap:"0 24px", marginTop:6 }}>
+          <div>
+            <div style={{ display:"flex", alignItems:"center", gap:5, marginBottom:8, fontSize:10.5, color:C.muted, fontFamily:SANS }}>
+              Compare with
+              {others.map(p => <Chip key={p.id} label={`${p.name} · ${p.vintage}`} active={p.id === other.id} onClick={() => setOtherId(p.id)} />)}
+            </div>
+            {changes.length === 0 ? (
+              <div style={{ fontSize:11, color:C.ghost, fontFamily:SANS }}>No differences in model values or sources.</div>
+            ) : (
+              <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
+                <thead>
+                  <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                    <th style={{ ...th, textAlign:"left" }}>Benchmark</th>
+                    <th style={{ ...th, textAlign:"right" }}>{active.vintage || active.name}</th>
+                    <th style={{ ...th, textAlign:"right" }}>{other.vintage || other.name}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changes.map((k, ri) => {
+                    const a = active.values[k], b = other.values[k];
+                    return (
+                      <tr key={k} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                        <td style={{ padding:"6px 8px", fontFamily:SANS }}>
+                          {PACK_FIELDS[k].label}
+                          {a.source !== b.source && <div style={{ fontSize:9.5, color:C.ghost }}>{b.source} → {a.source}</div>}
+                        </td>
+                        <td style={{ padding:"6px 8px", textAlign:"right", fontFamily:MONO, color:C.steel }}>{PACK_FIELDS[k].fmt(a.value)}</td>
+                        <td style={{ padding:"6px 8px", textAlign:"right", fontFamily:MONO, color:C.muted }}>{PACK_FIELDS[k].fmt(b.value)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+          <div>
+            <div style={{ fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:6 }}>
+              Valuation at current inputs — {other.vintage || other.name} vs {active.vintage || active.name}
+            </div>
+            {impact.map(r => (
+              <F.row key={r.lbl} label={r.lbl} value={`${r.b} → ${r.a}`} sub={`Change on switching to the active pack: ${r.f(-r.d)}`}
+                vc={Math.abs(r.d) < 1e-9 ? C.muted : -r.d > 0 ? C.green : C.red} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── DILIGENCE SCORECARD ──────────────────────────────────────────────────────
+const DILIGENCE_ITEMS = [
+  { id:"arr_def",    cat:"Revenue",    label:"ARR definition consistent with GAAP / ASC 606",       weight:8 },
+  { id:"cohort",     cat:"Revenue",    label:"Cohort-level GRR/NRR data available for 3+ vintages", weight:9 },
+  { id:"arr_bridge", cat:"Revenue",    label:"Clean ARR bridge: new logo + expansion − churn",      weight:8 },
+  { id:"concen",     cat:"Risk",       label:"No single customer >10% of ARR",                      weight:9 },
+  { id:"pipeline",   cat:"Growth",     label:"Pipeline coverage ≥3x quota; provenance audited",     weight:7 },
+  { id:"nrr_seg",    cat:"Revenue",    label:"NRR segmented by customer cohort / ICP",              weight:8 },
+  { id:"payback",    cat:"Efficiency", label:"CAC payback <18mo on blended basis",                  weight:7 },
+  { id:"gm_adj",     cat:"Financials", label:"Gross margin normalized (excl. one-time credits)",    weight:8 },
+  { id:"rule40",     cat:"Financials", label:"Rule of 40 ≥ 40 (or credible path within 18mo)",     weight:7 },
+  { id:"magic",      cat:"Efficiency", label:"Magic Number ≥ 0.7",                                  weight:6 },
+  { id:"burn_mul",   cat:"Efficiency", label:"Burn Multiple ≤ 2.0x",                                weight:7 },
+  { id:"grr_cov",    cat:"Revenue",    label:"GRR ≥ 85% (lender covenant floor)",                   weight:9 },
+  { id:"rev_quality",cat:"Revenue",    label:"Recurring revenue ≥ 80% of total",                    weight:7 },
+  { id:"sbc",        cat:"Financials", label:"SBC and D&A disclosed; normalized EBITDA reconciled", weight:6 },
+  { id:"qoe",        cat:"Financials", label:"QoE analysis confirms EBITDA adjustments",            weight:8 },
+  { id:"ip",         cat:"Legal",      label:"IP ownership clear; no open source contamination",    weight:7 },
+  { id:"key_man",    cat:"Risk",       label:"Key-man dependency mitigated (succession plan)",      weight:6 },
+  { id:"security",   cat:"Risk",       label:"SOC 2 Type II / ISO 27001 certified",                 weight:6 },
+  { id:"wc",         cat:"Financials", label:"Working capital normalized; deferred revenue clear",  weight:6 },
+  { id:"ai_risk",    cat:"Risk",       label:"AI substitution risk assessed; moat documented",      weight:7 },
+];
+
+const DEFAULT_CHECKS = Object.fromEntries(DILIGENCE_ITEMS.map(it => [it.id, false]));
+
+// Weighted DD score: share of checklist weight earned
+function diligenceScore(checks) {
+  const totalWeight = DILIGENCE_ITEMS.reduce((s, it) => s + it.weight, 0);
+  const earnedWeight = DILIGENCE_ITEMS.filter(it => checks[it.id]).reduce((s, it) => s + it.weight, 0);
+  return { totalWeight, earnedWeight, ddScore: (earnedWeight / totalWeight) * 100 };
+}
+
+// With customer data loaded, the concentration item shows the computed result
+// beside the checkbox; ticking it stays the reviewer's call
+function DiligenceCard({ calcs, inputs, checks, onChange }) {
+  const conc = calcs.concentration;
+  const computed = (id) => id === "concen" && conc != null;
+  const toggle = (id) => onChange({ ...checks, [id]: !checks[id] });
+  const { totalWeight, earnedWeight, ddScore } = diligenceScore(checks);
+  const cats = [...new Set(DILIGENCE_ITEMS.map(it => it.cat))];
+  return (
+    <div>
+      <F.head text="Diligence Scorecard (20-Item PE Standard)" source="Weighted by deal-closing criticality" />
+      <div style={{ display:"flex", gap:12, marginBottom:20 }}>
+        <div style={{ flex:1, background: ddScore >= 70 ? C.greenLt : ddScore >= 45 ? C.amberLt : C.redLt,
+          border:`1px solid ${ddScore >= 70 ? C.green : ddScore >= 45 ? C.amber : C.red}44`,
+          borderRadius:4, padding:"14px 18px", textAlign:"center" }}>
+          <div style={{ fontSize:10, color:C.muted, textTransform:"uppercase", letterSpacing:1, fontFamily:SANS, marginBottom:4 }}>DD Score</div>
+          <div style={{ fontSize:36, fontWeight:800, fontFamily:MONO, color: ddScore >= 70 ? C.green : ddScore >= 45 ? C.amber : C.red }}>{ddScore.toFixed(0)}</div>
+          <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS }}>{earnedWeight}/{totalWeight} weighted pts</div>
+        </div>
+        {cats.map(cat => {
+          const catItems = DILIGENCE_ITEMS.filter(it => it.cat === cat);
+          const catEarned = catItems.filter(it => checks[it.id]).reduce((s, it) => s + it.weight, 0);
+          const catTotal  = catItems.reduce((s, it) => s + it.weight, 0);
+          const r = catEarned / catTotal;
+          return (
+            <div key={cat} style={{ flex:1, background:C.panel, border:`1px solid ${C.border}`, borderRadius:4, padding:"12px 14px" }}>
+              <div style={{ fontSize:10, color:C.muted, textTransform:"uppercase", letterSpacing:1, fontFamily:SANS, marginBottom:6 }}>{cat}</div>
+              <div style={{ height:4, background:C.dim, borderRadius:2, marginBottom:5 }}>
+                <div style={{ height:"100%", width:`${r*100}%`, background: r>=0.7 ? C.green : r>=0.4 ? C.amber : C.red, borderRadius:2 }} />
+              </div>
+              <div style={{ fontSize:12, fontWeight:700, fontFamily:MONO, color: r>=0.7 ? C.green : r>=0.4 ? C.amber : C.red }}>{(r*100).toFixed(0)}%</div>
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:"0 20px" }}>
+        {DILIGENCE_ITEMS.map(it => (
+          <div key={it.id} onClick={() => toggle(it.id)}
+            style={{ display:"flex", alignItems:"center", gap:10, padding:"7px 0",
+              borderBottom:`1px solid ${C.dim}`, cursor:"pointer",
+              opacity: checks[it.id] ? 1 : 0.65 }}>
+            <div style={{ width:16, height:16, borderRadius:3, flexShrink:0,
+              background: checks[it.id] ? C.green : C.surface,
+              border:`1.5px solid ${checks[it.id] ? C.green : C.border}`,
+              display:"flex", alignItems:"center", justifyContent:"center" }}>
+              {checks[it.id] && <div style={{ width:8, height:8, borderRadius:1, background:"#fff" }} />}
+            </div>
+            <div style={{ flex:1 }}>
+              <span style={{ fontSize:11.5, color: checks[it.id] ? C.ink : C.muted, fontFamily:SANS }}>{it.label}</span>
+              <span style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginLeft:6 }}>({it.cat} · {it.weight}pts)</span>
+              {computed(it.id) && (
+                <div style={{ fontSize:10, color: conc.top1 < DATA.MAJOR_CUSTOMER_PCT ? C.green : C.red, fontFamily:SANS }}>
+                  From customer data: top customer {pct(conc.top1)} of ARR ({conc.top1 < DATA.MAJOR_CUSTOMER_PCT ? "passes" : "fails"})
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Customer list CSV (customer, ARR) → [{ name, arr }] sorted by ARR, duplicate
+// names summed. An MRR column is annualised. Without a recognisable header the
+// first two columns are read as customer, ARR.
+function parseCustomerList(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error("File is empty.");
+  const head = rows[0].map(h => h.trim().toLowerCase());
+  const find = (re) => head.findIndex(h => re.test(h));
+  let iName = find(/cust|name|account|client|logo|company/);
+  let iAmt = find(/^arr\b|annual|amount|revenue|value/);
+  const iMrr = find(/mrr|monthly/);
+  const amtIsMrr = iAmt < 0 && iMrr >= 0;
+  if (amtIsMrr) iAmt = iMrr;
+  const hasHeader = iName >= 0 && iAmt >= 0;
+  if (!hasHeader) {
+    if (isNaN(parseAmount(rows[0][1] ?? ""))) throw new Error("Could not find customer and ARR columns. Expected a header such as: customer, arr");
+    [iName, iAmt] = [0, 1];
+  }
+  const byName = {};
+  for (const r of rows.slice(hasHeader ? 1 : 0)) {
+    const name = (r[iName] ?? "").trim();
+    const amt = parseAmount(r[iAmt] ?? "");
+    if (!name || isNaN(amt)) continue;
+    byName[name] = (byName[name] || 0) + (amtIsMrr ? amt * 12 : amt);
+  }
+  const list = Object.entries(byName).map(([name, arr]) => ({ name, arr })).filter(c => c.arr > 0);
+  if (list.length === 0) throw new Error("No rows with a customer name and a positive ARR amount.");
+  return list.sort((a, b) => b.arr - a.arr);
+}
+
+// Top-customer ARR: typed rows, an imported customer list, or the MRR ledger's
+// customers at the TTM end month. Drives the concentration waterfall step.
+const CONC_ROWS_SHOWN = 25;
+function CustomerConcentration({ customers, calcs, ledger, onChange }) {
+  const [error, setError] = useState(null);
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:56, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const th = { padding:"6px 8px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700 };
+  const conc = calcs.concentration;
+  const readFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try { onChange(parseCustomerList(text)); setError(null); }
+      catch (e) { setError(`${file.name}: ${e.message}`); }
+    });
+  };
+  const fromLedger = () => {
+    const end = analyzeMrrLedger(ledger.data, ledger.endMonth).end;
+    onChange(Object.entries(ledger.data.customers)
+      .map(([name, c]) => ({ name, arr: Math.max(0, c[end] || 0) * 12 }))
+      .filter(c => c.arr > 0).sort((a, b) => b.arr - a.arr));
+  };
+  const setRow = (i, patch) => onChange(customers.map((c, j) => j === i ? { ...c, ...patch } : c));
+  const share = (v) => conc && conc.total > 0 ? v / conc.total * 100 : 0;
+
+  return (
+    <div>
+      <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap", marginBottom:10 }}>
+        <label style={{ cursor:"pointer" }}>
+          <input type="file" accept=".csv,text/csv" style={{ display:"none" }}
+            onChange={e => { readFile(e.target.files[0]); e.target.value = ""; }} />
+          <span style={{ fontSize:10.5, fontFamily:SANS, padding:"4px 10px", borderRadius:3, border:`1px solid ${C.border}`,
+            background:C.surface, color:C.muted, display:"inline-block" }}>Import customer CSV</span>
+        </label>
+        {ledger && <Chip label={`Use MRR ledger (${monthLabel(analyzeMrrLedger(ledger.data, ledger.endMonth).end)})`} onClick={fromLedger} />}
+        <Chip label="+ Customer" onClick={() => onChange([...customers, { name:`Customer ${customers.length + 1}`, arr: 0 }])} />
+        {customers.length > 0 && (
+          <div style={{ marginLeft:"auto" }}><Chip label="Clear" accent={C.red} onClick={() => onChange([])} /></div>
+        )}
+      </div>
+      {error && <div style={{ marginBottom:8, fontSize:11, color:C.red, fontFamily:SANS }}>⚠ {error}</div>}
+
+      {customers.length === 0 ? (
+        <div style={{ fontSize:11, color:C.ghost, fontFamily:SANS, lineHeight:1.6 }}>
+          No customer data. Add the largest accounts, import a <span style={{ fontFamily:MONO }}>customer, arr</span> CSV,
+          or take the customer list from an imported MRR ledger. Until then the valuation carries no concentration adjustment.
+        </div>
+      ) : (
+        <div style={{ display:"grid", gridTemplateColumns:"3fr 2fr", gap:"0 24px" }}>
+          <div>
+            <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
+              <thead>
+                <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                  <th style={{ ...th, textAlign:"left" }}>Customer</th>
+                  <th style={{ ...th, textAlign:"right" }}>ARR ($K)</th>
+                  <th style={{ ...th, textAlign:"right" }}>Share</th>
+                  <th style={th} />
+                </tr>
+              </thead>
+              <tbody>
+                {customers.slice(0, CONC_ROWS_SHOWN).map((c, ri) => (
+                  <tr key={ri} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                    <td style={{ padding:"5px 8px" }}>
+                      <input value={c.name} onChange={e => setRow(ri, { name: e.target.value })}
+                        style={{ ...inp, width:"100%", textAlign:"left", fontFamily:SANS }} />
+                    </td>
+                    <td style={{ padding:"5px 8px", textAlign:"right" }}>
+                      <input type="number" step={10} value={+(c.arr / 1e3).toFixed(1)}
+                        onChange={e => { const n = parseFloat(e.target.value); setRow(ri, { arr: isNaN(n) ? 0 : Math.max(0, n) * 1e3 }); }}
+                        style={{ ...inp, width:72 }} />
+                    </td>
+                    <td style={{ padding:"5px 8px", textAlign:"right", fontFamily:MONO,
+                      color: share(c.arr) >= DATA.MAJOR_CUSTOMER_PCT ? C.red : C.muted }}>{pct(share(c.arr))}</td>
+                    <td style={{ padding:"5px 4px", textAlign:"center" }}>
+                      <span onClick={() => onChange(customers.filter((_, j) => j !== ri))}
+                        style={{ cursor:"pointer", color:C.ghost, fontSize:12 }}>×</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {customers.length > CONC_ROWS_SHOWN && (
+              <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:6 }}>
+                + {customers.length - CONC_ROWS_SHOWN} more customers ({$(customers.slice(CONC_ROWS_SHOWN).reduce((s, c) => s + c.arr, 0))} ARR) included in the metrics
+              </div>
+            )}
+          </div>
+          <div>
+            <F.row label="Top customer" value={pct(conc.top1)} vc={conc.top1 >= DATA.MAJOR_CUSTOMER_PCT ? C.red : C.green}
+              sub={`${cite("MAJOR_CUSTOMER_PCT")} major customer ≥${DATA.MAJOR_CUSTOMER_PCT}%; ${cite("LENDER_CUSTOMER_CAP_PCT")} lender cap ${DATA.LENDER_CUSTOMER_CAP_PCT}%`} />
+            <F.row label="Top 5 customers" value={pct(conc.top5)} />
+            <F.row label="Top 10 customers" value={pct(conc.top10)} vc={conc.top10 >= 50 ? C.red : conc.top10 >= 35 ? C.amber : C.ink} />
+            <F.row label="Herfindahl index" value={conc.hhi.toFixed(0)} vc={conc.hhi > DATA.HHI_HIGH ? C.red : C.ink}
+              sub={`${cite("HHI_HIGH")}: >${DATA.HHI_HIGH.toLocaleString()} highly concentrated`} />
+            <F.row label={`Customers ≥${DATA.MAJOR_CUSTOMER_PCT}% of ARR`} value={String(conc.majors)} />
+            <F.row label="Listed ARR / total ARR" value={`${$(conc.listed)} / ${$(conc.total)}`}
+              sub={conc.listed < conc.total ? "Unlisted ARR treated as fully dispersed" : "List covers the whole base"} />
+            <F.row label="Multiple haircut" value={conc.haircut > 0 ? `−${pct(conc.haircut * 100, 0)}` : "None"} bold
+              vc={conc.haircut > 0 ? C.red : C.green} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── SCENARIO LIBRARY ─────────────────────────────────────────────────────────
+// Named snapshots of the full input set + diligence checks + comps rows,
+// persisted to localStorage so targets can be reworked without re-keying.
+const SCENARIO_STORE_KEY = "svm.scenarios.v1";
+
+function loadScenarios() {
+  try {
+    const raw = window.localStorage.getItem(SCENARIO_STORE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveScenarios(list) {
+  try {
+    window.localStorage.setItem(SCENARIO_STORE_KEY, JSON.stringify(list));
+  } catch {
+    // Storage full or disabled (private browsing) — library stays in memory only
+  }
+}
+
+const newScenarioId = () => `sc_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+function ScenarioLibrary({ scenarios, activeId, defaultName, onSave, onUpdate, onLoad, onDuplicate, onRename, onDelete }) {
+  const [name, setName] = useState("");
+  const [editId, setEditId] = useState(null);
+  const [editName, setEditName] = useState("");
+  const inputStyle = { flex:1, minWidth:0, background:C.panel, border:`1px solid ${C.border}`, borderRadius:3,
+    padding:"4px 7px", fontSize:11, fontFamily:SANS, color:C.ink, outline:"none" };
+  const commitRename = () => {
+    if (editName.trim()) onRename(editId, editName.trim());
+    setEditId(null);
+  };
+  return (
+    <div>
+      <div style={{ display:"flex", gap:5, marginBottom:8 }}>
+        <input value={name} onChange={e => setName(e.target.value)} placeholder={defaultName}
+          onKeyDown={e => { if (e.key === "Enter") { onSave(name.trim() || defaultName); setName(""); } }}
+          style={inputStyle} />
+        <Chip label="Save" onClick={() => { onSave(name.trim() || defaultName); setName(""); }} />
+        {activeId && <Chip label="Update" onClick={() => onUpdate(activeId)} accent={C.green} />}
+      </div>
+      {scenarios.length === 0 && (
+        <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, fontStyle:"italic" }}>No saved scenarios. Inputs, diligence checks and comps are saved together.</div>
+      )}
+      {scenarios.map(sc => (
+        <div key={sc.id} style={{ padding:"6px 0", borderBottom:`1px solid ${C.dim}` }}>
+          {editId === sc.id ? (
+            <div style={{ display:"flex", gap:5 }}>
+              <input autoFocus value={editName} onChange={e => setEditName(e.target.value)}
+                onKeyDown={e => { if (e.key === "Enter") commitRename(); if (e.key === "Escape") setEditId(null); }}
+                style={inputStyle} />
+              <Chip label="OK" onClick={commitRename} />
+            </div>
+          ) : (
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"baseline" }}>
+              <span style={{ fontSize:11.5, fontFamily:SANS, color: sc.id === activeId ? C.steel : C.ink,
+                fontWeight: sc.id === activeId ? 700 : 500, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>{sc.name}</span>
+              <span style={{ fontSize:9.5, color:C.ghost, fontFamily:MONO, flexShrink:0, marginLeft:6 }}>
+                {new Date(sc.savedAt).toLocaleDateString("en-US", { month:"short", day:"numeric" })}
+              </span>
+            </div>
+          )}
+          <div style={{ display:"flex", gap:4, marginTop:4 }}>
+            <Chip label="Load" active={sc.id === activeId} onClick={() => onLoad(sc.id)} />
+            <Chip label="Duplicate" onClick={() => onDuplicate(sc.id)} />
+            <Chip label="Rename" onClick={() => { setEditId(sc.id); setEditName(sc.name); }} />
+            <Chip label="Delete" accent={C.red} onClick={() => { if (window.confirm(`Delete scenario "${sc.name}"?`)) onDelete(sc.id); }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── MRR LEDGER IMPORT ────────────────────────────────────────────────────────
+// Customer-level MRR file (customer, month, MRR) from the data room → trailing
+// twelve-month ARR bridge, retention and ARPA, written back into the inputs.
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+// "$1,250.00" / "(300)" / "1250" → number, or NaN
+function parseAmount(s) {
+  const t = String(s).trim().replace(/[$,\s]/g, "");
+  const neg = /^\(.*\)$/.test(t);
+  const n = parseFloat(t.replace(/[()]/g, ""));
+  return neg ? -n : n;
+}
+
+const MONTH_NAMES = ["jan","feb","mar","apr","may","jun","jul","aug","sep","oct","nov","dec"];
+// D/M/YYYY or M/D/YYYY; which field is the month is settled per file by dateOrder
+const NUMERIC_DATE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+
+// 2024-03, 2024-03-31, 3/31/2024, 03/2024, Mar 2024, Mar-24 → "2024-03" (null if
+// unrecognised). order = "dmy" reads 31/3/2024 as day-first (see dateOrder).
+function parseMonth(s, order = "mdy") {
+  const t = String(s).trim();
+  let m, y, mo;
+  if ((m = t.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.]\d{1,2})?(?:[T ].*)?$/))) { y = +m[1]; mo = +m[2]; }
+  else if ((m = NUMERIC_DATE.exec(t))) { y = +m[3]; mo = order === "dmy" ? +m[2] : +m[1]; }
+  else if ((m = t.match(/^(\d{1,2})[-/.](\d{4})$/))) { y = +m[2]; mo = +m[1]; }
+  else if ((m = t.match(/^([a-z]{3})[a-z]*[\s\-'.]*(\d{2}|\d{4})$/i))) {
+    mo = MONTH_NAMES.indexOf(m[1].toLowerCase()) + 1;
+    y = m[2].length === 2 ? 2000 + +m[2] : +m[2];
+  } else return null;
+  if (!(mo >= 1 && mo <= 12)) return null;
+  return `${y}-${String(mo).padStart(2, "0")}`;
+}
+
+// Day/month order of a column of D/M/YYYY or M/D/YYYY dates: "dmy" when a
+// first field exceeds 12, "mdy" when a second does. Otherwise a field that
+// stays fixed while the other varies is the day (month-start or month-end
+// ledgers). Throws when the order cannot be told and some date would read
+// differently either way, rather than guess.
+function dateOrder(values) {
+  const dates = values.map(v => NUMERIC_DATE.exec(String(v ?? "").trim())).filter(Boolean);
+  const pairs = dates.map(m => [+m[1], +m[2]]);
+  const dayFirst = pairs.some(([a]) => a > 12), monthFirst = pairs.some(([, b]) => b > 12);
+  if (dayFirst && monthFirst) throw new Error("Dates mix day-first and month-first formats. Use YYYY-MM-DD dates.");
+  if (dayFirst || monthFirst) return dayFirst ? "dmy" : "mdy";
+  const firsts = new Set(pairs.map(p => p[0])), seconds = new Set(pairs.map(p => p[1]));
+  if (seconds.size === 1 && firsts.size >= 3) return "mdy";
+  if (firsts.size === 1 && seconds.size >= 3) return "dmy";
+  const amb = dates.find(m => +m[1] !== +m[2]);
+  if (amb) throw new Error(`Dates such as "${amb[0]}" could be day-first or month-first. Use YYYY-MM-DD dates or month names.`);
+  return "mdy";
+}
+
+const monthIndex = (ym) => { const [y, m] = ym.split("-").map(Number); return y * 12 + m - 1; };
+const monthLabel = (ym) => { const [y, m] = ym.split("-").map(Number); return `${MONTH_NAMES[m - 1][0].toUpperCase()}${MONTH_NAMES[m - 1].slice(1)} ${y}`; };
+
+// CSV text → { customers: { id: { "YYYY-MM": mrr } }, months: [...contiguous], rowCount, skipped }.
+// Columns are found by header name; without a recognisable header the first
+// three columns are read as customer, month, MRR. An "ARR" amount column is
+// converted to MRR. Throws with a user-facing message on unusable files.
+function parseMrrLedger(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error("File is empty.");
+  const head = rows[0].map(h => h.trim().toLowerCase());
+  const find = (re) => head.findIndex(h => re.test(h));
+  let iCust = find(/cust|account|client|logo|company/);
+  let iMonth = find(/month|date|period/);
+  let iAmt = find(/mrr|amount|revenue|value/);
+  const iArr = find(/^arr\b|annual/);
+  const amtIsArr = iAmt < 0 && iArr >= 0;
+  if (amtIsArr) iAmt = iArr;
+  if (iCust < 0) iCust = find(/\bid\b/);
+  const hasHeader = iCust >= 0 && iMonth >= 0 && iAmt >= 0;
+  if (!hasHeader) {
+    const first = rows[0][1] ?? "";
+    if ((parseMonth(first) ?? parseMonth(first, "dmy")) == null || isNaN(parseAmount(rows[0][2] ?? ""))) {
+      throw new Error("Could not find customer, month and MRR columns. Expected a header such as: customer_id, month, mrr");
+    }
+    [iCust, iMonth, iAmt] = [0, 1, 2];
+  }
+
+  const body = rows.slice(hasHeader ? 1 : 0);
+  const order = dateOrder(body.map(r => r[iMonth]));
+  const customers = {};
+  let skipped = 0, rowCount = 0, lo = Infinity, hi = -Infinity;
+  for (const r of body) {
+    const id = (r[iCust] ?? "").trim();
+    const ym = parseMonth(r[iMonth] ?? "", order);
+    const amt = parseAmount(r[iAmt] ?? "");
+    if (!id || !ym || isNaN(amt)) { skipped++; continue; }
+    const mrr = amtIsArr ? amt / 12 : amt;
+    const c = customers[id] || (customers[id] = {});
+    c[ym] = (c[ym] || 0) + mrr; // duplicate rows (multiple subscriptions) are summed
+    const k = monthIndex(ym);
+    lo = Math.min(lo, k); hi = Math.max(hi, k);
+    rowCount++;
+  }
+  if (rowCount === 0) throw new Error("No rows with a valid customer, month and MRR amount.");
+  const months = [];
+  for (let k = lo; k <= hi; k++) months.push(`${Math.floor(k / 12)}-${String(k % 12 + 1).padStart(2, "0")}`);
+  if (months.length < 13) throw new Error(`Ledger spans ${months.length} month${months.length === 1 ? "" : "s"}; at least 13 are needed for a trailing-twelve-month bridge.`);
+  return { customers, months, rowCount, skipped };
+}
+
+// Trailing-twelve-month bridge ending at endMonth. Customers are classified on
+// MRR in the opening month vs the closing month: new (0 → >0, incl. reactivated),
+// churned (>0 → 0), expanded or contracted (>0 → >0). ARR = MRR × 12.
+function analyzeMrrLedger(ledger, endMonth) {
+  const end = endMonth && ledger.months.includes(endMonth) ? endMonth : ledger.months[ledger.months.length - 1];
+  const endIdx = ledger.months.indexOf(end);
+  const start = ledger.months[endIdx - 12];
+  let openingArr = 0, closingArr = 0, newLogoArr = 0, expansionArr = 0, contractionArr = 0, churnArr = 0;
+  let openLogos = 0, closeLogos = 0, newLogos = 0, churnedLogos = 0;
+  for (const c of Object.values(ledger.customers)) {
+    const o = Math.max(0, c[start] || 0) * 12;
+    const e = Math.max(0, c[end] || 0) * 12;
+    openingArr += o; closingArr += e;
+    if (o > 0) openLogos++;
+    if (e > 0) closeLogos++;
+    if (o === 0 && e > 0)      { newLogoArr += e; newLogos++; }
+    else if (o > 0 && e === 0) { churnArr += o; churnedLogos++; }
+    else if (e > o)            expansionArr += e - o;
+    else                       contractionArr += o - e;
+  }
+  const ofOpen = (v) => openingArr > 0 ? v / openingArr * 100 : 0;
+  return {
+    start, end, openingArr, closingArr, newLogoArr, expansionArr, contractionArr, churnArr,
+    openLogos, closeLogos, newLogos, churnedLogos,
+    nrr:        ofOpen(openingArr - churnArr - contractionArr + expansionArr),
+    grr:        ofOpen(openingArr - churnArr - contractionArr),
+    logoChurn:  openLogos > 0 ? churnedLogos / openLogos * 100 : 0,
+    arrGrowth:  ofOpen(closingArr) - 100,
+    newLogoGrowthPct: ofOpen(newLogoArr),
+    expansionPct:     ofOpen(expansionArr),
+    contractionPct:   ofOpen(contractionArr),
+    arpa:       closeLogos > 0 ? closingArr / closeLogos : 0,
+  };
+}
+
+// Ledger stats → model inputs, held inside the slider ranges
+const LEDGER_KEYS = ["arrM","arrGrowth","nrr","grr","logoChurn","newLogoGrowthPct","expansionPct","contractionPct","arpa"];
+function ledgerToModel(stats) {
+  const raw = { ...stats, arrM: stats.closingArr / 1e6 };
+  return Object.fromEntries(LEDGER_KEYS.map(k => {
+    const { min, max } = INPUT_SPECS[k];
+    const dp = k === "arpa" ? 0 : k === "arrM" ? 2 : 1;
+    return [k, +clamp(raw[k], min, max).toFixed(dp)];
+  }));
+}
+
+function LedgerImport({ ledger, onLoad, onEndMonth, onApply, onClear }) {
+  const [error, setError] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const readFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        onLoad({ fileName: file.name, data: parseMrrLedger(text) });
+        setError(null);
+      } catch (e) {
+        setError(`${file.name}: ${e.message}`);
+      }
+    });
+  };
+  const stats = ledger && analyzeMrrLedger(ledger.data, ledger.endMonth);
+  const derived = stats && ledgerToModel(stats);
+  const clipped = derived && LEDGER_KEYS.filter(k => Math.abs(derived[k] - (k === "arrM" ? stats.closingArr / 1e6 : stats[k])) > 0.5 * INPUT_SPECS[k].step);
+
+  return (
+    <div>
+      <label
+        onDragOver={e => { e.preventDefault(); setDragOver(true); }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={e => { e.preventDefault(); setDragOver(false); readFile(e.dataTransfer.files[0]); }}
+        style={{ display:"block", border:`1.5px dashed ${dragOver ? C.steel : C.border}`, borderRadius:4, padding:"14px 16px",
+          background: dragOver ? C.steelLt : C.panel, cursor:"pointer", textAlign:"center" }}>
+        <input type="file" accept=".csv,text/csv" style={{ display:"none" }}
+          onChange={e => { readFile(e.target.files[0]); e.target.value = ""; }} />
+        <div style={{ fontSize:11.5, color:C.ink, fontFamily:SANS, fontWeight:600 }}>
+          {ledger ? `${ledger.fileName} — drop another file to replace` : "Drop an MRR ledger CSV here, or click to browse"}
+        </div>
+        <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:3 }}>
+          One row per customer per month: <span style={{ fontFamily:MONO }}>customer_id, month, mrr</span> · 13+ months of history
+        </div>
+      </label>
+      {error && <div style={{ marginTop:8, fontSize:11, color:C.red, fontFamily:SANS }}>⚠ {error}</div>}
+
+      {stats && (
+        <div style={{ marginTop:12 }}>
+          <div style={{ display:"flex", alignItems:"center", gap:10, flexWrap:"wrap", marginBottom:10 }}>
+            <span style={{ fontSize:11, color:C.muted, fontFamily:SANS }}>
+              {Object.keys(ledger.data.customers).length.toLocaleString()} customers · {ledger.data.rowCount.toLocaleString()} rows
+              {ledger.data.skipped > 0 && <span style={{ color:C.amber }}> · {ledger.data.skipped} unreadable rows skipped</span>}
+            </span>
+            <span style={{ fontSize:11, color:C.muted, fontFamily:SANS, marginLeft:"auto" }}>TTM ending</span>
+            <select value={stats.end} onChange={e => onEndMonth(e.target.value)}
+              style={{ background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"3px 6px",
+                fontSize:11, fontFamily:MONO, color:C.ink }}>
+              {ledger.data.months.slice(12).map(m => <option key={m} value={m}>{monthLabel(m)}</option>)}
+            </select>
+            <Chip label="Apply to model" accent={C.green} onClick={() => onApply(derived)} />
+            <Chip label="Clear" accent={C.red} onClick={onClear} />
+          </div>
+          <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:"0 24px" }}>
+            <div>
+              <F.row label={`Opening ARR (${monthLabel(stats.start)})`} value={$(stats.openingArr)} />
+              <F.row label={`+ New logo (${stats.newLogos})`} value={`+${$(stats.newLogoArr)}`} vc={C.green} />
+              <F.row label="+ Expansion" value={`+${$(stats.expansionArr)}`} vc={C.green} />
+              <F.row label="− Contraction" value={`-${$(stats.contractionArr)}`} vc={C.amber} />
+              <F.row label={`− Churn (${stats.churnedLogos})`} value={`-${$(stats.churnArr)}`} vc={C.red} />
+              <F.row label={`Closing ARR (${monthLabel(stats.end)})`} value={$(stats.closingArr)} vc={C.blue} />
+            </div>
+            <div>
+              <F.row label="YoY ARR growth" value={pct(stats.arrGrowth)} />
+              <F.row label="Net revenue retention" value={pct(stats.nrr)} vc={stats.nrr >= 100 ? C.green : C.red} />
+              <F.row label="Gross revenue retention" value={pct(stats.grr)} vc={stats.grr >= DATA.GRR_COVENANT_FLOOR ? C.green : C.red} />
+              <F.row label={`Logo churn (${stats.churnedLogos}/${stats.openLogos})`} value={pct(stats.logoChurn)} />
+              <F.row label={`ARPA (${stats.closeLogos} active)`} value={$(stats.arpa)} />
+            </div>
+            <div>
+              <F.row label="New logo % of opening" value={pct(stats.newLogoGrowthPct)} />
+              <F.row label="Expansion % of opening" value={pct(stats.expansionPct)} />
+              <F.row label="Contraction % of opening" value={pct(stats.contractionPct)} />
+              {clipped.length > 0 && (
+                <div style={{ fontSize:10, color:C.amber, fontFamily:SANS, marginTop:6, lineHeight:1.5 }}>
+                  Outside slider range, clamped on apply: {clipped.map(k => INPUT_SPECS[k].label).join(", ")}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── COHORT ANALYSIS ──────────────────────────────────────────────────────────
+// Vintage triangle: one row per acquisition cohort with its ARR at the end of
+// the acquisition year (Y0) and at each anniversary after. `gross` (ARR kept
+// from the prior anniversary, excluding expansion) is only known when the
+// triangle is built from a customer-level ledger, so GRR is fitted only then.
+const EMPTY_COHORTS = { vintages: [], feed: false };
+
+// Observed ARR for a vintage: leading run of numbers (a blank ends the row)
+const observed = (arr) => {
+  const i = arr.findIndex(v => v == null || !(v >= 0));
+  return i < 0 ? arr : arr.slice(0, i);
+};
+
+// Annual vintages from the MRR ledger. Anniversaries are taken at the ledger's
+// last month and every 12 months before it; a customer's vintage is the
+// 12-month window holding its first month with MRR. Customers already billing
+// in the first ledger month have no known vintage and are left out.
+function ledgerToCohorts(ledger) {
+  const { customers, months } = ledger;
+  const endK = monthIndex(months[months.length - 1]);
+  const firstK = monthIndex(months[0]);
+  const ymOf = (k) => `${Math.floor(k / 12)}-${String(k % 12 + 1).padStart(2, "0")}`;
+  const nWin = Math.floor((endK - firstK + 1) / 12);
+  const buckets = Array.from({ length: nWin }, () => []);
+  let legacy = 0;
+  for (const c of Object.values(customers)) {
+    const ks = Object.keys(c).filter(ym => c[ym] > 0).map(monthIndex);
+    if (ks.length === 0) continue;
+    const k0 = Math.min(...ks);
+    if (k0 === firstK) { legacy++; continue; }
+    const j = Math.floor((endK - k0) / 12); // 0 = acquired in the latest 12 months
+    if (j < nWin) buckets[j].push(c);
+  }
+  const vintages = [];
+  for (let j = nWin - 1; j >= 0; j--) {
+    if (buckets[j].length === 0) continue;
+    const snaps = [];
+    for (let a = 0; a <= j; a++) snaps.push(ymOf(endK - 12 * (j - a)));
+    const arr = snaps.map(ym => buckets[j].reduce((s, c) => s + Math.max(0, c[ym] || 0) * 12, 0));
+    const gross = snaps.map((ym, a) => a === 0 ? arr[0]
+      : buckets[j].reduce((s, c) => s + Math.min(Math.max(0, c[ym] || 0), Math.max(0, c[snaps[a - 1]] || 0)) * 12, 0));
+    const end = snaps[0];
+    vintages.push({ label: end.endsWith("-12") ? end.slice(0, 4) : monthLabel(end), arr, gross, logos: buckets[j].length });
+  }
+  return { vintages, legacy };
+}
+
+// "vintage, Y0, Y1, …" rows (ARR in $). Header row optional.
+function parseCohortCsv(text) {
+  const rows = parseCsv(text);
+  const body = rows.length && isNaN(parseAmount(rows[0][1] ?? "")) ? rows.slice(1) : rows;
+  const vintages = body.map(r => ({
+    label: r[0].trim(),
+    arr: r.slice(1).map(f => f.trim() === "" ? null : parseAmount(f)).map(v => isNaN(v) ? null : v),
+  })).filter(v => v.label && observed(v.arr).length > 0);
+  if (vintages.length === 0) throw new Error("Expected rows of: vintage, Y0 ARR, Y1 ARR, …");
+  return vintages;
+}
+
+// Pooled age-to-age factors (chain ladder): Σ next / Σ current over every
+// vintage observed at both ages, weighted by the ARR at risk.
+function ageFactors(vintages, key) {
+  const out = [];
+  const maxAge = Math.max(0, ...vintages.map(v => observed(v.arr).length - 1));
+  for (let a = 0; a < maxAge; a++) {
+    let num = 0, den = 0;
+    for (const v of vintages) {
+      const obs = observed(v.arr);
+      if (obs.length > a + 1 && obs[a] > 0) { num += v[key][a + 1]; den += obs[a]; }
+    }
+    if (den > 0) out.push({ age: a, f: num / den, w: den });
+  }
+  return out;
+}
+
+// Retention decays toward a steady state: f(a) = s + (f0 − s)·d^a. For each d on
+// a grid, s and f0 are a weighted linear least-squares solve; keep the best.
+function fitDecay(pts) {
+  if (pts.length === 0) return null;
+  if (pts.length === 1) return { s: pts[0].f, f0: pts[0].f, d: 0, at: () => pts[0].f };
+  let best = null;
+  for (let d = 0; d < 0.995; d += 0.01) {
+    let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+    for (const p of pts) {
+      const g = Math.pow(d, p.age), x1 = 1 - g, x2 = g;
+      a11 += p.w * x1 * x1; a12 += p.w * x1 * x2; a22 += p.w * x2 * x2;
+      b1 += p.w * x1 * p.f; b2 += p.w * x2 * p.f;
+    }
+    const det = a11 * a22 - a12 * a12;
+    if (Math.abs(det) < 1e-12 * (a11 * a22 || 1)) continue;
+    const s = (b1 * a22 - b2 * a12) / det, f0 = (a11 * b2 - a12 * b1) / det;
+    const sse = pts.reduce((t, p) => { const g = Math.pow(d, p.age); return t + p.w * (s + (f0 - s) * g - p.f) ** 2; }, 0);
+    if (!best || sse < best.sse - 1e-12) best = { s, f0, d, sse };
+  }
+  const { s, f0, d } = best;
+  return { s, f0, d, at: (a) => s + (f0 - s) * Math.pow(d, a) };
+}
+
+// Fit + extrapolate. Immature vintages are rolled forward with the fitted
+// factors to fill the triangle; fitted NRR/GRR are the next-year factors of
+// each vintage at its current age, weighted by the vintage's current ARR.
+function fitCohorts(vintages) {
+  const vs = vintages.filter(v => observed(v.arr).length > 0 && v.arr[0] > 0);
+  const nrrPts = ageFactors(vs, "arr");
+  const nrrFit = fitDecay(nrrPts);
+  if (!nrrFit) return null;
+  const hasGross = vs.every(v => Array.isArray(v.gross));
+  const grrPts = hasGross ? ageFactors(vs, "gross") : [];
+  const grrFit = fitDecay(grrPts);
+  const cols = Math.max(...vs.map(v => observed(v.arr).length));
+  const rows = vs.map(v => {
+    const obs = observed(v.arr);
+    const arr = [...obs];
+    for (let a = obs.length; a < cols; a++) arr.push(arr[a - 1] * nrrFit.at(a - 1));
+    return { label: v.label, arr, gross: v.gross, nObs: obs.length, curve: arr.map(x => x / arr[0]) };
+  });
+  const book = (fit) => {
+    let num = 0, den = 0;
+    for (const r of rows) { const w = r.arr[r.nObs - 1]; num += w * fit.at(r.nObs - 1); den += w; }
+    return den > 0 ? num / den * 100 : null;
+  };
+  return {
+    rows, cols, nrrPts, grrPts, nrrFit, grrFit,
+    nrr: book(nrrFit),
+    grr: grrFit ? Math.min(100, book(grrFit)) : null,
+  };
+}
+
+// Retention ratio cell (1.00 = flat); projected cells are muted and italic
+function RetentionCell({ v, projected }) {
+  if (v == null) return <td style={{ border:`1px solid ${C.dim}` }} />;
+  const c  = v >= 1.1 ? C.green : v >= 1 ? C.steel : v >= 0.9 ? C.amber : C.red;
+  const bg = v >= 1.1 ? C.greenLt : v >= 1 ? C.steelLt : v >= 0.9 ? C.amberLt : C.redLt;
+  return (
+    <td style={{ padding:"5px 9px", textAlign:"center", fontFamily:MONO, fontSize:11.5, border:`1px solid ${C.dim}`,
+      background: projected ? C.panel : bg, color: projected ? C.ghost : c, fontStyle: projected ? "italic" : "normal" }}>
+      {pct(v * 100, 0)}
+    </td>
+  );
+}
+
+function RetentionHeatmap({ rows, cols, cell, startAge = 0 }) {
+  const th = { padding:"5px 9px", fontSize:10, color:C.muted, fontFamily:SANS, textAlign:"center" };
+  return (
+    <div style={{ overflowX:"auto" }}>
+      <table style={{ borderCollapse:"collapse", fontSize:11 }}>
+        <thead>
+          <tr>
+            <th style={{ ...th, textAlign:"left" }}>Vintage</th>
+            {Array.from({ length: cols - startAge }, (_, i) => <th key={i} style={th}>{startAge ? `Y${i}→${i + 1}` : `Y${i}`}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, ri) => (
+            <tr key={ri}>
+              <td style={{ ...th, textAlign:"left", fontWeight:700, color:C.ink, fontFamily:MONO }}>{r.label}</td>
+              {Array.from({ length: cols - startAge }, (_, i) => {
+                const { v, projected } = cell(r, i + startAge);
+                return <RetentionCell key={i} v={v} projected={projected} />;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Vintage curves: solid = observed, dashed = fitted extrapolation, grey = input-driven model
+function CohortCurveChart({ rows, cols, modeled }) {
+  const W = 560, H = 200, PL = 44, PR = 16, PT = 12, PB = 26;
+  const n = Math.max(cols, modeled.length);
+  const vals = [...rows.flatMap(r => r.curve), ...modeled];
+  const minV = Math.min(0.5, ...vals), maxV = Math.max(1.2, ...vals);
+  const xS = (a) => PL + (a / Math.max(1, n - 1)) * (W - PL - PR);
+  const yS = (v) => H - PB - ((v - minV) / (maxV - minV)) * (H - PT - PB);
+  const line = (pts) => `M${pts.map(([a, v]) => `${xS(a)},${yS(v)}`).join(" L")}`;
+  const palette = [C.steel, C.green, C.amber, C.blue, C.red, "#7A5AA6", "#2A7A46", "#A8612A"];
+  return (
+    <div>
+      <svg width="100%" viewBox={`0 0 ${W} ${H}`}>
+        {[0, 0.25, 0.5, 0.75, 1].map(t => {
+          const v = minV + t * (maxV - minV);
+          return (
+            <g key={t}>
+              <line x1={PL} y1={yS(v)} x2={W - PR} y2={yS(v)} stroke={C.dim} strokeWidth={1} />
+              <text x={PL - 5} y={yS(v) + 4} textAnchor="end" fontSize={9} fill={C.ghost} fontFamily={MONO}>{(v * 100).toFixed(0)}%</text>
+            </g>
+          );
+        })}
+        <line x1={PL} y1={yS(1)} x2={W - PR} y2={yS(1)} stroke={C.rule} strokeWidth={1} strokeDasharray="2 3" />
+        <path d={line(modeled.slice(0, n).map((v, a) => [a, v]))} fill="none" stroke={C.ghost} strokeWidth={1.5} strokeDasharray="5 4" />
+        {rows.map((r, i) => {
+          const col = palette[i % palette.length];
+          const obs = r.curve.slice(0, r.nObs).map((v, a) => [a, v]);
+          const proj = r.curve.slice(r.nObs - 1).map((v, a) => [a + r.nObs - 1, v]);
+          return (
+            <g key={i}>
+              {proj.length > 1 && <path d={line(proj)} fill="none" stroke={col} strokeWidth={1.5} strokeDasharray="4 3" opacity={0.7} />}
+              {obs.length > 1 && <path d={line(obs)} fill="none" stroke={col} strokeWidth={2} strokeLinecap="round" />}
+              {obs.map(([a, v]) => <circle key={a} cx={xS(a)} cy={yS(v)} r={3} fill={C.surface} stroke={col} strokeWidth={1.5} />)}
+            </g>
+          );
+        })}
+        {Array.from({ length: n }, (_, a) => (
+          <text key={a} x={xS(a)} y={H - PB + 14} textAnchor="middle" fontSize={9.5} fill={C.ghost} fontFamily={MONO}>Y{a}</text>
+        ))}
+      </svg>
+      <div style={{ display:"flex", flexWrap:"wrap", gap:"4px 14px", marginTop:4 }}>
+        {rows.map((r, i) => (
+          <span key={i} style={{ fontSize:10, fontFamily:MONO, color:palette[i % palette.length], fontWeight:700 }}>— {r.label}</span>
+        ))}
+        <span style={{ fontSize:10, fontFamily:MONO, color:C.ghost }}>- - modeled from inputs</span>
+        <span style={{ fontSize:10, fontFamily:SANS, color:C.ghost, fontStyle:"italic" }}>dashed colour = fitted extrapolation</span>
+      </div>
+    </div>
+  );
+}
+
+// Triangle entry grid (ARR in $K) + CSV import + build-from-ledger
+function CohortEditor({ cohorts, ledger, onChange }) {
+  const [error, setError] = useState(null);
+  const [note, setNote] = useState(null);
+  const { vintages } = cohorts;
+  const cols = Math.max(vintages.length, ...vintages.map(v => v.arr.length), 1);
+  const setVintages = (next) => onChange({ ...cohorts, vintages: next });
+  const updateCell = (vi, a, raw) => {
+    const arr = Array.from({ length: cols }, (_, i) => vintages[vi].arr[i] ?? null);
+    arr[a] = raw === "" ? null : (parseFloat(raw) || 0) * 1e3;
+    // Hand-edited rows lose their ledger-derived gross series
+    setVintages(vintages.map((v, i) => i === vi ? { label: v.label, arr } : v));
+  };
+  const addVintage = () => {
+    const last = vintages[vintages.length - 1]?.label;
+    const label = /^\d{4}$/.test(last) ? String(+last + 1) : `V${vintages.length + 1}`;
+    setVintages([...vintages, { label, arr: [null] }]);
+  };
+  const readFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try { setVintages(parseCohortCsv(text)); setError(null); setNote(null); }
+      catch (e) { setError(`${file.name}: ${e.message}`); }
+    });
+  };
+  const fromLedger = () => {
+    const { vintages: vs, legacy } = ledgerToCohorts(ledger.data);
+    if (vs.length === 0) { setError("Ledger has no complete acquisition vintages."); return; }
+    setVintages(vs);
+    setError(null);
+    setNote(`${vs.length} vintages built from ${ledger.fileName}${legacy ? ` · ${legacy} customers billing in the first ledger month left out (vintage unknown)` : ""}`);
+  };
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:64, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  return (
+    <div>
+      <div style={{ display:"flex", gap:6, alignItems:"center", flexWrap:"wrap", marginBottom:10 }}>
+        <Chip label="+ Vintage" onClick={addVintage} />
+        <label style={{ display:"inline-block" }}>
+          <input type="file" accept=".csv,text/csv" style={{ display:"none" }}
+            onChange={e => { readFile(e.target.files[0]); e.target.value = ""; }} />
+          <span style={{ display:"inline-block", padding:"4px 10px", fontSize:10.5, fontFamily:SANS, borderRadius:3,
+            cursor:"pointer", border:`1px solid ${C.border}`, color:C.muted, background:C.surface }}>Import CSV</span>
+        </label>
+        {ledger && <Chip label="Build from MRR ledger" accent={C.green} onClick={fromLedger} />}
+        {vintages.length > 0 && <Chip label="Clear" accent={C.red} onClick={() => { setVintages([]); setNote(null); }} />}
+        <span style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginLeft:"auto" }}>
+          CSV rows: <span style={{ fontFamily:MONO }}>vintage, Y0, Y1, …</span> (ARR in $)
+        </span>
+      </div>
+      {error && <div style={{ marginBottom:8, fontSize:11, color:C.red, fontFamily:SANS }}>⚠ {error}</div>}
+      {note && <div style={{ marginBottom:8, fontSize:11, color:C.muted, fontFamily:SANS }}>{note}</div>}
+      {vintages.length === 0 ? (
+        <div style={{ fontSize:11, color:C.ghost, fontFamily:SANS, fontStyle:"italic" }}>
+          No cohort data. Add vintages and enter ARR at each anniversary, import a triangle CSV, or build one from an imported MRR ledger.
+        </div>
+      ) : (
+        <div style={{ overflowX:"auto" }}>
+          <table style={{ borderCollapse:"collapse", fontSize:11.5, fontFamily:SANS }}>
+            <thead>
+              <tr style={{ borderBottom:`2px solid ${C.rule}` }}>
+                <th style={{ padding:"6px 8px", textAlign:"left", fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost }}>Vintage</th>
+                {Array.from({ length: cols }, (_, a) => (
+                  <th key={a} style={{ padding:"6px 8px", textAlign:"right", fontSize:10, letterSpacing:1, color:C.ghost }}>Y{a} $K</th>
+                ))}
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {vintages.map((v, vi) => (
+                <tr key={vi} style={{ borderBottom:`1px solid ${C.dim}` }}>
+                  <td style={{ padding:"5px 8px" }}>
+                    <input value={v.label} onChange={e => setVintages(vintages.map((x, i) => i === vi ? { ...x, label: e.target.value } : x))}
+                      style={{ ...inp, width:70, textAlign:"left", fontWeight:700 }} />
+                  </td>
+                  {Array.from({ length: cols }, (_, a) => (
+                    <td key={a} style={{ padding:"5px 8px", textAlign:"right" }}>
+                      <input type="number" value={v.arr[a] == null ? "" : Math.round(v.arr[a] / 100) / 10}
+                        onChange={e => updateCell(vi, a, e.target.value)} placeholder="—" style={inp} />
+                    </td>
+                  ))}
+                  <td style={{ padding:"5px 4px" }}>
+                    <Chip label="×" accent={C.red} onClick={() => setVintages(vintages.filter((_, i) => i !== vi))} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── RISK FLAGS ───────────────────────────────────────────────────────────────
+// Threshold-based diligence flags, sourced to lender/PE standards
+function riskFlags(inputs, calcs) {
+  const { nrr, grr, logoChurn, grossMargin, revenueMix } = inputs;
+  const flags = [];
+  if (nrr < 100) flags.push({ sev:"HIGH", msg:`NRR of ${pct(nrr)} means the installed base is shrinking. Revenue erodes before new sales. ${cite("NRR_BANDS")} public EV/ARR by NRR band: ${nrrBandNote()}. Immediate action required.` });
+  if (grr < DATA.GRR_COVENANT_FLOOR) flags.push({ sev:"HIGH", msg:`GRR of ${pct(grr)} is below the ${DATA.GRR_COVENANT_FLOOR}% lender covenant minimum (${cite("GRR_COVENANT_FLOOR")}). This will restrict debt financing. Maximum customer churn is eroding the base before expansion can offset it.` });
+  if (calcs.ltvCac < 2.0) flags.push({ sev:"HIGH", msg:`LTV:CAC of ${mult(calcs.ltvCac)} is below the 2x viability floor. At this ratio, every dollar spent acquiring customers destroys more capital than it creates at current retention. Fix before scaling GTM.` });
+  const conc = calcs.concentration;
+  if (conc && (conc.top1 >= DATA.MAJOR_CUSTOMER_PCT || conc.top10 >= 50)) flags.push({ sev:"HIGH", msg:`Customer concentration: the largest customer is ${pct(conc.top1)} of ARR and the top 10 are ${pct(conc.top10)} (HHI ${conc.hhi.toFixed(0)}). ${conc.majors > 0 ? `${conc.majors} customer${conc.majors === 1 ? " is" : "s are"} above the ${DATA.MAJOR_CUSTOMER_PCT}% ${cite("MAJOR_CUSTOMER_PCT")} major-customer line; lenders cap single-customer exposure at ${DATA.LENDER_CUSTOMER_CAP_PCT}% (${cite("LENDER_CUSTOMER_CAP_PCT")}). ` : ""}Losing one account moves the equity story — buyers will price a ${pct(conc.haircut * 100, 0)} multiple haircut and seek contract-term protection.` });
+  else if (conc && (conc.top10 >= 35 || conc.hhi > DATA.HHI_HIGH)) flags.push({ sev:"MEDIUM", msg:`Top 10 customers are ${pct(conc.top10)} of ARR (HHI ${conc.hhi.toFixed(0)}). Below the single-customer thresholds, but diligence will test renewal dates and contract terms on the largest accounts.` });
+  if (logoChurn > 15) flags.push({ sev:"HIGH", msg:`Annual logo churn of ${pct(logoChurn)} implies a ${yr(calcs.lifetimeYrs)} average customer lifetime and replacing the entire base every ${(100/logoChurn).toFixed(1)} years. Buyers will apply a severe multiple discount until this is resolved.` });
+  if (calcs.burnMultiple > 2.5) flags.push({ sev:"MEDIUM", msg:`Burn Multiple of ${mult(calcs.burnMultiple)} is well above the 2.0x watch threshold. The company burns $${calcs.burnMultiple.toFixed(1)} for every $1 of net new ARR. ${cite("BURN_MULTIPLE_MEDIAN")} median: ${mult(DATA.BURN_MULTIPLE_MEDIAN)}. This signals GTM inefficiency or premature scale.` });
+  if (calcs.rule40 < 10) flags.push({ sev:"MEDIUM", msg:`Rule of 40 score of ${calcs.rule40.toFixed(0)} is deeply negative. Per ${cite("RULE40_MULT_PER_10PTS")} regression data, each 10-point improvement = +${DATA.RULE40_MULT_PER_10PTS}x EV/ARR. Companies scoring below 20 rarely command institutional multiples.` });
+  if (grossMargin < 60) flags.push({ sev:"MEDIUM", msg:`Gross margin of ${pct(grossMargin)} is below the 65% threshold that triggers PE diligence flags. SaaS median is ${DATA.GROSS_MARGIN_MEDIAN}% (${cite("GROSS_MARGIN_MEDIAN")}); targets below 60% suggest services-heavy delivery, infrastructure inefficiency, or aggressive discounting.` });
+  if (Math.abs(calcs.nrrDerived - nrr) > 5) flags.push({ sev:"MEDIUM", msg:`ARR bridge components imply NRR of ${pct(calcs.nrrDerived)} but stated NRR is ${pct(nrr)}. Difference of ${pct(Math.abs(calcs.nrrDerived-nrr))}. This reconciliation gap is a key diligence red flag — buyers will stress-test cohort-level retention data.` });
+  if (calcs.magicNumber < 0.5) flags.push({ sev:"MEDIUM", msg:`Magic Number of ${calcs.magicNumber.toFixed(2)} is below 0.5. The GTM engine generates only $${(calcs.magicNumber*100).toFixed(0)} of gross-margin-adjusted ARR for every $100 of S&M spend. ${cite("MAGIC_NUMBER_MEDIAN")} median: ${DATA.MAGIC_NUMBER_MEDIAN.toFixed(2)}. Review pipeline quality and sales cycle efficiency.` });
+  if (revenueMix < 70) flags.push({ sev:"LOW", msg:`Recurring revenue mix of ${pct(revenueMix)} means ${pct(100-revenueMix)} of revenue is non-recurring. FE International data: MRR valued ~2x over one-time revenue. Buyers will apply a significant haircut to non-recurring components in valuation.` });
+  if (flags.length === 0) flags.push({ sev:"CLEAR", msg:"No material diligence flags identified at current inputs. Asset demonstrates strong fundamentals across all monitored risk categories." });
+  return flags;
+}
+
+function RiskFlagList({ flags }) {
+  const sevColor = { HIGH:C.red, MEDIUM:C.amber, LOW:C.steel, CLEAR:C.green };
+  const sevBg    = { HIGH:C.redLt, MEDIUM:C.amberLt, LOW:C.steelLt, CLEAR:C.greenLt };
+  return flags.map((f,i) => (
+    <div key={i} style={{ display:"flex", gap:12, padding:"12px 0", borderBottom:`1px solid ${C.dim}` }}>
+      <span style={{ fontSize:9.5, fontWeight:700, fontFamily:SANS, letterSpacing:0.8, padding:"3px 7px",
+        borderRadius:2, whiteSpace:"nowrap", alignSelf:"flex-start",
+        background:sevBg[f.sev], color:sevColor[f.sev], border:`1px solid ${sevColor[f.sev]}44` }}>{f.sev}</span>
+      <p style={{ margin:0, fontSize:11.5, color:C.ink, fontFamily:SANS, lineHeight:1.7 }}>{f.msg}</p>
+    </div>
+  ));
+}
+
+// ─── XLSX EXPORT ──────────────────────────────────────────────────────────────
+// Minimal client-side .xlsx writer: SpreadsheetML parts in an uncompressed
+// (STORE) zip. No dependencies, no server. Formula cells carry a cached value
+// and the workbook is flagged to recalculate on open.
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+const crc32 = (bytes) => {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+};
+
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const chunks = [], central = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const nameB = enc.encode(name), body = enc.encode(data), crc = crc32(body);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true); local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true); local.setUint32(18, body.length, true); local.setUint32(22, body.length, true);
+    local.setUint16(26, nameB.length, true);
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014B50, true); dir.setUint16(4, 20, true); dir.setUint16(6, 20, true);
+    dir.setUint32(16, crc, true); dir.setUint32(20, body.length, true); dir.setUint32(24, body.length, true);
+    dir.setUint16(28, nameB.length, true); dir.setUint32(42, offset, true);
+    chunks.push(new Uint8Array(local.buffer), nameB, body);
+    central.push(new Uint8Array(dir.buffer), nameB);
+    offset += 30 + nameB.length + body.length;
+  });
+  const dirSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true); end.setUint16(10, files.length, true);
+  end.setUint32(12, dirSize, true); end.setUint32(16, offset, true);
+  return new Blob([...chunks, ...central, new Uint8Array(end.buffer)],
+    { type:"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+}
+
+const xmlEsc = (v) => String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const colName = (i) => { let n = i + 1, s = ""; while (n > 0) { s = String.fromCharCode(65 + (n - 1) % 26) + s; n = Math.floor((n - 1) / 26); } return s; };
+const cellRef = (col, row) => `${colName(col)}${row}`;
+
+// Cell styles (index into cellXfs below)
+const XS = { text:0, usd:1, pct:2, mult:3, bold:4, num:5, head:6 };
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="3"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0;[Red]-&quot;$&quot;#,##0"/><numFmt numFmtId="165" formatCode="0.0%"/><numFmt numFmtId="166" formatCode="0.00&quot;x&quot;"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border/></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="7"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+// sheets: [{ name, widths:[..], rows:[[cell..]..] }]; cell = null | string | number | { v, f, s }
+function buildXlsx(sheets) {
+  const cellXml = (cell, ref) => {
+    if (cell == null) return "";
+    const c = typeof cell === "object" ? cell : { v: cell };
+    const st = c.s ? ` s="${c.s}"` : "";
+    if (c.f) {
+      const cached = typeof c.v === "number" && isFinite(c.v) ? `<v>${c.v}</v>` : "";
+      return `<c r="${ref}"${st}><f>${xmlEsc(c.f)}</f>${cached}</c>`;
+    }
+    if (typeof c.v === "number") return isFinite(c.v) ? `<c r="${ref}"${st}><v>${c.v}</v></c>` : "";
+    return `<c r="${ref}"${st} t="inlineStr"><is><t>${xmlEsc(c.v)}</t></is></c>`;
+  };
+  const sheetXml = (sh) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${
+    sh.widths ? `<cols>${sh.widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join("")}</cols>` : ""
+  }<sheetData>${
+    sh.rows.map((row, ri) => `<row r="${ri + 1}">${(row || []).map((cell, ci) => cellXml(cell, cellRef(ci, ri + 1))).join("")}</row>`).join("")
+  }</sheetData></worksheet>`;
+  const files = [
+    { name:"[Content_Types].xml", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${
+      sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")}</Types>` },
+    { name:"_rels/.rels", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+    { name:"xl/workbook.xml", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${
+      sheets.map((sh, i) => `<sheet name="${xmlEsc(sh.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets><calcPr calcId="191029" fullCalcOnLoad="1"/></workbook>` },
+    { name:"xl/_rels/workbook.xml.rels", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+      sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")
+    }<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>` },
+    { name:"xl/styles.xml", data:XLSX_STYLES },
+    ...sheets.map((sh, i) => ({ name:`xl/worksheets/sheet${i + 1}.xml`, data:sheetXml(sh) })),
+  ];
+  return zipStore(files);
+}
+
+// DCF workbook: Assumptions (inputs), DCF (schedule as formulas over the
+// assumptions), Multiples (EV/ARR build-up with running totals and scenarios).
+function buildDcfWorkbook(inputs, calcs) {
+  const P = calcs.dcfParams;
+  const assumptions = [
+    ["arr",        "Current ARR",                     calcs.arr,                  XS.usd,  "Annualized recurring revenue"],
+    ["growth",     "Year 1 ARR growth",               inputs.arrGrowth / 100,     XS.pct,  "YoY ARR growth input"],
+    ["growthMode", "Growth path",                     GROWTH_MODES[P.growthMode].label, XS.text, "Years hardcoded on the DCF sheet are overrides, custom-curve or plan years"],
+    ["endurance",  "Growth endurance",                P.growthEndurance,          XS.num,  `Share of prior-year growth retained (${cite("GROWTH_ENDURANCE")}: ${DATA.GROWTH_ENDURANCE})`],
+    ["decay",      "Growth decay (linear fade)",      P.growthDecay / 100,        XS.pct,  "Points of growth lost each year"],
+    ["floor",      "Growth floor",                    P.growthFloor / 100,        XS.pct,  "Long-run growth floor"],
+    ["perYr",      "Periods per year",                P.periodsPerYear,           XS.text, `${PERIODS_PER_YEAR[inputs.granularity].label} projection (Periods sheet)`],
+    ["exp",        "Expansion % of opening ARR",      inputs.expansionPct / 100,  XS.pct,  "Annual rate, spread evenly over periods"],
+    ["contr",      "Contraction % of opening ARR",    inputs.contractionPct / 100, XS.pct, "Annual rate, spread evenly over periods"],
+    ["churn",      "Churn % of opening ARR",          P.churnRate,                XS.pct,  "100% − GRR − contraction (floored at 0)"],
+    ["mix",        "Recurring revenue mix",           P.recurringMix,             XS.pct,  "Revenue = recurring revenue ÷ mix"],
+    ["drFactor",   "Deferred revenue ÷ ARR",          P.drFactor,                 XS.num,  `${BILLING_TERMS[inputs.billingTerms].label} billing: half a billing term`],
+    ["rpoFactor",  "RPO ÷ ARR",                       P.rpoFactor,                XS.num,  "Half the longer of contract length and billing term"],
+    ["gm",         "Gross margin",                    inputs.grossMargin / 100,   XS.pct,  ""],
+    ["rnd",        "R&D % of revenue",                inputs.rndPct / 100,        XS.pct,  ""],
+    ["sm",         "S&M % of revenue",                inputs.smPct / 100,         XS.pct,  ""],
+    ["ga",         "G&A % of revenue",                inputs.gaPct / 100,         XS.pct,  ""],
+    ["smDecay",    "S&M efficiency factor (per yr)",  P.smDecay,                  XS.num,  "S&M % × factor^year"],
+    ["gaDecay",    "G&A leverage factor (per yr)",    P.gaDecay,                  XS.num,  "G&A % × factor^year"],
+    ["tax",        "Tax rate",                        P.taxRate,                  XS.pct,  "Standard NOPAT calc"],
+    ["da",         "D&A % of revenue",                P.daPct,                    XS.pct,  "SaaS = mostly intangibles"],
+    ["capex",      "Capex % of revenue",              P.capexPct,                 XS.pct,  "SaaS capex-light"],
+    ["sbc",        "SBC % of revenue",                P.sbcPct,                   XS.pct,  "Public SaaS median"],
+    ["wc",         "Working capital % of revenue × growth", P.wcPct,              XS.pct,  "ΔWC = revenue × % × growth"],
+    ["cap",        "EBITDA margin cap",               P.marginCap ?? "none",      XS.pct,  "Margin above the cap is reinvested; \"none\" leaves EBITDA uncapped"],
+    ["wacc",       "WACC",                            inputs.wacc / 100,          XS.pct,  ""],
+    ["tg",         "Terminal growth rate",            inputs.termGrowthRate / 100, XS.pct, "Gordon Growth"],
+    ["tvMult",     "Terminal EV/EBITDA multiple",     P.termEbitdaMult,           XS.mult, "Mature SaaS ~15-20x"],
+    ["tvMethod",   "Terminal value method",           P.tvMethod,                 XS.text, "\"gordon\" or \"exit\"; the other is the cross-check"],
+    ["stub",       "First period length (yrs)",       P.stubFrac,                 XS.num,  calcs.stub.start ? `Stub: ${calcs.stub.start} to ${calcs.stub.end}` : "Full year (no valuation date)"],
+    ["mid",        "Mid-year convention (1 = on)",    P.midYear ? 1 : 0,          XS.text, "Flows discounted at mid-period; terminal value at period end"],
+    ["netDebt",    "Net debt",                        calcs.netDebt,              XS.usd,  "Debt − cash"],
+  ];
+  const aRow = {};
+  const aRows = [
+    [{ v:`${inputs.companyName || "Target"} — DCF Assumptions`, s:XS.bold }],
+    [{ v:"Assumption", s:XS.bold }, { v:"Value", s:XS.bold }, { v:"Note", s:XS.bold }],
+  ];
+  const A = (key) => `Assumptions!$B$${aRow[key]}`;
+  // A value given as a function is a formula over rows above it: () => ({ f, v })
+  const addRows = (list) => list.forEach(([key, label, v, st, note]) => {
+    aRows.push([label, typeof v === "function" ? { ...v(), s:st } : { v, s:st }, note]);
+    aRow[key] = aRows.length;
+  });
+  addRows(assumptions);
+
+  // Multiple build-up: the inputs it reads, then the active pack's constants
+  const on = (flag) => flag ? 1 : 0;
+  aRows.push([], [{ v:"Multiple Build-Up Inputs", s:XS.bold }]);
+  addRows([
+    ["ebitdaM",    "Current EBITDA margin",           inputs.ebitdaMargin / 100,  XS.pct,  "Rule of 40 = Year 1 ARR growth + EBITDA margin"],
+    ["nrr",        "Net revenue retention",           inputs.nrr / 100,           XS.pct,  ""],
+    ["grr",        "Gross revenue retention",         inputs.grr / 100,           XS.pct,  ""],
+    ["arpa",       "ARPA",                            inputs.arpa,                XS.usd,  "Annual revenue per account"],
+    ["cac",        "CAC",                             inputs.cac,                 XS.usd,  "Blended acquisition cost per customer"],
+    ["logoChurn",  "Logo churn",                      inputs.logoChurn / 100,     XS.pct,  "Customer lifetime = 1 ÷ logo churn (50 years at 0%)"],
+    ["ltvCac",     "LTV:CAC",                         () => ({ f:`IF(${A("cac")}>0,${A("arpa")}*${A("gm")}*IF(${A("logoChurn")}>0,1/${A("logoChurn")},50)/${A("cac")},999)`, v:calcs.ltvCac }),
+                                                                                  XS.mult, "ARPA × gross margin × lifetime ÷ CAC"],
+    ["aiNative",   "AI-native (1 = on)",              on(inputs.aiNative),        XS.text, INPUT_SPECS.aiNative.label],
+    ["vertical",   "Vertical SaaS (1 = on)",          on(inputs.verticalBonus),   XS.text, INPUT_SPECS.verticalBonus.label],
+    ["network",    "Network effects (1 = on)",        on(inputs.networkEffects),  XS.text, INPUT_SPECS.networkEffects.label],
+    ["usage",      "Usage-based pricing (1 = on)",    on(inputs.usageBased),      XS.text, INPUT_SPECS.usageBased.label],
+    ["public",     "Public markets benchmark (1 = on)", on(inputs.publicMode),    XS.text, INPUT_SPECS.publicMode.label],
+    ["haircut",    "Customer concentration haircut",  calcs.concentration?.haircut ?? 0, XS.pct,
+      calcs.concentration ? `Top customer ${pct(calcs.concentration.top1)}, top 10 ${pct(calcs.concentration.top10)} of ARR` : "No customer list entered"],
+  ]);
+  const src = (key) => PACK.values[key].source;
+  aRows.push([], [{ v:`Benchmark Pack — ${PACK.name}`, s:XS.bold }]);
+  addRows([
+    ["baseMult",   "Base multiple (EV/ARR)",          calcs.wf[0].val,            XS.mult, inputs.baseAnchor
+      ? `Precedent median, ${inputs.baseAnchor.n} deals (${inputs.baseAnchor.label})` : `${inputs.stage} ${inputs.bizType} cell — ${src("BASE_MULTIPLES")}`],
+    ["stageRef",   "Stage growth median",             calcs.gRef / 100,           XS.pct,  `${inputs.stage} — ${src("GROWTH_REF")}`],
+    ["growthPer10","Multiple per 10 ppts growth vs stage", DATA.GROWTH_MULT_PER_10PTS, XS.num, src("GROWTH_MULT_PER_10PTS")],
+    ["r40Per10",   "Multiple per 10 pts of Rule of 40", DATA.RULE40_MULT_PER_10PTS, XS.num,  src("RULE40_MULT_PER_10PTS")],
+    ["privDisc",   "Private discount on public NRR bands", DATA.PRIVATE_DISCOUNT, XS.num,  src("PRIVATE_DISCOUNT")],
+    ["grrFloor",   "GRR lender covenant floor",       DATA.GRR_COVENANT_FLOOR / 100, XS.pct, src("GRR_COVENANT_FLOOR")],
+    ["aiPrem",     "AI-native premium",               DATA.AI_NATIVE_PREMIUM,     XS.num,  src("AI_NATIVE_PREMIUM")],
+    ["vertPrem",   "Vertical SaaS premium",           DATA.VERTICAL_PREMIUM,      XS.num,  src("VERTICAL_PREMIUM")],
+    ["netPrem",    "Network effects premium",         DATA.NETWORK_PREMIUM,       XS.num,  src("NETWORK_PREMIUM")],
+    ["usagePrem",  "Usage-based pricing premium",     DATA.USAGE_BASED_PREMIUM,   XS.num,  src("USAGE_BASED_PREMIUM")],
+    ["pubPrem",    "Public/private premium",          DATA.PUBLIC_PREMIUM,        XS.num,  src("PUBLIC_PREMIUM")],
+    ["bear",       "Bear scenario factor",            DATA.BEAR_FACTOR,           XS.num,  src("BEAR_FACTOR")],
+    ["bull",       "Bull scenario factor",            DATA.BULL_FACTOR,           XS.num,  src("BULL_FACTOR")],
+  ]);
+  // Lookup tables, ascending on the first column for VLOOKUP
+  const addTable = (head, list) => {
+    aRows.push([], head.map(v => ({ v, s:XS.bold })));
+    const first = aRows.length + 1;
+    list.forEach(([label, lo, val, st]) => aRows.push([label, { v:lo, s:XS.num }, { v:val, s:st }]));
+    return `Assumptions!$B$${first}:$C$${aRows.length}`;
+  };
+  const nrrTable = addTable(["NRR band (public EV/ARR)", "From NRR (%)", "EV/ARR"],
+    [...DATA.NRR_BANDS].sort((a, b) => a.lo - b.lo).map(b => [b.label, b.lo, b.publicMult, XS.mult]));
+  const sizeTable = addTable(["Size premium tier", "From ARR ($M)", "Multiplier"],
+    [...DATA.SIZE_MULTIPLIERS].sort((a, b) => a.minArrM - b.minArrM).map(t => [`≥ $${t.minArrM}M ARR`, t.minArrM, t.mult, XS.num]));
+
+  // DCF schedule — one column per projected year, formulas reference Assumptions
+  const rows = calcs.dcfRows;
+  const N = rows.length;
+  // Periods sheet: n rows per year from row 3; revenue, billings, Δ deferred and PV roll up into the DCF sheet
+  const nPer = P.periodsPerYear;
+  const perRange = (c, col) => `Periods!${col}${3 + (c - 1) * nPer}:${col}${2 + c * nPer}`;
+  // Per-year drivers: an overridden year is a hardcoded input, others follow Assumptions
+  const driverCell = (key, aKey) => (c, r) =>
+    inputs.dcfOverrides?.[key]?.[r.year] != null ? { v:r.drivers[key] } : { f:A(aKey), v:r.drivers[key] ?? "none" };
+  // Growth follows the path rule as a formula; overridden, custom-curve and plan years are hardcoded
+  const growthCell = (c, r, R) => {
+    if (r.growthSrc !== "rule") return { v:r.growth / 100 };
+    if (c === 1) return { f:A("growth"), v:r.growth / 100 };
+    const prev = cellRef(c - 1, R.growth);
+    const fade = P.growthMode === "linear";
+    return { f: fade ? `MAX(${A("floor")},${prev}-${A("decay")})` : `MAX(${A("floor")},${prev}*${A("endurance")})`, v:r.growth / 100 };
+  };
+  const lines = [
+    ["year",   "Year",                  XS.text, (c, r) => ({ v:r.year })],
+    ["tax",    "Tax rate",              XS.pct,  driverCell("taxRate", "tax")],
+    ["daPct",  "D&A % of revenue",      XS.pct,  driverCell("daPct", "da")],
+    ["capexPct","Capex % of revenue",   XS.pct,  driverCell("capexPct", "capex")],
+    ["sbcPct", "SBC % of revenue",      XS.pct,  driverCell("sbcPct", "sbc")],
+    ["wcPct",  "Working capital %",     XS.pct,  driverCell("wcPct", "wc")],
+    ["cap",    "EBITDA margin cap",     XS.pct,  driverCell("ebitdaMarginCap", "cap")],
+    ["growth", "ARR growth",            XS.pct,  (c, r, R) => growthCell(c, r, R)],
+    ["arr",    "ARR",                   XS.usd,  (c, r, R) => ({ f:`${c === 1 ? A("arr") : cellRef(c - 1, R.arr)}*(1+${cellRef(c, R.growth)})^${cellRef(c, R.frac)}`, v:r.arr })],
+    ["recRev", "Recurring revenue",     XS.usd,  (c, r) => ({ f:`SUM(${perRange(c, "I")})`, v:r.recRev })],
+    ["rev",    "Revenue",               XS.usd,  (c, r) => ({ f:`SUM(${perRange(c, "J")})`, v:r.rev })],
+    ["billings","Billings",             XS.usd,  (c, r) => ({ f:`SUM(${perRange(c, "M")})`, v:r.billings })],
+    ["deferred","Deferred revenue (end)", XS.usd, (c, r) => ({ f:`Periods!K${2 + c * nPer}`, v:r.deferred })],
+    ["rpo",    "RPO (end)",             XS.usd,  (c, r) => ({ f:`Periods!N${2 + c * nPer}`, v:r.rpo })],
+    ["cogs",   "COGS",                  XS.usd,  (c, r, R) => ({ f:`${cellRef(c, R.rev)}*(1-${A("gm")})`, v:r.cogs })],
+    ["gp",     "Gross profit",          XS.head, (c, r, R) => ({ f:`${cellRef(c, R.rev)}-${cellRef(c, R.cogs)}`, v:r.gp })],
+    ["rnd",    "R&D",                   XS.usd,  (c, r, R) => ({ f:`${cellRef(c, R.rev)}*${A("rnd")}`, v:r.rnd })],
+    ["sm",     "S&M",                   XS.usd,  (c, r, R) => ({ f:`${cellRef(c, R.rev)}*${A("sm")}*${A("smDecay")}^${cellRef(c, R.year)}`, v:r.sm })],
+    ["ga",     "G&A",                   XS.usd,  (c, r, R) => ({ f:`${cellRef(c, R.rev)}*${A("ga")}*${A("gaDecay")}^${cellRef(c, R.year)}`, v:r.ga })],
+    ["ebitda", "EBITDA",                XS.head, (c, r, R) => {
+      const build = `${cellRef(c, R.gp)}-${cellRef(c, R.rnd)}-${cellRef(c, R.sm)}-${cellRef(c, R.ga)}`;
+      return { f:`IF(ISNUMBER(${cellRef(c, R.cap)}),MIN(${build},${cellRef(c, R.rev)}*${cellRef(c, R.cap)}),${build})`, v:r.ebitda };
+    }],
+    ["margin", "EBITDA margin",         XS.pct,  (c, r, R) => ({ f:`${cellRef(c, R.ebitda)}/${cellRef(c, R.rev)}`, v:r.ebitdaMarginAct / 100 })],
+    ["da",     "D&A",                   XS.usd,  (c, r, R) => ({ f:`${cellRef(c, R.rev)}*${cellRef(c, R.daPct)}`, v:r.da })],
+    ["ebit",   "EBIT",                  XS.usd,  (c, r, R) => ({ f:`${cellRef(c, R.ebitda)}-${cellRef(c, R.da)}`, v:r.ebit })],
+    ["nopat",  "NOPAT",                 XS.usd,  (c, r, R) => ({ f:`${cellRef(c, R.ebit)}*(1-${cellRef(c, R.tax)})`, v:r.nopat })],
+    ["capex",  "Capex",                 XS.usd,  (c, r, R) => ({ f:`${cellRef(c, R.rev)}*${cellRef(c, R.capexPct)}`, v:r.capex })],
+    ["sbc",    "SBC (non-cash add-back)", XS.usd, (c, r, R) => ({ f:`${cellRef(c, R.rev)}*${cellRef(c, R.sbcPct)}`, v:r.sbc })],
+    ["dwcOther","Other working capital build", XS.usd, (c, r, R) => ({ f:`${cellRef(c, R.rev)}*${cellRef(c, R.wcPct)}*${cellRef(c, R.growth)}`, v:r.dwcOther })],
+    ["dDeferred","Δ Deferred revenue",  XS.usd,  (c, r) => ({ f:`SUM(${perRange(c, "L")})`, v:r.dDeferred })],
+    ["dwc",    "Change in working capital", XS.usd, (c, r, R) => ({ f:`${cellRef(c, R.dwcOther)}-${cellRef(c, R.dDeferred)}`, v:r.dwc })],
+    ["fcf",    "Free cash flow",        XS.head, (c, r, R) => ({ f:`${cellRef(c, R.nopat)}+${cellRef(c, R.da)}-${cellRef(c, R.capex)}-${cellRef(c, R.dwc)}+${cellRef(c, R.sbc)}`, v:r.fcf })],
+    ["frac",   "Period length (yrs)",   XS.num,  (c, r) => c === 1 ? { f:A("stub"), v:r.frac } : { v:r.frac }],
+    ["tEnd",   "Period end (yrs)",      XS.num,  (c, r, R) => ({ f: c === 1 ? cellRef(c, R.frac) : `${cellRef(c - 1, R.tEnd)}+${cellRef(c, R.frac)}`, v:r.tEnd })],
+    ["pvFcf",  "PV of FCF",             XS.usd,  (c, r) => ({ f:`SUM(${perRange(c, "R")})`, v:r.pvFcf })],
+  ];
+  const R = {};
+  lines.forEach(([key], i) => { R[key] = i + 3; });
+  const dRows = [
+    [{ v:`${inputs.companyName || "Target"} — DCF Schedule`, s:XS.bold }],
+    [{ v:"($)", s:XS.bold }, ...rows.map(r => ({ v:`Year ${r.year}`, s:XS.bold }))],
+    ...lines.map(([key, label, st, fn]) => [
+      { v:label, s: st === XS.head ? XS.bold : XS.text },
+      ...rows.map((r, i) => ({ ...fn(i + 1, r, R), s: st })),
+    ]),
+  ];
+  const last = (key) => cellRef(N, R[key]);
+
+  // Period schedule — bridge, revenue and billings per period; FCF before the deferred
+  // revenue build is allocated by revenue share, then each period's Δ deferred is added
+  const D = (c, key) => `DCF!${cellRef(c, R[key])}`;
+  const pRows = [
+    [{ v:`${inputs.companyName || "Target"} — ${PERIODS_PER_YEAR[inputs.granularity].label} Period Schedule`, s:XS.bold }],
+    ["Period", "Year", "Opening ARR", "New logo", "Expansion", "Contraction", "Churn", "Closing ARR", "Recurring revenue", "Revenue",
+      "Deferred revenue", "Δ Deferred", "Billings", "RPO", "FCF", "Discount period", "Discount factor", "PV of FCF"]
+      .map(v => ({ v, s:XS.bold })),
+  ];
+  calcs.periods.forEach((p, pi) => {
+    const r = pRows.length + 1, c = p.year;
+    const len = `${D(c, "frac")}/${A("perYr")}`;
+    const start = c === 1 ? "0" : D(c - 1, "tEnd");
+    pRows.push([
+      p.label,
+      { v:p.year, s:XS.text },
+      { f: pi === 0 ? A("arr") : `H${r - 1}`, v:p.openArr, s:XS.usd },
+      { f:`H${r}-C${r}-E${r}+F${r}+G${r}`, v:p.newLogo, s:XS.usd },
+      { f:`C${r}*${A("exp")}*${len}`, v:p.expansion, s:XS.usd },
+      { f:`C${r}*${A("contr")}*${len}`, v:p.contraction, s:XS.usd },
+      { f:`C${r}*${A("churn")}*${len}`, v:p.churn, s:XS.usd },
+      { f:`C${r}*(1+${D(c, "growth")})^(${len})`, v:p.closeArr, s:XS.usd },
+      { f:`(C${r}+H${r})/2*${len}`, v:p.recRev, s:XS.usd },
+      { f:`I${r}/${A("mix")}`, v:p.rev, s:XS.usd },
+      { f:`H${r}*${A("drFactor")}`, v:p.deferred, s:XS.usd },
+      { f:`K${r}-${pi === 0 ? `${A("arr")}*${A("drFactor")}` : `K${r - 1}`}`, v:p.dDeferred, s:XS.usd },
+      { f:`J${r}+L${r}`, v:p.billings, s:XS.usd },
+      { f:`H${r}*${A("rpoFactor")}`, v:p.rpo, s:XS.usd },
+      { f:`(${D(c, "fcf")}-${D(c, "dDeferred")})*J${r}/${D(c, "rev")}+L${r}`, v:p.fcf, s:XS.usd },
+      { f:`${start}+${p.k}*${len}-${A("mid")}*${len}/2`, v:p.t, s:XS.num },
+      { f:`(1+${A("wacc")})^P${r}`, v:Math.pow(1 + inputs.wacc / 100, p.t), s:XS.num },
+      { f:`O${r}/Q${r}`, v:p.pvFcf, s:XS.usd },
+    ]);
+  });
+  const T = {};
+  const terminal = [
+    ["sumPv",   "Sum of PV(FCF)",                     () => `SUM(${cellRef(1, R.pvFcf)}:${last("pvFcf")})`, calcs.sumPvFCF],
+    ["termGg",  "Terminal value — Gordon Growth",     () => `${last("fcf")}*(1+${A("tg")})/(${A("wacc")}-${A("tg")})`, calcs.termGg],
+    ["termEb",  "Terminal value — EV/EBITDA exit multiple", () => `${last("ebitda")}*${A("tvMult")}`, calcs.termEbitdaVal],
+    ["tv",      "Terminal value (selected method)",   () => `IF(${A("tvMethod")}="exit",B${T.termEb},B${T.termGg})`, calcs.terminalVal],
+    ["pvTV",    "PV of terminal value",               () => `B${T.tv}/(1+${A("wacc")})^${last("tEnd")}`, calcs.pvTV],
+    ["dcfEV",   "DCF enterprise value",               () => `B${T.sumPv}+B${T.pvTV}`, calcs.dcfEV],
+    ["equity",  "DCF equity value",                   () => `B${T.dcfEV}-${A("netDebt")}`, calcs.dcfEV - calcs.netDebt],
+    ["tvShare", "Terminal value % of EV",             () => `B${T.pvTV}/B${T.dcfEV}`, calcs.pvTV / calcs.dcfEV],
+  ];
+  dRows.push([], [{ v:"Terminal Value & Enterprise Value", s:XS.bold }]);
+  terminal.forEach(([key, label, f, v]) => {
+    T[key] = dRows.length + 1;
+    dRows.push([{ v:label, s: key === "dcfEV" ? XS.bold : XS.text },
+      { f:f(), v, s: key === "tvShare" ? XS.pct : key === "dcfEV" ? XS.head : XS.usd }]);
+  });
+
+  // Multiple build-up — each delta is a formula over the Assumptions inputs and
+  // pack constants; multiplicative steps scale the running total above them
+  const mRows = [
+    [{ v:`${inputs.companyName || "Target"} — EV/ARR Multiple Build-Up`, s:XS.bold }],
+    [{ v:"Adjustment factor", s:XS.bold }, { v:"Delta (x)", s:XS.bold }, { v:"Running total (x)", s:XS.bold }],
+  ];
+  const step = (lo, ...bands) => bands.reduceRight((acc, [cond, v]) => `IF(${cond},${v},${acc})`, lo);
+  const stepFormulas = {
+    base:   () => A("baseMult"),
+    growth: () => `(${A("growth")}-${A("stageRef")})*10*${A("growthPer10")}`,
+    rule40: () => `((${A("growth")}+${A("ebitdaM")})*100-40)/10*${A("r40Per10")}`,
+    nrr:    () => `(VLOOKUP(${A("nrr")}*100,${nrrTable},2,1)-VLOOKUP(100,${nrrTable},2,1))*${A("privDisc")}`,
+    grr:    () => step(-0.5, [`${A("grr")}>=0.95`, 0.5], [`${A("grr")}>=0.88`, 0], [`${A("grr")}<${A("grrFloor")}`, -1.2]),
+    gm:     () => step(-0.3, [`${A("gm")}>=0.8`, 0.8], [`${A("gm")}>=0.7`, 0], [`${A("gm")}<0.55`, -2.2], [`${A("gm")}<0.65`, -0.9]),
+    ltvCac: () => step(-0.3, [`${A("ltvCac")}>=6`, 0.6], [`${A("ltvCac")}>=3.5`, 0], [`${A("ltvCac")}<1.5`, -1.8], [`${A("ltvCac")}<2.5`, -0.8]),
+    mix:    () => step(0, [`${A("mix")}>=0.92`, 0.3], [`${A("mix")}<0.6`, -1.2], [`${A("mix")}<0.72`, -0.6]),
+    size:   (prev) => `${prev}*(IFERROR(VLOOKUP(${A("arr")}/1000000,${sizeTable},2,1),1)-1)`,
+    tech:   (prev) => `${prev}*(IF(${A("aiNative")}=1,${A("aiPrem")},1)*IF(${A("vertical")}=1,${A("vertPrem")},1)*IF(${A("network")}=1,${A("netPrem")},1)`
+      + `*IF(${A("usage")}=1,${A("usagePrem")},1)*IF(${A("public")}=1,${A("pubPrem")},1)-1)`,
+    concentration: (prev) => `-${prev}*${A("haircut")}`,
+  };
+  // Tech and concentration steps are written even at zero so toggling them on the sheet takes effect
+  const byKey = Object.fromEntries(calcs.wf.map(w => [w.key, w]));
+  const steps = Object.keys(stepFormulas).map(key => byKey[key] || {
+    key, val:0, label: key === "tech" ? "Technology/market modifiers (none on)" : "Customer concentration (no customer list)",
+  });
+  let cumul = 0;
+  steps.forEach((w, i) => {
+    const r = mRows.length + 1;
+    cumul += w.val;
+    mRows.push([w.label, { f:stepFormulas[w.key](`C${r - 1}`), v:w.val, s:XS.mult },
+      { f: i === 0 ? `B${r}` : `C${r - 1}+B${r}`, v:cumul, s:XS.mult }]);
+  });
+  const lastWf = mRows.length;
+  const floorRow = mRows.length + 1;
+  mRows.push(["Base multiple (clamped 0.8x–50x)", null, { f:`MIN(50,MAX(0.8,C${lastWf}))`, v:calcs.baseMult, s:XS.mult }]);
+  mRows.push([]);
+  mRows.push([{ v:"Scenario", s:XS.bold }, { v:"Factor", s:XS.bold }, { v:"EV/ARR", s:XS.bold }, { v:"Enterprise value", s:XS.bold }, { v:"Equity value", s:XS.bold }]);
+  [["Bear — no-process", { f:A("bear"), v:DATA.BEAR_FACTOR }, calcs.bearEV], ["Base — current conditions", { v:1 }, calcs.baseEV],
+    ["Bull — strategic process", { f:A("bull"), v:DATA.BULL_FACTOR }, calcs.bullEV]]
+    .forEach(([label, factor, ev]) => {
+      const r = mRows.length + 1;
+      mRows.push([label, { ...factor, s:XS.num }, { f:`C${floorRow}*B${r}`, v:calcs.baseMult * factor.v, s:XS.mult },
+        { f:`${A("arr")}*C${r}`, v:ev, s:XS.usd }, { f:`D${r}-${A("netDebt")}`, v:ev - calcs.netDebt, s:XS.usd }]);
+    });
+
+  return buildXlsx([
+    { name:"Assumptions", widths:[38, 16, 46], rows:aRows },
+    { name:"DCF",         widths:[30, ...rows.map(() => 15)], rows:dRows },
+    { name:"Periods",     widths:[12, 6, 15, 14, 14, 14, 14, 15, 16, 15, 16, 14, 15, 15, 15, 14, 14, 15], rows:pRows },
+    { name:"Multiples",   widths:[62, 12, 16, 18, 18], rows:mRows },
+  ]);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─── SHAREABLE LINKS ──────────────────────────────────────────────────────────
+// Full model state in the URL fragment: #m=<base64url JSON>. Every input is
+// written, so a later change to DEFAULT_INPUTS does not move an old link's
+// valuation. `v` is the encoding version; links from older versions are
+// upgraded through SHARE_MIGRATIONS and then merged over DEFAULT_INPUTS, so
+// inputs added since the link was made take their defaults.
+const SHARE_VERSION = 2;
+const SHARE_PREFIX  = "#m=";
+// SHARE_MIGRATIONS[n] upgrades a version-n payload to version n+1
+const SHARE_MIGRATIONS = {
+  // v1 wrote only inputs that differed from the defaults of the day; pin the
+  // ones whose default has changed since
+  1: (p) => ({ ...p, v: 2, i: { ebitdaMarginCap: 35, ...p.i } }),
+};
+
+// Type check for each shared input, so a hand-edited or truncated link cannot
+// reach the engine with a value it would crash on. Inputs without an entry must
+// match the type of their default; a value that fails keeps the default.
+const isNum = (v) => typeof v === "number" && isFinite(v);
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isNumMap = (v) => isObj(v) && Object.values(v).every(isNum);
+const orNull = (check) => (v) => v === null || check(v);
+const inRange = (key) => (v) => isNum(v) && v >= INPUT_SPECS[key].min && v <= INPUT_SPECS[key].max;
+const SHARE_CHECKS = {
+  bizType:         (v) => BIZ_TYPES.some(([k]) => k === v),
+  stage:           (v) => STAGES.some(([k]) => k === v),
+  growthMode:      (v) => Object.hasOwn(GROWTH_MODES, v),
+  granularity:     (v) => Object.hasOwn(PERIODS_PER_YEAR, v),
+  billingTerms:    (v) => Object.hasOwn(BILLING_TERMS, v),
+  tvMethod:        (v) => v === "gordon" || v === "exit",
+  horizonYrs:      inRange("horizonYrs"),
+  fiscalYearEnd:   (v) => Number.isInteger(v) && v >= 1 && v <= 12,
+  growthEndurance: orNull(isNum),
+  growthDecay:     orNull(isNum),
+  ebitdaMarginCap: orNull(isNum),
+  valuationDate:   orNull(v => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v)),
+  baseAnchor:      orNull(v => isObj(v) && isNum(v.mult) && isNum(v.n)),
+  marketCap52w:    orNull(v => isObj(v) && orNull(isNum)(v.lowM) && orNull(isNum)(v.highM)),
+  growthOverrides: isNumMap,
+  growthPlan:      isNumMap,
+  dcfOverrides:    (v) => isObj(v) && Object.values(v).every(isNumMap),
+  customers:       (v) => Array.isArray(v) && v.every(c => isObj(c) && isNum(c.arr)),
+  segments:        (v) => Array.isArray(v) && v.every(g => isObj(g) && typeof g.name === "string"
+    && BIZ_TYPES.some(([k]) => k === g.bizType) && SEGMENT_KEYS.every(k => isNum(g[k]))),
+  waccBuild:       (v) => isObj(v) && (v.betaMode === "levered" || v.betaMode === "unlevered")
+    && Object.entries(DEFAULT_INPUTS.waccBuild).every(([k, d]) => typeof d === "number" ? isNum(v[k]) : typeof v[k] === typeof d),
+};
+const validShareValue = (key, v) => SHARE_CHECKS[key] ? SHARE_CHECKS[key](v)
+  : typeof DEFAULT_INPUTS[key] === "number" ? isNum(v) : typeof v === typeof DEFAULT_INPUTS[key];
+
+// Customer lists stay on this machine: a link carries only the ten largest
+// accounts, unnamed. Those fix the top-1 and top-10 shares the concentration
+// haircut reads, so the recipient's valuation matches unless the full list
+// sums to more than model ARR (shares are then read against the smaller total).
+const SHARE_TOP_CUSTOMERS = 10;
+const shareCustomers = (customers) => [...customers].sort((a, b) => (b.arr || 0) - (a.arr || 0))
+  .slice(0, SHARE_TOP_CUSTOMERS).map((c, i) => ({ name:`Customer ${i + 1}`, arr:c.arr }));
+
+function encodeShareState({ model, tab, darkMode, packId }) {
+  const inputs = Object.fromEntries(Object.keys(DEFAULT_INPUTS).map(k => [k, model[k]]));
+  const json  = JSON.stringify({ v: SHARE_VERSION, t: tab, d: darkMode ? 1 : 0, p: packId,
+    i: { ...inputs, customers: shareCustomers(model.customers) } });
+  const bytes = new TextEncoder().encode(json);
+  let bin = "";
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return SHARE_PREFIX + btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Returns { model, tab, darkMode, packId } or null when the hash is absent or unreadable
+function decodeShareState(hash) {
+  if (!hash || !hash.startsWith(SHARE_PREFIX)) return null;
+  try {
+    const b64 = hash.slice(SHARE_PREFIX.length).replace(/-/g, "+").replace(/_/g, "/");
+    const bin = atob(b64);
+    let payload = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
+    if (!payload || typeof payload.v !== "number" || payload.v > SHARE_VERSION) return null;
+    for (let v = payload.v; v < SHARE_VERSION; v++) payload = SHARE_MIGRATIONS[v] ? SHARE_MIGRATIONS[v](payload) : payload;
+    const known = Object.fromEntries(Object.entries(isObj(payload.i) ? payload.i : {})
+      .filter(([k, v]) => Object.hasOwn(DEFAULT_INPUTS, k) && validShareValue(k, v)));
+    return { model: { ...DEFAULT_INPUTS, ...known }, tab: payload.t, darkMode: payload.d !== 0,
+      packId: typeof payload.p === "string" ? payload.p : null };
+  } catch {
+    return null;
+  }
+}
+
+// ─── IC REPORT ────────────────────────────────────────────────────────────────
+// Multi-page, print-styled memo. Always rendered with the LIGHT palette (App
+// swaps C while the report is open); the browser's print dialog saves to PDF.
+const REPORT_PRINT_CSS = `
+  @media print {
+    @page { size: letter portrait; margin: 12mm; }
+    html, body, #root { height: auto !important; background: #fff !important; }
+    .report-toolbar { display: none !important; }
+    .report-page { width: auto !important; margin: 0 !important; padding: 0 !important; box-shadow: none !important; border: none !important; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+function ReportPage({ children, title, page, total, last }) {
+  return (
+    <div className="report-page" style={{ width:816, margin:"24px auto", padding:"40px 48px", background:C.surface,
+      border:`1px solid ${C.border}`, boxShadow:"0 2px 12px rgba(0,0,0,0.08)", breakAfter: last ? "auto" : "page" }}>
+      <div style={{ display:"flex", justifyContent:"space-between", borderBottom:`1px solid ${C.rule}`, paddingBottom:6, marginBottom:18,
+        fontSize:9, letterSpacing:1.4, textTransform:"uppercase", color:C.ghost, fontFamily:SANS }}>
+        <span>{title}</span>
+        <span>Page {page} of {total}</span>
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function ReportView({ model, inputs, calcs, comps, ddChecks, heatmaps, onClose }) {
+  const { companyName, bizType, stage, wacc, termGrowthRate } = inputs;
+  const { ddScore, earnedWeight, totalWeight } = diligenceScore(ddChecks);
+  const dateStr = new Date().toLocaleDateString("en-US", { year:"numeric", month:"long", day:"numeric" });
+  const title = `${companyName || "Target"} — Investment Committee Memorandum`;
+  const capm = model.waccBuild.on ? capmWacc(model.waccBuild, calcs, model.taxRate) : null;
+  // One heatmap fits the sensitivity page; the toolbar picks which
+  const [heatmapId, setHeatmapId] = useState(heatmaps[0]?.id);
+  const heatmap = heatmaps.find(d => d.id === heatmapId) ?? heatmaps[0];
+  const TOTAL = 6;
+  const figure = (lbl, val, sub, color) => (
+    <div style={{ flex:1, borderLeft:`3px solid ${color}`, padding:"4px 12px" }}>
+      <div style={{ fontSize:9, letterSpacing:1.4, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:3 }}>{lbl}</div>
+      <div style={{ fontSize:20, fontWeight:700, fontFamily:MONO, color, lineHeight:1 }}>{val}</div>
+      <div style={{ fontSize:10, color:C.muted, fontFamily:MONO, marginTop:3 }}>{sub}</div>
+    </div>
+  );
+  const btn = { border:"none", borderRadius:4, cursor:"pointer", padding:"7px 14px", fontSize:10.5, fontWeight:700,
+    letterSpacing:1.2, fontFamily:SANS };
+  return (
+    <div style={{ background:C.paper, minHeight:"100vh", color:C.ink, fontFamily:SANS, paddingBottom:24 }}>
+      <style>{REPORT_PRINT_CSS}</style>
+      <div className="report-toolbar" style={{ position:"sticky", top:0, zIndex:1, background:"#18160F", padding:"10px 24px",
+        display:"flex", alignItems:"center", gap:10 }}>
+        <span style={{ color:"#F5F3EE", fontFamily:SLAB, fontSize:13, fontWeight:700 }}>IC Report Preview</span>
+        <span style={{ color:"rgba(255,255,255,0.4)", fontSize:10, fontFamily:SANS }}>Use “Save as PDF” in the print dialog for a PDF copy</span>
+        {heatmaps.length > 1 && (
+          <select value={heatmap.id} onChange={e => setHeatmapId(e.target.value)}
+            style={{ marginLeft:"auto", background:"rgba(255,255,255,0.12)", border:"none", borderRadius:4, padding:"6px 8px",
+              fontSize:10.5, fontFamily:SANS, color:"#F5F3EE" }}>
+            {heatmaps.map(d => <option key={d.id} value={d.id} style={{ color:"#18160F" }}>{`Sensitivity: ${heatmapTitle(d)}`}</option>)}
+          </select>
+        )}
+        <button onClick={() => window.print()} style={{ ...btn, marginLeft: heatmaps.length > 1 ? 0 : "auto", background:"#8FD4F0", color:"#18160F" }}>PRINT / SAVE PDF</button>
+        <button onClick={onClose} style={{ ...btn, background:"rgba(255,255,255,0.12)", color:"#F5F3EE" }}>CLOSE</button>
+      </div>
+
+      {/* Page 1 — Summary */}
+      <ReportPage title={title} page={1} total={TOTAL}>
+        <div style={{ fontSize:9.5, letterSpacing:1.8, textTransform:"uppercase", color:C.steel, fontFamily:SANS, fontWeight:700 }}>Private Equity Valuation Analysis</div>
+        <div style={{ fontSize:26, fontWeight:700, fontFamily:SLAB, margin:"6px 0 2px" }}>{companyName || "Target Company"}</div>
+        <div style={{ fontSize:11, color:C.muted, fontFamily:SANS, marginBottom:18 }}>
+          {bizType} · {stage} · {$(calcs.arr)} ARR · {dateStr}
+        </div>
+        <div style={{ display:"flex", gap:12, marginBottom:20 }}>
+          {figure("Base Case EV", $(calcs.baseEV), `${mult(calcs.baseMult)} ARR`, C.steel)}
+          {figure("Bear / Bull", `${$(calcs.bearEV,0)} — ${$(calcs.bullEV,0)}`, `${mult(calcs.bearMult)} — ${mult(calcs.bullMult)} ARR`, C.ink)}
+          {figure("DCF Value", $(calcs.dcfEV), `${wacc}% WACC · ${termGrowthRate}% g`, C.blue)}
+          {figure("Quality / DD", `${calcs.scoreComposite.toFixed(0)} / ${ddScore.toFixed(0)}`, "Composite · diligence", C.green)}
+        </div>
+        <ScenarioCards calcs={calcs} comps={comps} />
+        <F.head text="Quality Assessment Scores" source="Empirically calibrated thresholds" />
+        <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:"0 24px" }}>
+          <F.score label="Composite Score" value={calcs.scoreComposite} bench="Retention 35% · Growth 35% · Efficiency 30%" />
+          <F.score label="Retention Quality" value={calcs.scoreRetention} bench="NRR 40% · GRR 35% · Logo Churn 25%" />
+          <F.score label="Growth Quality" value={calcs.scoreGrowth} bench="Growth vs stage 40% · Magic Number 30% · Burn Multiple 30%" />
+          <F.score label="Operational Efficiency" value={calcs.scoreEfficiency} bench="Rule of 40 35% · Gross Margin 30% · LTV:CAC 20% · Payback 15%" />
+        </div>
+      </ReportPage>
+
+      {/* Page 2 — Multiple build-up + ARR bridge */}
+      <ReportPage title={title} page={2} total={TOTAL}>
+        <F.head text="EV/ARR Multiple Build-Up" source="Private M&A anchored; every adjustment source-cited" />
+        <WaterfallChart rows={calcs.wf} />
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:10.5, margin:"8px 0 26px" }}>
+          <tbody>
+            {calcs.wf.map((r, i) => (
+              <tr key={i} style={{ borderBottom:`1px solid ${C.dim}` }}>
+                <td style={{ padding:"5px 6px", fontFamily:SANS }}>{r.label}</td>
+                <td style={{ padding:"5px 6px", textAlign:"right", fontFamily:MONO, fontWeight:700,
+                  color: i===0 ? C.ink : signColor(r.val) }}>{i===0 ? "" : r.val >= 0 ? "+" : ""}{r.val.toFixed(2)}x</td>
+                <td style={{ padding:"5px 6px", textAlign:"right", fontFamily:MONO, color:C.steel }}>{r.cumul.toFixed(2)}x</td>
+              </tr>
+            ))}
+            <tr style={{ background:C.steelLt }}>
+              <td style={{ padding:"7px 6px", fontWeight:700 }}>Final Base Multiple</td>
+              <td />
+              <td style={{ padding:"7px 6px", textAlign:"right", fontFamily:MONO, fontWeight:800, color:C.steel }}>{mult(calcs.baseMult)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <F.head text="ARR Bridge — Current Period" source="Opening + New Logo + Expansion − Contraction − Churn = Closing" />
+        <BridgeChart
+          open={calcs.openingArr} newLogo={calcs.newLogoArr}
+          expansion={calcs.expansionArr} contraction={calcs.contractionArr}
+          churn={calcs.churnArr} close={calcs.closingArr} />
+      </ReportPage>
+
+      {/* Page 3 — DCF */}
+      <ReportPage title={title} page={3} total={TOTAL}>
+        <F.head text="DCF — Full Financial Schedule" source="FCF = NOPAT + D&A − Capex − ΔWC + SBC" />
+        <DcfTable calcs={calcs} inputs={inputs} />
+        <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:10, lineHeight:1.6 }}>
+          {calcs.dcfParams.tvMethod === "exit" ? (
+            <>Terminal value: {calcs.termEbitdaMult}x final-year EBITDA exit multiple ({$(calcs.termEbitdaVal)}).
+            Gordon Growth cross-check at {termGrowthRate}% g and {wacc}% WACC: {$(calcs.termGg)}.</>
+          ) : (
+            <>Terminal value: Gordon Growth on final-year FCF at {termGrowthRate}% g and {wacc}% WACC ({$(calcs.termGg)}).
+            EV/EBITDA cross-check at {calcs.termEbitdaMult}x terminal EBITDA: {$(calcs.termEbitdaVal)}.</>
+          )}
+          {" "}{calcs.stub.start ? `Valued at ${calcs.stub.start} with a ${yr(calcs.stub.frac)} stub to fiscal year end; ` : ""}
+          {inputs.midYear ? "mid-year" : "end-of-period"} discounting, terminal value discounted {yr(calcs.tvPeriod)} from the valuation date.
+          {" "}Tax {inputs.taxRate}% · D&A {inputs.daPct}% · Capex {inputs.capexPct}% · SBC {inputs.sbcPct}% of revenue
+          {Object.keys(inputs.dcfOverrides || {}).length > 0 && " (per-year overrides applied)"}.
+          {capm && (
+            <>{" "}WACC {pct(capm.wacc, 2)} from CAPM build-up: cost of equity {pct(capm.ke, 2)} = {pct(model.waccBuild.rf, 2)} risk-free
+            + β {capm.beta.toFixed(2)}{model.waccBuild.betaMode === "unlevered" ? " (relevered)" : ""} × {pct(model.waccBuild.erp, 2)} ERP
+            + {pct(model.waccBuild.sizePrem, 2)} size + {pct(model.waccBuild.specificPrem, 2)} company-specific; after-tax cost of debt {pct(capm.kdAfterTax, 2)};
+            weights {pct(capm.we * 100, 0)} equity / {pct(capm.wd * 100, 0)} debt.</>
+          )}
+        </div>
+      </ReportPage>
+
+      {/* Page 4 — Sensitivity */}
+      <ReportPage title={title} page={4} total={TOTAL}>
+        {heatmap && (
+          <>
+            <F.head text={heatmapTitle(heatmap)} source="Full model re-computed at each cell" />
+            <SensitivityHeatmap model={model} def={heatmap} />
+          </>
+        )}
+      </ReportPage>
+
+      {/* Page 5 — Risk flags + diligence */}
+      <ReportPage title={title} page={5} total={TOTAL}>
+        <F.head text="Automated Risk Flag Analysis" source="Threshold-based, sourced to lender/PE standards" />
+        <RiskFlagList flags={riskFlags(inputs, calcs)} />
+        <div style={{ height:24 }} />
+        <F.head text="Diligence Scorecard" source="20-item PE standard, weighted by deal-closing criticality" />
+        <div style={{ display:"flex", alignItems:"baseline", gap:14, marginBottom:10 }}>
+          <span style={{ fontSize:30, fontWeight:800, fontFamily:MONO, color: ddScore >= 70 ? C.green : ddScore >= 45 ? C.amber : C.red }}>{ddScore.toFixed(0)}</span>
+          <span style={{ fontSize:11, color:C.muted, fontFamily:SANS }}>{earnedWeight}/{totalWeight} weighted points confirmed</span>
+        </div>
+        <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:"0 20px" }}>
+          {DILIGENCE_ITEMS.map(it => (
+            <div key={it.id} style={{ fontSize:10, fontFamily:SANS, padding:"3px 0", borderBottom:`1px solid ${C.dim}`,
+              color: ddChecks[it.id] ? C.ink : C.ghost }}>
+              <span style={{ fontFamily:MONO, color: ddChecks[it.id] ? C.green : C.red, marginRight:6 }}>{ddChecks[it.id] ? "✓" : "✗"}</span>
+              {it.label}
+            </div>
+          ))}
+        </div>
+      </ReportPage>
+
+      {/* Page 6 — Sources */}
+      <ReportPage title={title} page={6} total={TOTAL} last>
+        <F.head text="Source Citations" source={`Benchmark pack: ${PACK.name} (${PACK.vintage})`} />
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:10 }}>
+          <tbody>
+            {packSources().map(d => (
+              <tr key={d.param} style={{ borderBottom:`1px solid ${C.dim}` }}>
+                <td style={{ padding:"4px 6px", fontFamily:SANS }}>{d.param}</td>
+                <td style={{ padding:"4px 6px", fontFamily:MONO, color:C.steel }}>{d.value}</td>
+                <td style={{ padding:"4px 6px", fontFamily:SANS, color:C.muted }}>{d.source}</td>
+                <td style={{ padding:"4px 6px", fontFamily:MONO, color:C.ghost, whiteSpace:"nowrap" }}>{d.asOf}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div style={{ fontSize:9, color:C.ghost, fontFamily:SANS, marginTop:18, lineHeight:1.6 }}>
+          FOR INTERNAL USE ONLY — Indicative analysis only. Not investment advice. Consult a qualified M&A advisor for formal valuation opinions.
+        </div>
+      </ReportPage>
+    </div>
+  );
+}
+
+// ─── SCENARIO COMPARISON ──────────────────────────────────────────────────────
+const CURRENT_ID = "__current";
+const WF_STEP_NAMES = {
+  base:"Base anchor", growth:"Growth vs stage", rule40:"Rule of 40", nrr:"NRR", grr:"GRR",
+  gm:"Gross margin", ltvCac:"LTV:CAC", mix:"Recurring mix", size:"Size premium", tech:"Tech/market modifiers",
+  concentration:"Customer concentration",
+};
+
+// Attribute the EV gap between two stored models to each changed input by
+// swapping inputs from A to B one at a time and re-running the full model
+// (same approach as the Value Creation Levers). Steps telescope, so they sum
+// exactly to B − A; attribution is order-dependent and follows DEFAULT_INPUTS order.
+function attributeEvDelta(modelA, modelB) {
+  let cur = { ...modelA };
+  let prev = computeValuation(buildInputs(cur));
+  const steps = [];
+  for (const key of Object.keys(DEFAULT_INPUTS)) {
+    if (key === "companyName") continue;
+    if (JSON.stringify(cur[key]) === JSON.stringify(modelB[key])) continue;
+    cur = { ...cur, [key]: modelB[key] };
+    const next = computeValuation(buildInputs(cur));
+    steps.push({ key, from: modelA[key], to: modelB[key],
+      dBase: next.baseEV - prev.baseEV, dDcf: next.dcfEV - prev.dcfEV });
+    prev = next;
+  }
+  return steps;
+}
+
+// Horizontal EV bridge: opening bar, one floating bar per step, closing bar
+function EvBridgeChart({ startLabel, start, steps, endLabel, end }) {
+  const rows = [{ label:startLabel, lo:0, hi:start, color:C.steel, total:true }];
+  let run = start;
+  steps.forEach(st => {
+    rows.push({ label:st.label, lo:run, hi:run + st.delta, color: st.delta >= 0 ? C.green : C.red, delta:st.delta });
+    run += st.delta;
+  });
+  rows.push({ label:endLabel, lo:0, hi:end, color:C.blue, total:true });
+  const W = 600, ROW = 20, PL = 180, PR = 70, PT = 6;
+  const H = PT * 2 + rows.length * ROW;
+  const maxV = Math.max(...rows.map(r => Math.max(r.lo, r.hi)), 1);
+  const minV = Math.min(0, ...rows.map(r => Math.min(r.lo, r.hi)));
+  const xS = (v) => PL + ((v - minV) / (maxV - minV)) * (W - PL - PR);
+  return (
+    <svg width="100%" viewBox={`0 0 ${W} ${H}`}>
+      <line x1={xS(0)} y1={PT} x2={xS(0)} y2={H - PT} stroke={C.rule} strokeWidth={1} />
+      {rows.map((r, i) => {
+        const y = PT + i * ROW;
+        const x0 = xS(Math.min(r.lo, r.hi)), x1 = xS(Math.max(r.lo, r.hi));
+        const label = r.label.length > 30 ? `${r.label.slice(0, 29)}…` : r.label;
+        return (
+          <g key={i}>
+            <text x={PL - 8} y={y + ROW / 2 + 3} textAnchor="end" fontSize={9} fill={r.total ? C.ink : C.muted}
+              fontFamily={SANS} fontWeight={r.total ? 700 : 400}>{label}</text>
+            <rect x={x0} y={y + 3} width={Math.max(x1 - x0, 1.5)} height={ROW - 6} fill={r.color} opacity={r.total ? 1 : 0.85} rx={1} />
+            <text x={x1 + 5} y={y + ROW / 2 + 3} fontSize={8.5} fill={r.color} fontFamily={MONO} fontWeight={700}>
+              {r.total ? $(r.hi) : `${r.delta >= 0 ? "+" : "-"}${$(Math.abs(r.delta))}`}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function CompareView({ scenarios, currentModel }) {
+  const entries = [{ id:CURRENT_ID, name:"Current (unsaved)", model:currentModel }, ...scenarios];
+  const [selected, setSelected] = useState(() => entries.slice(0, 2).map(e => e.id));
+  const [pairA, setPairA] = useState(null);
+  const [pairB, setPairB] = useState(null);
+  const [metric, setMetric] = useState("dBase");
+
+  const cols = selected
+    .map(id => entries.find(e => e.id === id))
+    .filter(Boolean)
+    .map(e => {
+      const model = { ...DEFAULT_INPUTS, ...e.model };
+      return { ...e, model, v: computeValuation(buildInputs(model)) };
+    });
+  const toggle = (id) => setSelected(p =>
+    p.includes(id) ? p.filter(x => x !== id) : p.length >= 4 ? p : [...p, id]);
+
+  const a = cols.find(c => c.id === pairA) || cols[0];
+  const b = cols.find(c => c.id === pairB && c !== a) || cols.find(c => c !== a);
+  const steps = a && b ? attributeEvDelta(a.model, b.model) : [];
+  const startEV = a ? (metric === "dBase" ? a.v.baseEV : a.v.dcfEV) : 0;
+  const endEV   = b ? (metric === "dBase" ? b.v.baseEV : b.v.dcfEV) : 0;
+
+  const metricRows = [
+    { lbl:"EV / ARR (base)",  f: v => mult(v.baseMult), bold:true },
+    { lbl:"Base Case EV",     f: v => $(v.baseEV),      bold:true },
+    { lbl:"DCF EV",           f: v => $(v.dcfEV) },
+    { lbl:"Quality Score",    f: v => v.scoreComposite.toFixed(0) },
+    { lbl:"Rule of 40",       f: v => v.rule40.toFixed(0) },
+    { lbl:"LTV : CAC",        f: v => mult(v.ltvCac) },
+  ];
+  const wfKeys = Object.keys(WF_STEP_NAMES).filter(k => cols.some(c => c.v.wf.some(r => r.key === k)));
+  const th = { padding:"6px 10px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700 };
+  const selStyle = { background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"3px 6px",
+    fontSize:11, fontFamily:SANS, color:C.ink };
+
+  return (
+    <div>
+      <F.head text="Scenario Comparison" source="Full model re-run for each saved input set (max 4)" />
+      <div style={{ display:"flex", flexWrap:"wrap", gap:5, marginBottom:14 }}>
+        {entries.map(e => (
+          <Chip key={e.id} label={e.name} active={selected.includes(e.id)} onClick={() => toggle(e.id)} />
+        ))}
+      </div>
+      {cols.length < 2 ? (
+        <div style={{ fontSize:11.5, color:C.ghost, fontFamily:SANS }}>Select at least two scenarios. Save scenarios from the sidebar library.</div>
+      ) : (
+        <div style={{ overflowX:"auto" }}>
+          <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
+            <thead>
+              <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                <th style={{ ...th, textAlign:"left" }}>Metric</th>
+                {cols.map(c => <th key={c.id} style={{ ...th, textAlign:"right" }}>{c.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {metricRows.map((row, ri) => (
+                <tr key={row.lbl} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                  <td style={{ padding:"7px 10px", fontWeight:row.bold?700:500, fontFamily:SANS }}>{row.lbl}</td>
+                  {cols.map(c => (
+                    <td key={c.id} style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, fontWeight:row.bold?700:500, color:row.bold?C.steel:C.ink }}>{row.f(c.v)}</td>
+                  ))}
+                </tr>
+              ))}
+              <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                <td colSpan={cols.length + 1} style={{ ...th, paddingTop:14 }}>Multiple Build-Up (Δx per step)</td>
+              </tr>
+              {wfKeys.map((k, ri) => (
+                <tr key={k} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                  <td style={{ padding:"7px 10px", fontFamily:SANS }}>{WF_STEP_NAMES[k]}</td>
+                  {cols.map(c => {
+                    const r = c.v.wf.find(x => x.key === k);
+                    return (
+                      <td key={c.id} style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO,
+                        color: !r ? C.ghost : k === "base" ? C.ink : signColor(r.val) }}>
+                        {!r ? "—" : `${k !== "base" && r.val >= 0 ? "+" : ""}${r.val.toFixed(2)}x`}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {a && b && (
+        <div style={{ marginTop:22 }}>
+          <F.head text="EV Delta Attribution Bridge" source="Inputs swapped one at a time from A to B; full model re-run at each step" />
+          <div style={{ display:"flex", gap:10, alignItems:"center", marginBottom:12, fontSize:11, fontFamily:SANS, color:C.muted }}>
+            <span>From</span>
+            <select value={a.id} onChange={e => setPairA(e.target.value)} style={selStyle}>
+              {cols.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <span>to</span>
+            <select value={b.id} onChange={e => setPairB(e.target.value)} style={selStyle}>
+              {cols.filter(c => c !== a).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <div style={{ marginLeft:"auto", display:"flex", gap:5 }}>
+              <Chip label="Base EV" active={metric === "dBase"} onClick={() => setMetric("dBase")} />
+              <Chip label="DCF EV" active={metric === "dDcf"} onClick={() => setMetric("dDcf")} />
+            </div>
+          </div>
+          {steps.length === 0 ? (
+            <div style={{ fontSize:11.5, color:C.ghost, fontFamily:SANS }}>The two scenarios have identical inputs.</div>
+          ) : (
+            <>
+              <EvBridgeChart startLabel={a.name} start={startEV} endLabel={b.name} end={endEV}
+                steps={steps.map(st => ({ label: INPUT_SPECS[st.key]?.label || st.key, delta: st[metric] }))} />
+              <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11, marginTop:10 }}>
+                <thead>
+                  <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                    {["Changed Input", a.name, b.name, "Δ Base EV", "Δ DCF EV"].map((h, i) => (
+                      <th key={i} style={{ ...th, textAlign:i===0?"left":"right" }}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {steps.map((st, ri) => {
+                    const fmt = INPUT_SPECS[st.key]?.fmt || (v => JSON.stringify(v));
+                    return (
+                      <tr key={st.key} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                        <td style={{ padding:"7px 10px", fontFamily:SANS }}>{INPUT_SPECS[st.key]?.label || st.key}</td>
+                        <td style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, color:C.muted }}>{fmt(st.from)}</td>
+                        <td style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, color:C.muted }}>{fmt(st.to)}</td>
+                        <td style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, fontWeight:700, color:signColor(st.dBase) }}>{st.dBase >= 0 ? "+" : "-"}{$(Math.abs(st.dBase))}</td>
+                        <td style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, fontWeight:700, color:signColor(st.dDcf) }}>{st.dDcf >= 0 ? "+" : "-"}{$(Math.abs(st.dDcf))}</td>
+                      </tr>
+                    );
+                  })}
+                  <tr style={{ background:C.steelLt, borderTop:`2px solid ${C.rule}` }}>
+                    <td colSpan={3} style={{ padding:"9px 10px", fontWeight:700, fontSize:12 }}>Total change</td>
+                    <td style={{ padding:"9px 10px", textAlign:"right", fontFamily:MONO, fontWeight:800, color:C.steel }}>{b.v.baseEV >= a.v.baseEV ? "+" : "-"}{$(Math.abs(b.v.baseEV - a.v.baseEV))}</td>
+                    <td style={{ padding:"9px 10px", textAlign:"right", fontFamily:MONO, fontWeight:800, color:C.steel }}>{b.v.dcfEV >= a.v.dcfEV ? "+" : "-"}{$(Math.abs(b.v.dcfEV - a.v.dcfEV))}</td>
+                  </tr>
+                </tbody>
+              </table>
+              <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8 }}>
+                Attribution is sequential: each input's delta is measured after the inputs above it have already been swapped, so interacting inputs (e.g. growth and Rule of 40) depend on order. Steps sum exactly to the total.
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── MONTE CARLO SIMULATION ───────────────────────────────────────────────────
+// Each key input gets a distribution centred on its current value; bounds are
+// stored as offsets so they follow the sliders. Draws use a Gaussian copula so
+// growth and NRR can be correlated whatever their marginal shapes.
+const SIM_KEYS = ["arrGrowth","nrr","grr","grossMargin","ebitdaMargin","wacc","termGrowthRate"];
+const SIM_DISTS = { normal:"Normal", triangular:"Triangular", uniform:"Uniform" };
+const SIM_SPREAD = { arrGrowth:10, nrr:5, grr:3, grossMargin:4, ebitdaMargin:6, wacc:1.5, termGrowthRate:0.5 };
+const DEFAULT_SIM = {
+  specs: Object.fromEntries(SIM_KEYS.map(k => [k, { dist:"normal", sd:SIM_SPREAD[k], down:2 * SIM_SPREAD[k], up:2 * SIM_SPREAD[k] }])),
+  draws: 5000, rho: 0.5, seed: 1,
+};
+const SIM_DRAW_OPTIONS = [1000, 2500, 5000, 10000];
+
+// Seeded PRNG (mulberry32) so a run is reproducible from its seed
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17) and inverse (Acklam)
+function normCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const p = 0.3989422804014327 * Math.exp(-z * z / 2) *
+    t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z > 0 ? 1 - p : p;
+}
+function normInv(u) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const q0 = Math.min(Math.max(u, 1e-12), 1 - 1e-12);
+  if (q0 < 0.02425) {
+    const q = Math.sqrt(-2 * Math.log(q0));
+    return (((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1);
+  }
+  if (q0 > 1 - 0.02425) {
+    const q = Math.sqrt(-2 * Math.log(1 - q0));
+    return -(((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1);
+  }
+  const q = q0 - 0.5, r = q * q;
+  return (((((a[0]*r+a[1])*r+a[2])*r+a[3])*r+a[4])*r+a[5])*q / (((((b[0]*r+b[1])*r+b[2])*r+b[3])*r+b[4])*r+1);
+}
+
+// Absolute [lo, hi] for an input's distribution, held inside the slider range
+function simBounds(key, center, spec) {
+  const { min, max } = INPUT_SPECS[key];
+  return [clamp(center - spec.down, min, max), clamp(center + spec.up, min, max)];
+}
+
+// Uniform u ∈ (0,1) → draw from the input's marginal distribution
+function simQuantile(u, center, lo, hi, spec) {
+  if (hi <= lo) return lo;
+  if (spec.dist === "uniform") return lo + u * (hi - lo);
+  if (spec.dist === "triangular") {
+    const m = clamp(center, lo, hi), fc = (m - lo) / (hi - lo);
+    return u < fc ? lo + Math.sqrt(u * (hi - lo) * (m - lo)) : hi - Math.sqrt((1 - u) * (hi - lo) * (hi - m));
+  }
+  // Normal truncated to [lo, hi] by inverse CDF (no pile-up at the bounds)
+  const sd = Math.max(spec.sd, 1e-9);
+  const pa = normCdf((lo - center) / sd), pb = normCdf((hi - center) / sd);
+  return clamp(center + sd * normInv(pa + u * (pb - pa)), lo, hi);
+}
+
+// Draws centre on the current inputs; a CAPM-derived WACC is drawn around the derived rate
+const simCenter = (model) => model.waccBuild?.on ? pinWacc(model, buildInputs(model).wacc) : model;
+
+function runSimulation(model, sim) {
+  const rand = mulberry32(sim.seed);
+  const gauss = () => {
+    const u1 = rand() || 1e-12, u2 = rand();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  };
+  const bounds = Object.fromEntries(SIM_KEYS.map(k => [k, simBounds(k, model[k], sim.specs[k])]));
+  const rho = clamp(sim.rho, -0.99, 0.99);
+  const baseEV = new Float64Array(sim.draws), dcfEV = new Float64Array(sim.draws);
+  const drawn = Object.fromEntries(SIM_KEYS.map(k => [k, new Float64Array(sim.draws)]));
+  for (let i = 0; i < sim.draws; i++) {
+    const z = Object.fromEntries(SIM_KEYS.map(k => [k, gauss()]));
+    z.nrr = rho * z.arrGrowth + Math.sqrt(1 - rho * rho) * z.nrr; // growth–NRR correlation
+    const draw = { ...model };
+    for (const k of SIM_KEYS) {
+      const [lo, hi] = bounds[k];
+      draw[k] = simQuantile(normCdf(z[k]), model[k], lo, hi, sim.specs[k]);
+    }
+    draw.termGrowthRate = Math.min(draw.termGrowthRate, draw.wacc - 1); // keep the Gordon denominator positive
+    const v = computeValuation(buildInputs(draw)); // auto growth decay follows the drawn growth
+    baseEV[i] = v.baseEV; dcfEV[i] = v.dcfEV;
+    for (const k of SIM_KEYS) drawn[k][i] = draw[k];
+  }
+  return { baseEV: baseEV.sort(), dcfEV: dcfEV.sort(), drawn, draws: sim.draws };
+}
+
+// Percentile of a sorted array (linear interpolation)
+function quantile(sorted, p) {
+  const idx = (sorted.length - 1) * p, lo = Math.floor(idx), hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function correlation(xs, ys) {
+  const n = xs.length;
+  let mx = 0, my = 0;
+  for (let i = 0; i < n; i++) { mx += xs[i]; my += ys[i]; }
+  mx /= n; my /= n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) { const dx = xs[i] - mx, dy = ys[i] - my; sxy += dx * dy; sxx += dx * dx; syy += dy * dy; }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+// Histogram of a sorted sample with P10/P50/P90 and point-estimate markers
+function Histogram({ sorted, color, markers, bins = 40 }) {
+  const W = 560, H = 170, PL = 12, PR = 12, PT = 18, PB = 26;
+  const lo = quantile(sorted, 0.005), hi = quantile(sorted, 0.995); // trim extreme tails for scale
+  const span = hi - lo || 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of sorted) counts[clamp(Math.floor((v - lo) / span * bins), 0, bins - 1)]++;
+  const maxC = Math.max(...counts, 1);
+  const bw = (W - PL - PR) / bins;
+  const xS = (v) => PL + clamp((v - lo) / span, 0, 1) * (W - PL - PR);
+  return (
+    <svg width="100%" viewBox={`0 0 ${W} ${H}`}>
+      {counts.map((c, i) => {
+        const h = (c / maxC) * (H - PT - PB);
+        return <rect key={i} x={PL + i * bw + 0.5} y={H - PB - h} width={Math.max(bw - 1, 0.5)} height={h} fill={color} opacity={0.55} />;
+      })}
+      <line x1={PL} y1={H - PB} x2={W - PR} y2={H - PB} stroke={C.rule} strokeWidth={1} />
+      {markers.map((m, i) => (
+        <g key={i}>
+          <line x1={xS(m.v)} y1={PT - 4} x2={xS(m.v)} y2={H - PB} stroke={m.color} strokeWidth={m.bold ? 2 : 1.25} strokeDasharray={m.dash ? "4 3" : undefined} />
+          <text x={xS(m.v)} y={PT - 7} textAnchor="middle" fontSize={9} fill={m.color} fontFamily={MONO} fontWeight={700}>{m.label}</text>
+        </g>
+      ))}
+      {[0, 0.25, 0.5, 0.75, 1].map(t => (
+        <text key={t} x={PL + t * (W - PL - PR)} y={H - PB + 14} textAnchor={t === 0 ? "start" : t === 1 ? "end" : "middle"}
+          fontSize={9} fill={C.ghost} fontFamily={MONO}>{$(lo + t * span, 0)}</text>
+      ))}
+    </svg>
+  );
+}
+
+function SimulationView({ model, calcs, sim, onChange }) {
+  const [result, setResult] = useState(null);
+  const [ranWith, setRanWith] = useState(null);
+  const runKey = JSON.stringify([model, sim]);
+  const center = simCenter(model);
+  const run = () => { setResult(runSimulation(center, sim)); setRanWith(runKey); };
+  useEffect(run, []); // first visit runs with the current settings
+  const setSpec = (k, patch) => onChange({ ...sim, specs: { ...sim.specs, [k]: { ...sim.specs[k], ...patch } } });
+  const num = (v) => { const n = parseFloat(v); return isNaN(n) || n < 0 ? 0 : n; };
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:52, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const th = { padding:"7px 10px", fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, fontWeight:700 };
+
+  const stats = result && ["baseEV", "dcfEV"].map(key => {
+    const s = result[key];
+    return { key, p10: quantile(s, 0.1), p50: quantile(s, 0.5), p90: quantile(s, 0.9),
+      mean: s.reduce((t, v) => t + v, 0) / s.length, point: calcs[key] };
+  });
+  const realisedRho = result && correlation(result.drawn.arrGrowth, result.drawn.nrr);
+
+  return (
+    <div>
+      <F.head text="Input Distributions" source="Centred on the current inputs; bounds move with the sliders" />
+      <div style={{ overflowX:"auto" }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11.5, fontFamily:SANS }}>
+          <thead>
+            <tr style={{ borderBottom:`2px solid ${C.rule}` }}>
+              <th style={{ ...th, textAlign:"left" }}>Input</th>
+              <th style={{ ...th, textAlign:"right" }}>Current</th>
+              <th style={{ ...th, textAlign:"left" }}>Distribution</th>
+              <th style={{ ...th, textAlign:"right" }}>σ</th>
+              <th style={{ ...th, textAlign:"right" }}>− Bound</th>
+              <th style={{ ...th, textAlign:"right" }}>+ Bound</th>
+              <th style={{ ...th, textAlign:"right" }}>Range</th>
+            </tr>
+          </thead>
+          <tbody>
+            {SIM_KEYS.map((k, i) => {
+              const sp = sim.specs[k];
+              const [lo, hi] = simBounds(k, center[k], sp);
+              return (
+                <tr key={k} style={{ background: i % 2 ? C.panel : C.surface, borderBottom:`1px solid ${C.dim}` }}>
+                  <td style={{ padding:"6px 10px", color:C.ink }}>{INPUT_SPECS[k].label}</td>
+                  <td style={{ padding:"6px 10px", textAlign:"right", fontFamily:MONO, fontWeight:700, color:C.steel }}>{INPUT_SPECS[k].fmt(center[k])}</td>
+                  <td style={{ padding:"6px 10px" }}>
+                    <select value={sp.dist} onChange={e => setSpec(k, { dist: e.target.value })}
+                      style={{ background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"2px 5px", fontSize:11, fontFamily:SANS, color:C.ink }}>
+                      {Object.entries(SIM_DISTS).map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                    </select>
+                  </td>
+                  <td style={{ padding:"6px 10px", textAlign:"right" }}>
+                    {sp.dist === "normal"
+                      ? <input type="number" value={sp.sd} onChange={e => setSpec(k, { sd: num(e.target.value) })} style={inp} />
+                      : <span style={{ color:C.ghost }}>—</span>}
+                  </td>
+                  <td style={{ padding:"6px 10px", textAlign:"right" }}>
+                    <input type="number" value={sp.down} onChange={e => setSpec(k, { down: num(e.target.value) })} style={inp} />
+                  </td>
+                  <td style={{ padding:"6px 10px", textAlign:"right" }}>
+                    <input type="number" value={sp.up} onChange={e => setSpec(k, { up: num(e.target.value) })} style={inp} />
+                  </td>
+                  <td style={{ padding:"6px 10px", textAlign:"right", fontFamily:MONO, color:C.muted, whiteSpace:"nowrap" }}>
+                    {INPUT_SPECS[k].fmt(lo)} – {INPUT_SPECS[k].fmt(hi)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:24, marginTop:18, alignItems:"end" }}>
+        <Slider label="Growth ↔ NRR correlation (ρ)" value={sim.rho} min={-0.9} max={0.9} step={0.05}
+          fmt={v => v.toFixed(2)} onChange={v => onChange({ ...sim, rho: v })}
+          note="Faster-growing SaaS companies tend to carry higher NRR" />
+        <div style={{ marginBottom:16 }}>
+          <div style={{ fontSize:11.5, color:C.muted, fontFamily:SANS, marginBottom:6 }}>Draws · seed {sim.seed}</div>
+          <div style={{ display:"flex", gap:5, flexWrap:"wrap" }}>
+            {SIM_DRAW_OPTIONS.map(n => (
+              <Chip key={n} label={n.toLocaleString()} active={sim.draws === n} onClick={() => onChange({ ...sim, draws: n })} />
+            ))}
+            <Chip label="Re-seed" onClick={() => onChange({ ...sim, seed: 1 + Math.floor(Math.random() * 1e6) })} />
+          </div>
+        </div>
+      </div>
+      <div style={{ display:"flex", alignItems:"center", gap:12 }}>
+        <button onClick={run} style={{ background:C.steel, color:"#fff", border:"none", borderRadius:4, cursor:"pointer",
+          padding:"7px 16px", fontSize:10.5, fontWeight:700, letterSpacing:1.2, fontFamily:SANS }}>RUN SIMULATION</button>
+        {result && ranWith !== runKey && (
+          <span style={{ fontSize:11, color:C.amber, fontFamily:SANS }}>⚠ Inputs or settings changed since the last run</span>
+        )}
+      </div>
+
+      {result && (
+        <div style={{ marginTop:22 }}>
+          <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:24 }}>
+            {stats.map(s => (
+              <div key={s.key}>
+                <F.head text={s.key === "baseEV" ? "Base Case EV (multiple build-up)" : "DCF Enterprise Value"}
+                  source={`${result.draws.toLocaleString()} draws`} />
+                <Histogram sorted={result[s.key]} color={s.key === "baseEV" ? C.steel : C.blue}
+                  markers={[
+                    { v:s.p10, label:"P10", color:C.red },
+                    { v:s.p50, label:"P50", color:C.ink, bold:true },
+                    { v:s.p90, label:"P90", color:C.green },
+                    { v:s.point, label:"◆", color:C.amber, dash:true },
+                  ]} />
+                <F.row label="P10 / P50 / P90" value={`${$(s.p10)} / ${$(s.p50)} / ${$(s.p90)}`} bold />
+                <F.row label="Mean" value={$(s.mean)} />
+                <F.row label="Point estimate (◆)" value={$(s.point)} vc={C.amber} />
+                <F.row label="P90 ÷ P10 spread" value={mult(s.p90 / s.p10, 2)} />
+              </div>
+            ))}
+          </div>
+          <div style={{ marginTop:14, padding:"10px 14px", background:C.steelLt, borderRadius:3, fontSize:11.5, color:C.ink, fontFamily:SANS, lineHeight:1.7 }}>
+            <strong>Fixed scenarios vs. simulated range:</strong> Bear/Bull apply ×{DATA.BEAR_FACTOR}/×{DATA.BULL_FACTOR} to the base multiple
+            ({$(calcs.bearEV)} – {$(calcs.bullEV)}). Operating uncertainty alone gives a base-case P10–P90 of {$(stats[0].p10)} – {$(stats[0].p90)}.
+            Realised growth–NRR correlation in the draws: {realisedRho.toFixed(2)}.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── LBO / RETURNS ────────────────────────────────────────────────────────────
+// Cash-free, debt-free buyout: debt is sized on entry ARR, serviced from the
+// DCF schedule's unlevered FCF (plus the interest tax shield) and swept in
+// seniority order; the sponsor exits at an EV/ARR or EV/EBITDA multiple.
+const DEFAULT_LBO = {
+  entryEvM: null,      // null = base-case EV
+  holdYrs: 5,
+  feesPct: 2.5,        // transaction fees, % of entry EV
+  minCashM: 2,         // cash funded onto the balance sheet at close
+  sweepPct: 100,       // share of excess cash flow applied to prepayment
+  exitBasis: "arr",    // "arr" | "ebitda"
+  exitMult: null,      // null = entry EV/ARR, or the terminal EV/EBITDA multiple
+  targetIrr: 25,
+  tranches: [
+    { label:"Senior term loan",       arrMult:0.75, rate:9.0,  amortPct:1 },
+    { label:"Unitranche",             arrMult:0.50, rate:11.5, amortPct:0 },
+    { label:"Recurring-revenue loan", arrMult:0.50, rate:12.5, amortPct:0 },
+  ],
+};
+
+function computeLbo(inputs, calcs, lbo, over = {}) {
+  const entryEv = over.entryEv ?? (lbo.entryEvM != null ? lbo.entryEvM * 1e6 : calcs.baseEV);
+  const entryMult = entryEv / calcs.arr;
+  const exitMult = over.exitMult ?? lbo.exitMult ?? (lbo.exitBasis === "arr" ? entryMult : calcs.termEbitdaMult);
+  const hold = Math.min(lbo.holdYrs, calcs.dcfRows.length);
+
+  // Sources & uses
+  const fees = entryEv * lbo.feesPct / 100;
+  const minCash = lbo.minCashM * 1e6;
+  const uses = entryEv + fees + minCash;
+  const debt = lbo.tranches.map(t => ({ ...t, amount: calcs.arr * t.arrMult, bal: calcs.arr * t.arrMult }));
+  const totalDebt = debt.reduce((s, t) => s + t.amount, 0);
+  const equity = uses - totalDebt;
+
+  // Annual debt schedule; a stub first year accrues interest and amortisation
+  // for its fraction of the year, matching its prorated FCF
+  let cash = minCash;
+  const rows = [];
+  for (let i = 0; i < hold; i++) {
+    const r = calcs.dcfRows[i];
+    const interest = debt.reduce((s, t) => s + t.bal * t.rate / 100, 0) * r.frac;
+    const shield = Math.min(interest, Math.max(0, r.ebit)) * r.drivers.taxRate;
+    const cfads = r.fcf - interest + shield;
+    let mandatory = 0;
+    for (const t of debt) {
+      const a = Math.min(t.bal, t.amount * t.amortPct / 100 * r.frac);
+      t.bal -= a; mandatory += a;
+    }
+    let sweepable = Math.max(0, cfads - mandatory) * lbo.sweepPct / 100;
+    let sweep = 0;
+    for (const t of debt) {
+      const p = Math.min(t.bal, sweepable);
+      t.bal -= p; sweepable -= p; sweep += p;
+    }
+    cash += cfads - mandatory - sweep;
+    const debtEnd = debt.reduce((s, t) => s + t.bal, 0);
+    rows.push({ year: r.year, frac: r.frac, arr: r.arr, ebitda: r.ebitda, fcf: r.fcf, interest, cfads, mandatory, sweep, debtEnd, cash,
+      balances: debt.map(t => t.bal), leverage: debtEnd / r.arr });
+  }
+
+  // Exit; the hold runs from close to the end of the last year held
+  const last = rows[rows.length - 1];
+  const holdTerm = rows.reduce((s, r) => s + r.frac, 0);
+  const exitRow = calcs.dcfRows[hold - 1];
+  const exitEv = (lbo.exitBasis === "arr" ? exitRow.arr : exitRow.ebitda) * exitMult;
+  const exitEquity = exitEv - last.debtEnd + last.cash;
+  const moic = equity > 0 ? Math.max(0, exitEquity) / equity : null;
+  const irr = moic == null ? null : moic > 0 ? (Math.pow(moic, 1 / holdTerm) - 1) * 100 : -100;
+  return {
+    entryEv, entryMult, exitMult, hold, holdTerm, fees, minCash, uses, debt, totalDebt, equity,
+    rows, exitEv, exitEquity, moic, irr, fundingGap: rows.some(r => r.cash < 0),
+  };
+}
+
+// Highest entry EV that still clears the target IRR at a fixed exit multiple
+// (bisection; with the exit held, IRR falls as the price rises)
+function maxEntryForIrr(inputs, calcs, lbo, exitMult) {
+  const irrAt = (ev) => computeLbo(inputs, calcs, lbo, { entryEv: ev, exitMult }).irr;
+  // Floor: the lowest price at which the sponsor still writes an equity cheque
+  const debt = lbo.tranches.reduce((s, t) => s + calcs.arr * t.arrMult, 0);
+  let lo = Math.max(calcs.arr * 0.1, (debt - lbo.minCashM * 1e6) / (1 + lbo.feesPct / 100) * 1.001 + 1);
+  let hi = calcs.arr * 100;
+  if (!(irrAt(lo) >= lbo.targetIrr)) return null;
+  if (irrAt(hi) >= lbo.targetIrr) return hi;
+  for (let k = 0; k < 60; k++) {
+    const mid = (lo + hi) / 2;
+    if (irrAt(mid) >= lbo.targetIrr) lo = mid; else hi = mid;
+  }
+  return lo;
+}
+
+// IRR cell coloured against the target hurdle
+function IrrCell({ irr, target, isActive }) {
+  const ok = irr != null;
+  const c  = !ok ? C.ghost : irr >= target ? C.green : irr >= target - 5 ? C.amber : C.red;
+  const bg = !ok ? C.panel : irr >= target ? C.greenLt : irr >= target - 5 ? C.amberLt : C.redLt;
+  return (
+    <td style={{ padding:"5px 9px", textAlign:"center", fontFamily:MONO, fontSize:11.5,
+      background: isActive ? C.steel : bg, color: isActive ? "#fff" : c,
+      fontWeight: isActive ? 700 : 500, border:`1px solid ${C.dim}` }}>
+      {ok ? pct(irr, 0) : "n/m"}
+    </td>
+  );
+}
+
+const LBO_GRID_STEPS = [0.7, 0.8, 0.9, 1, 1.1, 1.2, 1.3];
+
+function LboView({ inputs, calcs, lbo, onChange }) {
+  const res = computeLbo(inputs, calcs, lbo);
+  const maxEv = maxEntryForIrr(inputs, calcs, lbo, res.exitMult);
+  const set = (patch) => onChange({ ...lbo, ...patch });
+  const setTranche = (i, patch) => set({ tranches: lbo.tranches.map((t, j) => j === i ? { ...t, ...patch } : t) });
+  const num = (v) => { const n = parseFloat(v); return isNaN(n) ? 0 : n; };
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:60, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const th = { padding:"7px 10px", fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, fontWeight:700, textAlign:"right" };
+  const td = { padding:"6px 10px", textAlign:"right", fontFamily:MONO };
+  const basisLbl = lbo.exitBasis === "arr" ? "EV/ARR" : "EV/EBITDA";
+  const field = (label, el, sub) => (
+    <div style={{ display:"flex", justifyContent:"space-between", alignItems:"baseline", padding:"6px 0", borderBottom:`1px solid ${C.dim}` }}>
+      <span style={{ fontSize:11.5, color:C.muted, fontFamily:SANS }}>{label}{sub && <span style={{ fontSize:10, color:C.ghost }}> · {sub}</span>}</span>
+      {el}
+    </div>
+  );
+
+  return (
+    <div>
+      <div style={{ display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:12, marginBottom:18 }}>
+        {[
+          { lbl:"Sponsor IRR", v: res.irr != null ? pct(res.irr) : "n/m", c: res.irr != null && res.irr >= lbo.targetIrr ? C.green : C.red, note:`${res.holdTerm < res.hold ? `${yr(res.holdTerm)} hold (stub)` : `${res.hold}-year hold`} · target ${lbo.targetIrr}%` },
+          { lbl:"MOIC", v: res.moic != null ? mult(res.moic, 2) : "n/m", c:C.steel, note:`Equity in ${$(res.equity)}` },
+          { lbl:"Equity Value at Exit", v:$(res.exitEquity), c:C.blue, note:`Exit EV ${$(res.exitEv)} at ${mult(res.exitMult)} ${basisLbl}` },
+          { lbl:`Max Price at ${lbo.targetIrr}% IRR`, v: maxEv ? $(maxEv) : "n/a", c:C.amber, note: maxEv ? `${mult(maxEv / calcs.arr)} ARR · ${pct((maxEv / res.entryEv - 1) * 100)} vs entry` : "Target not reachable at any price" },
+        ].map(({ lbl, v, c, note }) => (
+          <div key={lbl} style={{ background:C.panel, border:`1px solid ${C.border}`, borderRadius:4, padding:"14px 16px" }}>
+            <div style={{ fontSize:10, color:C.muted, textTransform:"uppercase", letterSpacing:1, fontFamily:SANS, marginBottom:6 }}>{lbl}</div>
+            <div style={{ fontSize:24, fontWeight:800, color:c, fontFamily:MONO, lineHeight:1 }}>{v}</div>
+            <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:6 }}>{note}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:28 }}>
+        <div>
+          <F.head text="Transaction Assumptions" source="Cash-free, debt-free entry" />
+          {field("Entry EV ($M)",
+            <span style={{ display:"flex", gap:6, alignItems:"baseline" }}>
+              <input type="number" value={lbo.entryEvM ?? ""} placeholder={(calcs.baseEV / 1e6).toFixed(1)}
+                onChange={e => set({ entryEvM: e.target.value === "" ? null : num(e.target.value) })} style={inp} />
+              {lbo.entryEvM != null && <Chip label="Base case" onClick={() => set({ entryEvM: null })} />}
+            </span>,
+            lbo.entryEvM == null ? "base case" : `${mult(res.entryMult)} ARR`)}
+          {field("Hold period",
+            <span style={{ display:"flex", gap:4 }}>
+              {Array.from({ length: calcs.dcfRows.length - 2 }, (_, i) => i + 3).map(y => (
+                <Chip key={y} label={`${y}yr`} active={res.hold === y} onClick={() => set({ holdYrs: y })} />
+              ))}
+            </span>)}
+          {field("Transaction fees (% EV)", <input type="number" value={lbo.feesPct} onChange={e => set({ feesPct: num(e.target.value) })} style={inp} />)}
+          {field("Minimum cash ($M)", <input type="number" value={lbo.minCashM} onChange={e => set({ minCashM: num(e.target.value) })} style={inp} />)}
+          {field("Cash sweep (%)", <input type="number" value={lbo.sweepPct} onChange={e => set({ sweepPct: clamp(num(e.target.value), 0, 100) })} style={inp} />)}
+          {field("Exit basis",
+            <span style={{ display:"flex", gap:4 }}>
+              <Chip label="EV/ARR" active={lbo.exitBasis === "arr"} onClick={() => set({ exitBasis:"arr", exitMult:null })} />
+              <Chip label="EV/EBITDA" active={lbo.exitBasis === "ebitda"} onClick={() => set({ exitBasis:"ebitda", exitMult:null })} />
+            </span>)}
+          {field(`Exit multiple (${basisLbl})`,
+            <input type="number" value={lbo.exitMult ?? ""} placeholder={res.exitMult.toFixed(1)}
+              onChange={e => set({ exitMult: e.target.value === "" ? null : num(e.target.value) })} style={inp} />,
+            lbo.exitMult == null ? (lbo.exitBasis === "arr" ? "= entry multiple" : "terminal multiple") : null)}
+          {field("Target IRR (%)", <input type="number" value={lbo.targetIrr} onChange={e => set({ targetIrr: num(e.target.value) })} style={inp} />)}
+        </div>
+
+        <div>
+          <F.head text="Sources & Uses" source="Debt sized on entry ARR" />
+          <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11.5, fontFamily:SANS }}>
+            <thead>
+              <tr style={{ borderBottom:`2px solid ${C.rule}` }}>
+                <th style={{ ...th, textAlign:"left" }}>Sources</th><th style={th}>× ARR</th><th style={th}>Rate %</th><th style={th}>Amort %</th><th style={th}>Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lbo.tranches.map((t, i) => (
+                <tr key={i} style={{ borderBottom:`1px solid ${C.dim}` }}>
+                  <td style={{ padding:"6px 10px", color:C.ink }}>{t.label}</td>
+                  <td style={td}><input type="number" step={0.05} value={t.arrMult} onChange={e => setTranche(i, { arrMult: Math.max(0, num(e.target.value)) })} style={{ ...inp, width:46 }} /></td>
+                  <td style={td}><input type="number" step={0.25} value={t.rate} onChange={e => setTranche(i, { rate: num(e.target.value) })} style={{ ...inp, width:46 }} /></td>
+                  <td style={td}><input type="number" value={t.amortPct} onChange={e => setTranche(i, { amortPct: clamp(num(e.target.value), 0, 100) })} style={{ ...inp, width:40 }} /></td>
+                  <td style={{ ...td, color:C.ink }}>{$(res.debt[i].amount)}</td>
+                </tr>
+              ))}
+              <tr style={{ borderBottom:`1px solid ${C.dim}` }}>
+                <td style={{ padding:"6px 10px", color:C.ink, fontWeight:700 }}>Sponsor equity</td>
+                <td style={{ ...td, color:C.muted }}>{mult(res.equity / calcs.arr, 2)}</td>
+                <td colSpan={2} style={{ ...td, color:C.muted }}>{pct(res.equity / res.uses * 100)} of uses</td>
+                <td style={{ ...td, fontWeight:700, color: res.equity > 0 ? C.steel : C.red }}>{$(res.equity)}</td>
+              </tr>
+              <tr style={{ background:C.steelLt }}>
+                <td style={{ padding:"6px 10px", fontWeight:700 }}>Total sources</td><td colSpan={3} />
+                <td style={{ ...td, fontWeight:800 }}>{$(res.uses)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11.5, fontFamily:SANS, marginTop:14 }}>
+            <thead>
+              <tr style={{ borderBottom:`2px solid ${C.rule}` }}><th style={{ ...th, textAlign:"left" }}>Uses</th><th style={th}>Amount</th></tr>
+            </thead>
+            <tbody>
+              {[
+                ["Purchase enterprise value", res.entryEv],
+                [`Transaction fees (${lbo.feesPct}%)`, res.fees],
+                ["Cash to balance sheet", res.minCash],
+              ].map(([l, v]) => (
+                <tr key={l} style={{ borderBottom:`1px solid ${C.dim}` }}>
+                  <td style={{ padding:"6px 10px", color:C.ink }}>{l}</td><td style={{ ...td, color:C.ink }}>{$(v)}</td>
+                </tr>
+              ))}
+              <tr style={{ background:C.steelLt }}>
+                <td style={{ padding:"6px 10px", fontWeight:700 }}>Total uses</td><td style={{ ...td, fontWeight:800 }}>{$(res.uses)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8 }}>
+            Total debt {$(res.totalDebt)} = {mult(res.totalDebt / calcs.arr, 2)} ARR
+            {calcs.ebitdaDollars > 0 ? ` · ${mult(res.totalDebt / calcs.ebitdaDollars)} EBITDA` : " · EBITDA negative — ARR-based lending only"}
+          </div>
+        </div>
+      </div>
+
+      {res.equity <= 0 && (
+        <div style={{ marginTop:14, padding:"8px 12px", background:C.redLt, borderRadius:3, fontSize:11, color:C.red, fontFamily:SANS }}>
+          ⚠ Debt exceeds total uses — sponsor equity is nil, so IRR and MOIC are not meaningful. Reduce the ARR multiples.
+        </div>
+      )}
+
+      <div style={{ marginTop:24 }}>
+        <F.head text="Debt Schedule" source="CFADS = unlevered FCF − interest + tax shield; mandatory amortisation, then sweep senior → junior" />
+        <div style={{ overflowX:"auto" }}>
+          <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11.5, fontFamily:SANS }}>
+            <thead>
+              <tr style={{ borderBottom:`2px solid ${C.rule}` }}>
+                <th style={{ ...th, textAlign:"left" }}>Line Item</th>
+                <th style={th}>Close</th>
+                {res.rows.map(r => <th key={r.year} style={th}>Y{r.year}{r.frac < 1 && " (stub)"}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                { l:"ARR", k:"arr" },
+                { l:"EBITDA", k:"ebitda", sign:true },
+                { l:"Unlevered FCF", k:"fcf", sign:true },
+                { l:"− Cash interest", k:"interest", neg:true },
+                { l:"CFADS", k:"cfads", sign:true, bold:true },
+                { l:"− Mandatory amortisation", k:"mandatory", neg:true },
+                { l:"− Cash sweep", k:"sweep", neg:true },
+                ...lbo.tranches.map((t, i) => ({ l:`${t.label} balance`, get: r => r.balances[i], open: res.debt[i].amount })),
+                { l:"Total debt", k:"debtEnd", open: res.totalDebt, bold:true },
+                { l:"Cash balance", k:"cash", open: res.minCash, sign:true },
+                { l:"Debt / ARR", get: r => r.leverage, open: res.totalDebt / calcs.arr, fmt: v => mult(v, 2) },
+              ].map(({ l, k, get, open, sign, neg, bold, fmt }) => (
+                <tr key={l} style={{ borderBottom:`1px solid ${C.dim}`, background: bold ? C.steelLt : "transparent" }}>
+                  <td style={{ padding:"6px 10px", color:C.ink, fontWeight: bold ? 700 : 400 }}>{l}</td>
+                  <td style={{ ...td, color:C.muted }}>{open != null ? (fmt ? fmt(open) : $(open)) : ""}</td>
+                  {res.rows.map(r => {
+                    const v = get ? get(r) : r[k];
+                    return (
+                      <td key={r.year} style={{ ...td, fontWeight: bold ? 700 : 400,
+                        color: neg ? C.muted : sign && v < 0 ? C.red : C.ink }}>
+                        {fmt ? fmt(v) : neg ? `(${$(v)})` : v < 0 ? `-${$(v)}` : $(v)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {res.fundingGap && (
+          <div style={{ marginTop:8, fontSize:11, color:C.amber, fontFamily:SANS }}>
+            ⚠ Cash goes negative during the hold — cash burn exceeds the funded balance; a revolver or more equity is needed.
+          </div>
+        )}
+      </div>
+
+      <div style={{ marginTop:24 }}>
+        <F.head text={`Sponsor IRR — Entry EV/ARR (rows) × Exit ${basisLbl} (columns)`} source={`Debt sizing held constant · green ≥ ${lbo.targetIrr}% target`} />
+        <div style={{ overflowX:"auto" }}>
+          <table style={{ borderCollapse:"collapse", fontSize:11 }}>
+            <thead>
+              <tr>
+                <th style={{ padding:"5px 9px", fontSize:10, color:C.muted, fontFamily:SANS }}>Entry \ Exit</th>
+                {LBO_GRID_STEPS.map(x => <th key={x} style={{ padding:"5px 9px", fontSize:10, color:C.muted, fontFamily:MONO }}>{mult(res.exitMult * x)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {LBO_GRID_STEPS.map(e => (
+                <tr key={e}>
+                  <td style={{ padding:"5px 9px", fontSize:10.5, fontWeight:700, color:C.ink, fontFamily:MONO }}>{mult(res.entryMult * e)}</td>
+                  {LBO_GRID_STEPS.map(x => {
+                    const g = computeLbo(inputs, calcs, lbo, { entryEv: res.entryEv * e, exitMult: res.exitMult * x });
+                    return <IrrCell key={x} irr={g.irr} target={lbo.targetIrr} isActive={e === 1 && x === 1} />;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const TABS = ["SUMMARY","METHODOLOGY","PROJECTIONS","COHORTS","SENSITIVITY","SIMULATION","LBO","SOTP","DILIGENCE","COMPS","PRECEDENTS","COMPARE"];
+
+// ─── SUM OF THE PARTS ─────────────────────────────────────────────────────────
+// Each segment is valued as its own company: the segment's business model,
+// ARR, growth, retention and margins over the company's other inputs (stage,
+// capital structure, DCF drivers). Company-level data that does not split —
+// the customer list, per-year growth pins, plan ARR and a precedent anchor
+// picked for the company's own business model — is left out.
+const SEGMENT_KEYS = ["arrM", "arrGrowth", "nrr", "grossMargin", "ebitdaMargin"];
+const newSegment = (model, patch) => ({
+  name: "Segment", bizType: model.bizType, ...Object.fromEntries(SEGMENT_KEYS.map(k => [k, model[k]])), ...patch,
+});
+
+const segmentInputs = (model, seg) => buildInputs({
+  ...model, bizType: seg.bizType, ...Object.fromEntries(SEGMENT_KEYS.map(k => [k, seg[k]])),
+  customers: [], growthOverrides: {}, growthPlan: {}, baseAnchor: null,
+});
+
+// The single-entity view of the same business: total ARR with ARR-weighted
+// growth, retention and margins, priced under the company's one bizType
+function blendSegments(model, segments) {
+  const arrM = segments.reduce((s, g) => s + g.arrM, 0);
+  const wavg = (k) => arrM > 0 ? segments.reduce((s, g) => s + g[k] * g.arrM, 0) / arrM : model[k];
+  return { arrM, ...Object.fromEntries(SEGMENT_KEYS.slice(1).map(k => [k, wavg(k)])) };
+}
+
+function SotpView({ model, calcs, onChange }) {
+  const segments = model.segments;
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:56, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const th = { padding:"6px 8px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700, textAlign:"right" };
+  const td = { padding:"7px 8px", textAlign:"right", fontFamily:MONO };
+  const setSeg = (i, patch) => onChange({ segments: segments.map((g, j) => j === i ? { ...g, ...patch } : g) });
+  const setNum = (i, key, v) => {
+    const n = parseFloat(v);
+    if (!isNaN(n)) setSeg(i, { [key]: clamp(n, INPUT_SPECS[key].min, INPUT_SPECS[key].max) });
+  };
+  // Start from the company as one segment plus a services arm
+  const split = () => onChange({ segments: [
+    newSegment(model, { name: "Platform", arrM: +(model.arrM * 0.8).toFixed(2) }),
+    newSegment(model, { name: "Services", bizType: "TECH_SVC", arrM: +(model.arrM * 0.2).toFixed(2), arrGrowth: 15, nrr: 100, grossMargin: 45, ebitdaMargin: 10 }),
+  ] });
+
+  const parts = useMemo(() => segments.map(g => ({ seg: g, v: computeValuation(segmentInputs(model, g)) })), [model, PACK]);
+  const blendIn = blendSegments(model, segments);
+  const blend = useMemo(() => segments.length ? computeValuation(buildInputs({ ...model, ...blendIn, customers: [], growthOverrides: {}, growthPlan: {} })) : null, [model, PACK]);
+  const sum = (f) => parts.reduce((s, p) => s + f(p.v), 0);
+  const sotp = { arr: sum(v => v.arr), bearEV: sum(v => v.bearEV), baseEV: sum(v => v.baseEV), bullEV: sum(v => v.bullEV), dcfEV: sum(v => v.dcfEV) };
+  const gap = blend && blend.baseEV > 0 ? sotp.baseEV / blend.baseEV - 1 : null;
+  const arrGap = segments.length ? blendIn.arrM - model.arrM : 0;
+  const bizLabel = (id) => BIZ_TYPES.find(([k]) => k === id)?.[1] ?? id;
+
+  return (
+    <div>
+      <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap", marginBottom:10 }}>
+        {segments.length === 0 && <Chip label="Split company into segments" accent={C.green} onClick={split} />}
+        <Chip label="+ Segment" onClick={() => onChange({ segments: [...segments, newSegment(model, { name: `Segment ${segments.length + 1}`, arrM: 1 })] })} />
+        {segments.length > 0 && (
+          <div style={{ marginLeft:"auto", display:"flex", gap:5 }}>
+            <Chip label="Apply blend to company inputs" onClick={() => onChange(Object.fromEntries(Object.entries(blendIn).map(([k, v]) =>
+              [k, +clamp(v, INPUT_SPECS[k].min, INPUT_SPECS[k].max).toFixed(k === "arrM" ? 2 : 1)])))} />
+            <Chip label="Clear" accent={C.red} onClick={() => onChange({ segments: [] })} />
+          </div>
+        )}
+      </div>
+
+      {segments.length === 0 ? (
+        <div style={{ fontSize:11, color:C.ghost, fontFamily:SANS, lineHeight:1.6 }}>
+          No segments. Split the target into business lines (a SaaS platform and a services arm, an SMB and an enterprise line) to value
+          each under its own business model and compare the sum of the parts with the single-entity valuation.
+        </div>
+      ) : (
+        <>
+          <div style={{ overflowX:"auto" }}>
+            <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
+              <thead>
+                <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                  <th style={{ ...th, textAlign:"left" }}>Segment</th>
+                  <th style={{ ...th, textAlign:"left" }}>Business Model</th>
+                  <th style={th}>ARR ($M)</th><th style={th}>Growth %</th><th style={th}>NRR %</th>
+                  <th style={th}>GM %</th><th style={th}>EBITDA %</th><th style={th} />
+                </tr>
+              </thead>
+              <tbody>
+                {segments.map((g, ri) => (
+                  <tr key={ri} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                    <td style={{ padding:"5px 8px" }}>
+                      <input value={g.name} onChange={e => setSeg(ri, { name: e.target.value })}
+                        style={{ ...inp, width:"100%", textAlign:"left", fontFamily:SANS }} />
+                    </td>
+                    <td style={{ padding:"5px 8px" }}>
+                      <select value={g.bizType} onChange={e => setSeg(ri, { bizType: e.target.value })}
+                        style={{ background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"2px 4px", fontSize:11, fontFamily:SANS, color:C.ink }}>
+                        {BIZ_TYPES.map(([id, lbl]) => <option key={id} value={id}>{lbl}</option>)}
+                      </select>
+                    </td>
+                    {SEGMENT_KEYS.map(k => (
+                      <td key={k} style={{ padding:"5px 8px", textAlign:"right" }}>
+                        <input type="number" step={INPUT_SPECS[k].step} value={g[k]} onChange={e => setNum(ri, k, e.target.value)} style={inp} />
+                      </td>
+                    ))}
+                    <td style={{ padding:"5px 4px", textAlign:"center" }}>
+                      <span onClick={() => onChange({ segments: segments.filter((_, j) => j !== ri) })}
+                        style={{ cursor:"pointer", color:C.ghost, fontSize:12 }}>×</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ marginTop:20 }}>
+            <F.head text="Sum-of-the-Parts vs Single Entity" source="Each segment run through the full model" />
+            <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11.5, fontFamily:SANS }}>
+              <thead>
+                <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                  <th style={{ ...th, textAlign:"left" }}>Segment</th><th style={th}>ARR</th><th style={th}>EV/ARR</th>
+                  <th style={th}>Bear EV</th><th style={th}>Base EV</th><th style={th}>Bull EV</th><th style={th}>DCF EV</th><th style={th}>% of SOTP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {parts.map(({ seg, v }, ri) => (
+                  <tr key={ri} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                    <td style={{ padding:"7px 8px" }}>{seg.name} <span style={{ fontSize:10, color:C.ghost }}>· {bizLabel(seg.bizType)}</span></td>
+                    <td style={td}>{$(v.arr)}</td>
+                    <td style={{ ...td, color:C.steel, fontWeight:700 }}>{mult(v.baseMult)}</td>
+                    <td style={{ ...td, color:C.muted }}>{$(v.bearEV)}</td>
+                    <td style={{ ...td, fontWeight:700 }}>{$(v.baseEV)}</td>
+                    <td style={{ ...td, color:C.muted }}>{$(v.bullEV)}</td>
+                    <td style={td}>{$(v.dcfEV)}</td>
+                    <td style={{ ...td, color:C.muted }}>{sotp.baseEV > 0 ? pct(v.baseEV / sotp.baseEV * 100, 0) : "—"}</td>
+                  </tr>
+                ))}
+                <tr style={{ background:C.steelLt, borderBottom:`1px solid ${C.dim}` }}>
+                  <td style={{ padding:"7px 8px", fontWeight:700 }}>Sum of the parts</td>
+                  <td style={{ ...td, fontWeight:700 }}>{$(sotp.arr)}</td>
+                  <td style={{ ...td, color:C.steel, fontWeight:800 }}>{sotp.arr > 0 ? mult(sotp.baseEV / sotp.arr) : "—"}</td>
+                  <td style={{ ...td, fontWeight:700 }}>{$(sotp.bearEV)}</td>
+                  <td style={{ ...td, fontWeight:800 }}>{$(sotp.baseEV)}</td>
+                  <td style={{ ...td, fontWeight:700 }}>{$(sotp.bullEV)}</td>
+                  <td style={{ ...td, fontWeight:700 }}>{$(sotp.dcfEV)}</td>
+                  <td style={td}>100%</td>
+                </tr>
+                <tr style={{ borderBottom:`1px solid ${C.dim}` }}>
+                  <td style={{ padding:"7px 8px" }}>Single entity <span style={{ fontSize:10, color:C.ghost }}>· {bizLabel(model.bizType)}, ARR-weighted inputs</span></td>
+                  <td style={td}>{$(blend.arr)}</td>
+                  <td style={{ ...td, color:C.steel, fontWeight:700 }}>{mult(blend.baseMult)}</td>
+                  <td style={{ ...td, color:C.muted }}>{$(blend.bearEV)}</td>
+                  <td style={{ ...td, fontWeight:700 }}>{$(blend.baseEV)}</td>
+                  <td style={{ ...td, color:C.muted }}>{$(blend.bullEV)}</td>
+                  <td style={td}>{$(blend.dcfEV)}</td>
+                  <td style={{ ...td, color:C.muted }}>—</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:"0 28px", marginTop:16 }}>
+            <div>
+              <F.row label="SOTP vs single entity (base EV)" value={gap != null ? `${gap >= 0 ? "+" : ""}${pct(gap * 100)}` : "—"} bold
+                vc={gap == null ? C.muted : gap >= 0 ? C.green : C.red}
+                sub={`${$(sotp.baseEV - blend.baseEV)} from pricing each segment under its own business model`} />
+              <F.row label="SOTP equity value (base)" value={$(sotp.baseEV - calcs.netDebt)} sub={calcs.netDebt >= 0 ? `Less company net debt ${$(calcs.netDebt)}` : `Plus company net cash ${$(-calcs.netDebt)}`} />
+            </div>
+            <div>
+              <F.row label="Blended growth / NRR" value={`${pct(blendIn.arrGrowth)} / ${pct(blendIn.nrr)}`} />
+              <F.row label="Blended gross / EBITDA margin" value={`${pct(blendIn.grossMargin)} / ${pct(blendIn.ebitdaMargin)}`} />
+              <F.row label="Segment ARR vs company ARR input" value={`${$(sotp.arr)} / ${$(calcs.arr)}`}
+                vc={Math.abs(arrGap) > 0.005 ? C.amber : C.green}
+                sub={Math.abs(arrGap) > 0.005 ? "Segments do not add up to the company ARR input" : "Reconciles"} />
+            </div>
+          </div>
+          <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:10, lineHeight:1.6 }}>
+            Segments share the company's stage, retention detail, capital structure and DCF drivers. The customer list, growth pins
+            and plan ARR are company-level and are not applied to segments, so the single-entity row can differ from the main model.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── PRECEDENT TRANSACTIONS ───────────────────────────────────────────────────
+// A local database of M&A deals (browser storage; CSV or JSON import, CSV
+// export). Filtered to a business model, stage and date window, the deals give
+// EV/ARR and EV/EBITDA statistics, and the filtered median EV/ARR can replace
+// the benchmark grid cell as the waterfall's base multiple (inputs.baseAnchor).
+const PRECEDENT_STORE_KEY = "svm.precedents.v1";
+const DEFAULT_PRECEDENT_FILTER = { bizType:"target", stage:"target", buyer:"all", years:5 };
+const DATE_WINDOWS = [[1, "1y"], [2, "2y"], [3, "3y"], [5, "5y"], [0, "All"]];
+const PRECEDENT_MIN_DEALS = 3; // fewest filtered deals whose median can anchor the waterfall
+const PRECEDENT_ROWS_SHOWN = 50;
+
+// { deals: [...], filter } from localStorage
+function loadPrecedentStore() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(PRECEDENT_STORE_KEY) || "null");
+    return raw && Array.isArray(raw.deals)
+      ? { deals: raw.deals, filter: { ...DEFAULT_PRECEDENT_FILTER, ...raw.filter } }
+      : { deals: [], filter: DEFAULT_PRECEDENT_FILTER };
+  } catch {
+    return { deals: [], filter: DEFAULT_PRECEDENT_FILTER };
+  }
+}
+
+function savePrecedentStore(store) {
+  try {
+    window.localStorage.setItem(PRECEDENT_STORE_KEY, JSON.stringify(store));
+  } catch {
+    // Storage full or disabled — the deal set lasts for the session only
+  }
+}
+
+const dealEvArr = (d) => d.evM > 0 && d.arrM > 0 ? d.evM / d.arrM : null;
+// EBITDA approximated as ARR × EBITDA margin; not meaningful at or below breakeven
+const dealEvEbitda = (d) => d.evM > 0 && d.arrM > 0 && d.ebitdaMargin > 0 ? d.evM / (d.arrM * d.ebitdaMargin / 100) : null;
+
+// Stage-equivalent of a deal: its own stage when given, else the stage whose
+// median growth is nearest the deal's growth (null without growth)
+function dealStage(d) {
+  if (DATA.GROWTH_REF[d.stage] != null) return d.stage;
+  if (d.growth == null) return null;
+  return Object.entries(DATA.GROWTH_REF)
+    .reduce((a, b) => Math.abs(b[1] - d.growth) < Math.abs(a[1] - d.growth) ? b : a)[0];
+}
+
+// Free-text business model → BIZ_TYPES id (null if unrecognised)
+const BIZ_ALIASES = [[/smb|small/, "B2B_SMB"], [/mid/, "B2B_MID"], [/b2c|consumer|plg/, "B2C"], [/vert/, "VERT"],
+  [/serv|svc|tech.?enabled/, "TECH_SVC"], [/ent/, "B2B_ENT"]];
+
+// Raw record (JSON object or CSV row keyed by field) → deal, or null when it
+// lacks a date, target, EV and ARR. EV may come as an EV/ARR multiple; order
+// is the file's day/month order for numeric dates (dateOrder).
+function normalizeDeal(r, order) {
+  const num = (v) => { if (v == null || v === "") return null; const n = typeof v === "number" ? v : parseAmount(v); return isNaN(n) ? null : n; };
+  const date = parseMonth(r.date ?? "", order);
+  const target = String(r.target ?? "").trim();
+  const arrM = num(r.arrM), evArr = num(r.evArr);
+  let evM = num(r.evM);
+  if (evM == null && evArr != null && arrM) evM = evArr * arrM;
+  if (!date || !target || !(evM > 0) || !(arrM > 0)) return null;
+  const biz = String(r.bizType ?? "").trim();
+  const stage = String(r.stage ?? "").trim().toUpperCase();
+  return {
+    date, target, acquirer: String(r.acquirer ?? "").trim(),
+    buyerType: /^(pe|private equity|sponsor|financial)/i.test(String(r.buyerType ?? "").trim()) ? "PE" : "strategic",
+    evM, arrM, growth: num(r.growth), ebitdaMargin: num(r.ebitdaMargin),
+    bizType: BIZ_TYPES.some(([id]) => id === biz) ? biz : BIZ_ALIASES.find(([re]) => re.test(biz.toLowerCase()))?.[1] ?? null,
+    ...(DATA.GROWTH_REF[stage] != null && { stage }),
+  };
+}
+
+// CSV header → field, first match wins and each column is claimed once. EV and
+// ARR in $M, growth and EBITDA margin in percentage points.
+const DEAL_CSV_COLUMNS = [
+  ["buyerType",    /buyer.*type|acquirer.*type|sponsor|^type$/],
+  ["evArr",        /ev\s*\/\s*(arr|rev|sales)/],
+  ["evEbitda",     /ev\s*\/\s*ebitda/],
+  ["date",         /date|closed|announced/],
+  ["acquirer",     /acquir|buyer/],
+  ["target",       /target|company|name/],
+  ["bizType",      /model|biz|segment|category/],
+  ["stage",        /stage/],
+  ["growth",       /growth/],
+  ["ebitdaMargin", /ebitda/],
+  ["evM",          /^ev\b|enterprise|value/],
+  ["arrM",         /arr|revenue/],
+];
+const DEAL_EXPORT_HEADER = ["Date", "Target", "Acquirer", "Buyer Type", "EV ($M)", "ARR ($M)", "Growth %", "EBITDA Margin %", "Business Model", "Stage"];
+
+// CSV with a header row, or JSON ([deals] or { deals }) → { deals, skipped }
+function parsePrecedents(text) {
+  const t = text.trim();
+  if (!t) throw new Error("File is empty.");
+  let records;
+  if (t.startsWith("[") || t.startsWith("{")) {
+    let json;
+    try { json = JSON.parse(t); } catch { throw new Error("Not valid JSON."); }
+    records = Array.isArray(json) ? json : json.deals;
+    if (!Array.isArray(records)) throw new Error("Expected an array of deals or { \"deals\": [...] }.");
+  } else {
+    const rows = parseCsv(t);
+    const head = rows[0].map(h => h.trim().toLowerCase());
+    const idx = {};
+    for (const [key, re] of DEAL_CSV_COLUMNS) {
+      const i = head.findIndex((h, j) => re.test(h) && !Object.values(idx).includes(j));
+      if (i >= 0) idx[key] = i;
+    }
+    if (idx.date == null || idx.target == null || idx.arrM == null || (idx.evM == null && idx.evArr == null)) {
+      throw new Error("Could not find date, target, EV and ARR columns. Expected a header such as: date, target, acquirer, buyer type, ev, arr, growth, ebitda margin, business model");
+    }
+    records = rows.slice(1).map(r => Object.fromEntries(Object.entries(idx).map(([k, i]) => [k, r[i] ?? ""])));
+  }
+  const order = dateOrder(records.map(r => r?.date));
+  const deals = records.map(r => r && typeof r === "object" ? normalizeDeal(r, order) : null).filter(Boolean);
+  if (deals.length === 0) throw new Error("No deals with a date, target, EV and ARR.");
+  return { deals, skipped: records.length - deals.length };
+}
+
+// Imported deals replace stored ones with the same target and month; newest first
+function mergeDeals(existing, incoming) {
+  const key = (d) => `${d.target.toLowerCase()}|${d.date}`;
+  const seen = new Set(incoming.map(key));
+  return [...incoming, ...existing.filter(d => !seen.has(key(d)))].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+function dealsToCsv(deals) {
+  const cell = (v) => v == null ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return [DEAL_EXPORT_HEADER, ...deals.map(d => [d.date, d.target, d.acquirer, d.buyerType, d.evM, d.arrM, d.growth,
+    d.ebitdaMargin, d.bizType, d.stage])].map(r => r.map(cell).join(",")).join("\n");
+}
+
+// Filter with "target" resolved to the model's own business model and stage.
+// The date window ends at the valuation date (today when none is set).
+function precedentFilter(filter, inputs) {
+  const bizType = filter.bizType === "target" ? inputs.bizType : filter.bizType;
+  const stage = filter.stage === "target" ? inputs.stage : filter.stage;
+  const end = (inputs.valuationDate || new Date().toISOString()).slice(0, 7);
+  const bizLbl = bizType === "all" ? "all models" : BIZ_TYPES.find(([k]) => k === bizType)?.[1];
+  const stageLbl = stage === "all" ? "all stages" : STAGES.find(([k]) => k === stage)?.[1];
+  const label = [bizLbl, stageLbl, filter.buyer === "all" ? null : filter.buyer === "PE" ? "PE buyers" : "strategic buyers",
+    filter.years ? `${filter.years}y to ${monthLabel(end)}` : "all dates"].filter(Boolean).join(" · ");
+  const match = (d) => (bizType === "all" || d.bizType === bizType)
+    && (stage === "all" || dealStage(d) === stage)
+    && (filter.buyer === "all" || d.buyerType === filter.buyer)
+    && (!filter.years || (monthIndex(d.date) <= monthIndex(end) && monthIndex(d.date) > monthIndex(end) - filter.years * 12));
+  return { match, label, end };
+}
+
+// Filtered deals' EV/ARR quartiles × target ARR (null with fewer than two deals)
+function precedentRange(store, inputs, calcs) {
+  const { match, label } = precedentFilter(store.filter, inputs);
+  const s = peerStats(store.deals.filter(match).map(dealEvArr));
+  if (!s || s.n < 2) return null;
+  return { ...s, label, lowEV: s.p25 * calcs.arr, midEV: s.median * calcs.arr, highEV: s.p75 * calcs.arr };
+}
+
+function PrecedentsView({ store, inputs, calcs, onChange, onAnchor }) {
+  const [error, setError] = useState(null);
+  const [note, setNote] = useState(null);
+  const { deals, filter } = store;
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:56, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const sel = { ...inp, width:"auto", textAlign:"left", fontFamily:SANS, fontSize:11 };
+  const th = { padding:"6px 8px", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700, textAlign:"right" };
+  const td = { padding:"5px 8px", textAlign:"right", fontFamily:MONO };
+  const lbl = { fontSize:10, letterSpacing:1, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, width:64 };
+
+  const setFilter = (patch) => onChange({ ...store, filter: { ...filter, ...patch } });
+  const setDeal = (i, patch) => onChange({ ...store, deals: deals.map((d, j) => j === i ? { ...d, ...patch } : d) });
+  const readFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const { deals: got, skipped } = parsePrecedents(text);
+        onChange({ ...store, deals: mergeDeals(deals, got) });
+        setNote(`${file.name}: ${got.length} deal${got.length === 1 ? "" : "s"} imported${skipped ? `, ${skipped} row${skipped === 1 ? "" : "s"} skipped (missing date, target, EV or ARR)` : ""}.`);
+        setError(null);
+      } catch (e) { setError(`${file.name}: ${e.message}`); setNote(null); }
+    });
+  };
+
+  const { match, label, end } = precedentFilter(filter, inputs);
+  const rows = deals.map((d, i) => ({ d, i })).filter(({ d }) => match(d));
+  const shown = rows.map(r => r.d);
+  const stats = [
+    { lbl:"EV / ARR",                  s: peerStats(shown.map(dealEvArr)) },
+    { lbl:"EV / EBITDA",               s: peerStats(shown.map(dealEvEbitda)) },
+    { lbl:"EV / ARR — PE buyers",      s: peerStats(shown.filter(d => d.buyerType === "PE").map(dealEvArr)) },
+    { lbl:"EV / ARR — strategic buyers", s: peerStats(shown.filter(d => d.buyerType === "strategic").map(dealEvArr)) },
+  ];
+  const evArr = stats[0].s, evEbitda = stats[1].s;
+  const ebitda = calcs.arr * inputs.ebitdaMargin / 100;
+  const gridMult = (DATA.BASE_MULTIPLES[inputs.bizType] || DATA.BASE_MULTIPLES.B2B_ENT)[inputs.stage];
+  const anchor = inputs.baseAnchor;
+  const canAnchor = evArr && evArr.n >= PRECEDENT_MIN_DEALS;
+  const anchorToMedian = () => onAnchor({ mult: +evArr.median.toFixed(2), n: evArr.n, label });
+  const stale = anchor && canAnchor && (anchor.mult !== +evArr.median.toFixed(2) || anchor.label !== label);
+  const chips = (key, opts) => opts.map(([id, text]) => (
+    <Chip key={id} label={text} active={filter[key] === id} onClick={() => setFilter({ [key]: id })} />
+  ));
+
+  return (
+    <div>
+      <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap", marginBottom:10 }}>
+        <label style={{ cursor:"pointer" }}>
+          <input type="file" accept=".csv,text/csv,.json,application/json" style={{ display:"none" }}
+            onChange={e => { readFile(e.target.files[0]); e.target.value = ""; }} />
+          <span style={{ fontSize:10.5, fontFamily:SANS, padding:"4px 10px", borderRadius:3, border:`1px solid ${C.border}`,
+            background:C.surface, color:C.muted, display:"inline-block" }}>Import deals (CSV / JSON)</span>
+        </label>
+        <Chip label="+ Deal" onClick={() => onChange({ ...store, deals: [{ date: end, target: "New deal", acquirer: "", buyerType: "strategic",
+          evM: 0, arrM: 0, growth: null, ebitdaMargin: null, bizType: filter.bizType === "target" || filter.bizType === "all" ? inputs.bizType : filter.bizType }, ...deals] })} />
+        {deals.length > 0 && (
+          <Chip label="Export CSV" onClick={() => downloadBlob(new Blob([dealsToCsv(deals)], { type:"text/csv" }), "precedent-transactions.csv")} />
+        )}
+        <span style={{ marginLeft:"auto", fontSize:10.5, color:C.ghost, fontFamily:SANS }}>{rows.length} of {deals.length} deals match</span>
+        {deals.length > 0 && <Chip label="Clear" accent={C.red} onClick={() => onChange({ ...store, deals: [] })} />}
+      </div>
+      {error && <div style={{ marginBottom:8, fontSize:11, color:C.red, fontFamily:SANS }}>⚠ {error}</div>}
+      {note && <div style={{ marginBottom:8, fontSize:11, color:C.green, fontFamily:SANS }}>{note}</div>}
+
+      <div style={{ display:"grid", gap:6, marginBottom:14 }}>
+        <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap" }}>
+          <span style={lbl}>Model</span>
+          {chips("bizType", [["target", `Target (${BIZ_TYPES.find(([k]) => k === inputs.bizType)?.[1]})`], ["all", "All"], ...BIZ_TYPES])}
+        </div>
+        <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap" }}>
+          <span style={lbl}>Stage</span>
+          {chips("stage", [["target", `Target (${STAGES.find(([k]) => k === inputs.stage)?.[1]})`], ["all", "All"], ...STAGES])}
+        </div>
+        <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap" }}>
+          <span style={lbl}>Buyer</span>
+          {chips("buyer", [["all", "All"], ["PE", "PE"], ["strategic", "Strategic"]])}
+          <span style={{ ...lbl, marginLeft:16 }}>Window</span>
+          {chips("years", DATE_WINDOWS)}
+          {filter.years > 0 && <span style={{ fontSize:10.5, color:C.ghost, fontFamily:SANS, marginLeft:6 }}>to {monthLabel(end)}{inputs.valuationDate ? " (valuation date)" : ""}</span>}
+        </div>
+      </div>
+
+      {deals.length === 0 ? (
+        <div style={{ fontSize:11, color:C.ghost, fontFamily:SANS, lineHeight:1.6 }}>
+          No deals stored. Import a CSV with columns such as <span style={{ fontFamily:MONO }}>date, target, acquirer, buyer type, ev, arr, growth, ebitda margin, business model</span> (EV
+          and ARR in $M; an EV/ARR column can stand in for EV), a JSON array of deals, or add deals by hand. The set is kept in this browser.
+        </div>
+      ) : (
+        <div>
+          <div style={{ display:"grid", gridTemplateColumns:"3fr 2fr", gap:"0 24px", marginBottom:16 }}>
+            <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11, alignSelf:"start" }}>
+              <thead>
+                <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                  <th style={{ ...th, textAlign:"left" }}>Multiple</th>
+                  {["Deals", "Mean", "25th pct", "Median", "75th pct"].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {stats.map(({ lbl: name, s }, ri) => (
+                  <tr key={name} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                    <td style={{ padding:"6px 8px", fontFamily:SANS, fontWeight: ri < 2 ? 700 : 500 }}>{name}</td>
+                    <td style={{ ...td, color:C.muted }}>{s ? s.n : 0}</td>
+                    {["mean", "p25", "median", "p75"].map(k => (
+                      <td key={k} style={{ ...td, fontWeight: k === "median" ? 700 : 500, color: k === "median" ? C.ink : C.muted }}>{s ? mult(s[k]) : "—"}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div>
+              <F.row label="Implied EV — median EV/ARR" value={evArr ? $(evArr.median * calcs.arr) : "—"}
+                sub={evArr ? `Interquartile ${$(evArr.p25 * calcs.arr, 0)} – ${$(evArr.p75 * calcs.arr, 0)}` : "No matching deals"} />
+              <F.row label="Implied EV — median EV/EBITDA" value={evEbitda && ebitda > 0 ? $(evEbitda.median * ebitda) : "n/m"}
+                sub={ebitda <= 0 ? "Target EBITDA ≤ 0" : evEbitda ? `${mult(evEbitda.median)} × current EBITDA ${$(ebitda)}` : "No matching deals with positive EBITDA"} />
+            </div>
+          </div>
+
+          <F.head text="Base Multiple Anchor" source={`Filter: ${label}`} />
+          <F.row label={`Benchmark grid — ${STAGES.find(([k]) => k === inputs.stage)?.[1]} ${BIZ_TYPES.find(([k]) => k === inputs.bizType)?.[1]}`} value={mult(gridMult, 2)} sub={`${cite("BASE_MULTIPLES")}, ${PACK.name}`} />
+          <F.row label="Filtered precedent median EV/ARR" value={evArr ? mult(evArr.median, 2) : "—"}
+            sub={canAnchor ? `${evArr.n} deals; ${evArr.median >= gridMult ? "+" : ""}${pct((evArr.median / gridMult - 1) * 100)} vs grid` : `Needs ${PRECEDENT_MIN_DEALS}+ matching deals with EV and ARR to anchor`} />
+          <div style={{ display:"flex", alignItems:"center", gap:5, flexWrap:"wrap", margin:"8px 0 4px" }}>
+            <span style={{ ...lbl, width:"auto", marginRight:6 }}>Waterfall base</span>
+            <Chip label="Benchmark grid" active={!anchor} onClick={() => onAnchor(null)} />
+            <Chip label="Precedent median" active={!!anchor} onClick={() => canAnchor && anchorToMedian()} />
+            {stale && <Chip label={`Update to ${mult(evArr.median, 2)}`} onClick={anchorToMedian} accent={C.amber} />}
+          </div>
+          {anchor && (
+            <div style={{ fontSize:10.5, color: stale ? C.amber : C.muted, fontFamily:SANS, marginBottom:12 }}>
+              Anchored at {mult(anchor.mult, 2)} from {anchor.n} deals ({anchor.label}). Base case {$(calcs.baseEV)} at {mult(calcs.baseMult)}.
+              {stale && " The filter or deal set has changed since; update to re-anchor."}
+            </div>
+          )}
+
+          <div style={{ overflowX:"auto", marginTop:12 }}>
+            <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
+              <thead>
+                <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
+                  {["Date", "Target", "Acquirer"].map(h => <th key={h} style={{ ...th, textAlign:"left" }}>{h}</th>)}
+                  {["Buyer", "Model"].map(h => <th key={h} style={{ ...th, textAlign:"left" }}>{h}</th>)}
+                  {["EV ($M)", "ARR ($M)", "Growth", "EBITDA %", "EV/ARR", "EV/EBITDA", "Stage"].map(h => <th key={h} style={th}>{h}</th>)}
+                  <th style={th} />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, PRECEDENT_ROWS_SHOWN).map(({ d, i }, ri) => {
+                  const num = (key, nullable) => (e) => { const n = parseFloat(e.target.value); setDeal(i, { [key]: isNaN(n) ? (nullable ? null : 0) : n }); };
+                  const m = dealEvArr(d), me = dealEvEbitda(d);
                   return (
-                    <td key={c.key} style={{ padding:"7px 10px", textAlign: c.key==="name" ? "left" : "right",
-                      fontFamily: c.key==="name" ? SANS : MONO, fontWeight: ri===0 ? 700 : isBest ? 700 : 500,
-                      color: ri===0 ? C.steel : isBest ? C.green : C.ink }}>
-                      {formatted}
-                      {isBest && ri !== 0 && <span style={{ fontSize:9, marginLeft:4, color:C.green }}>▲</span>}
-                    </td>
+                    <tr key={i} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
+                      <td style={{ padding:"5px 8px" }}>
+                        <input type="month" value={d.date} onChange={e => e.target.value && setDeal(i, { date: e.target.value })} style={{ ...sel, fontFamily:MONO }} />
+                      </td>
+                      <td style={{ padding:"5px 8px" }}>
+                        <input value={d.target} onChange={e => setDeal(i, { target: e.target.value })} style={{ ...sel, width:120 }} />
+                      </td>
+                      <td style={{ padding:"5px 8px" }}>
+                        <input value={d.acquirer} onChange={e => setDeal(i, { acquirer: e.target.value })} style={{ ...sel, width:110 }} />
+                      </td>
+                      <td style={{ padding:"5px 8px" }}>
+                        <select value={d.buyerType} onChange={e => setDeal(i, { buyerType: e.target.value })} style={sel}>
+                          <option value="PE">PE</option><option value="strategic">Strategic</option>
+                        </select>
+                      </td>
+                      <td style={{ padding:"5px 8px" }}>
+                        <select value={d.bizType || ""} onChange={e => setDeal(i, { bizType: e.target.value || null })} style={sel}>
+                          <option value="">—</option>
+                          {BIZ_TYPES.map(([id, text]) => <option key={id} value={id}>{text}</option>)}
+                        </select>
+                      </td>
+                      <td style={td}><input type="number" step={1} value={d.evM || ""} onChange={num("evM")} style={inp} /></td>
+                      <td style={td}><input type="number" step={0.5} value={d.arrM || ""} onChange={num("arrM")} style={inp} /></td>
+                      <td style={td}><input type="number" step={1} value={d.growth ?? ""} placeholder="—" onChange={num("growth", true)} style={{ ...inp, width:44 }} /></td>
+                      <td style={td}><input type="number" step={1} value={d.ebitdaMargin ?? ""} placeholder="—" onChange={num("ebitdaMargin", true)} style={{ ...inp, width:44 }} /></td>
+                      <td style={{ ...td, fontWeight:700 }}>{m != null ? mult(m) : "—"}</td>
+                      <td style={{ ...td, color:C.muted }}>{me != null ? mult(me) : "n/m"}</td>
+                      <td style={{ ...td, fontFamily:SANS, color:C.muted }}>
+                        {STAGES.find(([k]) => k === dealStage(d))?.[1] ?? "—"}{d.stage ? "" : dealStage(d) ? "*" : ""}
+                      </td>
+                      <td style={{ padding:"5px 4px", textAlign:"center" }}>
+                        <span onClick={() => onChange({ ...store, deals: deals.filter((_, j) => j !== i) })} style={{ cursor:"pointer", color:C.ghost, fontSize:12 }}>×</span>
+                      </td>
+                    </tr>
                   );
                 })}
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-      <div style={{ fontSize:10, color:C.ghost, marginTop:8, fontFamily:SANS }}>
-        Click cells to enter comparable company data. Green triangle = best-in-peer-group.
-      </div>
+              </tbody>
+            </table>
+          </div>
+          {rows.length > PRECEDENT_ROWS_SHOWN && (
+            <div style={{ fontSize:10.5, color:C.ghost, fontFamily:SANS, marginTop:6 }}>Showing {PRECEDENT_ROWS_SHOWN} of {rows.length} matching deals; statistics use all of them.</div>
+          )}
+          <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8, lineHeight:1.6 }}>
+            * Stage-equivalent from deal growth: the stage whose {cite("GROWTH_REF")} growth is nearest. EV/EBITDA uses ARR × EBITDA margin as
+            EBITDA and is n/m at or below breakeven. Deals are stored in this browser; export the CSV to share or back up the set.
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-// ─── DILIGENCE SCORECARD ──────────────────────────────────────────────────────
-const DILIGENCE_ITEMS = [
-  { id:"arr_def",    cat:"Revenue",    label:"ARR definition consistent with GAAP / ASC 606",       weight:8 },
-  { id:"cohort",     cat:"Revenue",    label:"Cohort-level GRR/NRR data available for 3+ vintages", weight:9 },
-  { id:"arr_bridge", cat:"Revenue",    label:"Clean ARR bridge: new logo + expansion − churn",      weight:8 },
-  { id:"concen",     cat:"Risk",       label:"No single customer >10% of ARR",                      weight:9 },
-  { id:"pipeline",   cat:"Growth",     label:"Pipeline coverage ≥3x quota; provenance audited",     weight:7 },
-  { id:"nrr_seg",    cat:"Revenue",    label:"NRR segmented by customer cohort / ICP",              weight:8 },
-  { id:"payback",    cat:"Efficiency", label:"CAC payback <18mo on blended basis",                  weight:7 },
-  { id:"gm_adj",     cat:"Financials", label:"Gross margin normalized (excl. one-time credits)",    weight:8 },
-  { id:"rule40",     cat:"Financials", label:"Rule of 40 ≥ 40 (or credible path within 18mo)",     weight:7 },
-  { id:"magic",      cat:"Efficiency", label:"Magic Number ≥ 0.7",                                  weight:6 },
-  { id:"burn_mul",   cat:"Efficiency", label:"Burn Multiple ≤ 2.0x",                                weight:7 },
-  { id:"grr_cov",    cat:"Revenue",    label:"GRR ≥ 85% (lender covenant floor)",                   weight:9 },
-  { id:"rev_quality",cat:"Revenue",    label:"Recurring revenue ≥ 80% of total",                    weight:7 },
-  { id:"sbc",        cat:"Financials", label:"SBC and D&A disclosed; normalized EBITDA reconciled", weight:6 },
-  { id:"qoe",        cat:"Financials", label:"QoE analysis confirms EBITDA adjustments",            weight:8 },
-  { id:"ip",         cat:"Legal",      label:"IP ownership clear; no open source contamination",    weight:7 },
-  { id:"key_man",    cat:"Risk",       label:"Key-man dependency mitigated (succession plan)",      weight:6 },
-  { id:"security",   cat:"Risk",       label:"SOC 2 Type II / ISO 27001 certified",                 weight:6 },
-  { id:"wc",         cat:"Financials", label:"Working capital normalized; deferred revenue clear",  weight:6 },
-  { id:"ai_risk",    cat:"Risk",       label:"AI substitution risk assessed; moat documented",      weight:7 },
-];
+// ─── FOOTBALL FIELD ───────────────────────────────────────────────────────────
+// Low–high EV by valuation method on one axis, with the proposed bid marked.
+// The DCF bars flex WACC and terminal growth by one step of the WACC × g
+// sensitivity grid around the current inputs; the exit-multiple bar flexes the
+// terminal EV/EBITDA multiple instead of growth.
+const FF_EXIT_MULT_STEP = 2.5; // ± terminal EV/EBITDA turns for the exit-multiple bar
 
-function DiligenceCard({ calcs, inputs }) {
-  const [checks, setChecks] = useState(() => Object.fromEntries(DILIGENCE_ITEMS.map(it => [it.id, false])));
-  const toggle = (id) => setChecks(p => ({ ...p, [id]: !p[id] }));
-  const totalWeight = DILIGENCE_ITEMS.reduce((s, it) => s + it.weight, 0);
-  const earnedWeight = DILIGENCE_ITEMS.filter(it => checks[it.id]).reduce((s, it) => s + it.weight, 0);
-  const ddScore = (earnedWeight / totalWeight) * 100;
-  const cats = [...new Set(DILIGENCE_ITEMS.map(it => it.cat))];
+function footballFieldRows({ model, calcs, heatmaps, comps, precedents }) {
+  const def = heatmaps.find(h => [h.rowKey, h.colKey].sort().join() === "termGrowthRate,wacc")
+    || DEFAULT_HEATMAPS.find(h => h.id === "hm_wacc_tg");
+  const wStep = Math.abs(def.rowKey === "wacc" ? def.rowStep : def.colStep);
+  const gStep = Math.abs(def.rowKey === "wacc" ? def.colStep : def.rowStep);
+  // Empty when every grid point has WACC ≤ g; the row is then dropped below
+  const span = (vals) => vals.length ? { low: Math.min(...vals), high: Math.max(...vals) } : { low: null, high: null };
+  const dcfAt = (patch) => {
+    const x = buildInputs(flexModel(model, patch));
+    return x.wacc > x.termGrowthRate ? computeValuation(x).dcfEV : null;
+  };
+  const wacc = buildInputs(model).wacc;
+  const grid = (tvMethod, key, vals) => [-wStep, 0, wStep].flatMap(dw => vals.map(v =>
+    dcfAt({ tvMethod, wacc: wacc + dw, [key]: v }))).filter(v => v != null);
+  const gVals = [model.termGrowthRate - gStep, model.termGrowthRate, model.termGrowthRate + gStep];
+  const xMult = Math.max(1, model.termEbitdaMult - FF_EXIT_MULT_STEP);
+  const xVals = [xMult, model.termEbitdaMult, model.termEbitdaMult + FF_EXIT_MULT_STEP];
+
+  const rows = [
+    { key:"arr", label:"ARR multiple", sub:`Bear ${mult(calcs.bearMult)} – bull ${mult(calcs.bullMult)} ARR`, color:C.steel,
+      low:calcs.bearEV, mid:calcs.baseEV, high:calcs.bullEV },
+    { key:"dcf", label:"DCF — Gordon growth", sub:`WACC ${pct(wacc)} ± ${pct(wStep)} · g ${pct(model.termGrowthRate)} ± ${pct(gStep)}`, color:C.blue,
+      mid:dcfAt({ tvMethod:"gordon" }), ...span(grid("gordon", "termGrowthRate", gVals)) },
+    { key:"exit", label:"DCF — EV/EBITDA exit", sub:`${mult(xMult)}–${mult(model.termEbitdaMult + FF_EXIT_MULT_STEP)} exit · WACC ± ${pct(wStep)}`, color:"#2A7A46",
+      mid:dcfAt({ tvMethod:"exit" }), ...span(grid("exit", "termEbitdaMult", xVals)) },
+  ];
+  if (comps) rows.push({ key:"comps", label:"Trading comps", sub:`${comps.n} peers · ${mult(comps.p25)}–${mult(comps.p75)} ARR`, color:C.amber,
+    low:comps.lowEV, mid:comps.midEV, high:comps.highEV });
+  if (precedents) rows.push({ key:"prec", label:"Precedent transactions", sub:`${precedents.n} deals · ${mult(precedents.p25)}–${mult(precedents.p75)} ARR`, color:"#7A5AA6",
+    low:precedents.lowEV, mid:precedents.midEV, high:precedents.highEV });
+  const w52 = model.marketCap52w;
+  if (w52 && w52.lowM > 0 && w52.highM > 0) rows.push({ key:"w52", label:"52-week trading", sub:"Market cap range + net debt", color:C.muted,
+    low:Math.min(w52.lowM, w52.highM) * 1e6 + calcs.netDebt, mid:null, high:Math.max(w52.lowM, w52.highM) * 1e6 + calcs.netDebt });
+  return rows.filter(r => Number.isFinite(r.low) && Number.isFinite(r.high) && r.low <= r.high);
+}
+
+// SVG football field: one bar per method (mid tick where the method has a point
+// estimate), shared EV axis and a dashed bid line
+function FootballFieldChart({ rows, bid }) {
+  const W = 600, LW = 150, PR = 44, PT = 20, PB = 24, RH = 30;
+  const H = PT + rows.length * RH + PB;
+  const vals = [...rows.flatMap(r => [r.low, r.high]), bid];
+  const lo0 = Math.min(...vals), hi0 = Math.max(...vals), pad = (hi0 - lo0) * 0.12 || 1;
+  const lo = Math.max(Math.min(0, lo0), lo0 - pad), hi = hi0 + pad * 0.5;
+  const xS = (v) => LW + (v - lo) / (hi - lo) * (W - LW - PR);
+  return (
+    <svg width="100%" viewBox={`0 0 ${W} ${H}`}>
+      {[0, 0.25, 0.5, 0.75, 1].map(t => {
+        const v = lo + t * (hi - lo);
+        return (
+          <g key={t}>
+            <line x1={xS(v)} y1={PT} x2={xS(v)} y2={H - PB} stroke={C.dim} strokeWidth={1} />
+            <text x={xS(v)} y={H - PB + 14} textAnchor="middle" fontSize={9} fill={C.ghost} fontFamily={MONO}>{$(v, 0)}</text>
+          </g>
+        );
+      })}
+      {rows.map((r, i) => {
+        const y = PT + i * RH + RH / 2;
+        const x1 = xS(r.low), x2 = xS(r.high);
+        return (
+          <g key={r.key}>
+            <text x={0} y={y - 1} fontSize={10} fill={C.ink} fontFamily={SANS} fontWeight={600}>{r.label}</text>
+            <text x={0} y={y + 10} fontSize={8} fill={C.ghost} fontFamily={SANS}>{r.sub}</text>
+            <rect x={x1} y={y - 7} width={Math.max(x2 - x1, 2)} height={14} fill={r.color} opacity={0.8} rx={1} />
+            {r.mid != null && <line x1={xS(r.mid)} y1={y - 7} x2={xS(r.mid)} y2={y + 7} stroke={C.surface} strokeWidth={2} />}
+            <text x={x1 - 4} y={y + 3} textAnchor="end" fontSize={8.5} fill={r.color} fontFamily={MONO} fontWeight={600}>{$(r.low, 0)}</text>
+            <text x={x2 + 4} y={y + 3} textAnchor="start" fontSize={8.5} fill={r.color} fontFamily={MONO} fontWeight={600}>{$(r.high, 0)}</text>
+          </g>
+        );
+      })}
+      <line x1={xS(bid)} y1={PT - 6} x2={xS(bid)} y2={H - PB} stroke={C.red} strokeWidth={1.5} strokeDasharray="4 3" />
+      <text x={xS(bid)} y={PT - 9} textAnchor="middle" fontSize={9} fill={C.red} fontFamily={MONO} fontWeight={700}>BID {$(bid)}</text>
+    </svg>
+  );
+}
+
+// SUMMARY panel: the chart plus the bid (the LBO purchase EV, so the returns
+// case and the football field price the same offer) and an optional 52-week
+// market cap range for a listed target
+function FootballField({ model, calcs, heatmaps, comps, precedents, lbo, onBid, onChange }) {
+  const rows = useMemo(() => footballFieldRows({ model, calcs, heatmaps, comps, precedents }),
+    [model, heatmaps, comps, precedents, PACK]);
+  const inp = { background:"transparent", border:"none", borderBottom:`1px solid ${C.border}`,
+    width:64, textAlign:"right", fontFamily:MONO, fontSize:11.5, color:C.ink, outline:"none" };
+  const bid = lbo.entryEvM != null ? lbo.entryEvM * 1e6 : calcs.baseEV;
+  const num = (v) => { const n = parseFloat(v); return isNaN(n) || n <= 0 ? null : n; };
+  const w52 = model.marketCap52w || { lowM: null, highM: null };
+  const setW52 = (patch) => {
+    const next = { ...w52, ...patch };
+    onChange({ marketCap52w: next.lowM == null && next.highM == null ? null : next });
+  };
+  const inside = rows.filter(r => bid >= r.low && bid <= r.high).map(r => r.label);
   return (
     <div>
-      <F.head text="Diligence Scorecard (20-Item PE Standard)" source="Weighted by deal-closing criticality" />
-      <div style={{ display:"flex", gap:12, marginBottom:20 }}>
-        <div style={{ flex:1, background: ddScore >= 70 ? C.greenLt : ddScore >= 45 ? C.amberLt : C.redLt,
-          border:`1px solid ${ddScore >= 70 ? C.green : ddScore >= 45 ? C.amber : C.red}44`,
-          borderRadius:4, padding:"14px 18px", textAlign:"center" }}>
-          <div style={{ fontSize:10, color:C.muted, textTransform:"uppercase", letterSpacing:1, fontFamily:SANS, marginBottom:4 }}>DD Score</div>
-          <div style={{ fontSize:36, fontWeight:800, fontFamily:MONO, color: ddScore >= 70 ? C.green : ddScore >= 45 ? C.amber : C.red }}>{ddScore.toFixed(0)}</div>
-          <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS }}>{earnedWeight}/{totalWeight} weighted pts</div>
-        </div>
-        {cats.map(cat => {
-          const catItems = DILIGENCE_ITEMS.filter(it => it.cat === cat);
-          const catEarned = catItems.filter(it => checks[it.id]).reduce((s, it) => s + it.weight, 0);
-          const catTotal  = catItems.reduce((s, it) => s + it.weight, 0);
-          const r = catEarned / catTotal;
-          return (
-            <div key={cat} style={{ flex:1, background:C.panel, border:`1px solid ${C.border}`, borderRadius:4, padding:"12px 14px" }}>
-              <div style={{ fontSize:10, color:C.muted, textTransform:"uppercase", letterSpacing:1, fontFamily:SANS, marginBottom:6 }}>{cat}</div>
-              <div style={{ height:4, background:C.dim, borderRadius:2, marginBottom:5 }}>
-                <div style={{ height:"100%", width:`${r*100}%`, background: r>=0.7 ? C.green : r>=0.4 ? C.amber : C.red, borderRadius:2 }} />
-              </div>
-              <div style={{ fontSize:12, fontWeight:700, fontFamily:MONO, color: r>=0.7 ? C.green : r>=0.4 ? C.amber : C.red }}>{(r*100).toFixed(0)}%</div>
-            </div>
-          );
-        })}
+      <FootballFieldChart rows={rows} bid={bid} />
+      <div style={{ display:"flex", alignItems:"center", gap:16, flexWrap:"wrap", marginTop:10, fontSize:10.5, color:C.muted, fontFamily:SANS }}>
+        <label>
+          Proposed bid EV ($M){" "}
+          <input type="number" step={1} value={lbo.entryEvM ?? ""} placeholder={(calcs.baseEV / 1e6).toFixed(1)}
+            onChange={e => onBid(num(e.target.value))} style={inp} />
+        </label>
+        {lbo.entryEvM != null && <Chip label="Base case" onClick={() => onBid(null)} />}
+        <span>{mult(bid / calcs.arr)} ARR · {bid >= calcs.baseEV ? "+" : ""}{pct((bid / calcs.baseEV - 1) * 100)} vs base case</span>
+        <label style={{ marginLeft:"auto" }}>
+          52-week market cap ($M){" "}
+          <input type="number" step={1} value={w52.lowM ?? ""} placeholder="low" onChange={e => setW52({ lowM: num(e.target.value) })} style={{ ...inp, width:52 }} />
+          {" – "}
+          <input type="number" step={1} value={w52.highM ?? ""} placeholder="high" onChange={e => setW52({ highM: num(e.target.value) })} style={{ ...inp, width:52 }} />
+        </label>
       </div>
-      <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:"0 20px" }}>
-        {DILIGENCE_ITEMS.map(it => (
-          <div key={it.id} onClick={() => toggle(it.id)}
-            style={{ display:"flex", alignItems:"center", gap:10, padding:"7px 0",
-              borderBottom:`1px solid ${C.dim}`, cursor:"pointer",
-              opacity: checks[it.id] ? 1 : 0.65 }}>
-            <div style={{ width:16, height:16, borderRadius:3, flexShrink:0,
-              background: checks[it.id] ? C.green : C.surface,
-              border:`1.5px solid ${checks[it.id] ? C.green : C.border}`,
-              display:"flex", alignItems:"center", justifyContent:"center" }}>
-              {checks[it.id] && <div style={{ width:8, height:8, borderRadius:1, background:"#fff" }} />}
-            </div>
-            <div style={{ flex:1 }}>
-              <span style={{ fontSize:11.5, color: checks[it.id] ? C.ink : C.muted, fontFamily:SANS }}>{it.label}</span>
-              <span style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginLeft:6 }}>({it.cat} · {it.weight}pts)</span>
-            </div>
-          </div>
-        ))}
+      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8, lineHeight:1.6 }}>
+        {inside.length ? `The bid sits inside ${inside.length} of ${rows.length} ranges (${inside.join(", ")}). ` : `The bid sits outside every range. `}
+        White ticks mark each method's point estimate. The bid is the LBO purchase price (base case until set).
+        Trading comps and precedents appear once the COMPS and PRECEDENTS tabs have enough peers or matching deals; the 52-week bar appears for a listed target.
       </div>
     </div>
   );
@@ -767,11 +5594,16 @@ function DiligenceCard({ calcs, inputs }) {
 
 // ─── MAIN APP ─────────────────────────────────────────────────────────────────
 export default function App() {
-  const [tab, setTab] = useState("SUMMARY");
-  const [darkMode, setDarkMode] = useState(true);
+  // A shared link (#m=…) seeds the initial state
+  const [shared] = useState(() => decodeShareState(window.location.hash));
+  const [tab, setTab] = useState(TABS.includes(shared?.tab) ? shared.tab : "SUMMARY");
+  const [darkMode, setDarkMode] = useState(shared ? shared.darkMode : true);
+
+  // IC report is always LIGHT, whatever the current theme
+  const [reportMode, setReportMode] = useState(false);
 
   // Update theme
-  C = darkMode ? DARK : LIGHT;
+  C = darkMode && !reportMode ? DARK : LIGHT;
   useEffect(() => {
     document.body.style.background = C.paper;
     // Update scrollbar colors
@@ -788,77 +5620,150 @@ export default function App() {
       ::-webkit-scrollbar-thumb { background: ${darkMode ? '#3A3A40' : '#C8C3B4'} !important; border-radius: 3px; }
       ::-webkit-scrollbar-thumb:hover { background: ${darkMode ? '#6B6B6B' : '#A89F8C'} !important; }
     `;
-  }, [darkMode]);
+  }, [darkMode, reportMode]);
 
-  // Company profile
-  const [companyName, setCompanyName] = useState("Target Company");
-  const [bizType,     setBizType]     = useState("B2B_ENT");
-  const [stage,       setStage]       = useState("GROWTH");
+  // Benchmark packs: loaded packs and the active choice persist locally; the
+  // active pack is swapped into DATA before anything below is computed
+  const [packStore, setPackStore] = useState(loadPackStore);
+  useEffect(() => { savePackStore(packStore); }, [packStore]);
+  const packs = [BUILTIN_PACK, ...packStore.packs];
+  setActivePack(packs.find(p => p.id === packStore.activeId) || BUILTIN_PACK);
+  const quartiles = DATA.BENCHMARK_QUARTILES;
+  const loadPack = (pack) => setPackStore(p => ({ packs: [...p.packs.filter(x => x.id !== pack.id), pack], activeId: pack.id }));
+  const deletePack = (id) => setPackStore(p => ({ packs: p.packs.filter(x => x.id !== id), activeId: p.activeId === id ? BUILTIN_PACK.id : p.activeId }));
+  // Pack a loaded scenario or link was valued under; warn while it differs from the active one
+  const [valuedPack, setValuedPack] = useState(() => shared?.packId ? { id: shared.packId, from: "link" } : null);
+  const packMismatch = valuedPack && valuedPack.id !== PACK.id ? valuedPack : null;
+  const mismatchPack = packMismatch && packs.find(p => p.id === packMismatch.id);
 
-  // Revenue
-  const [arrM,         setArrM]         = useState(12);
-  const [arrGrowth,    setArrGrowth]    = useState(40);
-  const [revenueMix,   setRevenueMix]   = useState(88);
+  // Precedent transactions database and its filter, kept in browser storage
+  const [precStore, setPrecStore] = useState(loadPrecedentStore);
+  useEffect(() => { savePrecedentStore(precStore); }, [precStore]);
 
-  // ARR bridge components (for cohort/bridge analysis)
-  const [newLogoGrowthPct, setNewLogoGrowthPct] = useState(25);
-  const [expansionPct,     setExpansionPct]     = useState(12);
-  const [contractionPct,   setContractionPct]   = useState(3);
+  // Model inputs — one object so a scenario can be saved/restored in a single step
+  const [model, setModel] = useState(shared?.model || DEFAULT_INPUTS);
+  const setIn = (key) => (v) => setModel(p => ({ ...p, [key]: v }));
+  const {
+    companyName, bizType, stage,
+    arrM, arrGrowth, revenueMix,
+    newLogoGrowthPct, expansionPct, contractionPct,
+    nrr, grr, logoChurn,
+    grossMargin, ebitdaMargin, rndPct, smPct, gaPct,
+    arpa, cac, cashM, debtM,
+    aiNative, verticalBonus, networkEffects, usageBased, publicMode,
+    horizonYrs, wacc, termGrowthRate,
+  } = model;
 
-  // Retention
-  const [nrr,       setNrr]       = useState(108);
-  const [grr,       setGrr]       = useState(91);
-  const [logoChurn, setLogoChurn] = useState(7);
+  // Diligence checks and comps are lifted here so they save with the scenario
+  const [ddChecks, setDdChecks] = useState(DEFAULT_CHECKS);
+  const [comps,    setComps]    = useState(EMPTY_COMPS);
 
-  // Margins
-  const [grossMargin,  setGrossMargin]  = useState(76);
-  const [ebitdaMargin, setEbitdaMargin] = useState(-12);
-  const [rndPct,       setRndPct]       = useState(18);
-  const [smPct,        setSmPct]        = useState(33);
-  const [gaPct,        setGaPct]        = useState(12);
+  // Imported MRR ledger: { fileName, data, endMonth }. Loading it only shows
+  // the bridge; the derived inputs reach the model through "Apply to model".
+  const [ledger, setLedger] = useState(null);
 
-  // Unit economics
-  const [arpa,       setArpa]       = useState(48000);
-  const [cac,        setCac]        = useState(40000);
+  // Vintage cohort triangle; with `feed` on, the fitted NRR/GRR drive the model
+  const [cohorts, setCohorts] = useState(EMPTY_COHORTS);
+  const cohortFit = useMemo(() => fitCohorts(cohorts.vintages), [cohorts.vintages]);
+  useEffect(() => {
+    if (!cohorts.feed || !cohortFit) return;
+    const fitted = { nrr: cohortFit.nrr, ...(cohortFit.grr != null && { grr: cohortFit.grr }) };
+    setModel(p => ({ ...p, ...Object.fromEntries(Object.entries(fitted).map(([k, v]) =>
+      [k, +clamp(v, INPUT_SPECS[k].min, INPUT_SPECS[k].max).toFixed(1)])) }));
+  }, [cohorts.feed, cohortFit]);
+  // Hand-set retention takes back control from the fit
+  const setRetention = (key) => (v) => {
+    setIn(key)(v);
+    if (cohorts.feed) setCohorts(p => ({ ...p, feed: false }));
+  };
 
-  // Capital structure
-  const [cashM,  setCashM]  = useState(22);
-  const [debtM,  setDebtM]  = useState(6);
+  // Sensitivity heatmap definitions (saved with the scenario)
+  const [heatmaps, setHeatmaps] = useState(DEFAULT_HEATMAPS);
 
-  // Modifiers
-  const [aiNative,      setAiNative]      = useState(false);
-  const [verticalBonus, setVerticalBonus] = useState(false);
-  const [networkEffects,setNetworkEffects]= useState(false);
-  const [usageBased,    setUsageBased]    = useState(false);
-  const [publicMode,    setPublicMode]    = useState(false);
+  // Monte Carlo distribution settings (saved with the scenario)
+  const [sim, setSim] = useState(DEFAULT_SIM);
 
-  // DCF
-  const [horizonYrs,          setHorizonYrs]          = useState(5);
-  const [growthDecay,         setGrowthDecay]         = useState(null); // null = auto (growth endurance 0.65)
-  const [marginExpansionPerYr,setMarginExpansionPerYr] = useState(3.5);
-  const [wacc,                setWacc]                = useState(12);
-  const [termGrowthRate,      setTermGrowthRate]      = useState(3);
+  // LBO structure and exit assumptions (saved with the scenario)
+  const [lbo, setLbo] = useState(DEFAULT_LBO);
 
-  const inputs = {
-    arrM, arrGrowth, nrr, grr, logoChurn, grossMargin, ebitdaMargin,
-    rndPct, smPct, gaPct, arpa, cac, revenueMix, cashM, debtM,
-    aiNative, verticalBonus, networkEffects, usageBased, publicMode,
-    horizonYrs,
-    growthDecay: growthDecay ?? (arrGrowth * (1 - DATA.GROWTH_ENDURANCE)), // auto-decay
-    marginExpansionPerYr, wacc, termGrowthRate,
-    newLogoGrowthPct, expansionPct, contractionPct,
-    bizType, stage, companyName,
+  // Scenario library (persisted to localStorage)
+  const [scenarios,  setScenarios]  = useState(loadScenarios);
+  const [activeScId, setActiveScId] = useState(null);
+  useEffect(() => { saveScenarios(scenarios); }, [scenarios]);
+
+  const snapshot = (name) => ({
+    id: newScenarioId(), name, savedAt: new Date().toISOString(),
+    model, diligence: ddChecks, comps, cohorts, simulation: sim, lbo, heatmaps, packId: PACK.id,
+  });
+  const saveScenario = (name) => {
+    const sc = snapshot(name);
+    setScenarios(p => [...p, sc]);
+    setActiveScId(sc.id);
+  };
+  const updateScenario = (id) => {
+    setScenarios(p => p.map(sc => sc.id === id ? { ...snapshot(sc.name), id } : sc));
+  };
+  const loadScenario = (id) => {
+    const sc = scenarios.find(x => x.id === id);
+    if (!sc) return;
+    setModel({ ...DEFAULT_INPUTS, ...sc.model });
+    setDdChecks({ ...DEFAULT_CHECKS, ...sc.diligence });
+    setComps(sc.comps?.length ? sc.comps : EMPTY_COMPS);
+    setCohorts(sc.cohorts ?? EMPTY_COHORTS);
+    setLbo({ ...DEFAULT_LBO, ...sc.lbo });
+    setHeatmaps(sc.heatmaps ?? DEFAULT_HEATMAPS);
+    setSim(sc.simulation ? { ...DEFAULT_SIM, ...sc.simulation, specs: { ...DEFAULT_SIM.specs, ...sc.simulation.specs } } : DEFAULT_SIM);
+    setValuedPack(sc.packId ? { id: sc.packId, from: "scenario" } : null);
+    setActiveScId(id);
+  };
+  const duplicateScenario = (id) => {
+    const sc = scenarios.find(x => x.id === id);
+    if (!sc) return;
+    setScenarios(p => [...p, { ...sc, id: newScenarioId(), name: `${sc.name} (copy)`, savedAt: new Date().toISOString() }]);
+  };
+  const renameScenario = (id, name) => setScenarios(p => p.map(sc => sc.id === id ? { ...sc, name } : sc));
+  const deleteScenario = (id) => {
+    setScenarios(p => p.filter(sc => sc.id !== id));
+    if (activeScId === id) setActiveScId(null);
   };
 
-  const calcs = useMemo(() => computeValuation(inputs), [
-    arrM, arrGrowth, nrr, grr, logoChurn, grossMargin, ebitdaMargin,
-    rndPct, smPct, gaPct, arpa, cac, revenueMix, cashM, debtM,
-    aiNative, verticalBonus, networkEffects, usageBased, publicMode,
-    horizonYrs, growthDecay, marginExpansionPerYr, wacc, termGrowthRate,
-    newLogoGrowthPct, expansionPct, contractionPct, bizType, stage,
-  ]);
+  // Share link: write the state into the fragment and copy the URL
+  const [shareNote, setShareNote] = useState("");
+  const shareLink = () => {
+    const hash = encodeShareState({ model, tab, darkMode, packId: PACK.id });
+    window.history.replaceState(null, "", hash);
+    const done = (msg) => { setShareNote(msg); setTimeout(() => setShareNote(""), 2000); };
+    navigator.clipboard?.writeText(window.location.href).then(() => done("LINK COPIED"), () => done("LINK IN URL BAR"))
+      ?? done("LINK IN URL BAR");
+  };
+  // Pasting another link into the same tab only changes the hash — rehydrate from it
+  useEffect(() => {
+    const onHash = () => {
+      const st = decodeShareState(window.location.hash);
+      if (!st) return;
+      setModel(st.model);
+      setValuedPack(st.packId ? { id: st.packId, from: "link" } : null);
+      if (TABS.includes(st.tab)) setTab(st.tab);
+      setDarkMode(st.darkMode);
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+
+  const inputs = buildInputs(model);
 
-  const TABS = ["SUMMARY","METHODOLOGY","PROJECTIONS","COHORTS","SENSITIVITY","DILIGENCE","COMPS"];
+  const calcs = useMemo(() => computeValuation(inputs), [model, PACK]);
+  const compsVal = useMemo(() => compsValuation(comps, calcs), [comps, calcs]);
+  const precRange = useMemo(() => precedentRange(precStore, inputs, calcs), [precStore, calcs]);
+
+  // CAPM build-up, when on, drives the WACC input (derived in buildInputs)
+  const { waccBuild } = model;
+  const capm = waccBuild.on ? capmWacc(waccBuild, calcs, model.taxRate) : null;
+  const setBuild = (key) => (v) => setModel(p => ({ ...p, waccBuild: { ...p.waccBuild, [key]: v } }));
+
+  if (reportMode) {
+    return <ReportView model={model} inputs={inputs} calcs={calcs} comps={compsVal} ddChecks={ddChecks} heatmaps={heatmaps} onClose={() => setReportMode(false)} />;
+  }
 
   const panel = { background:C.surface, border:`1px solid ${C.border}`, borderRadius:4, padding:"18px 20px", marginBottom:16 };
 
@@ -869,11 +5774,11 @@ export default function App() {
       <div style={{ background:"#18160F", display:"flex", alignItems:"stretch", padding:"0 24px", gap:0 }}>
         {/* Name + subtitle */}
         <div style={{ padding:"14px 24px 14px 0", borderRight:`1px solid rgba(255,255,255,0.12)`, marginRight:24 }}>
-          <input value={companyName} onChange={e => setCompanyName(e.target.value)}
+          <input value={companyName} onChange={e => setIn("companyName")(e.target.value)}
             style={{ background:"transparent", border:"none", outline:"none", color:"#F5F3EE",
               fontSize:14, fontWeight:700, fontFamily:SLAB, width:200 }} />
           <div style={{ fontSize:9, letterSpacing:1.8, color:"rgba(255,255,255,0.38)", textTransform:"uppercase", fontFamily:SANS, marginTop:2 }}>
-            PRIVATE EQUITY VALUATION ANALYSIS · 2025
+            PRIVATE EQUITY VALUATION ANALYSIS · {PACK.vintage.slice(0, 4) || PACK.name}
           </div>
         </div>
 
@@ -902,7 +5807,7 @@ export default function App() {
         <div style={{ padding:"10px 24px 10px 0", borderRight:`1px solid rgba(255,255,255,0.1)`, marginRight:24 }}>
           <div style={{ fontSize:9, letterSpacing:1.4, color:"rgba(255,255,255,0.4)", textTransform:"uppercase", fontFamily:SANS, marginBottom:3 }}>DCF VALUE</div>
           <div style={{ fontSize:22, fontWeight:700, fontFamily:MONO, color:"rgba(255,255,255,0.7)", lineHeight:1 }}>{$(calcs.dcfEV)}</div>
-          <div style={{ fontSize:10, color:"rgba(255,255,255,0.35)", fontFamily:MONO, marginTop:3 }}>{wacc}% WACC · {termGrowthRate}% g</div>
+          <div style={{ fontSize:10, color:"rgba(255,255,255,0.35)", fontFamily:MONO, marginTop:3 }}>{inputs.wacc}% WACC · {termGrowthRate}% g</div>
         </div>
 
         {/* Quality score */}
@@ -935,7 +5840,25 @@ export default function App() {
           }}>{t}</button>
         ))}
         <div style={{ marginLeft:"auto", display:"flex", alignItems:"center", gap:16 }}>
-          <span style={{ fontSize:9.5, color:C.ghost, fontFamily:SANS }}>Sources: SEG · SaaS Capital · Aventis · Benchmarkit · Windsor Drake · ABF Journal</span>
+          <span style={{ fontSize:9.5, color:C.ghost, fontFamily:SANS }}>Benchmarks: {PACK.name} · {PACK.vintage}</span>
+          <button onClick={() => setReportMode(true)} style={{
+            background: C.steelLt, border:"none", borderRadius:4, cursor:"pointer",
+            padding:"5px 10px", transition:"all 0.15s",
+          }}>
+            <span style={{ fontSize:9.5, fontWeight:600, color:C.steel, fontFamily:SANS }}>GENERATE REPORT</span>
+          </button>
+          <button onClick={() => downloadBlob(buildDcfWorkbook(inputs, calcs), `${(companyName || "model").replace(/[^\w-]+/g, "_")}_DCF.xlsx`)} style={{
+            background: C.steelLt, border:"none", borderRadius:4, cursor:"pointer",
+            padding:"5px 10px", transition:"all 0.15s",
+          }}>
+            <span style={{ fontSize:9.5, fontWeight:600, color:C.steel, fontFamily:SANS }}>EXPORT XLSX</span>
+          </button>
+          <button onClick={shareLink} style={{
+            background: C.steelLt, border:"none", borderRadius:4, cursor:"pointer",
+            padding:"5px 10px", transition:"all 0.15s",
+          }}>
+            <span style={{ fontSize:9.5, fontWeight:600, color:C.steel, fontFamily:SANS }}>{shareNote || "SHARE LINK"}</span>
+          </button>
           <button onClick={() => setDarkMode(!darkMode)} style={{
             background: darkMode ? C.dim : C.border, border:"none", borderRadius:4, cursor:"pointer",
             padding:"5px 10px", display:"flex", alignItems:"center", gap:6, transition:"all 0.15s",
@@ -952,148 +5875,183 @@ export default function App() {
         <div style={{ background:C.surface, borderRight:`1px solid ${C.border}`,
           height:"calc(100vh - 108px)", overflowY:"auto", padding:"18px 16px", scrollbarWidth:"thin" }}>
 
+          {/* Scenario library */}
+          <div style={{ marginBottom:14, paddingBottom:14, borderBottom:`1px solid ${C.dim}` }}>
+            <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:7 }}>Scenario Library</div>
+            <ScenarioLibrary scenarios={scenarios} activeId={activeScId} defaultName={companyName}
+              onSave={saveScenario} onUpdate={updateScenario} onLoad={loadScenario}
+              onDuplicate={duplicateScenario} onRename={renameScenario} onDelete={deleteScenario} />
+          </div>
+
           {/* Company type */}
           <div style={{ marginBottom:14 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:7 }}>Business Model</div>
             <div style={{ display:"flex", flexWrap:"wrap", gap:5 }}>
-              {[["B2B_SMB","SMB"],["B2B_MID","Mid-Mkt"],["B2B_ENT","Enterprise"],["B2C","B2C/PLG"],["VERT","Vertical"],["TECH_SVC","Tech Svcs"]].map(([id,lbl]) => (
-                <Chip key={id} label={lbl} active={bizType===id} onClick={() => setBizType(id)} />
+              {BIZ_TYPES.map(([id,lbl]) => (
+                <Chip key={id} label={lbl} active={bizType===id} onClick={() => setIn("bizType")(id)} />
               ))}
             </div>
           </div>
           <div style={{ marginBottom:18 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:7 }}>Stage</div>
             <div style={{ display:"flex", flexWrap:"wrap", gap:5 }}>
-              {[["SEED","Seed"],["EARLY","Early"],["GROWTH","Growth"],["SCALE","Scale"],["MATURE","Mature"]].map(([id,lbl]) => (
-                <Chip key={id} label={lbl} active={stage===id} onClick={() => setStage(id)} accent={C.green} />
+              {STAGES.map(([id,lbl]) => (
+                <Chip key={id} label={lbl} active={stage===id} onClick={() => setIn("stage")(id)} accent={C.green} />
               ))}
             </div>
+            {model.baseAnchor && (
+              <div style={{ display:"flex", alignItems:"center", gap:6, marginTop:8, fontSize:10.5, color:C.muted, fontFamily:SANS }}>
+                <span>Base anchored to precedent median {mult(model.baseAnchor.mult, 2)} ({model.baseAnchor.n} deals)</span>
+                <Chip label="Use grid" onClick={() => setIn("baseAnchor")(null)} />
+              </div>
+            )}
           </div>
 
           <div style={{ borderTop:`1px solid ${C.dim}`, paddingTop:14, marginBottom:2 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:10 }}>Revenue & Growth</div>
-            <Slider label="ARR" value={arrM} min={0.5} max={500} step={0.5} onChange={setArrM}
-              fmt={v=>`$${v.toFixed(1)}M`} note="Current annualized recurring revenue" />
-            <Slider label="YoY ARR Growth" value={arrGrowth} min={-10} max={250} step={1} onChange={setArrGrowth}
-              fmt={v=>`${v}%`} note={`Stage median: ${calcs.gRef}%`}
+            <Slider {...spec("arrM")} value={arrM} onChange={setIn("arrM")}
+              note="Current annualized recurring revenue" />
+            <Slider {...spec("arrGrowth")} value={arrGrowth} onChange={setIn("arrGrowth")}
+              note={`Stage median: ${calcs.gRef}%`}
               vc={ratioColor(arrGrowth, calcs.gRef*1.2, calcs.gRef*0.7)} />
-            <Slider label="Recurring Revenue Mix" value={revenueMix} min={20} max={100} step={1} onChange={setRevenueMix}
-              fmt={v=>`${v}%`} />
+            <Slider {...spec("revenueMix")} value={revenueMix} onChange={setIn("revenueMix")} />
           </div>
 
           <div style={{ borderTop:`1px solid ${C.dim}`, paddingTop:14, marginBottom:2 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:10 }}>ARR Bridge Components</div>
-            <Slider label="New Logo ARR Growth" value={newLogoGrowthPct} min={0} max={150} step={1} onChange={setNewLogoGrowthPct}
-              fmt={v=>`${v}%`} note="% of current ARR from new logos" />
-            <Slider label="Expansion % of ARR" value={expansionPct} min={0} max={50} step={0.5} onChange={setExpansionPct}
-              fmt={v=>`${v}%`} />
-            <Slider label="Contraction % of ARR" value={contractionPct} min={0} max={20} step={0.5} onChange={setContractionPct}
-              fmt={v=>`${v}%`} />
+            <Slider {...spec("newLogoGrowthPct")} value={newLogoGrowthPct} onChange={setIn("newLogoGrowthPct")}
+              note="% of current ARR from new logos" />
+            <Slider {...spec("expansionPct")} value={expansionPct} onChange={setIn("expansionPct")} />
+            <Slider {...spec("contractionPct")} value={contractionPct} onChange={setIn("contractionPct")} />
           </div>
 
           <div style={{ borderTop:`1px solid ${C.dim}`, paddingTop:14, marginBottom:2 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:10 }}>Retention</div>
-            <Slider label="Net Revenue Retention" value={nrr} min={50} max={160} step={1} onChange={setNrr}
-              fmt={v=>`${v}%`} note={`Public SaaS median: 114% | Private: 106%`}
+            <Slider {...spec("nrr")} value={nrr} onChange={setRetention("nrr")}
+              note={`Public SaaS median: ${DATA.PUBLIC_NRR_MEDIAN}% | Private: ${DATA.PRIVATE_NRR_MEDIAN}% (${cite("PRIVATE_NRR_MEDIAN")})`}
               vc={ratioColor(nrr, 110, 100)} />
-            <Slider label="Gross Revenue Retention" value={grr} min={50} max={100} step={1} onChange={setGrr}
-              fmt={v=>`${v}%`} note="Lender covenant floor: 85%"
-              vc={ratioColor(grr, 92, 85)} />
-            <Slider label="Annual Logo Churn" value={logoChurn} min={0} max={60} step={0.5} onChange={setLogoChurn}
-              fmt={v=>`${v}%`} vc={ratioColor(-logoChurn, -5, -12)} />
+            <Slider {...spec("grr")} value={grr} onChange={setRetention("grr")}
+              note={`Lender covenant floor: ${DATA.GRR_COVENANT_FLOOR}% (${cite("GRR_COVENANT_FLOOR")})`}
+              vc={ratioColor(grr, 92, DATA.GRR_COVENANT_FLOOR)} />
+            <Slider {...spec("logoChurn")} value={logoChurn} onChange={setIn("logoChurn")}
+              vc={ratioColor(-logoChurn, -5, -12)} />
           </div>
 
           <div style={{ borderTop:`1px solid ${C.dim}`, paddingTop:14, marginBottom:2 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:10 }}>Margin Structure</div>
-            <Slider label="Gross Margin" value={grossMargin} min={10} max={100} step={1} onChange={setGrossMargin}
-              fmt={v=>`${v}%`} note="SaaS median: 73% | Target: 75-85%"
+            <Slider {...spec("grossMargin")} value={grossMargin} onChange={setIn("grossMargin")}
+              note={`${cite("GROSS_MARGIN_MEDIAN")} median: ${DATA.GROSS_MARGIN_MEDIAN}% | Target: 75-85%`}
               vc={ratioColor(grossMargin, 75, 65)} />
-            <Slider label="EBITDA Margin" value={ebitdaMargin} min={-100} max={55} step={1} onChange={setEbitdaMargin}
-              fmt={v=>`${v}%`} note="Public SaaS median 2025: ~9.3%"
+            <Slider {...spec("ebitdaMargin")} value={ebitdaMargin} onChange={setIn("ebitdaMargin")}
+              note={`Public SaaS median (${cite("PUBLIC_EBITDA_MARGIN")}): ~${DATA.PUBLIC_EBITDA_MARGIN}%`}
               vc={ratioColor(ebitdaMargin, 0, -20)} />
-            <Slider label="R&D % of Revenue" value={rndPct} min={0} max={60} step={1} onChange={setRndPct} fmt={v=>`${v}%`} note="Median 2025: 18–22%" />
-            <Slider label="S&M % of Revenue" value={smPct} min={0} max={80} step={1} onChange={setSmPct} fmt={v=>`${v}%`} note="Best-in-class at scale: <25%" />
-            <Slider label="G&A % of Revenue" value={gaPct} min={2} max={40} step={1} onChange={setGaPct} fmt={v=>`${v}%`} note="Target at scale: 8–12%" />
+            <Slider {...spec("rndPct")} value={rndPct} onChange={setIn("rndPct")} note={`${cite("RND_PCT_RANGE")}: ${DATA.RND_PCT_RANGE.lo}–${DATA.RND_PCT_RANGE.hi}%`} />
+            <Slider {...spec("smPct")} value={smPct} onChange={setIn("smPct")} note={`${cite("SM_PCT_BEST")}: <${DATA.SM_PCT_BEST}%`} />
+            <Slider {...spec("gaPct")} value={gaPct} onChange={setIn("gaPct")} note={`${cite("GA_PCT_RANGE")}: ${DATA.GA_PCT_RANGE.lo}–${DATA.GA_PCT_RANGE.hi}%`} />
           </div>
 
           <div style={{ borderTop:`1px solid ${C.dim}`, paddingTop:14, marginBottom:2 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:10 }}>Unit Economics</div>
-            <Slider label="ARPA (Annual / Account)" value={arpa} min={1000} max={1000000} step={500} onChange={setArpa} fmt={$} />
-            <Slider label="Blended CAC (fully-loaded)" value={cac} min={500} max={500000} step={500} onChange={setCac}
-              fmt={$} note="Incl. salaries, commissions, programs" />
+            <Slider {...spec("arpa")} value={arpa} onChange={setIn("arpa")} />
+            <Slider {...spec("cac")} value={cac} onChange={setIn("cac")}
+              note="Incl. salaries, commissions, programs" />
           </div>
 
           <div style={{ borderTop:`1px solid ${C.dim}`, paddingTop:14, marginBottom:2 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:10 }}>Capital Structure</div>
-            <Slider label="Cash & Equivalents" value={cashM} min={0} max={2000} step={1} onChange={setCashM} fmt={v=>`$${v}M`} />
-            <Slider label="Total Debt (interest-bearing)" value={debtM} min={0} max={2000} step={1} onChange={setDebtM} fmt={v=>`$${v}M`} />
+            <Slider {...spec("cashM")} value={cashM} onChange={setIn("cashM")} />
+            <Slider {...spec("debtM")} value={debtM} onChange={setIn("debtM")} />
           </div>
 
           <div style={{ borderTop:`1px solid ${C.dim}`, paddingTop:14, marginBottom:2 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:10 }}>Modifiers</div>
-            <Toggle label="AI-Native / Proprietary Model" value={aiNative} onChange={setAiNative}
-              note="+20% multiple (SaasRise: 20–40% AI premium)" />
-            <Toggle label="Vertical SaaS Domain Focus" value={verticalBonus} onChange={setVerticalBonus}
-              note="+8% (domain moat, higher retention)" />
-            <Toggle label="Network Effects" value={networkEffects} onChange={setNetworkEffects}
-              note="+10% (defensibility premium)" />
-            <Toggle label="Usage-Based Pricing" value={usageBased} onChange={setUsageBased}
-              note="+4% (OpenView: 38% faster growth)" />
-            <Toggle label="Public Markets Benchmark" value={publicMode} onChange={setPublicMode}
-              note="+36% (SEG: public premium over private)" />
+            <Toggle label={INPUT_SPECS.aiNative.label} value={aiNative} onChange={setIn("aiNative")}
+              note={`+${pct((DATA.AI_NATIVE_PREMIUM - 1) * 100, 0)} multiple (${cite("AI_NATIVE_PREMIUM")})`} />
+            <Toggle label={INPUT_SPECS.verticalBonus.label} value={verticalBonus} onChange={setIn("verticalBonus")}
+              note={`+${pct((DATA.VERTICAL_PREMIUM - 1) * 100, 0)} (${cite("VERTICAL_PREMIUM")})`} />
+            <Toggle label={INPUT_SPECS.networkEffects.label} value={networkEffects} onChange={setIn("networkEffects")}
+              note={`+${pct((DATA.NETWORK_PREMIUM - 1) * 100, 0)} (${cite("NETWORK_PREMIUM")})`} />
+            <Toggle label={INPUT_SPECS.usageBased.label} value={usageBased} onChange={setIn("usageBased")}
+              note={`+${pct((DATA.USAGE_BASED_PREMIUM - 1) * 100, 0)} (${cite("USAGE_BASED_PREMIUM")})`} />
+            <Toggle label={INPUT_SPECS.publicMode.label} value={publicMode} onChange={setIn("publicMode")}
+              note={`+${pct((DATA.PUBLIC_PREMIUM - 1) * 100, 0)} (${cite("PUBLIC_PREMIUM")}: public premium over private)`} />
           </div>
 
           <div style={{ borderTop:`1px solid ${C.dim}`, paddingTop:14 }}>
             <div style={{ fontSize:9.5, fontWeight:700, letterSpacing:1.6, textTransform:"uppercase", color:C.ghost, fontFamily:SANS, marginBottom:10 }}>DCF Parameters</div>
-            <Slider label="Projection Horizon" value={horizonYrs} min={3} max={10} step={1} onChange={setHorizonYrs} fmt={v=>`${v}yr`} />
-            <Slider label="EBITDA Margin Expansion" value={marginExpansionPerYr} min={0} max={12} step={0.5} onChange={setMarginExpansionPerYr}
-              fmt={v=>`+${v}ppts/yr`} note="Operational leverage; SaaS median ~3-4ppts/yr" />
-            <Slider label="WACC" value={wacc} min={6} max={28} step={0.5} onChange={setWacc}
-              fmt={v=>`${v}%`} note="SaaS PE range: 10–15%" />
-            <Slider label="Terminal Growth Rate" value={termGrowthRate} min={1} max={6} step={0.25} onChange={setTermGrowthRate}
-              fmt={v=>`${v}%`} note="Long-run GDP proxy: 2.5–3.5%" />
+            <Slider {...spec("horizonYrs")} value={horizonYrs} onChange={setIn("horizonYrs")} />
+            <Toggle label="Build WACC from CAPM" value={waccBuild.on}
+              onChange={on => setModel(p => ({ ...p, wacc: on ? p.wacc : inputs.wacc, waccBuild: { ...p.waccBuild, on } }))}
+              note={waccBuild.on ? `Derived WACC ${pct(inputs.wacc, 2)} · Ke ${pct(capm.ke, 2)}` : "Risk-free + β × ERP + premia; debt after tax"} />
+            {waccBuild.on ? (
+              <>
+                <Slider {...WACC_SPECS.rf} value={waccBuild.rf} onChange={setBuild("rf")} />
+                <div style={{ display:"flex", gap:5, marginBottom:10 }}>
+                  <Chip label="Levered β" active={waccBuild.betaMode === "levered"} onClick={() => setBuild("betaMode")("levered")} />
+                  <Chip label="Unlevered β (relever)" active={waccBuild.betaMode === "unlevered"} onClick={() => setBuild("betaMode")("unlevered")} />
+                </div>
+                {waccBuild.betaMode === "unlevered"
+                  ? <Slider {...WACC_SPECS.unleveredBeta} value={waccBuild.unleveredBeta} onChange={setBuild("unleveredBeta")}
+                      note={`Relevered at ${capm.de.toFixed(2)} net debt / equity → β ${capm.beta.toFixed(2)}`} />
+                  : <Slider {...WACC_SPECS.beta} value={waccBuild.beta} onChange={setBuild("beta")} />}
+                <Slider {...WACC_SPECS.erp} value={waccBuild.erp} onChange={setBuild("erp")} />
+                <Slider {...WACC_SPECS.sizePrem} value={waccBuild.sizePrem} onChange={setBuild("sizePrem")} />
+                <Slider {...WACC_SPECS.specificPrem} value={waccBuild.specificPrem} onChange={setBuild("specificPrem")} />
+                <Slider {...WACC_SPECS.kd} value={waccBuild.kd} onChange={setBuild("kd")}
+                  note={`Tax rate ${model.taxRate}% (DCF assumption)`} />
+              </>
+            ) : (
+              <Slider {...spec("wacc")} value={wacc} onChange={setIn("wacc")}
+                note={`${cite("WACC_RANGE")}: ${DATA.WACC_RANGE.lo}–${DATA.WACC_RANGE.hi}%`} />
+            )}
+            <Slider {...spec("termGrowthRate")} value={termGrowthRate} onChange={setIn("termGrowthRate")}
+              note={`${cite("TERMINAL_GROWTH_RANGE")}: ${DATA.TERMINAL_GROWTH_RANGE.lo}–${DATA.TERMINAL_GROWTH_RANGE.hi}%`} />
           </div>
         </div>
 
         {/* ── MAIN CONTENT ──────────────────────────────────────────────────────── */}
         <div style={{ height:"calc(100vh - 108px)", overflowY:"auto", padding:"20px 22px", scrollbarWidth:"thin" }}>
 
+          {packMismatch && (
+            <div style={{ display:"flex", alignItems:"center", gap:10, marginBottom:14, padding:"9px 14px", borderRadius:4,
+              background:C.amberLt, border:`1px solid ${C.amber}44`, fontSize:11.5, fontFamily:SANS, color:C.ink, lineHeight:1.6 }}>
+              <span style={{ flex:1 }}>
+                This {packMismatch.from} was valued with the <strong>{mismatchPack ? mismatchPack.name : packMismatch.id}</strong> benchmark pack;
+                figures below use <strong>{PACK.name}</strong>.
+                {!mismatchPack && <span style={{ color:C.muted }}> That pack is not loaded here — load it on the COMPS tab to reproduce the saved values.</span>}
+              </span>
+              {mismatchPack && <Chip label={`Switch to ${mismatchPack.name}`} accent={C.amber} active
+                onClick={() => setPackStore(p => ({ ...p, activeId: mismatchPack.id }))} />}
+              <Chip label="Dismiss" onClick={() => setValuedPack(null)} />
+            </div>
+          )}
+
           {/* ═══ SUMMARY TAB ════════════════════════════════════════════════════ */}
           {tab === "SUMMARY" && (
             <div>
               {/* Top row: Scenario EVs */}
-              <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr 1fr 1fr", gap:12, marginBottom:16 }}>
-                {[
-                  { lbl:"Bear Case", ev:calcs.bearEV, eq:calcs.bearEqV, m:calcs.bearMult, c:C.red, bg:C.redLt, note:"No-process / single buyer (Windsor Drake: 42% discount to competitive)" },
-                  { lbl:"Base Case", ev:calcs.baseEV, eq:calcs.baseEqV, m:calcs.baseMult, c:C.steel, bg:C.steelLt, note:"Current private M&A conditions, median quality adj.", bold:true },
-                  { lbl:"Bull Case", ev:calcs.bullEV, eq:calcs.bullEqV, m:calcs.bullMult, c:C.green, bg:C.greenLt, note:"Competitive strategic process (1.5x strategic premium, Windsor Drake)" },
-                  { lbl:"DCF Intrinsic", ev:calcs.dcfEV, eq:calcs.dcfEV - calcs.netDebt, m:calcs.dcfEV/calcs.arr, c:C.blue, bg:C.blueLt, note:`PV FCF: ${$(calcs.sumPvFCF,0)} + PV TV: ${$(calcs.pvTV,0)}` },
-                ].map(({lbl,ev,eq,m,c,bg,note,bold})=>(
-                  <div key={lbl} style={{ background:bg, border:`1px solid ${c}44`, borderRadius:4, padding:"14px 16px" }}>
-                    <div style={{ fontSize:10, color:C.muted, textTransform:"uppercase", letterSpacing:1, fontFamily:SANS, marginBottom:6 }}>{lbl}</div>
-                    <div style={{ fontSize:bold?28:24, fontWeight:800, color:c, fontFamily:MONO, lineHeight:1 }}>{$(ev)}</div>
-                    <div style={{ fontSize:13, color:`${c}cc`, fontFamily:MONO, marginTop:4 }}>{mult(m)} ARR</div>
-                    <div style={{ fontSize:11, color:C.muted, fontFamily:SANS, marginTop:6, lineHeight:1.5 }}>{note}</div>
-                    <div style={{ borderTop:`1px solid ${c}22`, marginTop:10, paddingTop:8 }}>
-                      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS }}>Equity Value</div>
-                      <div style={{ fontSize:15, fontWeight:700, color:c, fontFamily:MONO }}>{$(Math.max(0,eq))}</div>
-                    </div>
-                  </div>
-                ))}
+              <ScenarioCards calcs={calcs} comps={compsVal} />
+
+              {/* Football field: EV range by method vs the proposed bid */}
+              <div style={panel}>
+                <F.head text="Valuation Football Field" source="Enterprise value range by method · dashed line = proposed bid" />
+                <FootballField model={model} calcs={calcs} heatmaps={heatmaps} comps={compsVal} lbo={lbo}
+                  precedents={precRange}
+                  onBid={v => setLbo(p => ({ ...p, entryEvM: v }))} onChange={patch => setModel(p => ({ ...p, ...patch }))} />
               </div>
 
               {/* Three panels: Unit Econ, Efficiency, P&L */}
               <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:14, marginBottom:14 }}>
                 <div style={panel}>
-                  <F.head text="Unit Economics" source="Benchmarkit 2024 median LTV:CAC 3.6x" />
+                  <F.head text="Unit Economics" source={`${cite("LTV_CAC_MEDIAN")} median LTV:CAC ${mult(DATA.LTV_CAC_MEDIAN)}`} />
                   <F.row label="Customer LTV (GM-adj.)" value={$(calcs.ltv)} />
                   <F.row label="Blended CAC" value={$(cac)} />
                   <F.row label="LTV : CAC" value={mult(calcs.ltvCac)}
-                    vc={ratioColor(calcs.ltvCac, 3.6, 2.5)}
-                    sub={calcs.ltvCac >= 3.6 ? "Above Benchmarkit 2024 median" : "Below 3.6x median"} />
+                    vc={ratioColor(calcs.ltvCac, DATA.LTV_CAC_MEDIAN, 2.5)}
+                    sub={calcs.ltvCac >= DATA.LTV_CAC_MEDIAN ? `Above ${cite("LTV_CAC_MEDIAN")} median` : `Below ${mult(DATA.LTV_CAC_MEDIAN)} median`} />
                   <F.row label="CAC Payback (GP-adj.)" value={mo(calcs.cacPaybackGp)}
-                    vc={ratioColor(-calcs.cacPaybackGp, -12, -20)}
-                    sub="Median 2025: 20mo (SaaS Benchmark Report)" />
+                    vc={ratioColor(-calcs.cacPaybackGp, -12, -DATA.CAC_PAYBACK_MEDIAN_MO)}
+                    sub={`${cite("CAC_PAYBACK_MEDIAN_MO")} median: ${mo(DATA.CAC_PAYBACK_MEDIAN_MO)}`} />
                   <F.row label="ARPA (annual)" value={$(arpa)} />
                   <F.row label="GP per Customer / yr" value={$(calcs.gpPerCustYr)} />
                   <F.row label="Avg. Customer Lifetime" value={yr(calcs.lifetimeYrs)} />
@@ -1103,10 +6061,10 @@ export default function App() {
                   <F.head text="Efficiency Metrics" source="Aventis / Benchmarkit / David Sacks / SaaS Capital" />
                   <F.row label="Rule of 40" value={calcs.rule40.toFixed(0)}
                     vc={ratioColor(calcs.rule40, 40, 20)}
-                    sub="Aventis: +2.2x multiple per 10pts (confirmed exact)" bold />
+                    sub={`${cite("RULE40_MULT_PER_10PTS")}: +${DATA.RULE40_MULT_PER_10PTS}x multiple per 10pts`} bold />
                   <F.row label="Magic Number" value={calcs.magicNumber.toFixed(2)}
                     vc={ratioColor(calcs.magicNumber, 1.0, 0.7)}
-                    sub={`Benchmarkit 2024 median: 0.90 | Target: ≥1.0`} />
+                    sub={`${cite("MAGIC_NUMBER_MEDIAN")} median: ${DATA.MAGIC_NUMBER_MEDIAN.toFixed(2)} | Target: ≥1.0`} />
                   <F.row label="Burn Multiple" value={calcs.burnMultiple > 0 ? mult(calcs.burnMultiple) : "Profitable"}
                     vc={calcs.burnMultiple === 0 ? C.green : ratioColor(-calcs.burnMultiple, -1.0, -2.0)}
                     sub="<1.0 exceptional | 1-2 acceptable | >2 concerning" />
@@ -1126,16 +6084,16 @@ export default function App() {
                     sub={`Stage median: ${calcs.gRef}%`} />
                   <F.row label="Gross Margin" value={pct(grossMargin)}
                     vc={ratioColor(grossMargin, 75, 65)}
-                    sub="SaaS median 73%; target 75-85%" />
+                    sub={`${cite("GROSS_MARGIN_MEDIAN")} median ${DATA.GROSS_MARGIN_MEDIAN}%; target 75-85%`} />
                   <F.row label="EBITDA Margin" value={pct(ebitdaMargin)}
                     vc={ratioColor(ebitdaMargin, 0, -25)}
-                    sub="Public SaaS median 2025: 9.3%" />
+                    sub={`Public SaaS median (${cite("PUBLIC_EBITDA_MARGIN")}): ${DATA.PUBLIC_EBITDA_MARGIN}%`} />
                   <F.row label="NRR (input)" value={pct(nrr)}
                     vc={ratioColor(nrr, 110, 100)}
-                    sub="SEG: >120%=11.7x | 100-110%=6.0x | <90%=1.2x" />
+                    sub={`${cite("NRR_BANDS")}: ${nrrBandNote()}`} />
                   <F.row label="GRR" value={pct(grr)}
-                    vc={ratioColor(grr, 92, 85)}
-                    sub="ABF Journal: 85% lender covenant minimum" />
+                    vc={ratioColor(grr, 92, DATA.GRR_COVENANT_FLOOR)}
+                    sub={`${cite("GRR_COVENANT_FLOOR")}: ${DATA.GRR_COVENANT_FLOOR}% lender covenant minimum`} />
                   <F.row label="Recurring Mix" value={pct(revenueMix)} />
                 </div>
               </div>
@@ -1155,7 +6113,7 @@ export default function App() {
                 </div>
 
                 <div style={panel}>
-                  <F.head text="Benchmark Reference Table" source="SEG 2025, SaaS Capital n=1,000+, Benchmarkit n=936, KeyBanc 2024" />
+                  <F.head text="Benchmark Reference Table" source={`Medians: ${PACK.name} · quartiles: ${PACK.values.BENCHMARK_QUARTILES.source}`} />
                   <div style={{ overflowX:"auto" }}>
                     <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
                       <thead>
@@ -1167,15 +6125,15 @@ export default function App() {
                       </thead>
                       <tbody>
                         {[
-                          { m:"ARR Growth",    b:"<15%",   med:"19-22%",  tq:">40%",   bic:">80%",   you:pct(arrGrowth),               delta:arrGrowth-20,     suf:"ppts" },
-                          { m:"NRR",          b:"<95%",   med:"106%",    tq:">115%",  bic:">120%",  you:pct(nrr),                     delta:nrr-106,          suf:"ppts" },
-                          { m:"GRR",          b:"<82%",   med:"91%",     tq:">95%",   bic:">98%",   you:pct(grr),                     delta:grr-91,           suf:"ppts" },
-                          { m:"Gross Margin", b:"<60%",   med:"73%",     tq:">80%",   bic:">85%",   you:pct(grossMargin),             delta:grossMargin-73,   suf:"ppts" },
-                          { m:"Rule of 40",   b:"<10",    med:"22-28",   tq:">40",    bic:">60",    you:calcs.rule40.toFixed(0),      delta:calcs.rule40-25,  suf:"pts"  },
-                          { m:"CAC Payback",  b:">30mo",  med:"20mo",    tq:"<14mo",  bic:"<10mo",  you:mo(calcs.cacPaybackGp),       delta:-(calcs.cacPaybackGp-20), suf:"mo" },
-                          { m:"LTV:CAC",      b:"<1.5x",  med:"3.6x",    tq:">5x",    bic:">7x",    you:mult(calcs.ltvCac),           delta:calcs.ltvCac-3.6, suf:"x"   },
-                          { m:"Magic Number", b:"<0.4",   med:"0.90",    tq:">1.2",   bic:">2.0",   you:calcs.magicNumber.toFixed(2), delta:calcs.magicNumber-0.9, suf:"" },
-                          { m:"Burn Multiple",b:">2.5x",  med:"1.6x",    tq:"<1.0x",  bic:"<0.5x",  you:calcs.burnMultiple>0?mult(calcs.burnMultiple):"FCF+", delta:-(calcs.burnMultiple-1.6), suf:"x" },
+                          { m:"ARR Growth",    b:`<${quartiles.arrGrowth.bottom}%`, med:`${qBand(quartiles.arrGrowth.median)}%`, tq:`>${quartiles.arrGrowth.top}%`, bic:`>${quartiles.arrGrowth.best}%`, you:pct(arrGrowth), delta:arrGrowth-qMid(quartiles.arrGrowth.median), suf:"ppts" },
+                          { m:"NRR",          b:`<${quartiles.nrr.bottom}%`, med:`${DATA.PRIVATE_NRR_MEDIAN}%`, tq:`>${quartiles.nrr.top}%`, bic:`>${quartiles.nrr.best}%`, you:pct(nrr), delta:nrr-DATA.PRIVATE_NRR_MEDIAN, suf:"ppts" },
+                          { m:"GRR",          b:`<${quartiles.grr.bottom}%`, med:`${quartiles.grr.median}%`, tq:`>${quartiles.grr.top}%`, bic:`>${quartiles.grr.best}%`, you:pct(grr), delta:grr-quartiles.grr.median, suf:"ppts" },
+                          { m:"Gross Margin", b:`<${quartiles.grossMargin.bottom}%`, med:`${DATA.GROSS_MARGIN_MEDIAN}%`, tq:`>${quartiles.grossMargin.top}%`, bic:`>${quartiles.grossMargin.best}%`, you:pct(grossMargin), delta:grossMargin-DATA.GROSS_MARGIN_MEDIAN, suf:"ppts" },
+                          { m:"Rule of 40",   b:`<${quartiles.rule40.bottom}`, med:qBand(quartiles.rule40.median), tq:`>${quartiles.rule40.top}`, bic:`>${quartiles.rule40.best}`, you:calcs.rule40.toFixed(0), delta:calcs.rule40-qMid(quartiles.rule40.median), suf:"pts" },
+                          { m:"CAC Payback",  b:`>${quartiles.cacPaybackMo.bottom}mo`, med:mo(DATA.CAC_PAYBACK_MEDIAN_MO), tq:`<${quartiles.cacPaybackMo.top}mo`, bic:`<${quartiles.cacPaybackMo.best}mo`, you:mo(calcs.cacPaybackGp), delta:-(calcs.cacPaybackGp-DATA.CAC_PAYBACK_MEDIAN_MO), suf:"mo" },
+                          { m:"LTV:CAC",      b:`<${quartiles.ltvCac.bottom}x`, med:mult(DATA.LTV_CAC_MEDIAN), tq:`>${quartiles.ltvCac.top}x`, bic:`>${quartiles.ltvCac.best}x`, you:mult(calcs.ltvCac), delta:calcs.ltvCac-DATA.LTV_CAC_MEDIAN, suf:"x" },
+                          { m:"Magic Number", b:`<${quartiles.magicNumber.bottom}`, med:DATA.MAGIC_NUMBER_MEDIAN.toFixed(2), tq:`>${quartiles.magicNumber.top}`, bic:`>${quartiles.magicNumber.best.toFixed(1)}`, you:calcs.magicNumber.toFixed(2), delta:calcs.magicNumber-DATA.MAGIC_NUMBER_MEDIAN, suf:"" },
+                          { m:"Burn Multiple",b:`>${mult(quartiles.burnMultiple.bottom)}`, med:mult(DATA.BURN_MULTIPLE_MEDIAN), tq:`<${mult(quartiles.burnMultiple.top)}`, bic:`<${mult(quartiles.burnMultiple.best)}`, you:calcs.burnMultiple>0?mult(calcs.burnMultiple):"FCF+", delta:-(calcs.burnMultiple-DATA.BURN_MULTIPLE_MEDIAN), suf:"x" },
                         ].map((row,ri) => (
                           <tr key={row.m} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
                             <td style={{ padding:"7px 9px", fontWeight:600, fontFamily:SANS }}>{row.m}</td>
@@ -1290,10 +6248,12 @@ export default function App() {
 
                   <div style={{ ...panel, fontSize:11, color:C.muted, lineHeight:1.75, fontFamily:SANS }}>
                     <F.head text="Calibration Notes" />
-                    <p style={{ margin:"0 0 8px" }}><strong style={{ color:C.ink }}>Anchor:</strong> Base multiples reflect private M&A transaction data (SEG 3,163 deals 2024; median 4.1x; equity-backed median 5.3x). Not public comps unless "Public Benchmark" is toggled.</p>
-                    <p style={{ margin:"0 0 8px" }}><strong style={{ color:C.ink }}>Rule of 40:</strong> +2.2x per 10 points confirmed exact — Aventis Advisors (459 deals, 2015–2025) and Ful.io 2025, independently corroborated.</p>
-                    <p style={{ margin:"0 0 8px" }}><strong style={{ color:C.ink }}>NRR bands:</strong> Calibrated to SEG 2025 Annual SaaS Report p.30 exact data. Public anchor: &lt;90%=1.2x; 100-110%=6.0x; &gt;120%=11.7x. Private discount ~40% applied.</p>
-                    <p style={{ margin:0 }}><strong style={{ color:C.ink }}>Scenarios:</strong> Bear × 0.58 = Windsor Drake M&A 2025: no-process 35–45% discount (midpoint 42%). Bull × 1.50 = Windsor Drake: strategic buyers pay 1.5–2.0x over PE (conservative end).</p>
+                    <p style={{ margin:"0 0 8px" }}><strong style={{ color:C.ink }}>Anchor:</strong> {model.baseAnchor
+                      ? <>Base multiple is the median EV/ARR of {model.baseAnchor.n} precedent transactions ({model.baseAnchor.label}), selected on the PRECEDENTS tab, in place of the benchmark grid.</>
+                      : <>Base multiples reflect {PACK.values.BASE_MULTIPLES.source}.</>} Not public comps unless "Public Benchmark" is toggled.</p>
+                    <p style={{ margin:"0 0 8px" }}><strong style={{ color:C.ink }}>Rule of 40:</strong> +{DATA.RULE40_MULT_PER_10PTS}x per 10 points — {PACK.values.RULE40_MULT_PER_10PTS.source}.</p>
+                    <p style={{ margin:"0 0 8px" }}><strong style={{ color:C.ink }}>NRR bands:</strong> Calibrated to {PACK.values.NRR_BANDS.source}. Public anchor: {nrrBandNote()}. Private discount ~{pct((1 - DATA.PRIVATE_DISCOUNT) * 100, 0)} applied.</p>
+                    <p style={{ margin:0 }}><strong style={{ color:C.ink }}>Scenarios:</strong> Bear × {DATA.BEAR_FACTOR} = {PACK.values.BEAR_FACTOR.source}. Bull × {DATA.BULL_FACTOR.toFixed(2)} = {PACK.values.BULL_FACTOR.source}.</p>
                   </div>
                 </div>
               </div>
@@ -1303,6 +6263,16 @@ export default function App() {
           {/* ═══ PROJECTIONS TAB ════════════════════════════════════════════════ */}
           {tab === "PROJECTIONS" && (
             <div>
+              {/* MRR ledger → bridge inputs */}
+              <div style={panel}>
+                <F.head text="MRR Ledger Import" source="Customer-level MRR → trailing-twelve-month bridge, retention and ARPA" />
+                <LedgerImport ledger={ledger}
+                  onLoad={setLedger}
+                  onEndMonth={m => setLedger(p => ({ ...p, endMonth: m }))}
+                  onApply={derived => setModel(p => ({ ...p, ...derived }))}
+                  onClear={() => setLedger(null)} />
+              </div>
+
               {/* ARR Bridge */}
               <div style={panel}>
                 <F.head text="ARR Bridge — Current Period" source="Computed from ARR bridge component inputs" />
@@ -1333,63 +6303,46 @@ export default function App() {
                 </div>
               </div>
 
-              {/* ARR trajectory */}
+              {/* Growth path + ARR trajectory */}
               <div style={panel}>
-                <F.head text={`${horizonYrs}-Year ARR Trajectory`} source={`Growth decay: Benchmarkit 2025 growth endurance 65%/yr`} />
+                <F.head text={`Growth Path & ${horizonYrs}-Year ARR Trajectory`}
+                  source={model.growthMode === "endurance" ? `Growth endurance ${inputs.growthEndurance}%/yr (${cite("GROWTH_ENDURANCE")} median: ${pct(DATA.GROWTH_ENDURANCE * 100, 0)})` : GROWTH_MODES[model.growthMode].note} />
+                <GrowthPathEditor model={model} calcs={calcs} onChange={patch => setModel(p => ({ ...p, ...patch }))} />
                 <LineChart
                   series={[{ key:"arr", data:[calcs.arr, ...calcs.dcfRows.slice(0,horizonYrs).map(r=>r.arr)], color:C.steel }]}
                   yFmt={v => $(v,0)} showDots />
               </div>
 
-              {/* Full DCF schedule */}
+              {/* Revenue layer */}
               <div style={panel}>
-                <F.head text="DCF — Full Financial Schedule" source="FCF = NOPAT + D&A − Capex − ΔWC + SBC (SaaS capex-light model)" />
-                <div style={{ overflowX:"auto" }}>
-                  <table style={{ width:"100%", borderCollapse:"collapse", fontSize:11 }}>
-                    <thead>
-                      <tr style={{ borderBottom:`1.5px solid ${C.rule}` }}>
-                        {["Metric","Current",...calcs.dcfRows.slice(0,horizonYrs).map(r=>`Year ${r.year}`)].map(h=>(
-                          <th key={h} style={{ padding:"6px 10px", textAlign:h==="Metric"?"left":"right", fontSize:9.5, letterSpacing:0.8, textTransform:"uppercase", color:C.ghost, fontWeight:700 }}>{h}</th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {[
-                        { lbl:"ARR",          key:"arr",             fmt:v=>$(v),        bold:true },
-                        { lbl:"YoY Growth",   key:"growth",          fmt:v=>pct(v),      color:v=>ratioColor(v,calcs.gRef,calcs.gRef*0.5) },
-                        { lbl:"Gross Profit", key:"gp",              fmt:v=>$(v) },
-                        { lbl:"EBITDA Margin",key:"ebitdaMarginAct", fmt:v=>pct(v),      color:v=>ratioColor(v,0,-20) },
-                        { lbl:"EBITDA ($)",   key:"ebitda",          fmt:v=>$(v),        color:v=>v>=0?C.green:C.red },
-                        { lbl:"EBIT",         key:"ebit",            fmt:v=>$(v),        color:v=>v>=0?C.green:C.red },
-                        { lbl:"NOPAT",        key:"nopat",           fmt:v=>$(v),        color:v=>v>=0?C.green:C.red },
-                        { lbl:"Free Cash Flow",key:"fcf",            fmt:v=>$(v),        color:v=>v>=0?C.green:C.red, bold:true },
-                        { lbl:"PV of FCF",    key:"pvFcf",           fmt:v=>$(v),        color:v=>v>=0?C.steel:C.muted },
-                      ].map((row,ri)=>(
-                        <tr key={ri} style={{ background:ri%2===0?C.surface:C.panel, borderBottom:`1px solid ${C.dim}` }}>
-                          <td style={{ padding:"7px 10px", fontWeight:row.bold?700:500, fontFamily:SANS }}>{row.lbl}</td>
-                          <td style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, color:C.muted }}>
-                            {row.key==="arr"?$(calcs.arr):row.key==="growth"?pct(arrGrowth):row.key==="ebitdaMarginAct"?pct(ebitdaMargin):row.key==="ebitda"?$(calcs.ebitdaDollars):"—"}
-                          </td>
-                          {calcs.dcfRows.slice(0,horizonYrs).map((r,ci)=>(
-                            <td key={ci} style={{ padding:"7px 10px", textAlign:"right", fontFamily:MONO, fontWeight:row.bold?700:500,
-                              color: row.color ? row.color(r[row.key]) : C.ink }}>
-                              {row.fmt(r[row.key])}
-                            </td>
-                          ))}
-                        </tr>
-                      ))}
-                    </tbody>
-                    <tfoot>
-                      <tr style={{ background:C.steelLt, borderTop:`2px solid ${C.rule}` }}>
-                        <td colSpan={2} style={{ padding:"9px 10px", fontWeight:700, fontSize:12 }}>DCF Enterprise Value</td>
-                        <td colSpan={horizonYrs - 1} style={{ padding:"9px 10px", textAlign:"right", fontSize:11, color:C.muted, fontFamily:SANS }}>
-                          PV FCFs: {$(calcs.sumPvFCF,0)} · PV Terminal: {$(calcs.pvTV,0)} · TV = {(calcs.pvTV/calcs.dcfEV*100).toFixed(0)}% of EV
-                        </td>
-                        <td style={{ padding:"9px 10px", textAlign:"right", fontFamily:MONO, fontSize:16, fontWeight:800, color:C.steel }}>{$(calcs.dcfEV)}</td>
-                      </tr>
-                    </tfoot>
-                  </table>
+                <F.head text="Revenue, Billings & Deferred Revenue" source="ARR → GAAP revenue; billing terms drive deferred revenue, RPO and the working capital line of FCF" />
+                <RevenueBillings model={model} calcs={calcs} onChange={patch => setModel(p => ({ ...p, ...patch }))} />
+              </div>
+
+              {/* CAPM WACC derivation */}
+              {capm && (
+                <div style={panel}>
+                  <F.head text="WACC Build-Up" source="CAPM cost of equity + size and company-specific premia; weights at net debt vs base-case equity value" />
+                  <WaccDerivation build={waccBuild} w={capm} taxRate={model.taxRate} />
                 </div>
+              )}
+
+              {/* DCF drivers */}
+              <div style={panel}>
+                <F.head text="DCF Assumptions" source="Valuation timing, base drivers with per-year overrides (blank years inherit the base), terminal value method" />
+                <DcfAssumptions model={model} calcs={calcs} onChange={patch => setModel(p => ({ ...p, ...patch }))} />
+              </div>
+
+              {/* Full DCF schedule */}
+              <div style={panel}>
+                <F.head text="DCF — Full Financial Schedule" source={`FCF = NOPAT + D&A − Capex − ΔWC + SBC (SaaS capex-light model)${model.granularity !== "annual" ? ` · rolled up from ${model.granularity} periods` : ""}`} />
+                <DcfTable calcs={calcs} inputs={inputs} />
+              </div>
+
+              {/* Period schedule */}
+              <div style={panel}>
+                <F.head text="Period Schedule — ARR Bridge & Revenue" source="Annual, quarterly or monthly periods; revenue = average ARR over the period" />
+                <PeriodSchedule calcs={calcs} granularity={model.granularity} onGranularity={setIn("granularity")} />
               </div>
             </div>
           )}
@@ -1398,42 +6351,87 @@ export default function App() {
           {tab === "COHORTS" && (
             <div>
               <div style={panel}>
-                <F.head text="Revenue Cohort Retention Curves" source="Modeled from logo churn + NRR expansion inputs; 7-year curves" />
+                <F.head text="Vintage Cohort Triangle" source="ARR by acquisition vintage at each anniversary — entered, imported or built from the MRR ledger" />
+                <CohortEditor cohorts={cohorts} ledger={ledger} onChange={setCohorts} />
+              </div>
+
+              {cohortFit && (
+                <div style={panel}>
+                  <F.head text="Vintage Retention Curves" source="ARR ÷ Y0 ARR per vintage; immature vintages extrapolated with the fitted decay curve" />
+                  <CohortCurveChart rows={cohortFit.rows} cols={cohortFit.cols} modeled={calcs.cohortCurve} />
+                  <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:"0 24px", marginTop:14 }}>
+                    <div>
+                      <F.row label="Fitted NRR (book, next year)" value={pct(cohortFit.nrr)} vc={ratioColor(cohortFit.nrr, 110, 100)} />
+                      <F.row label="Fitted GRR (book, next year)" value={cohortFit.grr != null ? pct(cohortFit.grr) : "—"}
+                        sub={cohortFit.grr == null ? "Needs a triangle built from the MRR ledger" : undefined}
+                        vc={cohortFit.grr != null ? ratioColor(cohortFit.grr, 92, 85) : C.ghost} />
+                    </div>
+                    <div>
+                      <F.row label="Year-1 net retention (fit)" value={pct(cohortFit.nrrFit.f0 * 100)} />
+                      <F.row label="Steady-state net retention" value={pct(cohortFit.nrrFit.s * 100)}
+                        sub={`f(a) = s + (f₀ − s)·${cohortFit.nrrFit.d.toFixed(2)}^a · ${cohortFit.nrrPts.length} age factors`} />
+                    </div>
+                  </div>
+                  <div style={{ marginTop:12, padding:"10px 14px", background:C.steelLt, borderRadius:3 }}>
+                    <Toggle label="Use fitted NRR / GRR in valuation"
+                      note={cohorts.feed
+                        ? `Model NRR${cohortFit.grr != null ? " and GRR" : ""} set from the cohort fit; moving those sliders switches this off`
+                        : `Stated inputs: NRR ${pct(nrr)} · GRR ${pct(grr)}`}
+                      value={cohorts.feed} onChange={v => setCohorts(p => ({ ...p, feed: v }))} />
+                  </div>
+                </div>
+              )}
+
+              {cohortFit && (
+                <div style={panel}>
+                  <F.head text="Retention Heatmaps" source="Italic = extrapolated from the fit. Cumulative, then year-over-year by age." />
+                  <div style={{ fontSize:11, fontWeight:700, color:C.ink, fontFamily:SANS, margin:"2px 0 6px" }}>Cumulative net retention (ARR ÷ Y0)</div>
+                  <RetentionHeatmap rows={cohortFit.rows} cols={cohortFit.cols}
+                    cell={(r, a) => ({ v: r.curve[a], projected: a >= r.nObs })} />
+                  {cohortFit.cols > 1 && (
+                    <>
+                      <div style={{ fontSize:11, fontWeight:700, color:C.ink, fontFamily:SANS, margin:"16px 0 6px" }}>Year-over-year net retention</div>
+                      <RetentionHeatmap rows={cohortFit.rows} cols={cohortFit.cols} startAge={1}
+                        cell={(r, a) => ({ v: r.arr[a] / r.arr[a - 1], projected: a >= r.nObs })} />
+                    </>
+                  )}
+                  {cohortFit.grrFit && (
+                    <>
+                      <div style={{ fontSize:11, fontWeight:700, color:C.ink, fontFamily:SANS, margin:"16px 0 6px" }}>Year-over-year gross retention</div>
+                      <RetentionHeatmap rows={cohortFit.rows} cols={cohortFit.cols} startAge={1}
+                        cell={(r, a) => a < r.nObs
+                          ? { v: r.gross[a] / r.arr[a - 1], projected: false }
+                          : { v: cohortFit.grrFit.at(a - 1), projected: true }} />
+                    </>
+                  )}
+                </div>
+              )}
+
+              <div style={panel}>
+                <F.head text="Modeled Cohort Curve" source="From logo churn + NRR inputs; 7-year curve" />
                 <p style={{ fontSize:11.5, color:C.muted, fontFamily:SANS, margin:"0 0 14px", lineHeight:1.7 }}>
-                  Each cohort starts at $1 of ARR. Revenue per cohort = logo survival × per-customer expansion.
+                  A cohort starting at $1 of ARR. Revenue = logo survival × per-customer expansion.
                   Logo survival = (1 − {pct(logoChurn)})^year. Per-customer expansion rate = NRR / (1 − logo churn) = {(nrr / 100 / (1 - logoChurn/100)).toFixed(3)}.
                   Curves below 1.0 indicate net revenue decay; above 1.0 indicate net expansion from existing customers alone.
                 </p>
                 <LineChart
-                  series={calcs.cohorts.map((c, i) => ({
-                    key: c.id.toString(),
-                    data: c.curve,
-                    color: [C.steel, C.green, C.amber, C.blue, C.red][i],
-                  }))}
+                  series={[{ key:"modeled", data: calcs.cohortCurve, color: C.steel }]}
                   yFmt={v => `${(v * 100).toFixed(0)}%`}
-                  height={180} showDots />
-                <div style={{ display:"grid", gridTemplateColumns:"repeat(5,1fr)", gap:10, marginTop:14 }}>
-                  {calcs.cohorts.map((c, i) => {
-                    const yr5 = c.curve[5];
-                    const yr7 = c.curve[6];
-                    const colors = [C.steel, C.green, C.amber, C.blue, C.red];
-                    return (
-                      <div key={i} style={{ background:C.panel, border:`1px solid ${C.border}`, borderRadius:4, padding:"10px 12px" }}>
-                        <div style={{ fontSize:10, color:colors[i], fontFamily:SANS, fontWeight:700, marginBottom:6 }}>Cohort {i+1}</div>
-                        <F.row label="Y1" value={pct(c.curve[1]*100)} />
-                        <F.row label="Y3" value={pct(c.curve[3]*100)} />
-                        <F.row label="Y5" value={pct(c.curve[5]*100)} vc={yr5 >= 1 ? C.green : C.red} />
-                        <F.row label="Y7" value={pct(c.curve[6]*100)} vc={yr7 >= 1 ? C.green : C.red} />
-                      </div>
-                    );
-                  })}
+                  height={160} showDots />
+                <div style={{ display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:10, marginTop:14 }}>
+                  {[1, 3, 5, 7].map(y => (
+                    <div key={y} style={{ background:C.panel, border:`1px solid ${C.border}`, borderRadius:4, padding:"10px 12px" }}>
+                      <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginBottom:4 }}>Year {y}</div>
+                      <div style={{ fontSize:15, fontWeight:700, fontFamily:MONO, color: calcs.cohortCurve[y] >= 1 ? C.green : C.red }}>{pct(calcs.cohortCurve[y]*100)}</div>
+                    </div>
+                  ))}
                 </div>
-                <div style={{ marginTop:12, padding:"10px 14px", background: calcs.cohorts[0].curve[5] >= 1 ? C.greenLt : C.redLt,
-                  borderRadius:3, border:`1px solid ${calcs.cohorts[0].curve[5] >= 1 ? C.green : C.red}44` }}>
+                <div style={{ marginTop:12, padding:"10px 14px", background: calcs.cohortCurve[5] >= 1 ? C.greenLt : C.redLt,
+                  borderRadius:3, border:`1px solid ${calcs.cohortCurve[5] >= 1 ? C.green : C.red}44` }}>
                   <div style={{ fontSize:11.5, color:C.ink, fontFamily:SANS, lineHeight:1.7 }}>
                     <strong>Interpretation:</strong> At current logo churn of {pct(logoChurn)} and NRR of {pct(nrr)},
-                    cohorts {calcs.cohorts[0].curve[5] >= 1 ? "expand" : "erode"} to {pct(calcs.cohorts[0].curve[5]*100)} of initial ARR after 5 years.
-                    {calcs.cohorts[0].curve[5] < 1
+                    cohorts {calcs.cohortCurve[5] >= 1 ? "expand" : "erode"} to {pct(calcs.cohortCurve[5]*100)} of initial ARR after 5 years.
+                    {calcs.cohortCurve[5] < 1
                       ? " This indicates net revenue destruction from existing customers — the company must continuously acquire new logos just to maintain ARR. Fix NRR before scaling S&M."
                       : " Each cohort is self-compounding — existing customers generate more revenue over time than they started with. This is the foundation of durable SaaS economics."}
                   </div>
@@ -1467,104 +6465,22 @@ export default function App() {
           {/* ═══ SENSITIVITY TAB ════════════════════════════════════════════════ */}
           {tab === "SENSITIVITY" && (
             <div>
-              {/* NRR × Growth */}
+              {/* Tornado */}
               <div style={panel}>
-                <F.head text="EV/ARR Multiple — ARR Growth (rows) × NRR (columns)" source="Full model re-computed at each cell. Active inputs highlighted." />
-                <div style={{ overflowX:"auto" }}>
-                  <table style={{ borderCollapse:"collapse" }}>
-                    <thead>
-                      <tr>
-                        <td style={{ padding:"6px 10px", fontSize:9.5, color:C.ghost, fontFamily:SANS, textTransform:"uppercase" }}>Growth ↓ / NRR →</td>
-                        {[85,90,95,100,108,115,120,130].map(n=>(
-                          <th key={n} style={{ padding:"6px 10px", fontSize:10, textAlign:"center",
-                            color: Math.abs(n-nrr)<4 ? C.steel : C.ghost, fontFamily:MONO,
-                            fontWeight: Math.abs(n-nrr)<4 ? 700 : 500 }}>{n}%</th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {[10,20,30,40,55,70,90,120].map(g=>(
-                        <tr key={g}>
-                          <td style={{ padding:"6px 10px", fontFamily:MONO, fontSize:11, color:Math.abs(g-arrGrowth)<8?C.steel:C.muted,
-                            fontWeight:Math.abs(g-arrGrowth)<8?700:400 }}>{g}%</td>
-                          {[85,90,95,100,108,115,120,130].map(n=>{
-                            const v = computeValuation({...inputs, arrGrowth:g, nrr:n});
-                            const isActive = Math.abs(g-arrGrowth)<8 && Math.abs(n-nrr)<4;
-                            return <HCell key={n} v={v.baseMult.toFixed(1)} isActive={isActive} />;
-                          })}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-                <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8 }}>All other inputs held constant at current values. Colors: green ≥10x · blue 6–10x · amber 4–6x · red &lt;4x</div>
+                <F.head text="Tornado — Inputs Ranked by EV Swing" source="Each input flexed alone; full model re-computed" />
+                <Tornado model={model} />
               </div>
 
-              {/* WACC × Terminal Growth (DCF EV) */}
-              <div style={panel}>
-                <F.head text="DCF Enterprise Value — WACC (rows) × Terminal Growth Rate (columns)" source="Full DCF re-computed at each cell." />
-                <div style={{ overflowX:"auto" }}>
-                  <table style={{ borderCollapse:"collapse" }}>
-                    <thead>
-                      <tr>
-                        <td style={{ padding:"6px 10px", fontSize:9.5, color:C.ghost, fontFamily:SANS, textTransform:"uppercase" }}>WACC ↓ / g →</td>
-                        {[1.5,2.0,2.5,3.0,3.5,4.0,4.5].map(tg=>(
-                          <th key={tg} style={{ padding:"6px 10px", fontSize:10, textAlign:"center",
-                            color: Math.abs(tg-termGrowthRate)<0.4 ? C.steel : C.ghost, fontFamily:MONO,
-                            fontWeight: Math.abs(tg-termGrowthRate)<0.4 ? 700 : 500 }}>{tg}%</th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {[8,10,12,14,16,18,20].map(w=>(
-                        <tr key={w}>
-                          <td style={{ padding:"6px 10px", fontFamily:MONO, fontSize:11, color:Math.abs(w-wacc)<1.5?C.steel:C.muted,
-                            fontWeight:Math.abs(w-wacc)<1.5?700:400 }}>{w}%</td>
-                          {[1.5,2.0,2.5,3.0,3.5,4.0,4.5].map(tg=>{
-                            const v = computeValuation({...inputs, wacc:w, termGrowthRate:tg});
-                            const isActive = Math.abs(w-wacc)<1.5 && Math.abs(tg-termGrowthRate)<0.4;
-                            const ev = v.dcfEV;
-                            const evMult = ev / calcs.arr;
-                            return <HCell key={tg} v={evMult.toFixed(1)} isActive={isActive} />;
-                          })}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-                <div style={{ fontSize:10, color:C.ghost, fontFamily:SANS, marginTop:8 }}>Showing DCF EV/ARR implied multiple. All other DCF inputs held constant.</div>
-              </div>
+              {/* Configurable heatmaps */}
+              <HeatmapBuilder model={model} heatmaps={heatmaps} onChange={setHeatmaps} panel={panel} />
 
-              {/* Gross margin × Rule of 40 */}
+              {/* Goal seek */}
               <div style={panel}>
-                <F.head text="EV/ARR Multiple — Gross Margin (rows) × EBITDA Margin (columns)" source="Rule of 40 is growth rate + EBITDA margin; growth held constant." />
-                <div style={{ overflowX:"auto" }}>
-                  <table style={{ borderCollapse:"collapse" }}>
-                    <thead>
-                      <tr>
-                        <td style={{ padding:"6px 10px", fontSize:9.5, color:C.ghost, fontFamily:SANS, textTransform:"uppercase" }}>GM ↓ / EBITDA →</td>
-                        {[-40,-20,-10,0,10,20,30].map(em=>(
-                          <th key={em} style={{ padding:"6px 10px", fontSize:10, textAlign:"center",
-                            color: Math.abs(em-ebitdaMargin)<6 ? C.steel : C.ghost, fontFamily:MONO,
-                            fontWeight: Math.abs(em-ebitdaMargin)<6 ? 700 : 500 }}>{em}%</th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {[45,55,65,72,78,83,90].map(gm=>(
-                        <tr key={gm}>
-                          <td style={{ padding:"6px 10px", fontFamily:MONO, fontSize:11, color:Math.abs(gm-grossMargin)<4?C.steel:C.muted,
-                            fontWeight:Math.abs(gm-grossMargin)<4?700:400 }}>{gm}%</td>
-                          {[-40,-20,-10,0,10,20,30].map(em=>{
-                            const v = computeValuation({...inputs, grossMargin:gm, ebitdaMargin:em});
-                            const isActive = Math.abs(gm-grossMargin)<4 && Math.abs(em-ebitdaMargin)<6;
-                            return <HCell key={em} v={v.baseMult.toFixed(1)} isActive={isActive} />;
-                          })}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
+                <F.head text="Goal Seek — Input Required to Hit a Target" source="Solved over the full model within slider bounds" />
+                <GoalSeek model={model} calcs={calcs}
+                  onApply={(k, v) => k === "wacc" && waccBuild.on
+                    ? setModel(p => ({ ...p, wacc: v, waccBuild: { ...p.waccBuild, on: false } }))
+                    : (k === "nrr" || k === "grr" ? setRetention(k) : setIn(k))(v)} />
               </div>
 
               {/* Reverse: implied ARR for target EV */}
@@ -1591,51 +6507,55 @@ export default function App() {
             </div>
           )}
 
+          {/* ═══ SIMULATION TAB ═════════════════════════════════════════════════ */}
+          {tab === "SIMULATION" && (
+            <div style={panel}>
+              <SimulationView model={model} calcs={calcs} sim={sim} onChange={setSim} />
+            </div>
+          )}
+
+          {/* ═══ LBO TAB ════════════════════════════════════════════════════════ */}
+          {tab === "LBO" && (
+            <div style={panel}>
+              <LboView inputs={inputs} calcs={calcs} lbo={lbo} onChange={setLbo} />
+            </div>
+          )}
+
+          {/* ═══ SOTP TAB ═══════════════════════════════════════════════════════ */}
+          {tab === "SOTP" && (
+            <div style={panel}>
+              <F.head text="Sum-of-the-Parts Valuation" source="Segment-level business model, growth, retention and margins" />
+              <SotpView model={model} calcs={calcs} onChange={patch => setModel(p => ({ ...p, ...patch }))} />
+            </div>
+          )}
+
           {/* ═══ DILIGENCE TAB ════════════════════════════════════════════════ */}
           {tab === "DILIGENCE" && (
             <div>
               <div style={panel}>
-                <DiligenceCard calcs={calcs} inputs={inputs} />
+                <DiligenceCard calcs={calcs} inputs={inputs} checks={ddChecks} onChange={setDdChecks} />
+              </div>
+
+              <div style={panel}>
+                <F.head text="Customer Concentration" source={`${PACK.values.MAJOR_CUSTOMER_PCT.source} · ${PACK.values.HHI_HIGH.source}`} />
+                <CustomerConcentration customers={model.customers} calcs={calcs} ledger={ledger} onChange={setIn("customers")} />
               </div>
 
               {/* Auto-generated red flags */}
               <div style={panel}>
                 <F.head text="Automated Risk Flag Analysis" source="Threshold-based, sourced to lender/PE standards" />
-                {(() => {
-                  const flags = [];
-                  if (nrr < 100) flags.push({ sev:"HIGH", msg:`NRR of ${pct(nrr)} means the installed base is shrinking. Revenue erodes before new sales. SEG data: NRR <90% = 1.2x median multiple vs 6.0x at 100–110%. Immediate action required.` });
-                  if (grr < DATA.GRR_COVENANT_FLOOR) flags.push({ sev:"HIGH", msg:`GRR of ${pct(grr)} is below the ${DATA.GRR_COVENANT_FLOOR}% lender covenant minimum (ABF Journal 2025). This will restrict debt financing. Maximum customer churn is eroding the base before expansion can offset it.` });
-                  if (calcs.ltvCac < 2.0) flags.push({ sev:"HIGH", msg:`LTV:CAC of ${mult(calcs.ltvCac)} is below the 2x viability floor. At this ratio, every dollar spent acquiring customers destroys more capital than it creates at current retention. Fix before scaling GTM.` });
-                  if (logoChurn > 15) flags.push({ sev:"HIGH", msg:`Annual logo churn of ${pct(logoChurn)} implies a ${yr(calcs.lifetimeYrs)} average customer lifetime and replacing the entire base every ${(100/logoChurn).toFixed(1)} years. Buyers will apply a severe multiple discount until this is resolved.` });
-                  if (calcs.burnMultiple > 2.5) flags.push({ sev:"MEDIUM", msg:`Burn Multiple of ${mult(calcs.burnMultiple)} is well above the 2.0x watch threshold. The company burns $${calcs.burnMultiple.toFixed(1)} for every $1 of net new ARR. Benchmarkit 2025 median: 1.6x. This signals GTM inefficiency or premature scale.` });
-                  if (calcs.rule40 < 10) flags.push({ sev:"MEDIUM", msg:`Rule of 40 score of ${calcs.rule40.toFixed(0)} is deeply negative. Per Aventis regression data, each 10-point improvement = +2.2x EV/ARR. Companies scoring below 20 rarely command institutional multiples.` });
-                  if (grossMargin < 60) flags.push({ sev:"MEDIUM", msg:`Gross margin of ${pct(grossMargin)} is below the 65% threshold that triggers PE diligence flags. SaaS median is 73%; targets below 60% suggest services-heavy delivery, infrastructure inefficiency, or aggressive discounting.` });
-                  if (Math.abs(calcs.nrrDerived - nrr) > 5) flags.push({ sev:"MEDIUM", msg:`ARR bridge components imply NRR of ${pct(calcs.nrrDerived)} but stated NRR is ${pct(nrr)}. Difference of ${pct(Math.abs(calcs.nrrDerived-nrr))}. This reconciliation gap is a key diligence red flag — buyers will stress-test cohort-level retention data.` });
-                  if (calcs.magicNumber < 0.5) flags.push({ sev:"MEDIUM", msg:`Magic Number of ${calcs.magicNumber.toFixed(2)} is below 0.5. The GTM engine generates only $${(calcs.magicNumber*100).toFixed(0)} of gross-margin-adjusted ARR for every $100 of S&M spend. Benchmarkit 2024 median: 0.90. Review pipeline quality and sales cycle efficiency.` });
-                  if (revenueMix < 70) flags.push({ sev:"LOW", msg:`Recurring revenue mix of ${pct(revenueMix)} means ${pct(100-revenueMix)} of revenue is non-recurring. FE International data: MRR valued ~2x over one-time revenue. Buyers will apply a significant haircut to non-recurring components in valuation.` });
-                  if (flags.length === 0) flags.push({ sev:"CLEAR", msg:"No material diligence flags identified at current inputs. Asset demonstrates strong fundamentals across all monitored risk categories." });
-                  const sevColor = { HIGH:C.red, MEDIUM:C.amber, LOW:C.steel, CLEAR:C.green };
-                  const sevBg    = { HIGH:C.redLt, MEDIUM:C.amberLt, LOW:C.steelLt, CLEAR:C.greenLt };
-                  return flags.map((f,i) => (
-                    <div key={i} style={{ display:"flex", gap:12, padding:"12px 0", borderBottom:`1px solid ${C.dim}` }}>
-                      <span style={{ fontSize:9.5, fontWeight:700, fontFamily:SANS, letterSpacing:0.8, padding:"3px 7px",
-                        borderRadius:2, whiteSpace:"nowrap", alignSelf:"flex-start",
-                        background:sevBg[f.sev], color:sevColor[f.sev], border:`1px solid ${sevColor[f.sev]}44` }}>{f.sev}</span>
-                      <p style={{ margin:0, fontSize:11.5, color:C.ink, fontFamily:SANS, lineHeight:1.7 }}>{f.msg}</p>
-                    </div>
-                  ));
-                })()}
+                <RiskFlagList flags={riskFlags(inputs, calcs)} />
               </div>
 
               {/* Value creation levers */}
               <div style={panel}>
                 <F.head text="Value Creation Levers — Ranked by Multiple Impact" source="Delta computed by full model re-run at improved inputs" />
                 {[
-                  { action:`Improve NRR to 115% (from ${pct(nrr)})`, delta: nrr < 115 ? computeValuation({...inputs,nrr:115}).baseMult - calcs.baseMult : 0, priority: nrr < 105 ? "HIGH" : "MED", rationale:"SEG 2025 p.30: NRR 110-120% = 9.0x vs 6.0x at 100-110%. Each 5ppt NRR improvement = ~0.5x private market multiple at median." },
-                  { action:`Achieve Rule of 40 (current: ${calcs.rule40.toFixed(0)})`, delta: calcs.rule40 < 40 ? computeValuation({...inputs, ebitdaMargin: Math.min(0, 40-arrGrowth)}).baseMult - calcs.baseMult : 0, priority: calcs.rule40 < 20 ? "HIGH" : "MED", rationale:"Aventis exact: +2.2x EV/ARR per 10pts. Achieve R40=40 via EBITDA improvement, not growth reduction. Buyers read R40 as a proxy for long-run FCF margin." },
-                  { action:`Grow ARR to $25M+ (current: $${arrM}M)`, delta: arrM < 25 ? computeValuation({...inputs,arrM:25}).baseMult - calcs.baseMult : 0, priority: arrM < 10 ? "HIGH" : arrM < 25 ? "MED" : "DONE", rationale:"Solganick/Axial 2025: ~1-2x per $20M ARR. $25M ARR opens mid-market PE universe. $50M+ opens large-cap PE and strategic M&A processes." },
-                  { action:`Reduce logo churn below 8% (from ${pct(logoChurn)})`, delta: logoChurn > 8 ? computeValuation({...inputs,logoChurn:7}).baseMult - calcs.baseMult : 0, priority: logoChurn > 15 ? "HIGH" : "LOW", rationale:"ABF Journal: lenders require no customer >15% ARR and GRR ≥85%. Logo churn directly drives GRR and is the most visible diligence red flag after NRR." },
-                  { action:`Improve gross margin to 75%+ (from ${pct(grossMargin)})`, delta: grossMargin < 75 ? computeValuation({...inputs,grossMargin:76}).baseMult - calcs.baseMult : 0, priority: grossMargin < 65 ? "HIGH" : "LOW", rationale:"PE threshold: <65% gross margin = operational risk flag. SaaS median 73%; target 75-85%. Improvement requires pricing power or infrastructure optimization." },
+                  { action:`Improve NRR to 115% (from ${pct(nrr)})`, delta: nrr < 115 ? computeValuation({...inputs,nrr:115}).baseMult - calcs.baseMult : 0, priority: nrr < 105 ? "HIGH" : "MED", rationale:`${cite("NRR_BANDS")}: NRR ${nrrBand(115).label} = ${nrrBand(115).publicMult}x vs ${nrrBand(100).publicMult}x at ${nrrBand(100).label}. Each 5ppt NRR improvement = ~0.5x private market multiple at median.` },
+                  { action:`Achieve Rule of 40 (current: ${calcs.rule40.toFixed(0)})`, delta: calcs.rule40 < 40 ? computeValuation({...inputs, ebitdaMargin: Math.min(0, 40-arrGrowth)}).baseMult - calcs.baseMult : 0, priority: calcs.rule40 < 20 ? "HIGH" : "MED", rationale:`${cite("RULE40_MULT_PER_10PTS")}: +${DATA.RULE40_MULT_PER_10PTS}x EV/ARR per 10pts. Achieve R40=40 via EBITDA improvement, not growth reduction. Buyers read R40 as a proxy for long-run FCF margin.` },
+                  { action:`Grow ARR to $25M+ (current: $${arrM}M)`, delta: arrM < 25 ? computeValuation({...inputs,arrM:25}).baseMult - calcs.baseMult : 0, priority: arrM < 10 ? "HIGH" : arrM < 25 ? "MED" : "DONE", rationale:`${PACK.values.SIZE_MULTIPLIERS.source}. $25M ARR opens mid-market PE universe. $50M+ opens large-cap PE and strategic M&A processes.` },
+                  { action:`Reduce logo churn below 8% (from ${pct(logoChurn)})`, delta: logoChurn > 8 ? computeValuation({...inputs,logoChurn:7}).baseMult - calcs.baseMult : 0, priority: logoChurn > 15 ? "HIGH" : "LOW", rationale:`${cite("GRR_COVENANT_FLOOR")}: lenders require no customer >${DATA.LENDER_CUSTOMER_CAP_PCT}% ARR and GRR ≥${DATA.GRR_COVENANT_FLOOR}%. Logo churn directly drives GRR and is the most visible diligence red flag after NRR.` },
+                  { action:`Improve gross margin to 75%+ (from ${pct(grossMargin)})`, delta: grossMargin < 75 ? computeValuation({...inputs,grossMargin:76}).baseMult - calcs.baseMult : 0, priority: grossMargin < 65 ? "HIGH" : "LOW", rationale:`PE threshold: <65% gross margin = operational risk flag. ${cite("GROSS_MARGIN_MEDIAN")} median ${DATA.GROSS_MARGIN_MEDIAN}%; target 75-85%. Improvement requires pricing power or infrastructure optimization.` },
                 ].map((lv,i)=>(
                   <div key={i} style={{ display:"flex", gap:14, padding:"13px 0", borderBottom:`1px solid ${C.dim}`, alignItems:"flex-start" }}>
                     <div style={{ textAlign:"center", minWidth:56 }}>
@@ -1660,43 +6580,45 @@ export default function App() {
           {tab === "COMPS" && (
             <div>
               <div style={panel}>
-                <CompsTable baseInputs={inputs} compute={computeValuation} />
+                <CompsTable baseInputs={inputs} compute={computeValuation} comps={comps} onChange={setComps} />
+              </div>
+              <div style={panel}>
+                <CompsRegression comps={comps} inputs={inputs} calcs={calcs} />
+              </div>
+              <div style={panel}>
+                <F.head text="Benchmark Packs" source={`Active: ${PACK.name} · vintage ${PACK.vintage}`} />
+                <BenchmarkPacks packs={packs} model={model} onLoad={loadPack} onDelete={deletePack}
+                  onSelect={id => setPackStore(p => ({ ...p, activeId: id }))} />
               </div>
               <div style={panel}>
-                <F.head text="2025 Market Reference Data" source="SaaS Capital · SEG · Aventis · Bessemer · Benchmarkit · Windsor Drake · ABF Journal" />
+                <F.head text="Market Reference Data" source={`${PACK.name} · ${PACK.vintage}`} />
                 <div style={{ display:"grid", gridTemplateColumns:"repeat(4,1fr)", gap:10 }}>
-                  {[
-                    { lbl:"Public SaaS Median (SCI)",     val:"6.7–7.0x", sub:"SaaS Capital Index, June 2025" },
-                    { lbl:"Public SaaS (Bessemer)",       val:"7.5x",     sub:"Bessemer Cloud Index, 2025" },
-                    { lbl:"Private M&A Median (SEG)",     val:"4.1x",     sub:"SEG 3,163 deals, 2024" },
-                    { lbl:"Private Equity-Backed (SCI)",  val:"5.3x",     sub:"SaaS Capital n=1,000+, 2025" },
-                    { lbl:"Private EBITDA Multiple",      val:"19.2x",    sub:"SEG M&A Report 2024 (profitable)" },
-                    { lbl:"Public EBITDA Multiple",       val:"38.2x",    sub:"SEG median public SaaS 2024" },
-                    { lbl:"Top-10 Public ARR Multiple",   val:"14.2x",    sub:"SaaS Capital SCI, YE 2024" },
-                    { lbl:"Public SaaS EBITDA Margin",    val:"9.3%",     sub:"SaaS Capital Index, Q3 2025" },
-                    { lbl:"Rule of 40 Valuation Premium", val:"121%",     sub:"vs. sub-40 peers (SaasRise 2025)" },
-                    { lbl:"AI-Native Premium",            val:"20–40%",   sub:"SaasRise/Battery Ventures 2025" },
-                    { lbl:"CAC Payback Median",           val:"20mo",     sub:"SaaS Benchmark Report 2025, n=2,000+" },
-                    { lbl:"LTV:CAC Median",               val:"3.6x",     sub:"Benchmarkit 2024, n=936" },
-                    { lbl:"Magic Number Median",          val:"0.90",     sub:"Benchmarkit 2024, n=936" },
-                    { lbl:"Burn Multiple Median (Ser.A)", val:"1.6x",     sub:"CFO Advisors / Benchmarkit 2025" },
-                    { lbl:"NRR Median (Private)",         val:"106%",     sub:"ChartMogul n=2,100; SaaS Capital" },
-                    { lbl:"NRR Enterprise Median",        val:"118%",     sub:"Optifai n=939 / ChartMogul 2024" },
-                    { lbl:"GRR Lender Floor",             val:"85%",      sub:"ABF Journal SaaS lending 2025" },
-                    { lbl:"Public SaaS Growth Median",    val:"12.2%",    sub:"Aventis Index, Q4 2025" },
-                    { lbl:"Private SaaS Growth Median",   val:"25%",      sub:"SaaS Capital survey, 2024" },
-                    { lbl:"Growth Endurance",             val:"65%",      sub:"Benchmarkit 2025 (was 80%)" },
-                  ].map(({lbl,val,sub}) => (
-                    <div key={lbl} style={{ background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"10px 12px" }}>
-                      <div style={{ fontSize:9.5, color:C.ghost, fontFamily:SANS, textTransform:"uppercase", letterSpacing:0.8, marginBottom:4 }}>{lbl}</div>
-                      <div style={{ fontSize:17, fontWeight:700, fontFamily:MONO, color:C.steel }}>{val}</div>
-                      <div style={{ fontSize:9.5, color:C.ghost, fontFamily:SANS, marginTop:3 }}>{sub}</div>
+                  {PACK.reference.map(({ label, value, source, asOf }) => (
+                    <div key={label} style={{ background:C.panel, border:`1px solid ${C.border}`, borderRadius:3, padding:"10px 12px" }}>
+                      <div style={{ fontSize:9.5, color:C.ghost, fontFamily:SANS, textTransform:"uppercase", letterSpacing:0.8, marginBottom:4 }}>{label}</div>
+                      <div style={{ fontSize:17, fontWeight:700, fontFamily:MONO, color:C.steel }}>{value}</div>
+                      <div style={{ fontSize:9.5, color:C.ghost, fontFamily:SANS, marginTop:3 }}>{source}{asOf && ` · as of ${asOf}`}</div>
                     </div>
                   ))}
                 </div>
               </div>
             </div>
           )}
+
+          {/* ═══ PRECEDENTS TAB ═══════════════════════════════════════════════ */}
+          {tab === "PRECEDENTS" && (
+            <div style={panel}>
+              <F.head text="Precedent Transactions" source="Local deal database · EV/ARR and EV/EBITDA by business model, stage and date" />
+              <PrecedentsView store={precStore} inputs={inputs} calcs={calcs} onChange={setPrecStore} onAnchor={setIn("baseAnchor")} />
+            </div>
+          )}
+
+          {/* ═══ COMPARE TAB ══════════════════════════════════════════════════ */}
+          {tab === "COMPARE" && (
+            <div style={panel}>
+              <CompareView scenarios={scenarios} currentModel={model} />
+            </div>
+          )}
         </div>
       </div>
 